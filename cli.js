@@ -157,6 +157,7 @@ const parseValidInt = (optionName) => (/** @type {string} */ value) => {
 const typeParsers = {
   regexp: parseRegExp,
   regexpArray: parseJSONRegExpArray,
+  booleanOrString: parseJSON,
   json: parseJSON,
   jsonObject: parseJSON,
   jsonArray: parseJSONArray,
@@ -193,6 +194,10 @@ Object.entries(optionDefinitions).forEach(function ([key, { description, descrip
     if (!flag.startsWith('no-')) {
       program.addOption(new Option('--no-' + flag, 'Disable --' + flag).hideHelp());
     }
+  } else if (type === 'booleanOrString') {
+    // An optional value, and a negation form like boolean options have
+    program.option('--' + flag + ' [value]', description, getParser(key, type));
+    program.addOption(new Option('--no-' + flag, 'Disable --' + flag).hideHelp());
   } else {
     const cliFlag = '--' + flag + (type === 'json' || type === 'jsonObject' ? ' [value]' : ' <value>');
     program.option(cliFlag, description, getParser(key, type));
@@ -202,14 +207,28 @@ program.option('-i --input <file>', 'Specify input file (alternative to position
 program.option('-o --output <file>', 'Specify output file (reads from `--input` file argument or STDIN; outputs to STDOUT if not specified)');
 program.option('-v --verbose', 'Show detailed processing information');
 program.option('-d --dry', 'Dry run: Process and report statistics without writing output');
+program.option('--pretty', 'Pretty-print the output, indenting block elements where that doesn’t change rendering');
+program.option('--mangle-css-names-map <file>', 'Read the `--mangle-css-names` name map from a JSON file, and write it back with the names handed out, so they stay the same from run to run');
+program.option('--mangle-selectors-map <file>', 'Read the `--mangle-selectors` name map from a JSON file, and write it back with the names handed out, so they stay the same from run to run');
 program.addHelpText('after', '\nBoolean options support a `--no-<flag>` form to disable them, overriding a preset or config file (e.g., `--preset=comprehensive --no-collapse-whitespace`).');
 
-// Lazy import wrapper for HMN
+// Lazy import wrapper for HMN; with `--pretty`, the output is formatted, too
 /** @type {Promise<typeof import('./src/htmlminifier.js').minify> | undefined} */
 let minifyFnPromise;
 async function getMinify() {
   if (!minifyFnPromise) {
-    minifyFnPromise = import('./src/htmlminifier.js').then(m => m.minify);
+    minifyFnPromise = import('./src/htmlminifier.js').then(m => {
+      if (!program.opts().pretty) {
+        return m.minify;
+      }
+      return async (/** @type {string} */ value, /** @type {import('./src/htmlminifier.js').MinifierOptions | undefined} */ options = {}) => m.format(await m.minify(value, options), {
+        ...(options.continueOnParseError !== undefined && { continueOnParseError: options.continueOnParseError }),
+        ...(options.partialMarkup !== undefined && { partialMarkup: options.partialMarkup }),
+        ...(options.customAttrAssign && { customAttrAssign: options.customAttrAssign }),
+        ...(options.customAttrSurround && { customAttrSurround: options.customAttrSurround }),
+        ...(options.inlineCustomElements && { inlineCustomElements: options.inlineCustomElements })
+      });
+    });
   }
   return minifyFnPromise;
 }
@@ -258,12 +277,27 @@ async function loadConfigFromPath(configPath) {
 }
 
 // Config keys the CLI handles itself, beyond the options in `optionDefinitions`
-const CONFIG_KEYS_EXTRA = new Set(['$schema', 'preset', 'fileExt', 'ignoreDir']);
+const CONFIG_KEYS_EXTRA = new Set(['$schema', 'preset', 'fileExt', 'ignoreDir', 'overrides']);
 
 // Default config files, looked up in the working directory in this order when
 // `--config-file` isn’t specified
 const CONFIG_FILES_DEFAULT = ['html-minifier-next.config.json', 'htmlminifier.config.json'];
 
+/**
+ * Parse the values of options given in a config file, in place
+ * @param {Record<string, any>} options
+ */
+function parseOptionValues(options) {
+  Object.entries(optionDefinitions).forEach(function ([key, { type }]) {
+    if (key in options) {
+      if (type !== 'boolean' && type !== 'invertedBoolean') {
+        const value = options[key];
+        options[key] = getParser(key, type)(typeof value === 'string' ? value : JSON.stringify(value));
+      }
+    }
+  });
+}
+
 /**
  * Normalize and validate config object by applying parsers and transforming values.
  * @param {Record<string, any>} config - Raw config object
@@ -280,15 +314,19 @@ function normalizeConfig(config) {
     }
   });
 
-  // Apply parsers to main options
-  Object.entries(optionDefinitions).forEach(function ([key, { type }]) {
-    if (key in normalized) {
-      if (type !== 'boolean' && type !== 'invertedBoolean') {
-        const value = normalized[key];
-        normalized[key] = getParser(key, type)(typeof value === 'string' ? value : JSON.stringify(value));
+  // Apply parsers to main options, and to the options of each override
+  parseOptionValues(normalized);
+  if (Array.isArray(normalized.overrides)) {
+    normalized.overrides = normalized.overrides.map((/** @type {unknown} */ override) => {
+      if (!override || typeof override !== 'object' || !('options' in override) || !override.options || typeof override.options !== 'object') {
+        return override;
       }
-    }
-  });
+      /** @type {Record<string, any>} */
+      const options = { ...override.options };
+      parseOptionValues(options);
+      return { ...override, options };
+    });
+  }
 
   // Handle `fileExt` in config file
   if ('fileExt' in normalized) {
@@ -343,7 +381,7 @@ program.helpOption('-h, --help', 'Display help for command');
 
   // Check if any `parseJSON` options consumed a filename as their value
   // If so, treat the option as boolean true and add the filename back to the files list
-  const jsonOptionKeys = ['minifyCss', 'minifyJs', 'minifyUrls'];
+  const jsonOptionKeys = ['addIntegrity', 'cspHashes', 'extractCss', 'extractEventHandlers', 'inlineAssets', 'mangleCssNames', 'mangleSelectors', 'minifyCss', 'minifyJs', 'minifyUrls', 'verify'];
   for (const key of jsonOptionKeys) {
     const value = programOptions[key];
     if (typeof value === 'string' && /\.(html?|shtml?|xhtml?|php|xml|svg|jsx|tsx|vue|ejs|hbs|mustache|twig)$/i.test(value)) {
@@ -354,12 +392,54 @@ program.helpOption('-h, --help', 'Display help for command');
     }
   }
 
+  // `--sort-attributes` and `--sort-class-names` take the next argument for their
+  // value only where it is `compress`—anything else is a file
+  for (const key of ['sortAttributes', 'sortClassNames']) {
+    const flag = '--' + paramCase(key);
+    const flagIndex = process.argv.lastIndexOf(flag);
+    const next = flagIndex === -1 ? undefined : process.argv[flagIndex + 1];
+    if (next !== undefined && !next.startsWith('-') && next !== 'compress' && process.argv.lastIndexOf('--no-' + flag.slice(2)) < flagIndex) {
+      programOptions[key] = true;
+      capturedFiles.push(next);
+      filesProvided = true;
+    }
+  }
+
   // If `--input` was specified, treat it as a positional file argument
   if (programOptions.input) {
     capturedFiles.unshift(programOptions.input);
     filesProvided = true;
   }
 
+  // With `mangleSelectors` and `mangleCSSNames`, all files share one name map per
+  // option, so that a name is renamed alike throughout; `--mangle-selectors-map` and
+  // `--mangle-css-names-map` carry them over between runs
+  /** @type {Record<string, Map<string, string>>} */
+  const mangleNameMaps = {};
+  for (const [key, mapFile] of [['mangleSelectors', programOptions.mangleSelectorsMap], ['mangleCSSNames', programOptions.mangleCssNamesMap]]) {
+    /** @type {Map<string, string>} */
+    const nameMap = mangleNameMaps[key] = new Map();
+    if (mapFile && fs.existsSync(mapFile)) {
+      try {
+        const names = JSON.parse(fs.readFileSync(mapFile, 'utf8'));
+        for (const [name, short] of Object.entries(names)) {
+          if (typeof short === 'string') {
+            nameMap.set(name, short);
+          }
+        }
+      } catch (err) {
+        fatal('Cannot read name map ' + mapFile + '\n' + errorMessage(err));
+      }
+    }
+    if (mapFile && !programOptions.dry) {
+      process.on('exit', (code) => {
+        if (code === 0 && nameMap.size) {
+          fs.writeFileSync(mapFile, JSON.stringify(Object.fromEntries(nameMap), null, 2) + '\n');
+        }
+      });
+    }
+  }
+
   // Handle zero config mode (standalone in-place minification of the current folder)
   if (programOptions.zero) {
     const hasOtherArgs = process.argv.slice(2).some(arg => arg !== '--zero' && arg !== '-z');
@@ -416,7 +496,7 @@ program.helpOption('-h, --help', 'Display help for command');
       }
 
       await runWithConcurrency(allFiles, concurrency, async (file) => {
-        await processFile(file, file, false, false);
+        await processFile(file, file, false, false, undefined, inputDirResolved);
         if (progress) {
           progress.current++;
           updateProgress(progress.current, progress.total);
@@ -445,6 +525,11 @@ program.helpOption('-h, --help', 'Display help for command');
     }
   }
 
+  // Style sheets `extractCSS` moves out, and scripts `extractEventHandlers` writes,
+  // shared by all files of a directory run, so that identical ones end up in one file
+  /** @type {Map<string, string>} */
+  const extractedFiles = new Map();
+
   function createOptions() {
     /** @type {Record<string, any>} */
     const options = {};
@@ -466,6 +551,9 @@ program.helpOption('-h, --help', 'Display help for command');
         options[key] = config[key];
       }
     });
+    if (config.overrides) {
+      options.overrides = config.overrides;
+    }
 
     // 3. Apply CLI options (overrides config and preset)
     Object.entries(optionDefinitions).forEach(function ([key, { type }]) {
@@ -479,7 +567,22 @@ program.helpOption('-h, --help', 'Display help for command');
       }
     });
 
-    // 4. Surface minifier diagnostics when verbose
+    // 4. Names handed out for one file apply to the next
+    for (const [key, nameMap] of Object.entries(mangleNameMaps)) {
+      if (options[key]) {
+        const mangleOptions = typeof options[key] === 'object' ? options[key] : {};
+        if (mangleOptions.nameMap && !nameMap.size) {
+          for (const [name, short] of Object.entries(mangleOptions.nameMap)) {
+            if (typeof short === 'string') {
+              nameMap.set(name, short);
+            }
+          }
+        }
+        options[key] = { ...mangleOptions, nameMap };
+      }
+    }
+
+    // 5. Surface minifier diagnostics when verbose
     if (programOptions.verbose || programOptions.dry) {
       options.log = (/** @type {unknown} */ message) => {
         // The hook carries the minifier’s per-call timing as well, which the run's own
@@ -502,6 +605,49 @@ program.helpOption('-h, --help', 'Display help for command');
     return options;
   }
 
+  /**
+   * Have `inlineAssets` and `addIntegrity` look for files next to the input file,
+   * and `addIntegrity` for root-relative URLs in the input directory, unless told
+   * otherwise
+   * @param {Record<string, any>} options
+   * @param {string} inputFile
+   * @param {string} [inputRoot] - Input directory, in directory mode
+   * @returns {Record<string, any>} The options, copied where changed
+   */
+  function withInputPaths(options, inputFile, inputRoot) {
+    const { inlineAssets, addIntegrity } = options;
+    const baseDir = path.dirname(path.resolve(inputFile));
+    const result = { ...options };
+    if (inlineAssets && !(typeof inlineAssets === 'object' && inlineAssets.baseDir)) {
+      result.inlineAssets = { ...(typeof inlineAssets === 'object' && inlineAssets), baseDir };
+    }
+    if (addIntegrity) {
+      const integrityOptions = typeof addIntegrity === 'object' ? addIntegrity : {};
+      result.addIntegrity = { baseDir, root: inputRoot ? path.resolve(inputRoot) : baseDir, ...integrityOptions };
+    }
+    return result.inlineAssets === inlineAssets && result.addIntegrity === addIntegrity ? options : result;
+  }
+
+  /**
+   * Have `cspHashes` list the hashes it finds, for dry and verbose runs
+   * @param {Record<string, any>} options
+   * @param {string[]} lines - Collects the lines to print
+   * @returns {Record<string, any>} The options, copied where changed
+   */
+  function withCSPListing(options, lines) {
+    if (!options.cspHashes) {
+      return options;
+    }
+    const cspHashes = {
+      ...(typeof options.cspHashes === 'object' && options.cspHashes),
+      onHashes: (/** @type {{scripts: string[], styles: string[]}} */ { scripts, styles }) => {
+        if (scripts.length) lines.push(`    CSP script-src: ${scripts.join(' ')}`);
+        if (styles.length) lines.push(`    CSP style-src: ${styles.join(' ')}`);
+      }
+    };
+    return { ...options, cspHashes };
+  }
+
   /** @param {Record<string, unknown>} minifierOptions */
   function getActiveOptionsDisplay(minifierOptions) {
     const presetName = programOptions.preset || config.preset;
@@ -555,16 +701,47 @@ program.helpOption('-h, --help', 'Display help for command');
    * @param {string} outputFile
    * @param {boolean} [isDryRun]
    * @param {boolean} [isVerbose]
+   * @param {string} [outputRoot] - Output directory, in directory mode
+   * @param {string} [inputRoot] - Input directory, in directory mode
    */
-  async function processFile(inputFile, outputFile, isDryRun = false, isVerbose = false) {
+  async function processFile(inputFile, outputFile, isDryRun = false, isVerbose = false, outputRoot, inputRoot) {
     const data = await fs.promises.readFile(inputFile, { encoding: 'utf8' }).catch(err => {
       fatal('Cannot read ' + inputFile + '\n' + errorMessage(err));
     });
 
+    // Dry and verbose runs list CSP hashes
+    /** @type {string[]} */
+    const cspLines = [];
+    const options = withInputPaths(isDryRun || isVerbose ? withCSPListing(createOptions(), cspLines) : createOptions(), inputFile, inputRoot);
+    // A dry run lists the `integrity` attributes it would add or update
+    /** @type {string[]} */
+    const integrityUpdates = [];
+    if (options.addIntegrity && isDryRun) {
+      options.addIntegrity = {
+        ...options.addIntegrity,
+        onUpdate: (/** @type {{url: string, status: string}} */ { url, status }) => integrityUpdates.push(`    ${MARK_WARNING}Integrity ${status}: ${url}${MARK_RESET}`)
+      };
+    }
+    // In directory mode, extracted style sheets and scripts go to a folder of the
+    // output directory, each page linking to it relative to where it is
+    for (const key of ['extractCSS', 'extractEventHandlers']) {
+      if (options[key] && outputRoot) {
+        const extractOptions = typeof options[key] === 'object' ? options[key] : {};
+        const dir = path.resolve(outputRoot, typeof extractOptions.dir === 'string' && extractOptions.dir ? extractOptions.dir : 'assets');
+        options[key] = {
+          href: (path.relative(path.dirname(path.resolve(outputFile)), dir).split(path.sep).join('/') || '.') + '/',
+          ...extractOptions,
+          dir,
+          files: extractedFiles,
+          ...(isDryRun && { write: false })
+        };
+      }
+    }
+
     let minified;
     try {
       const minify = await getMinify();
-      minified = await minify(data, createOptions());
+      minified = await minify(data, options);
     } catch (err) {
       fatal('Minification error on ' + inputFile + '\n' + errorMessage(err));
     }
@@ -574,6 +751,8 @@ program.helpOption('-h, --help', 'Display help for command');
     // Show stats if dry run or verbose mode
     if (isDryRun || isVerbose) {
       console.error(`  ${MARK_SUCCESS}✓${MARK_RESET} ${path.relative(process.cwd(), inputFile)}: ${stats.originalSize.toLocaleString()} → ${stats.minifiedSize.toLocaleString()} bytes (${stats.sign}${Math.abs(stats.saved).toLocaleString()}, ${stats.percentage}%)`);
+      integrityUpdates.forEach(line => console.error(line));
+      cspLines.forEach(line => console.error(line));
     }
 
     if (isDryRun) {
@@ -814,7 +993,7 @@ program.helpOption('-h, --help', 'Display help for command');
           fatal('Cannot create directory ' + outDir + '\n' + errorMessage(err));
         });
       }
-      const stats = await processFile(inputFile, outFile, isDryRun, isVerbose);
+      const stats = await processFile(inputFile, outFile, isDryRun, isVerbose, outputDir, baseDir);
       allStats[idx] = stats;
       if (progress) {
         progress.current++;
@@ -833,10 +1012,12 @@ program.helpOption('-h, --help', 'Display help for command');
     }
 
     let minified;
+    /** @type {string[]} */
+    const cspLines = [];
 
     try {
       const minify = await getMinify();
-      minified = await minify(content, minifierOptions);
+      minified = await minify(content, programOptions.verbose || programOptions.dry ? withCSPListing(minifierOptions, cspLines) : minifierOptions);
     } catch (err) {
       fatal('Minification error:\n' + errorMessage(err));
     }
@@ -851,6 +1032,7 @@ program.helpOption('-h, --help', 'Display help for command');
       console.error(`  Original: ${stats.originalSize.toLocaleString()} bytes`);
       console.error(`  Minified: ${stats.minifiedSize.toLocaleString()} bytes`);
       console.error(`  Saved: ${stats.sign}${Math.abs(stats.saved).toLocaleString()} bytes (${stats.percentage}%)`);
+      cspLines.forEach(line => console.error(line));
       await printCacheStats();
       return;
     }
@@ -859,6 +1041,7 @@ program.helpOption('-h, --help', 'Display help for command');
     if (programOptions.verbose) {
       const inputSource = program.args.length > 0 ? program.args.join(', ') : 'STDIN';
       console.error(`  ${MARK_SUCCESS}✓${MARK_RESET} ${inputSource}: ${stats.originalSize.toLocaleString()} → ${stats.minifiedSize.toLocaleString()} bytes (${stats.sign}${Math.abs(stats.saved).toLocaleString()}, ${stats.percentage}%)`);
+      cspLines.forEach(line => console.error(line));
       await printCacheStats();
     }
 
@@ -1014,13 +1197,16 @@ program.helpOption('-h, --help', 'Display help for command');
     // Read originals and minify in parallel with bounded concurrency
     const originals = new Array(inputs.length);
     const outputs = new Array(inputs.length);
+    /** @type {string[][]} */
+    const cspLines = inputs.map(() => []);
+    const listCSP = programOptions.dry || programOptions.verbose;
 
     await runWithConcurrency(inputs, concurrency, async (file, idx) => {
       const data = await fs.promises.readFile(file, 'utf8').catch(err => fatal('Cannot read ' + file + '\n' + errorMessage(err)));
       const minify = await getMinify();
       let out;
       try {
-        out = await minify(data, minifierOptions);
+        out = await minify(data, withInputPaths(listCSP ? withCSPListing(minifierOptions, cspLines[idx] ?? []) : minifierOptions, file));
       } catch (err) {
         fatal('Minification error on ' + file + '\n' + errorMessage(err));
       }
@@ -1040,6 +1226,7 @@ program.helpOption('-h, --help', 'Display help for command');
       console.error(`  Original: ${stats.originalSize.toLocaleString()} bytes`);
       console.error(`  Minified: ${stats.minifiedSize.toLocaleString()} bytes`);
       console.error(`  Saved: ${stats.sign}${Math.abs(stats.saved).toLocaleString()} bytes (${stats.percentage}%)`);
+      cspLines.flat().forEach(line => console.error(line));
       await printCacheStats();
       process.exit(0);
     }
@@ -1047,6 +1234,7 @@ program.helpOption('-h, --help', 'Display help for command');
     if (programOptions.verbose) {
       const inputSource = capturedFiles.join(', ');
       console.error(`  ${MARK_SUCCESS}✓${MARK_RESET} ${inputSource}: ${stats.originalSize.toLocaleString()} → ${stats.minifiedSize.toLocaleString()} bytes (${stats.sign}${Math.abs(stats.saved).toLocaleString()}, ${stats.percentage}%)`);
+      cspLines.flat().forEach(line => console.error(line));
       await printCacheStats();
     }
 
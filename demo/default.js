@@ -19,6 +19,12 @@ const toHtml = (desc = '') => String(desc)
 // Demo-specific UI configuration
 const demoConfig = {
   // Input types and labels
+  addIntegrity: {
+    label: 'Add integrity',
+    checked: false,
+    disabled: true,
+    helpText: 'Add and update <code>integrity</code> attributes of scripts and style sheets that point to local files (disabled in web demo because it requires Node.js)'
+  },
   caseSensitive: {
     label: 'Case-sensitive'
   },
@@ -41,6 +47,12 @@ const demoConfig = {
   conservativeCollapse: {
     label: 'Conservative collapse'
   },
+  cspHashes: {
+    label: 'CSP hashes',
+    checked: false,
+    disabled: true,
+    helpText: 'Hash inline scripts and style sheets for a Content Security Policy (disabled in web demo because it requires Node.js)'
+  },
   customAttrAssign: {
     label: 'Custom attribute assign',
     inputType: 'text',
@@ -54,6 +66,17 @@ const demoConfig = {
     label: 'Decode entity characters',
     checked: true
   },
+  extractCSS: {
+    label: 'Extract CSS',
+    checked: false,
+    disabled: true,
+    helpText: 'Move larger style sheets to <code>.css</code> files named after their content, and link to them instead (disabled in web demo because it requires Node.js)'
+  },
+  extractEventHandlers: {
+    label: 'Extract event handlers',
+    unsafe: true,
+    helpText: 'Replace event handler attributes and <code>javascript:</code> links with <code>data-hmn</code> hooks and one script adding the handlers, for a Content Security Policy without <code>\'unsafe-inline\'</code>'
+  },
   ignoreCustomComments: {
     label: 'Ignore custom comments',
     inputType: 'text',
@@ -67,6 +90,12 @@ const demoConfig = {
   includeAutoGeneratedTags: {
     label: 'Include auto-generated tags'
   },
+  inlineAssets: {
+    label: 'Inline assets',
+    checked: false,
+    disabled: true,
+    helpText: 'Bring small local style sheets, scripts, and SVG images into the document, minified (disabled in web demo because it requires Node.js)'
+  },
   inlineCustomElements: {
     label: 'Inline custom elements',
     inputType: 'text'
@@ -74,6 +103,20 @@ const demoConfig = {
   keepClosingSlash: {
     label: 'Keep closing slash'
   },
+  mangleCSSNames: {
+    label: 'Mangle CSS names',
+    checked: false,
+    disabled: true,
+    unsafe: true,
+    helpText: 'Shorten custom properties and <code>@keyframes</code> and <code>@counter-style</code> names that the page’s own styles define (if CSS is to be minified; disabled in web demo because it requires Node.js)'
+  },
+  mangleSelectors: {
+    label: 'Mangle selectors',
+    checked: false,
+    disabled: true,
+    unsafe: true,
+    helpText: 'Rename the class names and IDs that <code>style</code> elements select by to short names, alike in attributes and inline scripts (if CSS is to be minified; disabled in web demo because it requires Node.js)'
+  },
   maxLineLength: {
     label: 'Max line length',
     inputType: 'number'
@@ -82,6 +125,10 @@ const demoConfig = {
     label: 'Merge scripts',
     checked: true
   },
+  mergeStyles: {
+    label: 'Merge style elements',
+    checked: true
+  },
   minifyCSS: {
     label: 'Minify CSS',
     checked: false,
@@ -106,6 +153,11 @@ const demoConfig = {
   noNewlinesBeforeTagClose: {
     label: 'No newline before tag close'
   },
+  outputCharset: {
+    label: 'Output character set',
+    inputType: 'text',
+    helpText: '<code>ascii</code> writes what isn’t ASCII in text and attribute values as the shortest character reference, <code>utf-8</code> (default) leaves it as is'
+  },
   partialMarkup: {
     label: 'Partial markup'
   },
@@ -136,6 +188,10 @@ const demoConfig = {
     label: 'Remove default <code>type</code> attributes',
     checked: true
   },
+  removeDuplicateResources: {
+    label: 'Remove duplicate resources',
+    helpText: 'Remove later copies of style sheets, hint links, scripts, and <code>meta</code> elements by name, where that changes nothing'
+  },
   removeEmptyAttributes: {
     label: 'Remove empty attributes',
     checked: true
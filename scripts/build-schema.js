@@ -16,6 +16,7 @@ const schemaPath = fileURLToPath(new URL('../html-minifier-next.schema.json', im
 const typeSchemas = {
   boolean: { type: 'boolean' },
   invertedBoolean: { type: 'boolean' },
+  booleanOrString: { type: ['boolean', 'string'] },
   int: { type: 'integer', minimum: 0 },
   string: { type: 'string' },
   regexp: { type: 'string' },
@@ -46,6 +47,19 @@ const propertiesExtra = {
     description: 'Directories—relative to the input directory—to exclude from processing, as comma-separated string or array',
     type: ['string', 'array'],
     items: { type: 'string' }
+  },
+  overrides: {
+    description: 'Options for the elements a selector matches and all they contain (tag, class, ID, and attribute selectors and descendant combinators)',
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string' },
+        options: { type: 'object' }
+      },
+      required: ['selector', 'options'],
+      additionalProperties: false
+    }
   }
 };
 
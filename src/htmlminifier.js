@@ -9,6 +9,7 @@ import {
   RE_LEGACY_ENTITIES,
   RE_ESCAPE_LT,
   RE_STYLE_ELEMENT,
+  RE_CSS_NAME_DEFINITION,
   inlineElementsToKeepWhitespaceAround,
   inlineElementsToKeepWhitespaceWithin,
   specialContentElements,
@@ -37,7 +38,8 @@ import {
   isStyleElement,
   normalizeAttr,
   buildAttr,
-  deduplicateAttributes
+  deduplicateAttributes,
+  updateIntegrity
 } from './lib/attributes.js';
 
 import {
@@ -54,10 +56,35 @@ import {
   processScript
 } from './lib/content.js';
 
-import { processOptions } from './lib/options.js';
+import { createWarnedSets, processOptions } from './lib/options.js';
 import { toFragment, replaceCustomFragments } from './lib/fragments.js';
-
-/** @import { ProcessedOptions } from './lib/options.js' */
+import { OffsetMap, alignSegments, addBlockPoints, remapGenerated, buildSourceMap } from './lib/source-map.js';
+import { byteLength, createSavings, addSavings } from './lib/report.js';
+import { trailingWhitespaceStart, markedBlockCut, customFragmentCut, createChunkQueue } from './lib/stream.js';
+import { withPlugins } from './lib/plugins.js';
+import { AbortError, createCancellation, withCancellation } from './lib/cancellation.js';
+import { createOptionsWarner, createDiagnostics, createLocator } from './lib/diagnostics.js';
+import { matchesSelector } from './lib/overrides.js';
+import { RE_DIRECTIVE_COMMENT, RE_DIRECTIVE_ATTRIBUTE, RE_DIRECTIVE_PROBE, parseDirective } from './lib/directives.js';
+import { VerifyError, verifyOutput } from './lib/verify.js';
+import { buildTree, treeToMarkup } from './lib/tree.js';
+import { getInlineElements, formatTree } from './lib/format.js';
+import { getCompressedSize, orderedMarkup } from './lib/compression.js';
+import { createRenames, createCSSNameRenames, createManglePlugin } from './lib/mangle.js';
+import { canExtractStyle, extractStyle, writeExtractedFiles } from './lib/extract-css.js';
+import { createInlinePlugin } from './lib/inline-assets.js';
+import { computeIntegrity } from './lib/integrity.js';
+import { applyCSPHashes } from './lib/csp.js';
+import { createEventHandlerPlugin, emitEventHandlers } from './lib/event-handlers.js';
+import { getEncodeASCII, hasNonASCII, rawTextElements } from './lib/charset.js';
+import { removeDuplicateResources } from './lib/duplicates.js';
+import { mergeStyleElements } from './lib/merge-styles.js';
+
+/** @import { ProcessedOptions, EngineContext, WarnedSets, OptionsLayer } from './lib/options.js' */
+/** @import { MappingPoint } from './lib/source-map.js' */
+/** @import { OpenElement } from './lib/overrides.js' */
+/** @import { HTMLParserHandler } from './htmlparser.js' */
+/** @import { Sorter } from './tokenchain.js' */
 
 // Type definitions
 
@@ -91,29 +118,62 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: Built-in `canTrimWhitespace` function
  *
+ * @prop {boolean | {baseDir?: string, root?: string, origins?: Record<string, string>, algorithm?: 'sha256' | 'sha384' | 'sha512', crossorigin?: 'anonymous' | 'use-credentials' | false, onUpdate?: (update: IntegrityUpdate) => void}} [addIntegrity]
+ *  Add `integrity` attributes (Subresource Integrity) to `script` elements and
+ *  style sheet `link` elements whose URLs point to local files, and update
+ *  those the files no longer match. Relative URLs resolve against `baseDir`
+ *  (default: the working directory), root-relative ones against `root` (default:
+ *  `baseDir`), and absolute URLs starting with a key of `origins` against its
+ *  directory—those elements also get `crossorigin` (default `anonymous`; `false`
+ *  leaves it out), as other origins need CORS for the check. New values use
+ *  `algorithm` (default `sha384`). `onUpdate` is called for every value added
+ *  or replaced. Requires Node.js.
+ *
+ *  Default: `false`
+ *
  * @prop {number} [cacheCSS]
  *  The maximum number of entries for the CSS minification cache. Higher values
  *  improve performance for inputs with repeated CSS (e.g., batch processing).
  *  - Cache is created on first `minify()` call and persists for the process lifetime
- *  - Cache size is locked after first call—subsequent calls reuse the same cache
+ *  - Cache size is set on first call—subsequent calls reuse the same cache; use `resizeCaches()` to change it
  *  - Explicit `0` values are coerced to `1` (minimum functional cache size)
  *
  *  Default: `500`
  *
+ * @prop {string} [cacheDir]
+ *  Directory to keep CSS, JavaScript, and SVG minification results in, so that
+ *  later runs—other processes included—reuse them. Created if missing; entries
+ *  are tied to the package version and the engine options. Node.js only.
+ *
+ *  Default: None (results are only cached in memory)
+ *
+ * @prop {number} [cacheDirSize]
+ *  Size cap of `cacheDir` in megabytes; the least recently used entries are
+ *  removed beyond it.
+ *
+ *  Default: `100`
+ *
  * @prop {number} [cacheJS]
  *  The maximum number of entries for the JavaScript minification cache. Higher
  *  values improve performance for inputs with repeated JavaScript.
  *  - Cache is created on first `minify()` call and persists for the process lifetime
- *  - Cache size is locked after first call—subsequent calls reuse the same cache
+ *  - Cache size is set on first call—subsequent calls reuse the same cache; use `resizeCaches()` to change it
  *  - Explicit `0` values are coerced to `1` (minimum functional cache size)
  *
  *  Default: `500`
  *
+ * @prop {number} [cacheMaxBytes]
+ *  The maximum size, in bytes, of each of the CSS, JavaScript, and SVG
+ *  minification caches, estimated from the length of what they hold; the least
+ *  recently used entries are dropped beyond it. Applies alongside the entry limits.
+ *
+ *  Default: None
+ *
  * @prop {number} [cacheSVG]
  *  The maximum number of entries for the SVG minification cache. Higher
  *  values improve performance for inputs with repeated SVG content.
  *  - Cache is created on first `minify()` call and persists for the process lifetime
- *  - Cache size is locked after first call—subsequent calls reuse the same cache
+ *  - Cache size is set on first call—subsequent calls reuse the same cache; use `resizeCaches()` to change it
  *  - Explicit `0` values are coerced to `1` (minimum functional cache size)
  *
  *  Default: `500`
@@ -154,6 +214,12 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `false`
  *
+ * @prop {'gzip' | 'brotli'} [compressionCodec]
+ *  The codec the output will be served with, which `sortAttributes` and
+ *  `sortClassNames` set to `'compress'` measure candidate orders with.
+ *
+ *  Default: `'gzip'`
+ *
  * @prop {boolean} [conservativeCollapse]
  *  If true, be conservative when collapsing whitespace (preserve more
  *  whitespace in edge cases). Affects collapse algorithms.
@@ -174,6 +240,16 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `false`
  *
+ * @prop {boolean | {algorithm?: 'sha256' | 'sha384' | 'sha512', updateMeta?: boolean, onHashes?: (hashes: CSPHashes) => void}} [cspHashes]
+ *  Hash the inline scripts and style sheets of the output, for a Content Security
+ *  Policy to allow them by. Hashes are taken of the final bytes—after
+ *  `mergeScripts`—with `algorithm` (default `sha256`), and handed to `onHashes`.
+ *  With `updateMeta`, the `script-src` and `style-src` directives of a
+ *  `<meta http-equiv="Content-Security-Policy">` get them in place of the hashes
+ *  they had; directives allowing `'unsafe-inline'` are left alone. Requires Node.js.
+ *
+ *  Default: `false`
+ *
  * @prop {RegExp[]} [customAttrAssign]
  *  Array of regexes used to recognise custom attribute assignment
  *  operators (e.g., `'<div flex?="{{mode != cover}}"></div>'`).
@@ -212,6 +288,31 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *  Default: `false`
  *
  *
+ * @prop {boolean | {dir?: string, href?: string, minSize?: number, write?: boolean, files?: Map<string, string>}} [extractCSS]
+ *  Move the content of `style` elements of `minSize` bytes or more (default
+ *  1024), as minified, to `.css` files in `dir` (default `assets`), and link
+ *  to them instead (`<link rel="stylesheet" href="assets/….css">`). Files are
+ *  named after their content, so identical style sheets, in one document or
+ *  across many, share one. `href` is what links point to, before the file name
+ *  (default: `dir`). `style` elements with attributes other than `media`,
+ *  `title`, `nonce`, `blocking`, and `type` stay. Files are written with
+ *  Node.js; set `write` to `false` to only collect them in `files`, a `Map` from
+ *  file names to style sheets.
+ *
+ *  Default: `false`
+ *
+ * @prop {boolean | {attribute?: string, output?: 'inline' | 'file', nonce?: string, dir?: string, href?: string, write?: boolean, files?: Map<string, string>}} [extractEventHandlers]
+ *  Take event handler attributes (`onclick="…"`) and `javascript:` URLs of links
+ *  out of the markup, for a Content Security Policy without `'unsafe-inline'`.
+ *  Elements get an `attribute` (default `data-hmn`) instead, and one script at
+ *  the end of the `body`, minified with `minifyJS`, adds the handlers with
+ *  `addEventListener`—links keep `href="#"`. The script is inline, with `nonce`
+ *  if given, or with `output: 'file'` a file in `dir` (default `assets`), named
+ *  after its content, that `href` (default: `dir`) leads to; set `write` to
+ *  `false` to only collect files in `files`.
+ *
+ *  Default: `false`
+ *
  * @prop {RegExp[]} [ignoreCustomComments]
  *  Comments matching any pattern in this array of regexes will be
  *  preserved when `removeComments` is enabled. The default preserves
@@ -233,6 +334,19 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `false`
  *
+ * @prop {boolean | {baseDir?: string, maxSize?: number, include?: Array<string | RegExp>, exclude?: Array<string | RegExp>, svg?: 'dataURI' | 'inline'}} [inlineAssets]
+ *  Bring local files of up to `maxSize` bytes (default 4096) into the document:
+ *  Style sheets of `<link rel="stylesheet">` become `style` elements, scripts
+ *  of classic `<script src>` elements their content, both minified as if they
+ *  had been inline, and `.svg` images of `img` elements data URIs (`svg`:
+ *  `dataURI`) or `svg` elements (`svg`: `inline`). `@import` rules of local
+ *  style sheets are followed. Relative URLs resolve against `baseDir` (default:
+ *  the working directory), and files outside it aren’t read. `include` and
+ *  `exclude` narrow down which URLs come in—strings match URLs starting with
+ *  them, regular expressions are tested against them. Requires Node.js.
+ *
+ *  Default: `false`
+ *
  * @prop {ArrayLike<string>} [inlineCustomElements]
  *  Collection of custom element tag names that should be treated as inline
  *  elements for white-space handling, alongside the built-in inline elements.
@@ -251,6 +365,39 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `() => {}` (no-op function)
  *
+ * @prop {boolean | {safelist?: Array<string | RegExp>, nameMap?: Map<string, string> | Record<string, string>}} [mangleCSSNames]
+ *  **Note that this can change how a document renders!**
+ *
+ *  Give the custom properties and the `@keyframes` and `@counter-style` names
+ *  that the document’s style sheets define short names (`--a`, `a`, …), most
+ *  used first, and rename them alike in `style` elements and `style` attributes
+ *  (`var()`, `animation`, `list-style`, `counter()`, …). Requires `minifyCSS`.
+ *  Names that inline scripts or attributes other than `style` mention are left
+ *  as they are; those that external style sheets or scripts rely on have to be
+ *  listed under `safelist` (strings or regular expressions). `nameMap` works as
+ *  for `mangleSelectors`.
+ *
+ *  Default: `false`
+ *
+ * @prop {boolean | {safelist?: Array<string | RegExp>, scripts?: boolean, nameMap?: Map<string, string> | Record<string, string>}} [mangleSelectors]
+ *  **Note that this can change how a document renders!**
+ *
+ *  Give the class names and IDs that `style` elements select by short names
+ *  (`a`, `b`, …), most used first, and rename them alike in `class` and `id`
+ *  attributes, in attributes referring to IDs (`for`, `aria-labelledby`,
+ *  `href="#…"`, `url(#…)`, …), and—unless `scripts` is set to `false`—in the
+ *  strings inline scripts hand to `classList` methods, `querySelector()` and
+ *  the like, `getElementById()`, `className`, and `id`; names other strings in
+ *  them hold are left as they are. Requires `minifyCSS`. Names that external
+ *  style sheets or scripts rely on, or that other pages link to (`#section`),
+ *  have to be listed under `safelist` (strings or regular expressions).
+ *
+ *  Names are kept in `nameMap`: Given a `Map`, the minifier adds the names it
+ *  hands out, so that pages minified with the same map agree on them; save it
+ *  (`JSON.stringify(Object.fromEntries(map))`) to reuse it as an object later.
+ *
+ *  Default: `false`
+ *
  * @prop {number} [maxInputLength]
  *  The maximum allowed input length. Used as a guard against ReDoS via
  *  pathological inputs. If the input exceeds this length an error is
@@ -271,6 +418,15 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `false`
  *
+ * @prop {boolean} [mergeStyles]
+ *  When true, consecutive `<style>` elements are merged into one before their
+ *  CSS is minified, so that `minifyCSS` can merge rules across them. Only
+ *  merges elements with the same `nonce`, `blocking`, and `title`; differing
+ *  `media` become `@media` blocks. Style sheets with `@import`, `@charset`, or
+ *  `@namespace` are left alone.
+ *
+ *  Default: `false`
+ *
  * @prop {boolean | Partial<import("lightningcss").TransformOptions<import("lightningcss").CustomAtRules>> | ((text: string, type?: string) => Promise<string> | string)} [minifyCSS]
  *  When true, enables CSS minification for inline `<style>` tags or
  *  `style` attributes. If an object is provided, it is passed to
@@ -316,6 +472,28 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `false`
  *
+ * @prop {(diagnostic: Diagnostic) => void} [onDiagnostic]
+ *  Called with each problem the minifier works around and each warning about the
+ *  options, as objects with a stable `code`. Warnings about the options then no
+ *  longer go to `console.warn` unless `log` is given, too. See `Diagnostic`.
+ *
+ *  Default: None
+ *
+ * @prop {Override[]} [overrides]
+ *  Options for parts of the document: each entry’s options apply to the elements
+ *  its selector matches, their attributes, and all they contain, on top of the
+ *  rest. Later entries and entries matching further in win. See `Override`.
+ *
+ *  Default: `[]`
+ *
+ * @prop {'ascii' | 'utf-8'} [outputCharset]
+ *  The character set the output is written in. With `'ascii'`, characters
+ *  outside ASCII in text and attribute values become whichever character
+ *  reference is shortest—named, decimal, or hexadecimal. Scripts, style sheets,
+ *  and comments are left as they are, references not working there.
+ *
+ *  Default: `'utf-8'`
+ *
  * @prop {boolean} [partialMarkup]
  *  When true, treat input as a partial HTML fragment rather than a complete
  *  document. This preserves stray end tags (closing tags without corresponding
@@ -325,6 +503,12 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `false`
  *
+ * @prop {Plugin[]} [plugins]
+ *  Custom transforms, run on each element, text node, and comment before the
+ *  minifier processes it. See `Plugin`.
+ *
+ *  Default: `[]`
+ *
  * @prop {boolean} [preserveLineBreaks]
  *  Preserve a single line break at the start/end of text nodes when
  *  collapsing/trimming whitespace.
@@ -379,6 +563,17 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `false`
  *
+ * @prop {boolean} [removeDuplicateResources]
+ *  Remove later copies of `<link rel="stylesheet">`, preload and other hint
+ *  links, `<meta name>`, scripts, and `style` elements: elements with the same
+ *  attributes (URLs normalized) and, inline, the same content as minified.
+ *  Elements with other attributes (`id`, event handlers) are kept. A style sheet
+ *  copy goes only with no other style sheet since, and a script copy only right
+ *  after its original, as scripts run where they are; module scripts with `src`
+ *  run once, and go anywhere.
+ *
+ *  Default: `false`
+ *
  * @prop {boolean | ((attrName: string, tag: string) => boolean)} [removeEmptyAttributes]
  *  If true, removes attributes whose values are empty (some attributes
  *  are excluded by name). Can also be a function to customise which empty
@@ -456,22 +651,42 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *
  *  Default: `false`
  *
- * @prop {boolean | ((tag: string, attrs: HTMLAttribute[]) => void)} [sortAttributes]
+ * @prop {boolean | 'compress' | ((tag: string, attrs: HTMLAttribute[]) => void)} [sortAttributes]
  *  When true, enables sorting of attributes. If a function is provided it
  *  will be used as a custom attribute sorter, which should mutate `attrs`
  *  in-place to the desired order. If disabled, the minifier will attempt to
- *  preserve the order from the input.
+ *  preserve the order from the input. With `'compress'`, sorting by frequency,
+ *  sorting by name, and the input order are tried, and the one whose output
+ *  compresses smallest with `compressionCodec` kept (in Node.js; elsewhere,
+ *  attributes are sorted by frequency).
  *
  *  Default: `false`
  *
- * @prop {boolean | ((value: string) => string)} [sortClassNames]
+ * @prop {AbortSignal} [signal]
+ *  Aborts the minification, which then rejects with an `AbortError`. Checked
+ *  between parser events and before each CSS, JavaScript, and SVG engine call;
+ *  an engine already running is not waited for.
+ *
+ *  Default: None
+ *
+ * @prop {boolean | 'compress' | ((value: string) => string)} [sortClassNames]
  *  When true, enables sorting of class names inside `class` attributes.
  *  If a function is provided, it will be used to transform/sort the class
  *  name string. If disabled, the minifier will attempt to preserve the
- *  class-name order from the input.
+ *  class-name order from the input. `'compress'` chooses an order the way
+ *  it does for `sortAttributes`.
  *
  *  Default: `false`
  *
+ * @prop {number} [timeout]
+ *  Time budget for the minification in milliseconds, checked like `signal`.
+ *  Once it is spent, the minification rejects with an `AbortError`—unless
+ *  `continueOnMinifyError` is on, in which case the blocks an engine has not
+ *  finished by then are left unminified and the markup still is minified.
+ *  It is only checked between engine calls: One already running isn’t stopped.
+ *
+ *  Default: No limit
+ *
  * @prop {boolean} [trimCustomFragments]
  *  When true, whitespace around ignored custom fragments may be trimmed
  *  more aggressively. This affects how preserved fragments interact with
@@ -484,6 +699,17 @@ import { toFragment, replaceCustomFragments } from './lib/fragments.js';
  *  See also: https://perfectionkills.com/experimenting-with-html-minifier/#use_short_doctype
  *
  *  Default: `false`
+ *
+ * @prop {boolean | 'warn'} [verify]
+ *  Parse input and output once more and check that they build the same document
+ *  tree—same elements, attributes, and text, with whitespace compared as far as
+ *  it renders. The first difference rejects with a `VerifyError` giving its path
+ *  (like `/div[2]/p[1]`), or with `'warn'`, goes to `onDiagnostic` (code
+ *  `verify-mismatch`) and `log`, and else to `console.warn`. Contents of scripts
+ *  and style sheets, attribute values the engines rewrite, and—with `minifySVG`—
+ *  SVG elements are compared for presence only.
+ *
+ *  Default: `false`
  */
 
 // Lazy-load heavy dependencies only when needed
@@ -540,14 +766,6 @@ async function getDecodeHTML() {
   return decodeHTMLPromise;
 }
 
-// Minification caches (initialized on first use with configurable sizes)
-/** @type {LRU | null} */
-let cssMinifyCache = null;
-/** @type {LRU | null} */
-let jsMinifyCache = null;
-/** @type {LRU | null} */
-let svgMinifyCache = null;
-
 /**
  * @typedef {Object} CacheStats
  *  Hit/miss statistics and current occupancy for a single minification cache.
@@ -558,6 +776,249 @@ let svgMinifyCache = null;
  * @prop {number} limit Maximum number of entries the cache can hold.
  */
 
+/**
+ * @typedef {Object} DetailedCacheStats
+ *  Cache statistics including memory use. Sizes are estimated in UTF-16 code
+ *  units of the cached keys and results—roughly bytes for typical CSS, JS, and SVG.
+ *
+ * @prop {number} gets Number of lookups attempted against the cache.
+ * @prop {number} hits Number of lookups that found a cached entry.
+ * @prop {number} size Number of entries currently held in the cache.
+ * @prop {number} limit Maximum number of entries the cache can hold.
+ * @prop {number} bytes Estimated size of the entries held.
+ * @prop {number} maxBytes Estimated size the entries may take up; `Infinity` without a byte limit.
+ * @prop {number} evictions Number of entries dropped to stay within the limits.
+ */
+
+/**
+ * @typedef {Object} CacheSizes
+ *  New limits for `resizeCaches`, per cache: the maximum number of entries, or
+ *  that and the maximum size in bytes (`Infinity` for none). Caches left out
+ *  keep their limits; negative, non-numeric, or NaN limits throw a `TypeError`.
+ *
+ * @prop {number | {entries?: number, maxBytes?: number}} [css]
+ * @prop {number | {entries?: number, maxBytes?: number}} [js]
+ * @prop {number | {entries?: number, maxBytes?: number}} [svg]
+ */
+
+/**
+ * @typedef {Object} SourceMap
+ *  Source map (revision 3) from minified output back to the input.
+ *
+ * @prop {3} version Source map revision.
+ * @prop {string} [file] Name of the minified document, when given.
+ * @prop {string[]} sources Name of the input document.
+ * @prop {Array<string | null>} [sourcesContent] The input document, when asked for.
+ * @prop {string[]} names Original names of identifiers renamed by the JS minifier.
+ * @prop {string} mappings Base64 VLQ mappings.
+ */
+
+/**
+ * @typedef {Object} SourceMapOptions
+ *  Settings for the source map returned by `minifyWithSourceMap`.
+ *
+ * @prop {string} [source] Name of the input document in `sources`. Default: `input.html`
+ * @prop {string} [file] Name of the minified document, set as `file`.
+ * @prop {boolean} [includeContent] Embed the input document as `sourcesContent`. Default: `false`
+ */
+
+/**
+ * @typedef {Object} Savings
+ *  Bytes (UTF-8) each transformation took off the document. A transformation
+ *  that grows what it is given—a script the engine cannot shorten—counts negative.
+ *
+ * @prop {number} collapseWhitespace Whitespace collapsed or trimmed in and around text.
+ * @prop {number} removeComments Comments removed.
+ * @prop {number} removeAttributeQuotes Quotes removed from attribute values.
+ * @prop {number} removeOptionalTags Start and end tags omitted.
+ * @prop {number} removeRedundantAttributes Attributes removed for repeating their default.
+ * @prop {number} minifyCSS Style sheets and `style` attributes minified.
+ * @prop {number} minifyJS Scripts and event handlers minified.
+ * @prop {number} minifySVG SVG elements optimized by SVGO.
+ * @prop {number} minifyURLs URLs shortened, in attributes and style sheets.
+ * @prop {number} removeUnusedCSS Style sheet rules removed for matching nothing.
+ */
+
+/**
+ * @typedef {Object} MinifyReport
+ *  Where the bytes went, as returned by `minifyWithReport`. Options not broken out
+ *  in `savings` account for the rest of the difference between the two sizes.
+ *
+ * @prop {number} originalSize Size of the input in bytes (UTF-8).
+ * @prop {number} minifiedSize Size of the output in bytes (UTF-8).
+ * @prop {Savings} savings Bytes saved per transformation.
+ */
+
+/**
+ * @typedef {Object} PluginElement
+ *  An element as plugin hooks see it. A `start` hook may rename it and change its
+ *  attributes; its end tag follows suit. `end` hooks get the same object.
+ *
+ * @prop {string} tag Tag name—lowercase, except in SVG and MathML and with `caseSensitive`.
+ * @prop {HTMLAttribute[]} attrs Attributes as parsed, values not yet minified.
+ * @prop {boolean} unary Whether the element has no end tag (and no `end` hook call).
+ */
+
+/**
+ * @typedef {Object} PluginText
+ *  A text node or comment as plugin hooks see it; hooks may change `text`.
+ *
+ * @prop {string} text Text as in the document (entities not yet decoded), or what is between `<!--` and `-->`.
+ */
+
+/**
+ * @typedef {Object} PluginContext
+ *  What a plugin hook can look at and do besides changing its node.
+ *
+ * @prop {ReadonlyArray<PluginElement>} stack Open elements around the node, outermost first.
+ * @prop {ProcessedOptions} options Options in effect for the node, defaults applied.
+ * @prop {(html: string) => void} insertBefore Insert markup, as is, in front of the node.
+ * @prop {(html: string) => void} insertAfter Insert markup, as is, after the node—after a start tag, as the element’s first content.
+ */
+
+/**
+ * @typedef {void | boolean | Promise<void | boolean>} PluginResult
+ *  What a hook returns: `false` drops the node (an element with all it contains);
+ *  anything else keeps it. `end` hooks cannot drop anything.
+ */
+
+/**
+ * @typedef {Object} Plugin
+ *  Hooks into the stages `minify` drives the parser through. Hooks may be async;
+ *  plugins run in order, and a node one drops reaches no later plugin.
+ *
+ * @prop {(element: PluginElement, context: PluginContext) => PluginResult} [start] Called on start tags.
+ * @prop {(element: PluginElement, context: PluginContext) => PluginResult} [end] Called on end tags, including omitted ones.
+ * @prop {(text: PluginText, context: PluginContext) => PluginResult} [text] Called on text, including the content of `script` and `style` elements.
+ * @prop {(comment: PluginText, context: PluginContext) => PluginResult} [comment] Called on comments, including conditional comments.
+ */
+
+/**
+ * @typedef {Object} IntegrityUpdate
+ *  An `integrity` attribute `addIntegrity` added or replaced.
+ *
+ * @prop {string} url What the element points to.
+ * @prop {string} file The local file it resolved to.
+ * @prop {'missing' | 'stale'} status Whether the element had no `integrity` attribute, or one the file no longer matches.
+ * @prop {string} integrity The new value.
+ */
+
+/**
+ * @typedef {Object} CSPHashes
+ *  What `cspHashes` found in a document, as CSP source expressions (`'sha256-…'`),
+ *  without duplicates.
+ *
+ * @prop {string[]} scripts Hashes of inline scripts.
+ * @prop {string[]} styles Hashes of `style` elements.
+ */
+
+/**
+ * @typedef {Object} Override
+ *  Options for the elements a selector matches. Only options that apply element by
+ *  element can be overridden (e.g., `minifyCSS`, `minifyJS`, `removeComments`,
+ *  attribute options); others, such as `sortAttributes`, are ignored with a warning.
+ *  `collapseWhitespace: false` keeps whitespace as is, as in `pre`; whitespace
+ *  collapsing cannot be turned on for a part of the document.
+ *
+ * @prop {string} selector Tag, class, ID, and attribute selectors (`[name]`, `[name="value"]`, `~=`, `|=`, `^=`, `$=`, `*=`), combined by descendant combinators and commas, e.g. `.prose-code, article [data-theme-editor]`.
+ * @prop {MinifierOptions} options
+ */
+
+/**
+ * @typedef {'parser' | 'html' | 'css' | 'js' | 'svg' | 'options'} DiagnosticSource
+ *  What a diagnostic comes from: the HTML parser, the markup otherwise (URLs,
+ *  `srcdoc`), the CSS, JavaScript (and JSON), or SVG engine, or the options.
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ *  A problem the minifier ran into, as passed to `onDiagnostic`. Positions are in
+ *  the input document, also for problems inside a style sheet or script; problems
+ *  in an attribute or an SVG element are placed at the start of the element.
+ *  Streams and problems with the options carry no position.
+ *
+ * @prop {string} code Stable identifier, e.g. `invalid-css` or `unknown-option`.
+ * @prop {'error' | 'warning'} severity `error` when a block was left unminified for failing to minify, `warning` otherwise.
+ * @prop {DiagnosticSource} source What reported it.
+ * @prop {string} message Human-readable description; wording may change between versions.
+ * @prop {number} [line] Line in the input document, starting at 1.
+ * @prop {number} [column] Column in the input document, starting at 1.
+ * @prop {unknown} [error] The error behind it, for `error` diagnostics.
+ */
+
+/**
+ * @typedef {Object} DocumentNode
+ *  A document as `parse` returns it and `serialize` takes it.
+ *
+ * @prop {'document'} type
+ * @prop {TreeNode[]} children
+ */
+
+/**
+ * @typedef {Object} ElementNode
+ *  An element with its tag name and attributes as written. Elements the parser
+ *  closes itself (a `p` before a `div`, an `li` before the next) end where it
+ *  closes them.
+ *
+ * @prop {'element'} type
+ * @prop {string} tag Tag name as written.
+ * @prop {HTMLAttribute[]} attrs Attributes as written, entities not decoded, with their original `quote`.
+ * @prop {TreeNode[]} children
+ * @prop {boolean} [selfClosing] Written with a closing slash (`<rect/>`).
+ * @prop {boolean} [startImplied] No start tag in the document—the parser implied the element, or kept a stray end tag with `partialMarkup`; none is written back.
+ * @prop {boolean} [endImplied] No end tag in the document; none is written back.
+ */
+
+/**
+ * @typedef {Object} TextNode
+ * @prop {'text'} type
+ * @prop {string} text Text as written, entities not decoded; the content of `script` and `style` elements, too.
+ */
+
+/**
+ * @typedef {Object} CommentNode
+ * @prop {'comment'} type
+ * @prop {string} text What is between `<!--` and `-->`, or for a downlevel-revealed conditional comment, between `<!` and `>`.
+ * @prop {boolean} [conditional] A downlevel-revealed conditional comment (`<![if IE]>`).
+ */
+
+/**
+ * @typedef {Object} DoctypeNode
+ * @prop {'doctype'} type
+ * @prop {string} text The doctype as written (`<!DOCTYPE html>`).
+ */
+
+/**
+ * @typedef {ElementNode | TextNode | CommentNode | DoctypeNode} TreeNode
+ */
+
+/**
+ * @typedef {Object} FormatOptions
+ *  Options for `format`: how to indent and wrap, and the options on parsing and on
+ *  which elements are inline, as for `minify`.
+ *
+ * @prop {number | string} [indent] Spaces per level, or the string to indent with. Default: `2`.
+ * @prop {number} [wrap] Line length to break text at, where it has whitespace. Default: no wrapping.
+ * @prop {boolean} [continueOnParseError]
+ * @prop {boolean} [partialMarkup]
+ * @prop {RegExp[]} [customAttrAssign]
+ * @prop {[RegExp, RegExp][]} [customAttrSurround]
+ * @prop {ArrayLike<string>} [inlineCustomElements]
+ */
+
+/**
+ * @typedef {Object} Minifier
+ *  A minifier with its own options, caches, and warning state, as returned by
+ *  `createMinifier`.
+ *
+ * @prop {(value: string) => Promise<string>} minify Minify a document with the minifier’s options.
+ * @prop {() => {css: CacheStats, js: CacheStats, svg: CacheStats}} getCacheStats Hit/miss statistics for the minifier’s caches.
+ * @prop {() => {css: DetailedCacheStats, js: DetailedCacheStats, svg: DetailedCacheStats}} getDetailedCacheStats
+ *  Statistics for the minifier’s caches, including their estimated size and evictions.
+ * @prop {() => void} clearCaches Empty the minifier’s caches and reset their statistics.
+ * @prop {(sizes: CacheSizes) => void} resizeCaches Change the limits of the minifier’s caches.
+ */
+
 /**
  * @param {LRU | null} cache
  * @returns {CacheStats}
@@ -575,6 +1036,9 @@ const DEFAULT_JS_TYPES = new Set(['', 'text/javascript', 'application/javascript
 const RE_START_TAG = /^<[^/!]/;
 const RE_END_TAG = /^<\//;
 
+// Opens and closes an `htmlmin:ignore` block
+const IGNORE_MARKER = '<!-- htmlmin:ignore -->';
+
 // Pre-compiled patterns for `htmlmin:ignore` block content analysis
 const RE_HTML_COMMENT_START = /^\s*<!--/;
 const RE_CLOSING_TAG_START = /^\s*<\/([a-zA-Z][\w:-]*)/;
@@ -608,9 +1072,11 @@ const RE_FOREIGN_ELEMENT_PROBE = /<(?:svg|math)[\s/>]/i;
  * preserves, so one pass finds every merge the iterated rescan found.
  *
  * @param {string} html - The HTML string to process
+ * @param {Array<[outputStart: number, inputStart: number, length: number]>} [runs] - Collects
+ *  the runs copied verbatim from input to output, for source maps to follow the merge
  * @returns {string} HTML with consecutive scripts merged
  */
-function mergeConsecutiveScripts(html) {
+function mergeConsecutiveScripts(html, runs) {
   // Parse an attribute string into a name→value map
   const parseAttrs = (/** @type {string} */ attrStr) => {
     /** @type {Record<string, string>} */
@@ -628,6 +1094,10 @@ function mergeConsecutiveScripts(html) {
   /** @type {string[]} */
   const segments = [];
   let consumedPos = 0; // Start of the input region not yet copied to `segments`
+  let outputLength = 0;
+  // Verbatim runs within the merged content, relative to its start
+  /** @type {Array<[outputStart: number, inputStart: number, length: number]>} */
+  let contentRuns = [];
 
   RE_SCRIPT_OPEN.lastIndex = 0;
   let m1;
@@ -646,6 +1116,7 @@ function mergeConsecutiveScripts(html) {
 
     let mergedContent = html.slice(tagEnd1 + 1, close1.index);
     let afterClose = close1.index + close1[0].length;
+    if (runs) contentRuns = [[0, tagEnd1 + 1, mergedContent.length]];
 
     const a1 = parseAttrs(attrs1Str);
     // `src` (external) and non-default types (modules, JSON, etc.) must not be merged:
@@ -685,17 +1156,35 @@ function mergeConsecutiveScripts(html) {
       // Scripts are compatible—combine content: Use semicolon normally,
       // newline only for trailing `//` comments
       const content2 = html.slice(tagEnd2 + 1, close2.index);
+      const lead1 = mergedContent.length - mergedContent.trimStart().length;
       const c1 = mergedContent.trim();
       const c2 = content2.trim();
+      let c2Start = 0;
       if (c1 && c2) {
         // Check if last line of c1 contains `//` (single-line comment)
         // If so, use newline to terminate it; otherwise use semicolon (if not already present)
         const lastLine = c1.slice(c1.lastIndexOf('\n') + 1);
         const separator = lastLine.includes('//') ? '\n' : (c1.endsWith(';') ? '' : ';');
         mergedContent = c1 + separator + c2;
+        c2Start = c1.length + separator.length;
       } else {
         mergedContent = c1 || c2;
       }
+      if (runs) {
+        // Trimming shifts and clips the runs so far; the second script’s trimmed
+        // content follows as a run of its own
+        /** @type {Array<[number, number, number]>} */
+        const trimmed = [];
+        for (const [start, inputStart, length] of c1 ? contentRuns : []) {
+          const from = Math.max(start, lead1);
+          const to = Math.min(start + length, lead1 + c1.length);
+          if (to > from) trimmed.push([from - lead1, inputStart + from - start, to - from]);
+        }
+        if (c2) {
+          trimmed.push([c2Start, tagEnd2 + 1 + content2.length - content2.trimStart().length, c2.length]);
+        }
+        contentRuns = trimmed;
+      }
 
       afterClose = close2.index + close2[0].length;
       mergedAny = true;
@@ -703,7 +1192,18 @@ function mergeConsecutiveScripts(html) {
 
     if (mergedAny) {
       // Use first script’s attributes (they are compatible)
-      segments.push(html.slice(consumedPos, m1.index), `<script${attrs1Str}>${mergedContent}</script>`);
+      const openTag = `<script${attrs1Str}>`;
+      segments.push(html.slice(consumedPos, m1.index), openTag + mergedContent + '</script>');
+      if (runs) {
+        runs.push([outputLength, consumedPos, m1.index - consumedPos]);
+        outputLength += m1.index - consumedPos;
+        runs.push([outputLength, m1.index, openTag.length]);
+        outputLength += openTag.length;
+        for (const [start, inputStart, length] of contentRuns) {
+          runs.push([outputLength + start, inputStart, length]);
+        }
+        outputLength += mergedContent.length + 9;
+      }
       consumedPos = afterClose;
     }
 
@@ -711,6 +1211,7 @@ function mergeConsecutiveScripts(html) {
     RE_SCRIPT_OPEN.lastIndex = afterClose;
   }
 
+  runs?.push([outputLength, consumedPos, html.length - consumedPos]);
   if (!segments.length) return html;
   segments.push(html.slice(consumedPos));
   return segments.join('');
@@ -808,21 +1309,42 @@ async function createSortFns(value, options, uidIgnore, uidAttr, ignoredMarkupCh
   // Keep attribute transformations (like `removeDefaultTypeAttributes`) for accurate analysis.
   // This is safe because `createSortFns` is called before custom fragment UID markers (`uidAttr`) are added.
   // Note: `htmlmin:ignore` UID markers (`uidIgnore`) already exist and are expanded for analysis.
+  // With `'compress'`, orders are measured on this pass’s output, which should then
+  // come close to the main pass’s, whitespace and quotes included.
+  const compress = options.sortAttributes === 'compress' || options.sortClassNames === 'compress';
   const firstPassOptions = Object.assign({}, options, {
     // Disable sorting for the analysis pass
     sortAttributes: false,
     sortClassNames: false,
     // Disable aggressive minification that doesn’t affect attribute analysis
-    collapseWhitespace: false,
-    removeAttributeQuotes: false,
+    collapseWhitespace: compress && Boolean(options.collapseWhitespace),
+    removeAttributeQuotes: compress && Boolean(options.removeAttributeQuotes),
     removeTagWhitespace: false,
-    decodeEntities: false,
+    decodeEntities: compress && Boolean(options.decodeEntities),
     processScripts: false,
+    // Plugins run once per document, in the main pass—save for renaming, without
+    // which the names counted would not be those the main pass sorts
+    plugins: options.mangleSelectors && options.cssContext?.renames
+      ? [createManglePlugin(options.cssContext.renames, options.mangleSelectors, value.indexOf('&') !== -1 ? /** @type {(text: string) => string} */ (await getDecodeHTML()) : undefined)]
+      : [],
     // Keep `ignoreCustomFragments` to handle template syntax correctly
     // Continue on parse errors during analysis (e.g., template syntax)
     continueOnParseError: true,
     log: identity
   });
+  // The analysis pass’s output is thrown away, so it has no savings to report, and
+  // leaves style sheet warnings to the main pass, which has their positions
+  delete firstPassOptions.savings;
+  delete firstPassOptions.onDiagnostic;
+  delete firstPassOptions.diagnostics;
+  firstPassOptions.cssContext = { ...options.cssContext, warned: options.cssContext?.warned ?? new Set(), quiet: true };
+  delete firstPassOptions.cssContext.savings;
+  delete firstPassOptions.cssContext.diagnose;
+  if (options.engineContext) {
+    firstPassOptions.engineContext = { ...options.engineContext };
+    delete firstPassOptions.engineContext.savings;
+    delete firstPassOptions.engineContext.diagnose;
+  }
 
   // Temporarily enable `continueOnParseError` for the `scan()` function call below.
   // Note: `firstPassOptions` already has `continueOnParseError: true` for the `minifyHTML` call.
@@ -836,6 +1358,10 @@ async function createSortFns(value, options, uidIgnore, uidAttr, ignoredMarkupCh
     : null;
   const customFragments = (options.ignoreCustomFragments || []).map(toFragment);
 
+  // What the orders of `'compress'` are measured on
+  /** @type {string} */
+  let scanValue;
+
   try {
     // Expand UID tokens back to the original content for frequency analysis
     let expandedValue = value;
@@ -853,7 +1379,7 @@ async function createSortFns(value, options, uidIgnore, uidAttr, ignoredMarkupCh
     // For frequency analysis, remove custom fragments temporarily
     // because HTML comments in opening tags prevent proper attribute parsing;
     // removed with a space to preserve attribute boundaries
-    let scanValue = firstPassOutput;
+    scanValue = firstPassOutput;
     if (customFragments.length) {
       scanValue = replaceCustomFragments(firstPassOutput, customFragments, () => ' ');
     }
@@ -867,42 +1393,100 @@ async function createSortFns(value, options, uidIgnore, uidAttr, ignoredMarkupCh
       delete options.continueOnParseError;
     }
   }
-  if (attrChains) {
-    const attrSorters = Object.create(null);
+  /**
+   * Sorters per tag, ranking attribute names by frequency or by name
+   * @param {boolean} alphabetical
+   * @returns {Record<string, Sorter>}
+   */
+  function createAttrSorters(alphabetical) {
+    const sorters = Object.create(null);
     for (const tag in attrChains) {
-      attrSorters[tag] = attrChains[tag].createSorter();
+      sorters[tag] = attrChains[tag].createSorter(alphabetical);
     }
+    return sorters;
+  }
+
+  /**
+   * Put attributes in a sorter’s order, in place
+   * @param {Sorter | undefined} sorter
+   * @param {HTMLAttribute[]} attrs
+   * @param {LRU} [cache] - Sorted orders by tag and names
+   * @param {string} [tag]
+   */
+  function orderAttrs(sorter, attrs, cache, tag) {
+    if (!sorter) return;
+    const names = attrNames(attrs);
+
+    // Create order-independent cache key from tag and sorted attribute names
+    const cacheKey = tag + ':' + names.slice().sort().join(',');
+    let sortedNames = /** @type {string[] | undefined} */ (cache?.get(cacheKey));
+
+    if (sortedNames === undefined) {
+      // Only sort if not in cache—need to clone names since sort mutates in place
+      sortedNames = sorter.sort(names.slice());
+      cache?.set(cacheKey, sortedNames);
+    }
+
+    // Apply the sorted order to `attrs`
+    const attrMap = Object.create(null);
+    names.forEach(function (/** @type {string} */ name, /** @type {number} */ index) {
+      (attrMap[name] || (attrMap[name] = [])).push(attrs[index]);
+    });
+    /** @type {string[]} */ (sortedNames).forEach(function (/** @type {string} */ name, /** @type {number} */ index) {
+      attrs[index] = attrMap[name].shift();
+    });
+  }
+
+  /** @type {Record<string, Sorter> | null} */
+  let attrSorters = attrChains ? createAttrSorters(false) : null;
+  /** @type {Sorter | null} */
+  let classSorter = classChain ? classChain.createSorter() : null;
+
+  // With `'compress'`, frequency order competes with ordering by name and with
+  // the order as written; the first pass’s output is written in each, and the
+  // one that compresses smallest kept. A tie keeps frequency order.
+  const compressedSize = compress ? getCompressedSize(options.compressionCodec) : null;
+  if (compressedSize) {
+    const tree = await buildTree(scanValue, options);
+    const measure = (/** @type {Record<string, Sorter> | null} */ byTag, /** @type {Sorter | null} */ classes) => compressedSize(orderedMarkup(tree, function (tag, attrs) {
+      const ordered = attrs.map(attr => classes && attr.value && resolveName(attr.name) === 'class'
+        ? { ...attr, value: classes.sort(trimWhitespace(attr.value).split(whitespaceSplitPatternScan)).join(' ') }
+        : attr);
+      if (byTag) orderAttrs(byTag[tag], ordered);
+      return ordered;
+    }, options));
+    /**
+     * @template T
+     * @param {T[]} candidates
+     * @param {(candidate: T) => number} size
+     * @returns {T}
+     */
+    const smallest = (candidates, size) => {
+      const sizes = candidates.map(size);
+      return /** @type {T} */ (candidates[sizes.indexOf(Math.min(...sizes))]);
+    };
+    if (attrSorters && options.sortAttributes === 'compress') {
+      attrSorters = smallest([attrSorters, createAttrSorters(true), null], candidate => measure(candidate, classSorter));
+    }
+    if (classChain && options.sortClassNames === 'compress') {
+      classSorter = smallest([classSorter, classChain.createSorter(true), null], candidate => measure(attrSorters, candidate));
+    }
+  }
+
+  if (attrSorters) {
+    const sorters = attrSorters;
     // Memoize sorted attribute orders—attribute sets often repeat in templates
     const attrOrderCache = new LRU(500);
 
     options.sortAttributes = function (/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs) {
-      const sorter = attrSorters[tag];
-      if (sorter) {
-        const names = attrNames(attrs);
-
-        // Create order-independent cache key from tag and sorted attribute names
-        const cacheKey = tag + ':' + names.slice().sort().join(',');
-        let sortedNames = /** @type {string[] | undefined} */ (attrOrderCache.get(cacheKey));
-
-        if (sortedNames === undefined) {
-          // Only sort if not in cache—need to clone names since sort mutates in place
-          sortedNames = sorter.sort(names.slice());
-          attrOrderCache.set(cacheKey, sortedNames);
-        }
-
-        // Apply the sorted order to `attrs`
-        const attrMap = Object.create(null);
-        names.forEach(function (/** @type {string} */ name, /** @type {number} */ index) {
-          (attrMap[name] || (attrMap[name] = [])).push(attrs[index]);
-        });
-        /** @type {string[]} */ (sortedNames).forEach(function (/** @type {string} */ name, /** @type {number} */ index) {
-          attrs[index] = attrMap[name].shift();
-        });
-      }
+      orderAttrs(sorters[tag], attrs, attrOrderCache, tag);
     };
+  } else if (attrChains) {
+    // The order as written compressed best
+    options.sortAttributes = false;
   }
-  if (classChain) {
-    const sorter = classChain.createSorter();
+  if (classSorter) {
+    const sorter = classSorter;
     // Memoize `sortClassNames` results—class lists often repeat in templates
     const classNameCache = new LRU(500);
 
@@ -938,6 +1522,8 @@ async function createSortFns(value, options, uidIgnore, uidAttr, ignoredMarkupCh
       classNameCache.set(classNames, result);
       return result;
     };
+  } else if (classChain) {
+    options.sortClassNames = false;
   }
 }
 
@@ -945,16 +1531,43 @@ async function createSortFns(value, options, uidIgnore, uidAttr, ignoredMarkupCh
  * @param {string} value - HTML content to minify
  * @param {ProcessedOptions} options - Normalized minification options
  * @param {boolean} [partialMarkup] - Whether treating input as partial markup
+ * @param {{points: MappingPoint[]}} [mapping] - Collects source map points, for the
+ *  top-level document only (nested calls minify strings cut out of it)
+ * @param {{source: () => Promise<string | undefined>, write: (html: string) => void}} [stream] -
+ *  Reads the rest of the document after `value` in chunks, and takes the output that
+ *  is final by the time each is needed; the returned HTML is then what remains
  * @returns {Promise<string>} Minified HTML
  */
-async function minifyHTML(value, options, partialMarkup) {
+async function minifyHTML(value, options, partialMarkup, mapping, stream) {
   // Check input length limitation to prevent ReDoS attacks
   if (options.maxInputLength && value.length > options.maxInputLength) {
     throw new Error(`Input length (${value.length}) exceeds maximum allowed length (${options.maxInputLength})`);
   }
 
+  // Diagnostics are placed by the call minifying the document; nested calls
+  // (`srcdoc`, `processScripts`) leave theirs at the element being minified
+  const ownsDiagnostics = Boolean(options.diagnostics && !options.diagnostics.current);
+
+  // Source map and diagnostics bookkeeping: The input is rewritten before it is
+  // parsed (trimmed, ignored blocks and custom fragments swapped for placeholders),
+  // so parser offsets are translated back through each rewrite
+  /** @type {OffsetMap[] | null} */
+  const offsetMaps = mapping || (ownsDiagnostics && !stream) ? [] : null;
+  const sourceOffset = (/** @type {number} */ offset) => offsetMaps
+    ? offsetMaps.reduceRight((translated, offsetMap) => offsetMap.translate(translated), offset)
+    : offset;
+  const lineColumn = ownsDiagnostics && !stream ? createLocator(value) : null;
+
   if (options.collapseWhitespace) {
-    value = collapseWhitespace(value, options, true, true);
+    const collapsed = collapseWhitespace(value, options, true, true);
+    addSavings(options.savings, 'collapseWhitespace', value, collapsed);
+    if (offsetMaps) {
+      const leading = (/** @type {string} */ str) => str.length - str.replace(/^[ \n\r\t\f\xA0]+/, '').length;
+      const offsetMap = new OffsetMap();
+      offsetMap.replace(0, leading(collapsed), 0, leading(value));
+      offsetMaps.push(offsetMap);
+    }
+    value = collapsed;
   }
 
   const resolveName = options.name;
@@ -963,6 +1576,27 @@ async function minifyHTML(value, options, partialMarkup) {
 
   /** @type {string[]} */
   const buffer = [];
+  // Where each buffer segment came from, as a parser offset, and the engine map
+  // of a minified style sheet or script. Segments are pushed from all over the
+  // handlers below, so the recording happens in `push` itself, off the token the
+  // parser is reporting when the handler runs.
+  /** @type {number[] | null} */
+  const origins = mapping ? [] : null;
+  /** @type {Array<{map: SourceMap, input: string, start: number} | undefined>} */
+  const blockMaps = [];
+  let origin = 0;
+  /** @type {{map: SourceMap, input: string, start: number} | undefined} */
+  let pendingBlockMap;
+  if (origins) {
+    buffer.push = function (...segments) {
+      for (let i = 0; i < segments.length; i++) {
+        origins[buffer.length + i] = origin;
+        blockMaps[buffer.length + i] = pendingBlockMap;
+      }
+      pendingBlockMap = undefined;
+      return Array.prototype.push.apply(buffer, segments);
+    };
+  }
   /** @type {string} */
   let charsPrevTag = '';
   let currentChars = '';
@@ -1009,48 +1643,63 @@ async function minifyHTML(value, options, partialMarkup) {
   /** @type {Array<{tag: string, attrs: {[x: string]: string | undefined} | null}>} */
   let removeEmptyElementsExcept;
   if (options.removeEmptyElementsExcept && !Array.isArray(options.removeEmptyElementsExcept)) {
-    if (options.log) {
-      options.log('Warning: `removeEmptyElementsExcept` option must be an array, received: ' + typeof options.removeEmptyElementsExcept);
-    }
+    const message = '`removeEmptyElementsExcept` option must be an array, received: ' + typeof options.removeEmptyElementsExcept;
+    options.log && options.log('Warning: ' + message);
+    options.onDiagnostic?.({ code: 'invalid-option-value', severity: 'warning', source: 'options', message });
     removeEmptyElementsExcept = [];
   } else {
     removeEmptyElementsExcept = parseRemoveEmptyElementsExcept(options.removeEmptyElementsExcept || [], options) || [];
   }
 
+  // Handlers swap `options` for a derived object inside foreign content; what the
+  // rewrites below set up belongs to the document, also when they run mid-stream
+  const documentOptions = options;
+
+  // Set markup aside to be put back as is once minification is done, returning the
+  // text of the comment that stands in for it; `str` is what the ID must not occur in
+  function ignorePlaceholder(/** @type {string} */ markup, /** @type {string} */ str) {
+    if (!uidIgnore) {
+      uidIgnore = uniqueId(str);
+      const pattern = new RegExp('^' + uidIgnore + '([0-9]+)$');
+      uidIgnorePlaceholderPattern = new RegExp('^<!--' + uidIgnore + '(\\d+)-->$');
+      if (documentOptions.ignoreCustomComments) {
+        documentOptions.ignoreCustomComments = documentOptions.ignoreCustomComments.slice();
+      } else {
+        documentOptions.ignoreCustomComments = [];
+      }
+      documentOptions.ignoreCustomComments.push(pattern);
+    }
+    ignoredMarkupChunks.push(markup);
+    return uidIgnore + (ignoredMarkupChunks.length - 1);
+  }
+
   // Temporarily replace ignored chunks with comments, so that there’s no need to worry what’s there;
   // there might be completely-horribly-broken-alien-non-html-emoji-cthulhu-filled content
-  if (value.indexOf('<!-- htmlmin:ignore -->') !== -1) {
+  function replaceIgnoredMarkup(/** @type {string} */ str) {
+    if (str.indexOf(IGNORE_MARKER) === -1) return str;
     // Use `indexOf`-based O(n) loop instead of a global regex with [\s\S]*? to avoid O(n²)
     // backtracking on adversarial HTML with many `<!--` prefixes but no closing marker
-    const ignoreMarker = '<!-- htmlmin:ignore -->';
-    const ignoreMarkerLen = ignoreMarker.length;
+    const ignoreMarkerLen = IGNORE_MARKER.length;
+    const offsetMap = offsetMaps ? new OffsetMap() : null;
     let ignoreResult = '';
     let ignorePos = 0;
-    while (ignorePos < value.length) {
-      const ignoreStart = value.indexOf(ignoreMarker, ignorePos);
-      if (ignoreStart === -1) { ignoreResult += value.slice(ignorePos); break; }
-      ignoreResult += value.slice(ignorePos, ignoreStart);
-      const ignoreEnd = value.indexOf(ignoreMarker, ignoreStart + ignoreMarkerLen);
-      if (ignoreEnd === -1) { ignoreResult += value.slice(ignoreStart); break; }
-      const group1 = value.slice(ignoreStart + ignoreMarkerLen, ignoreEnd);
-      if (!uidIgnore) {
-        uidIgnore = uniqueId(value);
-        const pattern = new RegExp('^' + uidIgnore + '([0-9]+)$');
-        uidIgnorePlaceholderPattern = new RegExp('^<!--' + uidIgnore + '(\\d+)-->$');
-        if (options.ignoreCustomComments) {
-          options.ignoreCustomComments = options.ignoreCustomComments.slice();
-        } else {
-          options.ignoreCustomComments = [];
-        }
-        options.ignoreCustomComments.push(pattern);
-      }
-      const token = '<!--' + uidIgnore + ignoredMarkupChunks.length + '-->';
-      ignoredMarkupChunks.push(group1);
+    while (ignorePos < str.length) {
+      const ignoreStart = str.indexOf(IGNORE_MARKER, ignorePos);
+      if (ignoreStart === -1) { ignoreResult += str.slice(ignorePos); break; }
+      ignoreResult += str.slice(ignorePos, ignoreStart);
+      const ignoreEnd = str.indexOf(IGNORE_MARKER, ignoreStart + ignoreMarkerLen);
+      if (ignoreEnd === -1) { ignoreResult += str.slice(ignoreStart); break; }
+      const group1 = str.slice(ignoreStart + ignoreMarkerLen, ignoreEnd);
+      const token = '<!--' + ignorePlaceholder(group1, str) + '-->';
+      // The placeholder stands for the markup between the markers, which is all that survives
+      offsetMap?.replace(ignoreResult.length, ignoreResult.length + token.length, ignoreStart + ignoreMarkerLen, ignoreEnd + ignoreMarkerLen);
       ignoreResult += token;
       ignorePos = ignoreEnd + ignoreMarkerLen;
     }
-    value = ignoreResult;
+    if (offsetMap) offsetMaps?.push(offsetMap);
+    return ignoreResult;
   }
+  value = replaceIgnoredMarkup(value);
 
   // Create sort functions after `htmlmin:ignore` processing but before custom fragment UID markers
   // This allows proper frequency analysis with access to ignored content via UID tokens
@@ -1060,16 +1709,20 @@ async function minifyHTML(value, options, partialMarkup) {
   }
 
   const customFragments = (options.ignoreCustomFragments || []).map(toFragment);
-  if (customFragments.length) {
+  function replaceFragments(/** @type {string} */ str) {
+    if (!customFragments.length) return str;
+    const offsetMap = offsetMaps ? new OffsetMap() : null;
+    // Replacements change the length, so the rewritten offset drifts from the original
+    let drift = 0;
     // Temporarily replace custom ignored fragments with unique attributes
-    const replaceFragment = function (/** @type {string} */ match) {
+    const replaceFragment = function (/** @type {string} */ match, /** @type {number} */ offset) {
       if (!uidAttr) {
-        uidAttr = uniqueId(value);
+        uidAttr = uniqueId(str);
         uidPattern = new RegExp('(\\s*)' + uidAttr + '([0-9]+)' + uidAttr + '(\\s*)', 'g');
         uidAttrLeadingPattern = new RegExp('^\\s*' + uidAttr + '(\\d+)' + uidAttr);
 
-        if (options.minifyCSS !== identity) {
-          options.minifyCSS = (function (/** @type {ProcessedOptions['minifyCSS']} */ fn) {
+        if (documentOptions.minifyCSS !== identity) {
+          documentOptions.minifyCSS = (function (/** @type {ProcessedOptions['minifyCSS']} */ fn) {
             return function (/** @type {string} */ text, /** @type {string | undefined} */ type, /** @type {ProcessedOptions['cssContext']} */ context) {
               text = text.replace(/** @type {RegExp} */ (uidPattern), function (/** @type {string} */ _match, /** @type {string} */ _prefix, /** @type {string} */ index) {
                 const chunks = ignoredCustomMarkupChunks[+index];
@@ -1078,27 +1731,81 @@ async function minifyHTML(value, options, partialMarkup) {
 
               return fn(text, type, context);
             };
-          })(options.minifyCSS);
+          })(documentOptions.minifyCSS);
         }
 
-        if (options.minifyJS !== identity) {
-          options.minifyJS = (function (/** @type {ProcessedOptions['minifyJS']} */ fn) {
-            return function (/** @type {string} */ text, /** @type {boolean | undefined} */ inline, /** @type {boolean | undefined} */ isModule) {
+        if (documentOptions.minifyJS !== identity) {
+          documentOptions.minifyJS = (function (/** @type {ProcessedOptions['minifyJS']} */ fn) {
+            return function (/** @type {string} */ text, /** @type {boolean | undefined} */ inline, /** @type {boolean | undefined} */ isModule, /** @type {EngineContext | undefined} */ context) {
               return fn(text.replace(/** @type {RegExp} */ (uidPattern), function (/** @type {string} */ _match, /** @type {string} */ _prefix, /** @type {string} */ index) {
                 const chunks = ignoredCustomMarkupChunks[+index];
                 return (chunks?.[1] ?? '') + uidAttr + index + uidAttr + (chunks?.[2] ?? '');
-              }), inline, isModule);
+              }), inline, isModule, context);
             };
-          })(options.minifyJS);
+          })(documentOptions.minifyJS);
         }
       }
 
       const token = uidAttr + ignoredCustomMarkupChunks.length + uidAttr;
       ignoredCustomMarkupChunks.push(/^(\s*)[\s\S]*?(\s*)$/.exec(match));
+      offsetMap?.replace(offset + drift, offset + drift + token.length + 2, offset, offset + match.length);
+      drift += token.length + 2 - match.length;
       return '\t' + token + '\t';
     };
 
-    value = replaceCustomFragments(value, customFragments, replaceFragment);
+    const replaced = replaceCustomFragments(str, customFragments, replaceFragment);
+    if (offsetMap) offsetMaps?.push(offsetMap);
+    return replaced;
+  }
+  value = replaceFragments(value);
+
+  // Join consecutive style sheets before their content is minified, which sees them as one
+  if (options.mergeStyles && !stream) {
+    const offsetMap = offsetMaps ? new OffsetMap() : null;
+    value = await mergeStyleElements(value, options, [uidIgnore, uidAttr].filter(uid => uid !== undefined), offsetMap);
+    if (offsetMap) offsetMaps?.push(offsetMap);
+  }
+
+  // Streaming: Of the input received so far, each rewrite above passes on what it
+  // can already make final, holding back the rest for the next chunk
+  let streamedLength = 0;
+  let streamStarted = false;
+  let heldRaw = '';
+  let heldCollapsed = '';
+  let heldIgnored = '';
+
+  /**
+   * @param {string | undefined} chunk - Undefined at the end of the input
+   * @returns {string} Input ready for the parser
+   */
+  function prepareChunk(chunk) {
+    const last = chunk === undefined;
+    streamedLength += chunk?.length ?? 0;
+    if (documentOptions.maxInputLength && streamedLength > documentOptions.maxInputLength) {
+      throw new Error(`Input length (${streamedLength}) exceeds maximum allowed length (${documentOptions.maxInputLength})`);
+    }
+    let text = heldRaw + (chunk ?? '');
+    if (documentOptions.collapseWhitespace) {
+      const cut = last ? text.length : trailingWhitespaceStart(text, /[ \n\r\t\f\xA0]/);
+      heldRaw = text.slice(cut);
+      text = text.slice(0, cut);
+      if (!streamStarted) {
+        if (text || last) {
+          text = collapseWhitespace(text, documentOptions, true, true);
+          streamStarted = true;
+        }
+      } else if (last) {
+        // A stand-in for the input already passed on keeps the start untouched
+        text = collapseWhitespace('>' + text, documentOptions, false, true).slice(1);
+      }
+    }
+    text = heldCollapsed + text;
+    let cut = last ? text.length : markedBlockCut(text, IGNORE_MARKER);
+    heldCollapsed = text.slice(cut);
+    text = heldIgnored + replaceIgnoredMarkup(text.slice(0, cut));
+    cut = last || !customFragments.length ? text.length : customFragmentCut(text, customFragments);
+    heldIgnored = text.slice(cut);
+    return replaceFragments(text.slice(0, cut));
   }
 
   function canCollapseWhitespace(/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs) {
@@ -1109,31 +1816,83 @@ async function minifyHTML(value, options, partialMarkup) {
     return options.canTrimWhitespace(tag, attrs, defaultCanTrimWhitespace);
   }
 
-  function removeStartTag() {
+  // Tag removal credits what it drops to the option it was done for, when a report
+  // is being compiled; `removeEmptyElements` and auto-generated tags pass none
+  /**
+   * @param {number} length
+   * @param {keyof Savings} [feature]
+   */
+  function truncateBuffer(length, feature) {
+    if (feature && options.savings) {
+      options.savings[feature] += byteLength(buffer.slice(length).join(''));
+    }
+    buffer.length = length;
+  }
+
+  /** @param {keyof Savings} [feature] */
+  function removeStartTag(feature) {
     let index = buffer.length - 1;
     while (index > 0 && !RE_START_TAG.test(buffer[index] ?? '')) {
       index--;
     }
-    buffer.length = Math.max(0, index);
+    truncateBuffer(Math.max(0, index), feature);
   }
 
-  function removeEndTag() {
+  /** @param {keyof Savings} [feature] */
+  function removeEndTag(feature) {
     let index = buffer.length - 1;
     while (index > 0 && !RE_END_TAG.test(buffer[index] ?? '')) {
       index--;
     }
-    buffer.length = Math.max(0, index);
+    truncateBuffer(Math.max(0, index), feature);
+  }
+
+  // `extractCSS`: A style sheet big enough goes to a file, and its `style` element,
+  // its start tag and content last in the buffer, becomes a `link` to it, keeping
+  // its attributes. Content set aside (`htmlmin:ignore`, custom fragments) stays.
+  function linkStyle(/** @type {HTMLAttribute[]} */ attrs) {
+    const config = options.extractCSS;
+    const css = buffer[buffer.length - 1] ?? '';
+    if (!config || !options.extracted || byteLength(css) < config.minSize || !canExtractStyle(attrs) ||
+        restoreIgnore(restoreCustom(css)) !== css) {
+      return false;
+    }
+    let index = buffer.length - 2;
+    while (index > 0 && !RE_START_TAG.test(buffer[index] ?? '')) {
+      index--;
+    }
+    const rest = buffer.slice(index, buffer.length - 1).join('').slice('<style'.length);
+    const href = extractStyle(css, config, options.extracted);
+    /** @type {(name: string, text: string, isLast: boolean) => string} */
+    const attr = (name, text, isLast) => buildAttr({ name, value: text, attr: { name, value: text, quote: '"', customAssign: '=', customOpen: '', customClose: '' } }, false, options, isLast, uidAttr);
+    // With `addIntegrity`, the file comes with its hash—unless on another origin,
+    // which would have to allow CORS for it
+    const integrity = options.addIntegrity && !/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(href)
+      ? attr('integrity', computeIntegrity(css, options.addIntegrity.algorithm), true)
+      : '';
+    truncateBuffer(index);
+    if (origins) origin = origins[index] ?? origin;
+    buffer.push('<link ' + attr('rel', 'stylesheet', false) + attr('href', href, !integrity) + integrity + rest);
+    return true;
   }
 
   // Look for trailing whitespaces, bypass any inline tags
   function trimTrailingWhitespace(/** @type {number} */ index, /** @type {string} */ nextTag) {
-    for (let prevTag = ''; index >= 0 && canTrimWhitespace(prevTag, emptyAttrs); index--) {
+    for (let prevTag = ''; index > keptEndIndex && canTrimWhitespace(prevTag, emptyAttrs); index--) {
       const str = buffer[index] ?? '';
       const match = str.match(/^<\/([\w:-]+)>$/);
       if (match) {
         prevTag = match[1] ?? '';
-      } else if (/>$/.test(str) || (buffer[index] = collapseWhitespaceSmart(str, '', nextTag, emptyAttrs, emptyAttrs, options, inlineElements, inlineTextSet))) {
-        break;
+      } else {
+        if (/>$/.test(str)) {
+          break;
+        }
+        const trimmed = collapseWhitespaceSmart(str, '', nextTag, emptyAttrs, emptyAttrs, options, inlineElements, inlineTextSet);
+        addSavings(options.savings, 'collapseWhitespace', str, trimmed);
+        buffer[index] = trimmed;
+        if (trimmed) {
+          break;
+        }
       }
     }
   }
@@ -1168,6 +1927,7 @@ async function minifyHTML(value, options, partialMarkup) {
 
   // Whitespace collapsing phase (sync)
   function charsCollapse(/** @type {string} */ text) {
+    const original = text;
     // Trim outermost newline-based whitespace inside `pre`/`textarea` elements
     // This removes trailing newlines often added by template engines before closing tags
     // Only trims single trailing newlines (multiple newlines are likely intentional formatting)
@@ -1195,10 +1955,13 @@ async function minifyHTML(value, options, partialMarkup) {
               textPrevTag = charsPrevTag;
               effectivePrevTag = textPrevTag;
             }
-            if (buffer.length > 1 && (!prevComment || (!options.conservativeCollapse && / $/.test(currentChars)))) {
+            if (buffer.length - 2 > keptEndIndex && (!prevComment || (!options.conservativeCollapse && / $/.test(currentChars)))) {
               const charsIndex = buffer.length - 2;
               buffer[charsIndex] = (buffer[charsIndex] ?? '').replace(/\s+$/, function (trailingSpaces) {
                 text = trailingSpaces + text;
+                // Moved rather than removed: Counted off here, so that collapsing
+                // them along with `text` below nets out
+                if (options.savings) options.savings.collapseWhitespace += byteLength(trailingSpaces);
                 return '';
               });
             }
@@ -1248,11 +2011,12 @@ async function minifyHTML(value, options, partialMarkup) {
         text = collapseWhitespace(text, options, false, false, true);
       }
     }
+    addSavings(options.savings, 'collapseWhitespace', original, text);
     return text;
   }
 
   // Finalization phase (sync): Optional tag handling, entity re-encoding, buffer push
-  function charsFinalize(/** @type {string} */ text) {
+  function charsFinalize(/** @type {string} */ text, /** @type {((text: string) => string) | null} */ encodeASCII = null) {
     if (options.removeOptionalTags && text) {
       // UID-attr tokens are padded with `\t`, which would falsely look like leading whitespace;
       // resolve single-token text to its actual content for the space/comment checks below
@@ -1270,13 +2034,13 @@ async function minifyHTML(value, options, partialMarkup) {
       // `<html>` may be omitted if first thing inside is not a comment
       // `<body>` may be omitted if first thing inside is not space, comment, `<meta>`, `<link>`, `<script>`, `<style>`, or `<template>`
       if (optionalStartTag === 'html' || (optionalStartTag === 'body' && !/^\s/.test(effectiveText))) {
-        removeStartTag();
+        removeStartTag('removeOptionalTags');
       }
       optionalStartTag = '';
       // `</html>` or `</body>` may be omitted if not followed by comment
       // `</head>`, `</colgroup>`, or `</caption>` may be omitted if not followed by space or comment
       if (optionalEndTagEmitted && (compactElements.has(optionalEndTag) || (looseElements.has(optionalEndTag) && !/^\s/.test(effectiveText)))) {
-        removeEndTag();
+        removeEndTag('removeOptionalTags');
       }
       // Don’t reset `optionalEndTag` if text is only whitespace and will be collapsed (not conservatively)
       if (!/^\s+$/.test(text) || !options.collapseWhitespace || options.conservativeCollapse) {
@@ -1298,6 +2062,9 @@ async function minifyHTML(value, options, partialMarkup) {
         text = text.replace(RE_ESCAPE_LT, '&lt;');
       }
     }
+    if (encodeASCII) {
+      text = encodeASCII(text);
+    }
     if (uidPattern && options.collapseWhitespace && stackNoTrimWhitespace.length) {
       text = text.replace(/** @type {RegExp} */ (uidPattern), function (/** @type {string} */ match, /** @type {string} */ _prefix, /** @type {string} */ index) {
         return ignoredCustomMarkupChunks[+index]?.[0] ?? match;
@@ -1327,7 +2094,7 @@ async function minifyHTML(value, options, partialMarkup) {
             const firstTagGroup = firstTagMatch?.[1] ?? '';
             const firstTag = firstTagGroup ? resolveName(firstTagGroup) : '';
             if (canRemovePrecedingTag(optionalEndTag, firstTag)) {
-              removeEndTag();
+              removeEndTag('removeOptionalTags');
             }
           }
         }
@@ -1403,6 +2170,7 @@ async function minifyHTML(value, options, partialMarkup) {
                       }
 
                       // Replace the whitespace in buffer
+                      addSavings(options.savings, 'collapseWhitespace', prevText, collapsedText);
                       buffer[buffer.length - 1] = collapsedText;
                     }
                   }
@@ -1418,51 +2186,282 @@ async function minifyHTML(value, options, partialMarkup) {
   }
 
   // SVG subtree capture: When SVGO is active, record buffer positions for post-processing
-  /** @type {Array<{start: number, end: number}>} */
-  const svgBlocks = []; // Array of { start, end } buffer indices
+  /** @type {Array<{start: number, end: number, offset: number, minifySVG: NonNullable<ProcessedOptions['minifySVG']>}>} */
+  const svgBlocks = []; // Array of { start, end } buffer indices, the parser offset of `<svg>`, and the `minifySVG` in effect there
   let svgBufferStartIndex = -1;
+  let svgOffset = 0;
   let svgDepth = 0;
 
   // One-time probe: If the input contains no SVG/MathML elements and the call
   // isn’t already inside foreign content (recursive calls inherit options),
-  // the per-tag foreign-content handling in `start`/`end` can be skipped
-  const hasForeignContext = Boolean(options.insideForeignContent) || RE_FOREIGN_ELEMENT_PROBE.test(value);
+  // the per-tag foreign-content handling in `start`/`end` can be skipped; a stream’s
+  // input is yet to arrive, so it cannot be probed
+  const hasForeignContext = Boolean(options.insideForeignContent) || Boolean(stream) || RE_FOREIGN_ELEMENT_PROBE.test(value);
+
+  // `overrides` and directives: Open elements—for selectors to match against, and
+  // for regions to end with the element they started in—each noting whether its
+  // options put a derived `options` in place, which its end tag then removes.
+  // Regions (`htmlmin:options` … `htmlmin:end`) note where they started and the
+  // `options` to go back to.
+  const overrides = options.overrides?.length ? options.overrides : null;
+  const hasDirectives = Boolean(stream) || RE_DIRECTIVE_PROBE.test(value);
+  /** @type {Array<OpenElement & {swapped: boolean, keepWhitespace: boolean}>} */
+  const openElements = [];
+  /** @type {Array<{depth: number, outer: ProcessedOptions, keepWhitespace: boolean}>} */
+  const regions = [];
+  // Buffer index up to which whitespace is kept by an override or directive—
+  // trimming trailing whitespace must not reach into it, which `pre` and
+  // `textarea` see to by tag name
+  let keptEndIndex = -1;
+
+  // Options a directive sets, or null where there are none (reported)
+  function directiveLayer(/** @type {string} */ label, /** @type {string} */ name, /** @type {string} */ argument) {
+    const directive = parseDirective(name, argument);
+    if (!directive || 'error' in directive) {
+      reportDirective(`Ignoring \`${label}\`—${directive ? directive.error : 'there is no such directive'}`);
+      return null;
+    }
+    return options.processLayer?.(directive.options, `\`${label}\``, name + ' ' + argument) ?? null;
+  }
 
-  const parser = new HTMLParser(value, {
-    partialMarkup: partialMarkup ?? options.partialMarkup,
-    continueOnParseError: options.continueOnParseError,
-    customAttrAssign: options.customAttrAssign,
-    customAttrSurround: options.customAttrSurround,
-    // Compute `nextTag` only when whitespace collapse features require it
-    wantsNextTag: !!(options.collapseWhitespace || options.collapseInlineTagWhitespace || options.conservativeCollapse),
+  function reportDirective(/** @type {string} */ message) {
+    options.log('Warning: ' + message);
+    options.diagnostics?.report({ code: 'invalid-directive', severity: 'warning', source: 'html', message });
+  }
 
-    start: async function (/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ unary, /** @type {string} */ unarySlash, /** @type {boolean} */ autoGenerated) {
-      // `lowerTag` stays '' when no foreign content is around—the SVG/MathML
-      // checks below can then never match, and no per-tag lowercasing is needed
-      let lowerTag = '';
-      let useNameParentForTag = false;
-      if (hasForeignContext) {
-        lowerTag = tag.toLowerCase();
-        if (lowerTag === 'svg' || lowerTag === 'math') {
-          // Preserve the surrounding HTML context’s name function (e.g., `identity`
-          // under `caseSensitive`) so `foreignObject`/`annotation-xml` can restore it
-          const nameHTML = options.name;
-          options = Object.create(options);
-          options.caseSensitive = true;
-          options.keepClosingSlash = true;
-          options.name = identity;
-          options.nameHTML = nameHTML;
-          options.insideSVG = lowerTag === 'svg';
-          options.insideForeignContent = true;
-          // Disable HTML-specific options that produce invalid XML:
-          // SVG with `minifySVG` enabled is passed to SVGO, which requires valid XML input;
-          // MathML is never processed by SVGO, so these restrictions never apply to it
-          if (lowerTag === 'svg' && options.minifySVG) {
-            options.removeAttributeQuotes = false;
-            options.decodeEntities = false;
-          }
-          options.removeTagWhitespace = false;
-        }
+  function openRegion(/** @type {OptionsLayer} */ layer) {
+    const keepWhitespace = layer.keepWhitespace && Boolean(options.collapseWhitespace);
+    regions.push({ depth: openElements.length, outer: options, keepWhitespace });
+    options = Object.create(options);
+    Object.assign(options, layer.options);
+    if (keepWhitespace) {
+      // Never the name of an element, so no end tag takes it off again
+      stackNoTrimWhitespace.push('');
+      stackNoCollapseWhitespace.push('');
+    }
+  }
+
+  function closeRegion() {
+    const region = regions.pop();
+    if (!region) return;
+    options = region.outer;
+    if (region.keepWhitespace) {
+      stackNoTrimWhitespace.splice(stackNoTrimWhitespace.lastIndexOf(''), 1);
+      stackNoCollapseWhitespace.splice(stackNoCollapseWhitespace.lastIndexOf(''), 1);
+      keptEndIndex = buffer.length - 1;
+    }
+  }
+
+  // Optimize the first `count` captured SVG blocks with SVGO: Run all calls in parallel,
+  // then splice results in reverse to preserve indices
+  async function minifySVGBlocks(/** @type {number} */ count) {
+    const blocks = svgBlocks.splice(0, count);
+    if (!blocks.length) return;
+    const optimized = await Promise.all(
+      blocks.map(({ start, end, offset, minifySVG }) =>
+        minifySVG(buffer.slice(start, end).join(''), ownsDiagnostics
+          ? { ...options.engineContext, diagnose: diagnostic => options.diagnostics?.report(diagnostic, offset) }
+          : options.engineContext)
+      )
+    );
+    let removed = 0;
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      const block = blocks[i];
+      if (block) {
+        buffer.splice(block.start, block.end - block.start, optimized[i] ?? '');
+        origins?.splice(block.start, block.end - block.start, origins[block.start] ?? 0);
+        blockMaps.splice(block.start, block.end - block.start, undefined);
+        removed += block.end - block.start - 1;
+      }
+    }
+    shiftSVGBlocks(removed);
+  }
+
+  // Move the buffer indices of SVG blocks yet to be optimized, and of the last end
+  // tag whose whitespace an override keeps
+  function shiftSVGBlocks(/** @type {number} */ by) {
+    for (const block of svgBlocks) {
+      block.start -= by;
+      block.end -= by;
+    }
+    if (svgBufferStartIndex >= 0) svgBufferStartIndex -= by;
+    keptEndIndex -= by;
+  }
+
+  function restoreCustom(/** @type {string} */ str) {
+    if (!uidPattern) return str;
+    return str.replace(uidPattern, function (/** @type {string} */ match, /** @type {string} */ prefix, /** @type {string} */ index, /** @type {string} */ suffix) {
+      let chunk = ignoredCustomMarkupChunks[+index]?.[0] ?? match;
+      if (options.collapseWhitespace) {
+        if (prefix !== '\t') {
+          chunk = prefix + chunk;
+        }
+        if (suffix !== '\t') {
+          chunk += suffix;
+        }
+        return collapseWhitespace(chunk, {
+          preserveLineBreaks: options.preserveLineBreaks,
+          conservativeCollapse: !options.trimCustomFragments
+        }, /^[ \n\r\t\f]/.test(chunk), /[ \n\r\t\f]$/.test(chunk));
+      }
+      return chunk;
+    });
+  }
+
+  function restoreIgnore(/** @type {string} */ str) {
+    if (!uidIgnore) return str;
+    return str.replace(new RegExp('<!--' + uidIgnore + '([0-9]+)-->', 'g'), function (/** @type {string} */ _match, /** @type {string} */ index) {
+      return ignoredMarkupChunks[+index] ?? '';
+    });
+  }
+
+  // How far back `trimTrailingWhitespace(index)` may reach: past end tags and
+  // whitespace, to the first text it trims or tag it stops at
+  function trimReach(/** @type {number} */ index) {
+    for (; index >= 0; index--) {
+      const str = buffer[index] ?? '';
+      if (RE_END_TAG.test(str) || !str.trim()) continue;
+      return />$/.test(str) ? index + 1 : index;
+    }
+    return 0;
+  }
+
+  // Streaming: Whenever the parser waits for input, the buffer segments later tokens
+  // can no longer change are written out. Changes reach back to the last tag (an
+  // optional tag or empty element dropped), the last two segments (whitespace moved
+  // past a comment), and as far as trimming trailing whitespace walks; output is
+  // cut after a tag that walk stops at, so that custom fragments and the ends of the
+  // document get the same whitespace handling as in a single pass.
+  let streamWritten = false;
+
+  async function flushSettled() {
+    let tagIndex = buffer.length - 1;
+    while (tagIndex >= 0 && !RE_START_TAG.test(buffer[tagIndex] ?? '') && !RE_END_TAG.test(buffer[tagIndex] ?? '')) {
+      tagIndex--;
+    }
+    let limit = Math.min(buffer.length - 2, trimReach(buffer.length - 1), trimReach(buffer.length - 2));
+    if (tagIndex >= 0) {
+      limit = Math.min(limit, tagIndex, trimReach(tagIndex - 1));
+    }
+    if (svgDepth > 0) {
+      limit = Math.min(limit, svgBufferStartIndex);
+    }
+    let cut = Math.max(0, limit);
+    for (;;) {
+      while (cut > 0 && !(/>$/.test(buffer[cut - 1] ?? '') && !/^<[/!]/.test(buffer[cut - 1] ?? ''))) {
+        cut--;
+      }
+      // SVG blocks go to SVGO whole
+      const straddling = svgBlocks.find(block => block.start < cut && block.end > cut);
+      if (!straddling) break;
+      cut = straddling.start;
+    }
+    if (!cut) return;
+
+    const settledBlocks = svgBlocks.filter(block => block.end <= cut).length;
+    if (settledBlocks) {
+      const length = buffer.length;
+      await minifySVGBlocks(settledBlocks);
+      cut -= length - buffer.length;
+    }
+    let html = restoreIgnore(restoreCustom(buffer.splice(0, cut).join('')));
+    shiftSVGBlocks(cut);
+    if (!streamWritten && options.collapseWhitespace) {
+      html = collapseWhitespace(html, options, true, false);
+    }
+    streamWritten = true;
+    stream?.write(html);
+  }
+
+  const pull = stream
+    ? async function () {
+      await flushSettled();
+      for (;;) {
+        const chunk = await stream.source();
+        const text = prepareChunk(chunk);
+        if (text) return text;
+        if (chunk === undefined) return undefined;
+      }
+    }
+    : undefined;
+
+  /** @type {HTMLParserHandler} */
+  const handler = {
+    partialMarkup: partialMarkup ?? options.partialMarkup,
+    continueOnParseError: options.continueOnParseError,
+    customAttrAssign: options.customAttrAssign,
+    customAttrSurround: options.customAttrSurround,
+    // Compute `nextTag` only when whitespace collapse features require it
+    wantsNextTag: !!(options.collapseWhitespace || options.collapseInlineTagWhitespace || options.conservativeCollapse),
+
+    start: async function (/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ unary, /** @type {string} */ unarySlash, /** @type {boolean} */ autoGenerated) {
+      if (origins) origin = parser.tokenStart;
+      // Overrides and `data-htmlmin-*` attributes apply ahead of the SVG/MathML
+      // handling below, which disables options depending on `minifySVG`, and come
+      // off after it in `end`
+      const outerOptions = options;
+      let overridden = false;
+      let keepWhitespace = false;
+      if (overrides || hasDirectives) {
+        /** @type {OpenElement & {swapped: boolean, keepWhitespace: boolean}} */
+        const element = { tag: tag.toLowerCase(), attrs: overrides ? attrs.map(attr => ({ name: attr.name.toLowerCase(), value: attr.value })) : [], swapped: false, keepWhitespace: false };
+        /** @type {OptionsLayer[]} */
+        const layers = overrides ? overrides.filter(override => matchesSelector(override.selector, element, openElements)) : [];
+        if (hasDirectives && attrs.some(attr => RE_DIRECTIVE_ATTRIBUTE.test(attr.name))) {
+          // Directive attributes come off the element; unknown ones are left
+          const decode = attrs.some(attr => attr.value?.includes('&')) ? /** @type {(text: string) => string} */ (await getDecodeHTML()) : null;
+          attrs = attrs.filter(attr => {
+            const match = RE_DIRECTIVE_ATTRIBUTE.exec(attr.name);
+            if (!match) return true;
+            const name = (match[1] ?? '').toLowerCase();
+            const argument = decode && attr.value ? decode(attr.value) : attr.value ?? '';
+            if (!parseDirective(name, argument)) {
+              reportDirective(`Ignoring \`${attr.name}\`—there is no such directive`);
+              return true;
+            }
+            const layer = directiveLayer(attr.name, name, argument);
+            if (layer) layers.push(layer);
+            return false;
+          });
+        }
+        for (const layer of layers) {
+          if (!overridden) {
+            options = Object.create(options);
+            overridden = true;
+          }
+          Object.assign(options, layer.options);
+          keepWhitespace ||= layer.keepWhitespace;
+        }
+        element.swapped = overridden;
+        element.keepWhitespace = keepWhitespace;
+        if (!unary) openElements.push(element);
+      }
+      // `lowerTag` stays '' when no foreign content is around—the SVG/MathML
+      // checks below can then never match, and no per-tag lowercasing is needed
+      let lowerTag = '';
+      let useNameParentForTag = false;
+      if (hasForeignContext) {
+        lowerTag = tag.toLowerCase();
+        if (lowerTag === 'svg' || lowerTag === 'math') {
+          // Preserve the surrounding HTML context’s name function (e.g., `identity`
+          // under `caseSensitive`) so `foreignObject`/`annotation-xml` can restore it
+          const nameHTML = options.name;
+          options = Object.create(options);
+          options.caseSensitive = true;
+          options.keepClosingSlash = true;
+          options.name = identity;
+          options.nameHTML = nameHTML;
+          options.insideSVG = lowerTag === 'svg';
+          options.insideForeignContent = true;
+          // Disable HTML-specific options that produce invalid XML:
+          // SVG with `minifySVG` enabled is passed to SVGO, which requires valid XML input;
+          // MathML is never processed by SVGO, so these restrictions never apply to it
+          if (lowerTag === 'svg' && options.minifySVG) {
+            options.removeAttributeQuotes = false;
+            options.decodeEntities = false;
+          }
+          options.removeTagWhitespace = false;
+        }
         // `foreignObject` in SVG and `annotation-xml` in MathML contain HTML content
         // Note: The element itself is in SVG/MathML namespace, only its children are HTML
         if (options.insideForeignContent && (lowerTag === 'foreignobject' ||
@@ -1500,13 +2499,13 @@ async function minifyHTML(value, options, partialMarkup) {
         // `<colgroup>` may be omitted if first thing inside is `<col>`
         // `<tbody>` may be omitted if first thing inside is `<tr>`
         if (htmlTag && canRemoveParentTag(optionalStartTag, tag)) {
-          removeStartTag();
+          removeStartTag('removeOptionalTags');
         }
         optionalStartTag = '';
         // End-tag-followed-by-start-tag omission rules
         if (htmlTag && canRemovePrecedingTag(optionalEndTag, tag)) {
           if (optionalEndTagEmitted) {
-            removeEndTag();
+            removeEndTag('removeOptionalTags');
           }
           // `<colgroup>` cannot be omitted if preceding `</colgroup>` is omitted
           // `<tbody>` cannot be omitted if preceding `</tbody>`, `</thead>`, or `</tfoot>` is omitted
@@ -1522,11 +2521,11 @@ async function minifyHTML(value, options, partialMarkup) {
           squashTrailingWhitespace(tag);
         }
         if (!unary) {
-          if (!canTrimWhitespace(tag, attrs) || stackNoTrimWhitespace.length) {
+          if (keepWhitespace || !canTrimWhitespace(tag, attrs) || stackNoTrimWhitespace.length) {
             stackNoTrimWhitespace.push(tag);
             if (tag === 'pre' || tag === 'textarea') preTextareaDepth++;
           }
-          if (!canCollapseWhitespace(tag, attrs) || stackNoCollapseWhitespace.length) {
+          if (keepWhitespace || !canCollapseWhitespace(tag, attrs) || stackNoCollapseWhitespace.length) {
             stackNoCollapseWhitespace.push(tag);
           }
         }
@@ -1536,6 +2535,7 @@ async function minifyHTML(value, options, partialMarkup) {
       if (lowerTag === 'svg' && options.minifySVG) {
         if (svgDepth === 0) {
           svgBufferStartIndex = buffer.length; // Record position before <svg> is pushed
+          svgOffset = parser.tokenStart;
         }
         svgDepth++;
       }
@@ -1550,6 +2550,10 @@ async function minifyHTML(value, options, partialMarkup) {
       // https://html.spec.whatwg.org/multipage/parsing.html#attribute-name-state
       deduplicateAttributes(attrs, Boolean(options.caseSensitive));
 
+      if (options.addIntegrity && !options.insideForeignContent) {
+        await updateIntegrity(tag.toLowerCase(), attrs, options.addIntegrity);
+      }
+
       if (options.sortAttributes) {
         // By the time tags are processed, `createSortFns` has replaced any truthy non-function value
         /** @type {(tag: string, attrs: HTMLAttribute[]) => void} */ (options.sortAttributes)(tag, attrs);
@@ -1595,8 +2599,20 @@ async function minifyHTML(value, options, partialMarkup) {
         optionalStartTag = '';
         currentTag = '';
       }
+
+      // A void element’s overrides end with its start tag
+      if (unary && overridden) {
+        options = outerOptions;
+      }
     },
     end: function (/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ autoGenerated) {
+      if (origins) origin = parser.tokenStart;
+      const openElement = openElements[openElements.length - 1];
+      const closing = openElement && openElement.tag === tag.toLowerCase() ? openElement : null;
+      // Regions started in the element end with it
+      while (closing && regions.length && (regions[regions.length - 1]?.depth ?? 0) >= openElements.length) {
+        closeRegion();
+      }
       // As in `start`: `lowerTag` stays '' when no foreign content is around
       let lowerTag = '';
       if (hasForeignContext) {
@@ -1636,7 +2652,7 @@ async function minifyHTML(value, options, partialMarkup) {
       if (options.removeOptionalTags) {
         // `<html>`, `<head>` or `<body>` may be omitted if the element is empty
         if (isElementEmpty && topLevelElements.has(optionalStartTag)) {
-          removeStartTag();
+          removeStartTag('removeOptionalTags');
         }
         optionalStartTag = '';
         // `</html>` or `</body>` may be omitted if not followed by comment
@@ -1645,7 +2661,7 @@ async function minifyHTML(value, options, partialMarkup) {
         // https://html.spec.whatwg.org/multipage/syntax.html#optional-tags
         // except for `</dt>` or `</thead>`, end tags may be omitted if no more content in parent element
         if (tag && optionalEndTag && optionalEndTagEmitted && !trailingElements.has(optionalEndTag) && (optionalEndTag !== 'p' || (!pInlineElements.has(tag) && !tag.includes('-')))) {
-          removeEndTag();
+          removeEndTag('removeOptionalTags');
         }
         optionalEndTag = optionalEndTags.has(tag) ? tag : '';
         optionalEndTagEmitted = true;
@@ -1679,6 +2695,9 @@ async function minifyHTML(value, options, partialMarkup) {
             currentChars += '|';
           }
         }
+      } else if (tag === 'style' && !isElementEmpty && options.extracted && !options.insideForeignContent && linkStyle(attrs)) {
+        charsPrevTag = '/' + tag;
+        currentChars = '';
       } else {
         if (autoGenerated && !options.includeAutoGeneratedTags) {
           optionalEndTagEmitted = false;
@@ -1697,12 +2716,19 @@ async function minifyHTML(value, options, partialMarkup) {
       if (lowerTag === 'svg' && options.minifySVG && svgDepth > 0) {
         svgDepth--;
         if (svgDepth === 0 && svgBufferStartIndex >= 0) {
-          svgBlocks.push({ start: svgBufferStartIndex, end: buffer.length });
+          svgBlocks.push({ start: svgBufferStartIndex, end: buffer.length, offset: svgOffset, minifySVG: options.minifySVG });
           svgBufferStartIndex = -1;
         }
       }
+
+      if (closing) {
+        openElements.pop();
+        if (closing.swapped) options = Object.getPrototypeOf(options);
+        if (closing.keepWhitespace && buffer[buffer.length - 1] === '</' + tag + '>') keptEndIndex = buffer.length - 1;
+      }
     },
     chars: function (/** @type {string} */ text, /** @type {string} */ prevTag, /** @type {string} */ nextTag, /** @type {HTMLAttribute[]} */ prevAttrs, /** @type {HTMLAttribute[]} */ nextAttrs) {
+      if (origins) origin = parser.tokenStart;
       // Publish this node’s context for the `charsCollapse`/`charsFinalize` phases
       textPrevTag = prevTag === '' ? 'comment' : prevTag;
       textNextTag = nextTag === '' ? 'comment' : nextTag;
@@ -1711,6 +2737,8 @@ async function minifyHTML(value, options, partialMarkup) {
 
       // Detect whether any async work is actually needed for this text node
       const needsDecode = options.decodeEntities && text && !specialContentElements.has(currentTag) && text.indexOf('&') !== -1;
+      // Decoding may make for characters to encode
+      const needsEncode = options.outputCharset === 'ascii' && !specialContentElements.has(currentTag) && !rawTextElements.has(currentTag) && (needsDecode || hasNonASCII(text));
       const needsProcessScript = specialContentElements.has(currentTag) && (options.processScripts || hasJsonScriptType(currentAttrs));
       const needsMinifyJS = options.minifyJS !== identity && isExecutableScript(currentTag, currentAttrs);
       const isModuleScript = needsMinifyJS && currentAttrs.some(
@@ -1719,13 +2747,14 @@ async function minifyHTML(value, options, partialMarkup) {
       const needsMinifyCSS = options.minifyCSS !== identity && isStyleElement(currentTag, currentAttrs);
 
       // Fast path: All work is sync—skip async machinery entirely
-      if (!needsDecode && !needsProcessScript && !needsMinifyJS && !needsMinifyCSS) {
+      if (!needsDecode && !needsEncode && !needsProcessScript && !needsMinifyJS && !needsMinifyCSS) {
         charsFinalize(charsCollapse(text));
         return;
       }
 
       // Slow path: At least one async step required
       return (async () => {
+        const raw = text;
         if (needsDecode) {
           text = (await getDecodeHTML())(text);
         }
@@ -1733,23 +2762,72 @@ async function minifyHTML(value, options, partialMarkup) {
         if (needsProcessScript) {
           text = await processScript(text, options, currentAttrs, minifyHTML);
         }
+        // Engine maps describe the block as handed over, which collapsing may
+        // have trimmed at the start
+        const input = text;
+        const onMap = origins && (needsMinifyJS || needsMinifyCSS)
+          ? (/** @type {SourceMap} */ map) => {
+            pendingBlockMap = { map, input, start: origin + Math.max(0, raw.indexOf(input)) };
+          }
+          : undefined;
+        // Engines place what they report in the block as handed over, too
+        const diagnose = ownsDiagnostics && (needsMinifyJS || needsMinifyCSS)
+          ? (/** @type {Diagnostic} */ diagnostic) => options.diagnostics?.report(diagnostic, parser.tokenStart + Math.max(0, raw.indexOf(input)), true)
+          : undefined;
         if (needsMinifyJS) {
-          text = await options.minifyJS(text, false, isModuleScript);
+          /** @type {EngineContext} */
+          const context = { ...options.engineContext };
+          if (onMap) context.onMap = onMap;
+          if (diagnose) context.diagnose = diagnose;
+          text = await options.minifyJS(text, false, isModuleScript, context);
         }
         if (needsMinifyCSS) {
-          text = await options.minifyCSS(text, undefined, options.cssContext);
+          /** @type {ProcessedOptions['cssContext']} */
+          let context = options.cssContext;
+          if (onMap || diagnose) {
+            context = { ...options.cssContext, warned: options.cssContext?.warned ?? new Set() };
+            if (onMap) context.onMap = onMap;
+            if (diagnose) context.diagnose = diagnose;
+          }
+          text = await options.minifyCSS(text, undefined, context);
         }
-        charsFinalize(text);
+        charsFinalize(text, needsEncode && hasNonASCII(text) ? await getEncodeASCII() : null);
       })();
     },
     comment: function (/** @type {string} */ text, /** @type {boolean} */ nonStandard) {
+      if (origins) origin = parser.tokenStart;
       const prefix = nonStandard ? '<!' : '<!--';
       const suffix = nonStandard ? '>' : '-->';
 
+      // Directives come off like removed comments; unknown ones are left (an
+      // unpaired `htmlmin:ignore` among them)
+      const directive = hasDirectives && !nonStandard ? RE_DIRECTIVE_COMMENT.exec(text) : null;
+      const name = (directive?.[1] ?? '').toLowerCase();
+      const argument = directive?.[2] ?? '';
+      if (name === 'end') {
+        if (regions.length && regions[regions.length - 1]?.depth === openElements.length) {
+          closeRegion();
+        } else {
+          reportDirective('Ignoring `htmlmin:end`—no region started in the same element is left to end');
+        }
+        commentFinalize('');
+        return;
+      }
+      if (directive && parseDirective(name, argument)) {
+        const layer = directiveLayer('htmlmin:' + name, name, argument);
+        if (layer) openRegion(layer);
+        commentFinalize('');
+        return;
+      }
+      if (directive && name !== 'ignore') {
+        reportDirective(`Ignoring \`htmlmin:${name}\`—there is no such directive`);
+      }
+
       if (options.removeComments) {
         if (isIgnoredComment(text, options)) {
           text = prefix + text + suffix;
         } else {
+          addSavings(options.savings, 'removeComments', prefix + text + suffix, '');
           text = '';
         }
       } else {
@@ -1757,72 +2835,89 @@ async function minifyHTML(value, options, partialMarkup) {
       }
       commentFinalize(text);
     },
+    parseError: function (/** @type {number} */ offset) {
+      options.diagnostics?.report({
+        code: 'parse-error',
+        severity: 'warning',
+        source: 'parser',
+        message: 'Unable to parse markup, kept as text'
+      }, ownsDiagnostics ? offset : undefined);
+    },
     doctype: function (/** @type {string} */ doctype) {
+      if (origins) origin = parser.tokenStart;
       buffer.push(options.useShortDoctype
         ? '<!doctype' +
         (options.removeTagWhitespace ? '' : ' ') + 'html>'
         : collapseWhitespaceAll(doctype));
     }
-  });
+  };
+
+  // Markup plugins insert is set aside like `htmlmin:ignore` content, the comment
+  // standing in for it going through the handler
+  let events = options.plugins?.length
+    ? withPlugins(handler, options.plugins, {
+      options: () => options,
+      insert: html => handler.comment?.(ignorePlaceholder(html, value)),
+      isPlaceholder: text => Boolean(uidIgnorePlaceholderPattern?.test('<!--' + text + '-->'))
+    })
+    : handler;
+  // Outermost, so plugin hooks don’t run once the document is aborted
+  if (options.cancellation) {
+    events = withCancellation(events, options.cancellation, options);
+  }
+  const parser = new HTMLParser(value, events, pull);
+  if (ownsDiagnostics && options.diagnostics) {
+    options.diagnostics.current = () => parser.tokenStart;
+    options.diagnostics.locate = lineColumn && (offset => lineColumn(sourceOffset(offset)));
+  }
 
   await parser.parse();
 
   // Post-processing: Optimize SVG blocks with SVGO
-  // Run all SVGO calls in parallel, then splice results in reverse to preserve indices
-  const minifySVG = options.minifySVG;
-  if (minifySVG && svgBlocks.length) {
-    const optimized = await Promise.all(
-      svgBlocks.map(({ start, end }) =>
-        minifySVG(buffer.slice(start, end).join(''))
-      )
-    );
-    for (let i = svgBlocks.length - 1; i >= 0; i--) {
-      const block = svgBlocks[i];
-      if (block) buffer.splice(block.start, block.end - block.start, optimized[i] ?? '');
-    }
-  }
+  await minifySVGBlocks(svgBlocks.length);
 
   if (options.removeOptionalTags) {
     // `<html>` may be omitted if first thing inside is not a comment
     // `<head>` or `<body>` may be omitted if empty
     if (topLevelElements.has(optionalStartTag)) {
-      removeStartTag();
+      removeStartTag('removeOptionalTags');
     }
     // except for `</dt>` or `</thead>`, end tags may be omitted if no more content in parent element
     if (optionalEndTag && optionalEndTagEmitted && !trailingElements.has(optionalEndTag)) {
-      removeEndTag();
+      removeEndTag('removeOptionalTags');
     }
   }
   if (options.collapseWhitespace) {
     squashTrailingWhitespace('br');
   }
 
-  return joinResultSegments(buffer, options, uidPattern
-    ? function (/** @type {string} */ str) {
-      return str.replace(/** @type {RegExp} */ (uidPattern), function (/** @type {string} */ match, /** @type {string} */ prefix, /** @type {string} */ index, /** @type {string} */ suffix) {
-        let chunk = ignoredCustomMarkupChunks[+index]?.[0] ?? match;
-        if (options.collapseWhitespace) {
-          if (prefix !== '\t') {
-            chunk = prefix + chunk;
-          }
-          if (suffix !== '\t') {
-            chunk += suffix;
-          }
-          return collapseWhitespace(chunk, {
-            preserveLineBreaks: options.preserveLineBreaks,
-            conservativeCollapse: !options.trimCustomFragments
-          }, /^[ \n\r\t\f]/.test(chunk), /[ \n\r\t\f]$/.test(chunk));
-        }
-        return chunk;
-      });
-    }
-    : identity, uidIgnore
-    ? function (/** @type {string} */ str) {
-      return str.replace(new RegExp('<!--' + uidIgnore + '([0-9]+)-->', 'g'), function (/** @type {string} */ _match, /** @type {string} */ index) {
-        return ignoredMarkupChunks[+index] ?? '';
-      });
+  if (stream) {
+    // What is left is the end of the document
+    const html = restoreIgnore(restoreCustom(buffer.join('')));
+    if (!options.collapseWhitespace) return html;
+    return streamWritten
+      ? collapseWhitespace('>' + html, options, false, true).slice(1)
+      : collapseWhitespace(html, options, true, true);
+  }
+
+  // Line wrapping consumes the buffer, so the segments to align are taken first
+  const segments = origins ? buffer.map(str => restoreIgnore(restoreCustom(str))) : null;
+  const result = joinResultSegments(buffer, options, restoreCustom, restoreIgnore);
+
+  if (mapping && origins && segments) {
+    const bases = alignSegments(segments, result);
+    for (let i = 0; i < segments.length; i++) {
+      const base = bases[i] ?? -1;
+      if (base < 0) continue;
+      const block = blockMaps[i];
+      mapping.points.push([Math.max(0, base), sourceOffset(block ? block.start : origins[i] ?? 0)]);
+      if (block) {
+        addBlockPoints(mapping.points, block.map, segments[i] ?? '', base, block.input, sourceOffset(block.start));
+      }
     }
-    : identity);
+  }
+
+  return result;
 }
 
 /**
@@ -1870,23 +2965,67 @@ function joinResultSegments(results, options, restoreCustom, restoreIgnore) {
   } else {
     str = restoreIgnore(restoreCustom(results.join('')));
   }
-  return options.collapseWhitespace ? collapseWhitespace(str, options, true, true) : str;
+  if (options.collapseWhitespace) {
+    const collapsed = collapseWhitespace(str, options, true, true);
+    addSavings(options.savings, 'collapseWhitespace', str, collapsed);
+    return collapsed;
+  }
+  return str;
 }
 
+/**
+ * @typedef {Object} MinifierState
+ *  Caches and warn-once state shared by the documents one minifier handles: a
+ *  process-wide one for `minify()` and the other top-level functions, and one per
+ *  `createMinifier()` instance.
+ *
+ * @prop {{cssMinifyCache: LRU, jsMinifyCache: LRU, svgMinifyCache: LRU} | null} caches
+ *  Minification caches, created on first use.
+ * @prop {WeakMap<object, {snapshot: unknown, processed: ProcessedOptions}>} processedOptionsCache
+ *  Memoized options processing (see `processDocumentOptions`); processed options
+ *  hold on to the caches, so they cannot be shared between states.
+ * @prop {WarnedSets} warnedSets What option processing has already warned about.
+ * @prop {boolean} snapshotBudgetWarned Whether an options object too complex to memoize has been warned about.
+ */
+
+/** @returns {MinifierState} */
+function createMinifierState() {
+  return {
+    caches: null,
+    processedOptionsCache: new WeakMap(),
+    warnedSets: createWarnedSets(),
+    snapshotBudgetWarned: false
+  };
+}
+
+// State behind `minify()` and the other top-level functions
+const defaultState = createMinifierState();
+
+// Sanitize a cache size: Non-finite/NaN gives `undefined` (the caller’s fallback); otherwise clamped to min 1 and floored
+const sanitizeSize = (/** @type {number | undefined} */ size) => size !== undefined && Number.isFinite(size) ? Math.max(1, Math.floor(size)) : undefined;
+
+// Sanitize a byte limit: A positive number or `Infinity`; anything else gives `undefined`
+const sanitizeMaxBytes = (/** @type {number | undefined} */ size) => typeof size === 'number' && size > 0 ? Math.floor(size) : undefined;
+
 /**
  * Initialize minification caches with configurable sizes.
  *
  * Important behavior notes:
- * - Caches are created on the first `minify()` call and persist for the lifetime of the process
- * - Cache sizes are locked after first initialization—subsequent calls use the same caches
- *   even if different `cacheCSS`/`cacheJS`/`cacheSVG` options are provided
+ * - Caches are created on the first `minify()` call and persist for the lifetime of the state—
+ *   for the top-level functions, the process
+ * - Cache sizes are set at first initialization—subsequent calls use the same caches
+ *   even if different `cacheCSS`/`cacheJS`/`cacheSVG`/`cacheMaxBytes` options are provided;
+ *   only `resizeCaches` changes them
  * - The first call’s options determine the cache sizes for subsequent calls
  * - Invalid values (NaN, Infinity) fall back to the default size (500); values below `1` are clamped to `1`
  */
-/** @param {MinifierOptions} options */
-function initCaches(options) {
+/**
+ * @param {MinifierState} state
+ * @param {MinifierOptions} options
+ */
+function initCaches(state, options) {
   // Only create caches once (on first call)—sizes are locked after this
-  if (!cssMinifyCache) {
+  if (!state.caches) {
     const defaultSize = 500;
 
     // Helper to parse env var—returns parsed number (including 0) or undefined if absent, invalid, or negative
@@ -1899,8 +3038,6 @@ function initCaches(options) {
       return parsed;
     };
 
-    // Sanitize a cache size: Non-finite/NaN falls back to `defaultSize`; otherwise clamped to min 1 and floored
-    const sanitizeSize = (/** @type {number} */ size) => Number.isFinite(size) ? Math.max(1, Math.floor(size)) : defaultSize;
 
     // Get cache sizes with precedence: Options > env > default
     const cssSize = options.cacheCSS !== undefined ? options.cacheCSS
@@ -1910,16 +3047,77 @@ function initCaches(options) {
     const svgSize = options.cacheSVG !== undefined ? options.cacheSVG
                  : (parseEnvCacheSize(process.env.HMN_CACHE_SVG) ?? defaultSize);
 
-    const cssFinalSize = sanitizeSize(cssSize);
-    const jsFinalSize = sanitizeSize(jsSize);
-    const svgFinalSize = sanitizeSize(svgSize);
+    const maxBytes = sanitizeMaxBytes(options.cacheMaxBytes !== undefined ? options.cacheMaxBytes
+                 : parseEnvCacheSize(process.env.HMN_CACHE_MAX_BYTES)) ?? Infinity;
 
-    cssMinifyCache = new LRU(cssFinalSize);
-    jsMinifyCache = new LRU(jsFinalSize);
-    svgMinifyCache = new LRU(svgFinalSize);
+    state.caches = {
+      cssMinifyCache: new LRU(sanitizeSize(cssSize) ?? defaultSize, maxBytes),
+      jsMinifyCache: new LRU(sanitizeSize(jsSize) ?? defaultSize, maxBytes),
+      svgMinifyCache: new LRU(sanitizeSize(svgSize) ?? defaultSize, maxBytes)
+    };
   }
 
-  return { cssMinifyCache, jsMinifyCache, svgMinifyCache };
+  return state.caches;
+}
+
+/**
+ * @param {MinifierState} state
+ * @returns {{ css: CacheStats, js: CacheStats, svg: CacheStats }}
+ */
+function cacheStats(state) {
+  return {
+    css: cacheStatsOrEmpty(state.caches?.cssMinifyCache ?? null),
+    js: cacheStatsOrEmpty(state.caches?.jsMinifyCache ?? null),
+    svg: cacheStatsOrEmpty(state.caches?.svgMinifyCache ?? null)
+  };
+}
+
+/**
+ * @param {MinifierState} state
+ * @returns {{ css: DetailedCacheStats, js: DetailedCacheStats, svg: DetailedCacheStats }}
+ */
+function detailedCacheStats(state) {
+  const { cssMinifyCache, jsMinifyCache, svgMinifyCache } = initCaches(state, EMPTY_OPTIONS);
+  return { css: cssMinifyCache.details(), js: jsMinifyCache.details(), svg: svgMinifyCache.details() };
+}
+
+/**
+ * @param {MinifierState} state
+ */
+function clearStateCaches(state) {
+  if (!state.caches) return;
+  state.caches.cssMinifyCache.clear();
+  state.caches.jsMinifyCache.clear();
+  state.caches.svgMinifyCache.clear();
+}
+
+/**
+ * @param {MinifierState} state
+ * @param {CacheSizes} sizes
+ */
+function resizeStateCaches(state, sizes) {
+  // Checked for all caches before any is changed
+  /** @type {Array<{name: string, entries: number | undefined, maxBytes: number | undefined}>} */
+  const changes = [];
+  for (const name of /** @type {const} */ (['css', 'js', 'svg'])) {
+    const size = sizes[name];
+    if (size === undefined) continue;
+    const { entries, maxBytes } = typeof size === 'object' && size !== null ? size : { entries: size, maxBytes: undefined };
+    if (entries !== undefined && !(typeof entries === 'number' && Number.isFinite(entries) && entries >= 0)) {
+      throw new TypeError(`HTML Minifier Next: \`resizeCaches\` takes a number of entries from 0 up for \`${name}\` (received ${String(entries)})`);
+    }
+    if (maxBytes !== undefined && !(typeof maxBytes === 'number' && maxBytes > 0)) {
+      throw new TypeError(`HTML Minifier Next: \`resizeCaches\` takes a positive size in bytes, or \`Infinity\`, for \`${name}.maxBytes\` (received ${String(maxBytes)})`);
+    }
+    changes.push({ name, entries, maxBytes });
+  }
+  const caches = initCaches(state, EMPTY_OPTIONS);
+  /** @type {Record<string, LRU>} */
+  const byName = { css: caches.cssMinifyCache, js: caches.jsMinifyCache, svg: caches.svgMinifyCache };
+  for (const { name, entries, maxBytes } of changes) {
+    const cache = /** @type {LRU} */ (byName[name]);
+    cache.resize(sanitizeSize(entries) ?? cache.limit, sanitizeMaxBytes(maxBytes) ?? cache.maxBytes);
+  }
 }
 
 /**
@@ -1932,11 +3130,38 @@ function initCaches(options) {
  * @returns {{ css: CacheStats, js: CacheStats, svg: CacheStats }}
  */
 export function getCacheStats() {
-  return {
-    css: cacheStatsOrEmpty(cssMinifyCache),
-    js: cacheStatsOrEmpty(jsMinifyCache),
-    svg: cacheStatsOrEmpty(svgMinifyCache)
-  };
+  return cacheStats(defaultState);
+}
+
+/**
+ * Get statistics for the CSS, JavaScript, and SVG minification caches, including
+ * their estimated size in bytes, their limits, and how many entries they have
+ * dropped to stay within them.
+ *
+ * @returns {{ css: DetailedCacheStats, js: DetailedCacheStats, svg: DetailedCacheStats }}
+ */
+export function getDetailedCacheStats() {
+  return detailedCacheStats(defaultState);
+}
+
+/**
+ * Empty the CSS, JavaScript, and SVG minification caches and reset their
+ * statistics, e.g., under memory pressure. Entries on disk (`cacheDir`) are kept.
+ */
+export function clearCaches() {
+  clearStateCaches(defaultState);
+}
+
+/**
+ * Change the limits of the CSS, JavaScript, and SVG minification caches, dropping
+ * the least recently used entries that no longer fit. Creates the caches if no
+ * `minify()` call has yet, in which case their other limits are the defaults
+ * rather than what the first call’s options would have set.
+ *
+ * @param {CacheSizes} sizes
+ */
+export function resizeCaches(sizes) {
+  resizeStateCaches(defaultState, sizes);
 }
 
 // Memoized options processing: Batch runs typically pass one options object to
@@ -1949,8 +3174,6 @@ export function getCacheStats() {
 // sorters, UID comment patterns) that must not leak across calls.
 /** @type {MinifierOptions} */
 const EMPTY_OPTIONS = {};
-/** @type {WeakMap<object, {snapshot: unknown, processed: ProcessedOptions}>} */
-const processedOptionsCache = new WeakMap();
 
 // A “plain” value is an array or plain object, which the snapshot copies and
 // compares structurally; anything else (functions, RegExps, class instances)
@@ -1969,8 +3192,7 @@ function isPlainValue(value) {
 // back to per-call processing
 const SNAPSHOT_MAX_NODES = 1024;
 const SNAPSHOT_UNSAFE = Symbol('snapshot-unsafe');
-// Skipped memoization is fail-safe but silent—warn once per process
-let snapshotBudgetWarned = false;
+// Skipped memoization is fail-safe but silent—warn once per state (see `MinifierState`)
 
 /**
  * @param {unknown} value
@@ -2029,21 +3251,22 @@ function valueUnchanged(snapshot, current) {
 }
 
 /**
- * @param {string} value
+ * Process options for one document, reusing the processed base while the options
+ * object is unchanged
  * @param {MinifierOptions} [options]
- * @returns {Promise<string>}
+ * @param {Savings} [savings] - Collects per-transformation savings
+ * @param {MinifierState} [state]
+ * @returns {ProcessedOptions & {cssContext: NonNullable<ProcessedOptions['cssContext']>}}
  */
-export const minify = async function (value, options) {
-  const start = Date.now();
-
+function processDocumentOptions(options, savings, state = defaultState) {
   const inputOptions = options || EMPTY_OPTIONS;
 
   // Initialize caches on first use with configurable sizes
-  const caches = initCaches(inputOptions);
+  const caches = initCaches(state, inputOptions);
 
   // WeakMap keys must be objects
   const canMemoize = typeof inputOptions === 'object' && inputOptions !== null;
-  const cached = canMemoize ? processedOptionsCache.get(inputOptions) : undefined;
+  const cached = canMemoize ? state.processedOptionsCache.get(inputOptions) : undefined;
   /** @type {ProcessedOptions} */
   let processedBase;
   // `valueUnchanged` needs no budget of its own: Recursion is bounded by the
@@ -2056,18 +3279,18 @@ export const minify = async function (value, options) {
       getTerser,
       getSwc,
       getSvgo,
-      cssMinifyCache: caches.cssMinifyCache ?? undefined,
-      jsMinifyCache: caches.jsMinifyCache ?? undefined,
-      svgMinifyCache: caches.svgMinifyCache ?? undefined
+      cssMinifyCache: caches.cssMinifyCache,
+      jsMinifyCache: caches.jsMinifyCache,
+      svgMinifyCache: caches.svgMinifyCache,
+      warnedSets: state.warnedSets
     });
     if (canMemoize) {
       const snapshot = snapshotValue(inputOptions, { budget: SNAPSHOT_MAX_NODES });
       if (snapshot !== SNAPSHOT_UNSAFE) {
-        processedOptionsCache.set(inputOptions, { snapshot, processed: processedBase });
-      } else if (!snapshotBudgetWarned) {
-        snapshotBudgetWarned = true;
-        const warn = typeof inputOptions.log === 'function' ? inputOptions.log : console.warn;
-        warn('HTML Minifier Next: Options object exceeds the memoization complexity limit; options will be processed on every call');
+        state.processedOptionsCache.set(inputOptions, { snapshot, processed: processedBase });
+      } else if (!state.snapshotBudgetWarned) {
+        state.snapshotBudgetWarned = true;
+        createOptionsWarner(inputOptions)('options-not-memoized', 'Options object exceeds the memoization complexity limit; options will be processed on every call');
       }
     }
   }
@@ -2077,6 +3300,174 @@ export const minify = async function (value, options) {
   // Warnings are deduplicated per document, so the state has to live on the per-call
   // copy; the `minifyCSS` closure hangs off the memoized base, shared across calls
   processedOptions.cssContext = { warned: new Set() };
+  // Style sheets `extractCSS` takes out of this document, to be written once it is done
+  if (processedOptions.extractCSS) {
+    processedOptions.extracted = new Map();
+  }
+  // Local assets come in ahead of other plugins, which see them as if inline;
+  // what came in is kept for `verify`
+  if (processedOptions.inlineAssets) {
+    processedOptions.inlined = { styles: new Set(), scripts: new Set(), images: new Map(), svgs: new Map() };
+    processedOptions.plugins = [createInlinePlugin(processedOptions.inlineAssets, processedOptions.inlined), ...(processedOptions.plugins ?? [])];
+  }
+  // Event handlers are taken out after other plugins, which may add some
+  if (processedOptions.extractEventHandlers) {
+    processedOptions.handlers = { hooks: new Map(), markup: null, files: new Map() };
+    processedOptions.plugins = [...(processedOptions.plugins ?? []), createEventHandlerPlugin(processedOptions.extractEventHandlers, processedOptions.handlers)];
+  }
+  /** @type {EngineContext} */
+  const engineContext = {};
+  if (savings) {
+    processedOptions.savings = savings;
+    processedOptions.cssContext.savings = savings;
+    engineContext.savings = savings;
+  }
+  // The timeout starts with the document
+  const cancellation = createCancellation(inputOptions.signal, inputOptions.timeout);
+  if (cancellation) {
+    processedOptions.cancellation = cancellation;
+    processedOptions.cssContext.cancellation = cancellation;
+    engineContext.cancellation = cancellation;
+  }
+  // Where in the document diagnostics are placed is set as it is parsed
+  if (processedOptions.onDiagnostic) {
+    const diagnostics = createDiagnostics(processedOptions.onDiagnostic);
+    const diagnose = (/** @type {Diagnostic} */ diagnostic) => diagnostics.report(diagnostic);
+    processedOptions.diagnostics = diagnostics;
+    processedOptions.cssContext.diagnose = diagnose;
+    engineContext.diagnose = diagnose;
+  }
+  if (savings || cancellation || processedOptions.diagnostics) {
+    processedOptions.engineContext = engineContext;
+  }
+  return /** @type {ReturnType<typeof processDocumentOptions>} */ (processedOptions);
+}
+
+/**
+ * @param {string} value
+ * @param {MinifierOptions} [options]
+ * @param {{points: MappingPoint[]}} [mapping] - Collects source map points
+ * @param {Savings} [savings] - Collects per-transformation savings
+ * @param {MinifierState} [state]
+ * @returns {Promise<string>}
+ */
+async function minifyDocument(value, options, mapping, savings, state) {
+  const start = Date.now();
+  const processedOptions = processDocumentOptions(options, savings, state);
+  try {
+    return await minifyProcessed(value, processedOptions, start, mapping);
+  } finally {
+    processedOptions.cancellation?.dispose();
+  }
+}
+
+/**
+ * Style sheets and `style` attributes overrides and directives leave unminified,
+ * where renaming can’t reach the names they use—tracking where `minifyCSS` is off the way `minifyHTML`
+ * puts options in place, element by element and region by region
+ * @param {string} value
+ * @param {ProcessedOptions} options
+ * @returns {Promise<string[]>}
+ */
+async function findUnminifiedCSS(value, options) {
+  const overrides = options.overrides?.some(override => 'minifyCSS' in override.options) ? options.overrides : null;
+  const hasDirectives = RE_DIRECTIVE_PROBE.test(value);
+  /** @type {string[]} */
+  const kept = [];
+  if (!overrides && !hasDirectives) {
+    return kept;
+  }
+  const decode = hasDirectives && value.indexOf('&') !== -1
+    ? /** @type {(text: string) => string} */ (await getDecodeHTML())
+    : null;
+  let minifies = true;
+  let inStyle = false;
+  // What it was outside of each open element and region
+  /** @type {Array<OpenElement & {outer: boolean}>} */
+  const openElements = [];
+  /** @type {Array<{depth: number, outer: boolean}>} */
+  const regions = [];
+  const apply = (/** @type {OptionsLayer | null | undefined} */ layer) => {
+    if (layer && 'minifyCSS' in layer.options) {
+      minifies = layer.options.minifyCSS !== identity;
+    }
+  };
+
+  const parser = new HTMLParser(value, {
+    continueOnParseError: true,
+    partialMarkup: options.partialMarkup,
+    customAttrAssign: options.customAttrAssign,
+    customAttrSurround: options.customAttrSurround,
+    start(/** @type {string} */ tagName, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ unary) {
+      const element = { tag: tagName.toLowerCase(), attrs: attrs.map(attr => ({ name: attr.name.toLowerCase(), value: attr.value })), outer: minifies };
+      for (const override of overrides ?? []) {
+        if (matchesSelector(override.selector, element, openElements)) apply(override);
+      }
+      for (const attr of hasDirectives ? attrs : []) {
+        const match = RE_DIRECTIVE_ATTRIBUTE.exec(attr.name);
+        if (!match) continue;
+        const name = (match[1] ?? '').toLowerCase();
+        const argument = decode && attr.value ? decode(attr.value) : attr.value ?? '';
+        const directive = parseDirective(name, argument);
+        if (directive && 'options' in directive) {
+          apply(options.processLayer?.(directive.options, `\`${attr.name}\``, name + ' ' + argument));
+        }
+      }
+      if (!minifies) {
+        for (const attr of element.attrs) {
+          if (attr.name === 'style') kept.push(attr.value ?? '');
+        }
+      }
+      inStyle = element.tag === 'style' && !unary && !minifies;
+      if (unary) {
+        minifies = element.outer;
+      } else {
+        openElements.push(element);
+      }
+    },
+    end(/** @type {string} */ tagName) {
+      inStyle = false;
+      const openElement = openElements[openElements.length - 1];
+      if (!openElement || openElement.tag !== tagName.toLowerCase()) return;
+      // Regions started in the element end with it
+      while (regions.length && (regions[regions.length - 1]?.depth ?? 0) >= openElements.length) {
+        regions.pop();
+      }
+      openElements.pop();
+      minifies = openElement.outer;
+    },
+    chars(/** @type {string} */ text) {
+      if (inStyle) kept.push(text);
+    },
+    comment(/** @type {string} */ text, /** @type {boolean} */ nonStandard) {
+      const directive = hasDirectives && !nonStandard ? RE_DIRECTIVE_COMMENT.exec(text) : null;
+      const name = (directive?.[1] ?? '').toLowerCase();
+      const argument = directive?.[2] ?? '';
+      const region = regions[regions.length - 1];
+      if (name === 'end' && region?.depth === openElements.length) {
+        regions.pop();
+        minifies = region.outer;
+      }
+      const parsed = directive ? parseDirective(name, argument) : null;
+      if (parsed && 'options' in parsed) {
+        regions.push({ depth: openElements.length, outer: minifies });
+        apply(options.processLayer?.(parsed.options, `\`htmlmin:${name}\``, name + ' ' + argument));
+      }
+    }
+  });
+  await parser.parse();
+  return kept;
+}
+
+/**
+ * @param {string} value
+ * @param {ReturnType<typeof processDocumentOptions>} processedOptions
+ * @param {{points: MappingPoint[]}} [mapping] - Collects source map points
+ * @param {number} start - When minification started, for the log
+ * @returns {Promise<string>}
+ */
+async function minifyProcessed(value, processedOptions, start, mapping) {
+  processedOptions.cancellation?.throwIfAborted();
 
   // Unused-CSS removal needs the whole document’s symbols before the first `style`
   // element is minified, so collect them upfront from the raw input. A document
@@ -2092,15 +3483,352 @@ export const minify = async function (value, options) {
     );
   }
 
-  let result = await minifyHTML(value, processedOptions);
+  // Renames are settled upfront, too, style sheets and markup having to agree on them
+  const { mangleSelectors, mangleCSSNames } = processedOptions;
+  const mangleCSS = mangleCSSNames && RE_CSS_NAME_DEFINITION.test(value);
+  if ((mangleSelectors && RE_STYLE_ELEMENT.test(value)) || mangleCSS) {
+    const decode = value.indexOf('&') !== -1
+      ? /** @type {(text: string) => string} */ (await getDecodeHTML())
+      : undefined;
+    // What `htmlmin:ignore` blocks hold is left as is, names included
+    /** @type {Set<string>} */
+    const fixed = new Set();
+    const blocks = value.split(IGNORE_MARKER);
+    for (let i = 1; i < blocks.length; i += 2) {
+      for (const name of (blocks[i] ?? '').match(/[-\w]+/g) ?? []) {
+        fixed.add(name);
+      }
+    }
+    // And so is CSS that overrides and directives keep from being minified,
+    // custom properties and `@keyframes` names included
+    for (const css of await findUnminifiedCSS(blocks.filter((_block, i) => i % 2 === 0).join(''), processedOptions)) {
+      for (const name of css.match(/[-\w]+/g) ?? []) {
+        fixed.add(name);
+      }
+    }
+    const renames = mangleSelectors ? createRenames(value, mangleSelectors, decode, fixed) : new Map();
+    if (renames.size && mangleSelectors) {
+      processedOptions.cssContext.renames = renames;
+      processedOptions.plugins = [...(processedOptions.plugins ?? []), createManglePlugin(renames, mangleSelectors, decode)];
+    }
+    const nameRenames = mangleCSS ? createCSSNameRenames(value, mangleCSSNames, decode, fixed, renames.values()) : new Map();
+    if (nameRenames.size) {
+      processedOptions.cssContext.nameRenames = nameRenames;
+    }
+  }
+
+  let result = await minifyHTML(value, processedOptions, undefined, mapping);
+
+  // Copies go before scripts are merged, which would hide them
+  if (processedOptions.removeDuplicateResources) {
+    /** @type {Array<[number, number, number]> | undefined} */
+    const runs = mapping ? [] : undefined;
+    result = await removeDuplicateResources(result, processedOptions, runs);
+    if (mapping && runs) {
+      mapping.points = remapGenerated(mapping.points, runs);
+    }
+  }
 
   // Post-processing: Merge consecutive inline scripts if enabled
   if (processedOptions.mergeScripts) {
-    result = mergeConsecutiveScripts(result);
+    /** @type {Array<[number, number, number]> | undefined} */
+    const runs = mapping ? [] : undefined;
+    result = mergeConsecutiveScripts(result, runs);
+    if (mapping && runs) {
+      mapping.points = remapGenerated(mapping.points, runs);
+    }
+  }
+
+  // The script setting up event handlers goes in once all are known
+  if (processedOptions.extractEventHandlers && processedOptions.handlers) {
+    /** @type {Array<[number, number, number]> | undefined} */
+    const runs = mapping ? [] : undefined;
+    result = await emitEventHandlers(result, processedOptions.extractEventHandlers, processedOptions.handlers, processedOptions, runs);
+    if (mapping && runs) {
+      mapping.points = remapGenerated(mapping.points, runs);
+    }
+    await writeExtractedFiles(processedOptions.extractEventHandlers, processedOptions.handlers.files);
+  }
+
+  // Hashes last, as they have to match the bytes browsers get
+  if (processedOptions.cspHashes) {
+    /** @type {Array<[number, number, number]> | undefined} */
+    const runs = mapping ? [] : undefined;
+    result = await applyCSPHashes(result, processedOptions.cspHashes, processedOptions, runs);
+    if (mapping && runs) {
+      mapping.points = remapGenerated(mapping.points, runs);
+    }
+  }
+
+  if (processedOptions.extractCSS && processedOptions.extracted) {
+    await writeExtractedFiles(processedOptions.extractCSS, processedOptions.extracted);
+  }
+
+  if (processedOptions.verify) {
+    const mismatch = await verifyOutput(value, result, processedOptions);
+    if (mismatch) {
+      if (processedOptions.verify !== 'warn') {
+        throw mismatch;
+      }
+      processedOptions.diagnostics?.report({ code: 'verify-mismatch', severity: 'warning', source: 'html', message: mismatch.message });
+      if (processedOptions.log !== identity) {
+        processedOptions.log('Warning: ' + mismatch.message);
+      } else if (!processedOptions.diagnostics) {
+        console.warn('HTML Minifier Next: ' + mismatch.message);
+      }
+    }
   }
 
   processedOptions.log('minified in: ' + (Date.now() - start) + 'ms');
   return result;
+}
+
+/**
+ * Minify a document read in chunks, writing out output as it becomes final. Options
+ * that need the whole document—sorting attributes or class names by frequency,
+ * removing unused CSS, renaming selectors and CSS names, removing duplicate
+ * resources, merging scripts and style sheets, wrapping lines, extracting event
+ * handlers, hashing for CSP, and verifying—have it read in full first, and the output written in
+ * one piece.
+ * @param {() => Promise<string | undefined>} source - Next chunk, undefined at the end
+ * @param {MinifierOptions | undefined} options
+ * @param {(html: string) => void} write
+ * @returns {Promise<void>}
+ */
+async function minifyStream(source, options, write) {
+  const start = Date.now();
+  const processedOptions = processDocumentOptions(options);
+  try {
+    if ((processedOptions.sortAttributes && typeof processedOptions.sortAttributes !== 'function') ||
+        (processedOptions.sortClassNames && typeof processedOptions.sortClassNames !== 'function') ||
+        processedOptions.removeUnusedCSS || processedOptions.mangleSelectors || processedOptions.mangleCSSNames ||
+        processedOptions.removeDuplicateResources || processedOptions.mergeScripts || processedOptions.mergeStyles ||
+        processedOptions.maxLineLength || processedOptions.extractEventHandlers || processedOptions.cspHashes || processedOptions.verify) {
+      let value = '';
+      for (let chunk = await source(); chunk !== undefined; chunk = await source()) {
+        value += chunk;
+      }
+      write(await minifyProcessed(value, processedOptions, start));
+      return;
+    }
+
+    processedOptions.cancellation?.throwIfAborted();
+    const html = await minifyHTML('', processedOptions, undefined, undefined, { source, write });
+    if (processedOptions.extractCSS && processedOptions.extracted) {
+      await writeExtractedFiles(processedOptions.extractCSS, processedOptions.extracted);
+    }
+    if (html) write(html);
+    processedOptions.log('minified in: ' + (Date.now() - start) + 'ms');
+  } finally {
+    processedOptions.cancellation?.dispose();
+  }
+}
+
+/**
+ * Run `minifyStream` on chunks pushed from a stream, decoding bytes as UTF-8
+ * @param {MinifierOptions | undefined} options
+ * @param {(html: string) => void} write
+ */
+function startStream(options, write) {
+  const queue = createChunkQueue();
+  const decoder = new TextDecoder();
+  const done = minifyStream(queue.next, options, write);
+  done.catch(queue.fail);
+  return {
+    /** @param {string | Uint8Array} chunk */
+    push(chunk) {
+      return queue.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+    },
+    async end() {
+      const rest = decoder.decode();
+      if (rest) await queue.push(rest);
+      queue.end();
+      await done;
+    }
+  };
+}
+
+/**
+ * @param {string} value
+ * @param {MinifierOptions} [options]
+ * @returns {Promise<string>}
+ */
+export const minify = async function (value, options) {
+  return minifyDocument(value, options);
+};
+
+/**
+ * Minify like `minify`, and also return a source map from the output back to the
+ * input. Style sheets and scripts minified by Lightning CSS, Terser, or SWC are
+ * mapped down to their tokens; HTML is mapped per tag, attribute run, and text node.
+ *
+ * @param {string} value
+ * @param {MinifierOptions} [options]
+ * @param {SourceMapOptions} [mapOptions]
+ * @returns {Promise<{html: string, map: SourceMap}>}
+ */
+export const minifyWithSourceMap = async function (value, options, mapOptions) {
+  /** @type {{points: MappingPoint[]}} */
+  const mapping = { points: [] };
+  const html = await minifyDocument(value, options, mapping);
+  return { html, map: buildSourceMap(mapping.points, html, value, mapOptions) };
+};
+
+/**
+ * Minify like `minify`, and also report how many bytes each transformation saved
+ *
+ * @param {string} value
+ * @param {MinifierOptions} [options]
+ * @returns {Promise<{html: string, report: MinifyReport}>}
+ */
+export const minifyWithReport = async function (value, options) {
+  const savings = createSavings();
+  const html = await minifyDocument(value, options, undefined, savings);
+  return {
+    html,
+    report: {
+      originalSize: byteLength(value),
+      minifiedSize: byteLength(html),
+      savings
+    }
+  };
+};
+
+/**
+ * Parse a document into a tree of elements, text, comments, and doctypes, as the
+ * minifier’s parser reads it. Of the options, those on parsing apply:
+ * `continueOnParseError`, `partialMarkup`, `customAttrAssign`, and
+ * `customAttrSurround`.
+ *
+ * @param {string} value
+ * @param {MinifierOptions} [options]
+ * @returns {Promise<DocumentNode>}
+ */
+export const parse = async function (value, options) {
+  const processedOptions = processDocumentOptions(options);
+  try {
+    return await buildTree(value, processedOptions);
+  } finally {
+    processedOptions.cancellation?.dispose();
+  }
+};
+
+/**
+ * Write a tree from `parse`, changed or not, back to markup and minify it: The
+ * output is what `minify` gives for the document the tree stands for.
+ *
+ * @param {DocumentNode} tree
+ * @param {MinifierOptions} [options]
+ * @returns {Promise<string>}
+ */
+export const serialize = async function (tree, options) {
+  return minifyDocument(treeToMarkup(tree, processDocumentOptions()), options);
+};
+
+/**
+ * Pretty-print a document: block elements on lines of their own, indented by
+ * depth, where whitespace doesn’t render, so that the document renders as before.
+ * Text and inline elements are kept together, `pre`, `textarea`, `script`, and
+ * `style` elements as they are.
+ *
+ * @param {string} value
+ * @param {FormatOptions} [options]
+ * @returns {Promise<string>}
+ */
+export const format = async function (value, options = {}) {
+  const { indent = 2, wrap, ...parserOptions } = options;
+  const processedOptions = processDocumentOptions(parserOptions);
+  try {
+    const tree = await buildTree(value, processedOptions);
+    return formatTree(tree, {
+      indent: typeof indent === 'number' ? ' '.repeat(Math.max(0, indent)) : indent,
+      wrap: typeof wrap === 'number' && wrap > 0 ? wrap : Infinity,
+      inlineElements: getInlineElements(parserOptions.inlineCustomElements)
+    }, processedOptions);
+  } finally {
+    processedOptions.cancellation?.dispose();
+  }
+};
+
+/**
+ * Create a Node.js transform stream that minifies the HTML written to it, emitting
+ * output as soon as it is final rather than once the whole document has arrived.
+ * Takes strings or UTF-8 buffers; the output is the same as `minify` gives for the
+ * whole document.
+ *
+ * @param {MinifierOptions} [options]
+ * @returns {import('node:stream').Transform}
+ */
+export const createMinifyStream = function (options) {
+  const stream = globalThis.process?.getBuiltinModule?.('node:stream');
+  if (!stream) {
+    throw new Error('`createMinifyStream` requires Node.js; use `createMinifyWebStream` elsewhere');
+  }
+  const transform = new stream.Transform({
+    decodeStrings: false,
+    transform(chunk, _encoding, callback) {
+      session.push(chunk).then(() => callback(), callback);
+    },
+    flush(callback) {
+      session.end().then(() => callback(), callback);
+    }
+  });
+  const session = startStream(options, html => transform.push(html));
+  return transform;
+};
+
+/**
+ * Create a Web Streams `TransformStream` that minifies the HTML written to it, for
+ * runtimes without Node.js streams. Takes strings or UTF-8 bytes, and emits strings.
+ *
+ * @param {MinifierOptions} [options]
+ * @returns {TransformStream<string | Uint8Array, string>}
+ */
+export const createMinifyWebStream = function (options) {
+  /** @type {ReturnType<typeof startStream>} */
+  let session;
+  return new TransformStream({
+    start(controller) {
+      session = startStream(options, html => controller.enqueue(html));
+    },
+    transform(chunk) {
+      return session.push(chunk);
+    },
+    flush() {
+      return session.end();
+    }
+  });
+};
+
+/**
+ * Create a minifier that keeps its own options, CSS/JS/SVG caches, and warn-once
+ * state, for services that minify for several parties and must not have them share
+ * cache capacity or suppressed warnings. Cache sizes come from the given options
+ * (`cacheCSS`, `cacheJS`, `cacheSVG`) rather than from whichever call came first.
+ *
+ * @param {MinifierOptions} [options]
+ * @returns {Minifier}
+ */
+export const createMinifier = function (options) {
+  const state = createMinifierState();
+  initCaches(state, options || EMPTY_OPTIONS);
+  return {
+    minify(value) {
+      return minifyDocument(value, options, undefined, undefined, state);
+    },
+    getCacheStats() {
+      return cacheStats(state);
+    },
+    getDetailedCacheStats() {
+      return detailedCacheStats(state);
+    },
+    clearCaches() {
+      clearStateCaches(state);
+    },
+    resizeCaches(sizes) {
+      resizeStateCaches(state, sizes);
+    }
+  };
 };
 
 // Exports
@@ -2108,13 +3836,28 @@ export const minify = async function (value, options) {
 export {
   presets,
   getPreset,
-  getPresetNames
+  getPresetNames,
+  AbortError,
+  VerifyError
 };
 
 export default {
   minify,
+  minifyWithSourceMap,
+  minifyWithReport,
+  parse,
+  serialize,
+  format,
+  createMinifyStream,
+  createMinifyWebStream,
+  createMinifier,
   presets,
   getPreset,
   getPresetNames,
-  getCacheStats
+  getCacheStats,
+  getDetailedCacheStats,
+  clearCaches,
+  resizeCaches,
+  AbortError,
+  VerifyError
 };
\ No newline at end of file
@@ -18,6 +18,7 @@ import { isThenable, embedSource } from './lib/utils.js';
  *   chars?: Function,
  *   comment?: Function,
  *   doctype?: Function,
+ *   parseError?: Function,
  *   continueOnParseError?: boolean | undefined,
  *   partialMarkup?: boolean | undefined,
  *   wantsNextTag?: boolean | undefined,
@@ -73,7 +74,7 @@ let IS_REGEX_CAPTURING_BROKEN = false;
 });
 
 // Empty elements
-const empty = new Set(['area', 'base', 'basefont', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input', 'isindex', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+export const empty = new Set(['area', 'base', 'basefont', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input', 'isindex', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
 
 // Elements that you can, intentionally, leave open (and which close themselves)
 const closeSelf = new Set(['colgroup', 'dd', 'dt', 'li', 'option', 'p', 'td', 'tfoot', 'th', 'thead', 'tr', 'source']);
@@ -191,16 +192,32 @@ export class HTMLParser {
   /**
    * @param {string} html
    * @param {HTMLParserHandler} handler
+   * @param {() => Promise<string | undefined>} [source] - Supplies more input once `html`
+   *  runs out, and undefined at its end; parsing then waits wherever the input so far
+   *  leaves a token undecided, so each token is reported as it would be for the whole
    */
-  constructor(html, handler) {
+  constructor(html, handler, source) {
     this.html = html;
     this.handler = handler;
+    this.source = source;
+    // Source range of the token behind the handler call in progress; handlers that
+    // track where their output came from read it (implied tags get a zero-width or
+    // the triggering token’s range)
+    this.tokenStart = 0;
+    this.tokenEnd = 0;
   }
 
   async parse() {
     const handler = this.handler;
-    const fullHtml = this.html;
-    const fullLength = fullHtml.length;
+    const source = this.source;
+    let fullHtml = this.html;
+    let fullLength = fullHtml.length;
+    // Whether `fullHtml` runs to the end of the input; with a `source`, input already
+    // parsed is dropped as more arrives, and `base` is where `fullHtml` starts in it
+    let complete = !source;
+    let base = 0;
+    let baseLine = 1;
+    let baseColumn = 1;
 
     /** @type {Array<{tag: string, lowerTag: string, attrs: HTMLAttribute[]}>} */
     const stack = [];
@@ -254,10 +271,16 @@ export class HTMLParser {
     // Helper to advance position
     const advance = (/** @type {number} */ n) => { pos += n; };
 
+    // Publish the source range of the token about to be reported
+    const setToken = (/** @type {number} */ start, /** @type {number} */ end) => {
+      this.tokenStart = base + start;
+      this.tokenEnd = base + end;
+    };
+
     // Lazy line/column calculation—only compute on actual errors
     const getLineColumn = (/** @type {number} */ position) => {
-      let line = 1;
-      let column = 1;
+      let line = baseLine;
+      let column = baseColumn;
       for (let i = 0; i < position; i++) {
         if (fullHtml[i] === '\n') {
           line++;
@@ -274,7 +297,47 @@ export class HTMLParser {
       return fullHtml.slice(startPos);
     };
 
-    while (pos < fullLength) {
+    // Wait for the next chunk of input; false once there is none left
+    const more = async () => {
+      while (!complete) {
+        const chunk = await /** @type {NonNullable<typeof source>} */ (source)();
+        if (chunk === undefined) {
+          complete = true;
+        } else if (chunk) {
+          const { line, column } = getLineColumn(pos);
+          baseLine = line;
+          baseColumn = column;
+          base += pos;
+          fullHtml = fullHtml.slice(pos) + chunk;
+          fullLength = fullHtml.length;
+          pos = 0;
+          cachedNextStartTag = null;
+          cachedNextEndTag = null;
+          nextGtPos = fullHtml.indexOf('>');
+          return true;
+        }
+      }
+      return false;
+    };
+
+    // Whether more input could still make a tag of the `<` at `at`, which the checks
+    // cannot tell from a stray `<` while the tag is cut off
+    const tagPending = (/** @type {number} */ at) => {
+      if (complete) return false;
+      const next = fullHtml.charAt(at + 1);
+      if (next === '/') return !hasCloseAtOrAfter(at);
+      return !next || (startTagOpen.test('<' + next) && !parseStartTag(at));
+    };
+
+    // …or comment, conditional comment, or doctype
+    const markupPending = (/** @type {number} */ at) => {
+      if (complete) return false;
+      const head = fullHtml.slice(at, at + 9).toLowerCase();
+      if (/^<!(?:--|\[|doctype)/.test(head)) return true;
+      return ['<!--', '<![', '<!doctype'].some(open => open.startsWith(head)) || tagPending(at);
+    };
+
+    while (pos < fullLength || await more()) {
       lastPos = pos;
 
       // Make sure not to be in a `script` or `style` element
@@ -289,6 +352,7 @@ export class HTMLParser {
             const startTagMatch = cachedNextStartTag.match;
             cachedNextStartTag = null;
             cachedNextEndTag = null;
+            setToken(pos, pos + startTagMatch.advance);
             advance(startTagMatch.advance);
             await handleStartTag(startTagMatch);
             prevTag = startTagMatch.tagName.toLowerCase();
@@ -298,6 +362,7 @@ export class HTMLParser {
             const endTagMatch = cachedNextEndTag.match;
             cachedNextStartTag = null;
             cachedNextEndTag = null;
+            setToken(pos, pos + (endTagMatch[0] ?? '').length);
             advance((endTagMatch[0] ?? '').length);
             await parseEndTag(endTagMatch[0] ?? '', endTagMatch[1] ?? '');
             prevTag = '/' + (endTagMatch[1] ?? '').toLowerCase();
@@ -313,6 +378,7 @@ export class HTMLParser {
             const commentEnd = fullHtml.indexOf('-->', pos + 4);
 
             if (commentEnd >= 0) {
+              setToken(pos, commentEnd + 3);
               if (handler.comment) {
                 const result = handler.comment(fullHtml.substring(pos + 4, commentEnd));
                 if (isThenable(result)) await result;
@@ -330,6 +396,7 @@ export class HTMLParser {
             const conditionalEnd = fullHtml.indexOf(']>', pos + 3);
 
             if (conditionalEnd >= 0) {
+              setToken(pos, conditionalEnd + 2);
               if (handler.comment) {
                 const result = handler.comment(fullHtml.substring(pos + 2, conditionalEnd + 1), true /* Non-standard */);
                 if (isThenable(result)) await result;
@@ -345,6 +412,7 @@ export class HTMLParser {
           doctypeY.lastIndex = pos;
           const doctypeMatch = doctypeY.exec(fullHtml);
           if (doctypeMatch) {
+            setToken(pos, pos + doctypeMatch[0].length);
             if (handler.doctype) {
               handler.doctype(doctypeMatch[0]);
             }
@@ -360,6 +428,7 @@ export class HTMLParser {
             endTagY.lastIndex = pos;
             const endTagMatch = endTagY.exec(fullHtml);
             if (endTagMatch) {
+              setToken(pos, pos + (endTagMatch[0] ?? '').length);
               advance((endTagMatch[0] ?? '').length);
               await parseEndTag(endTagMatch[0] ?? '', endTagMatch[1] ?? '');
               prevTag = '/' + (endTagMatch[1] ?? '').toLowerCase();
@@ -371,24 +440,36 @@ export class HTMLParser {
           // Start tag
           const startTagMatch = parseStartTag(pos);
           if (startTagMatch) {
+            setToken(pos, pos + startTagMatch.advance);
             advance(startTagMatch.advance);
             await handleStartTag(startTagMatch);
             prevTag = startTagMatch.tagName.toLowerCase();
             continue;
           }
 
-          // Treat `<` as text
+          // Treat `<` as text—unless more input is to come that could complete it
+          if (markupPending(pos) && await more()) {
+            continue;
+          }
           if (handler.continueOnParseError) {
             // Continue looking for next tag
           }
         }
 
+        // Text is only final once its end has arrived, and for whitespace handling,
+        // the tag that follows it
+        if (!complete && (textEnd < 0 || (handler.wantsNextTag && textEnd > pos && tagPending(textEnd))) && await more()) {
+          continue;
+        }
+
         let text;
         if (textEnd >= 0) {
           text = fullHtml.substring(pos, textEnd);
+          setToken(pos, textEnd);
           advance(textEnd - pos);
         } else {
           text = fullHtml.substring(pos);
+          setToken(pos, fullLength);
           advance(fullLength - pos);
         }
 
@@ -435,16 +516,23 @@ export class HTMLParser {
           if (stackedTag !== 'script' && stackedTag !== 'style' && stackedTag !== 'noscript') {
             text = stripDelimited(stripDelimited(text, '<!--', '-->'), '<![CDATA[', ']]>');
           }
+          setToken(pos, pos + (m[1] ?? '').length);
           if (handler.chars) {
             const result = handler.chars(text);
             if (isThenable(result)) await result;
           }
+          setToken(pos + (m[1] ?? '').length, pos + m[0].length);
           // Advance HTML past the matched special tag content and its closing tag
           advance(m[0].length);
           await parseEndTag('</' + stackedTag + '>', stackedTag);
+        } else if (await more()) {
+          // The closing tag may be in the input still to come
+          continue;
         } else {
           // No closing tag found; break to avoid an infinite loop
           if (handler.continueOnParseError && handler.chars && pos < fullLength) {
+            setToken(pos, pos + 1);
+            handler.parseError?.(base + pos);
             const result = handler.chars(fullHtml[pos], prevTag, '', prevAttrs, []);
             if (isThenable(result)) await result;
             advance(1);
@@ -457,6 +545,8 @@ export class HTMLParser {
       if (pos === lastPos) {
         if (handler.continueOnParseError) {
           // Skip the problematic character and continue
+          setToken(pos, pos + 1);
+          handler.parseError?.(base + pos);
           if (handler.chars) {
             const result = handler.chars(fullHtml[pos], prevTag, '', prevAttrs, []);
             if (isThenable(result)) await result;
@@ -477,6 +567,7 @@ export class HTMLParser {
 
     if (!handler.partialMarkup) {
       // Clean up any remaining tags
+      setToken(fullLength, fullLength);
       await parseEndTag('', '');
     }
 
@@ -672,13 +763,13 @@ export class HTMLParser {
       return -1;
     }
 
-    function parseEndTagAt(/** @type {number} */ stackIndex) {
-      // Close all open elements up to `stackIndex` (mirrors `parseEndTag`’s core branch);
-      // `end` handlers are synchronous—invoked without awaiting, as in `parseEndTag`
+    async function parseEndTagAt(/** @type {number} */ stackIndex) {
+      // Close all open elements up to `stackIndex` (mirrors `parseEndTag`’s core branch)
       for (let i = stack.length - 1; i >= stackIndex; i--) {
         const entry = /** @type {NonNullable<(typeof stack)[number]>} */ (stack[i]);
         if (handler.end) {
-          handler.end(entry.tag, entry.attrs, true);
+          const result = handler.end(entry.tag, entry.attrs, true);
+          if (isThenable(result)) await result;
         }
       }
       stack.length = stackIndex;
@@ -686,11 +777,11 @@ export class HTMLParser {
       lastTagLower = stackIndex ? (stack[stackIndex - 1]?.lowerTag ?? '') : '';
     }
 
-    function closeIfFoundInCurrentTable(/** @type {string} */ tagName) {
+    async function closeIfFoundInCurrentTable(/** @type {string} */ tagName) {
       const stackIndex = findTagInCurrentTable(tagName);
       if (stackIndex >= 0) {
         // Close at the specific index to avoid re-searching
-        parseEndTagAt(stackIndex);
+        await parseEndTagAt(stackIndex);
         return true;
       }
       return false;
@@ -704,17 +795,17 @@ export class HTMLParser {
       if (lastTagLower === 'p' && nonPhrasing.has(lowerTagName)) {
         await parseEndTag('', lastTag);
       } else if (lowerTagName === 'tbody') {
-        if (!closeIfFoundInCurrentTable('tfoot')) {
-          closeIfFoundInCurrentTable('thead');
+        if (!await closeIfFoundInCurrentTable('tfoot')) {
+          await closeIfFoundInCurrentTable('thead');
         }
       } else if (lowerTagName === 'tfoot') {
-        if (!closeIfFoundInCurrentTable('tbody')) {
-          closeIfFoundInCurrentTable('thead');
+        if (!await closeIfFoundInCurrentTable('tbody')) {
+          await closeIfFoundInCurrentTable('thead');
         }
       } else if (lowerTagName === 'thead') {
         // If a `tbody` or `tfoot` is open in the current table, close it
-        if (!closeIfFoundInCurrentTable('tbody')) {
-          closeIfFoundInCurrentTable('tfoot');
+        if (!await closeIfFoundInCurrentTable('tbody')) {
+          await closeIfFoundInCurrentTable('tfoot');
         }
       }
       if (lowerTagName === 'col' && findTagInCurrentTable('colgroup') < 0) {
@@ -836,7 +927,8 @@ export class HTMLParser {
         // Close all the open elements, up the stack
         for (let i = stack.length - 1; i >= stackIndex; i--) {
           if (handler.end) {
-            handler.end(stack[i]?.tag, stack[i]?.attrs, i > stackIndex || !tag);
+            const result = handler.end(stack[i]?.tag, stack[i]?.attrs, i > stackIndex || !tag);
+            if (isThenable(result)) await result;
           }
         }
 
@@ -847,7 +939,8 @@ export class HTMLParser {
       } else if (handler.partialMarkup && tagName) {
         // In partial markup mode, preserve stray end tags
         if (handler.end) {
-          handler.end(tagName, [], false);
+          const result = handler.end(tagName, [], false);
+          if (isThenable(result)) await result;
         }
       } else if (lowerTagName === 'br') {
         if (handler.start) {
@@ -858,7 +951,8 @@ export class HTMLParser {
           await handler.start(tagName, [], false, '', true);
         }
         if (handler.end) {
-          handler.end(tagName, []);
+          const result = handler.end(tagName, []);
+          if (isThenable(result)) await result;
         }
       }
     }
@@ -18,10 +18,16 @@ import {
 } from './constants.js';
 import { trimWhitespace, collapseWhitespaceAll } from './whitespace.js';
 import { shouldMinifyInnerHTML } from './options.js';
+import { canContinue } from './cancellation.js';
+import { errorDiagnostic } from './diagnostics.js';
 import { collectUsedSymbols } from './unused-css.js';
 import { identity, isThenable } from './utils.js';
+import { addSavings, byteLength } from './report.js';
+import { computeIntegrity, isIntegrityCurrent, resolveIntegrityFile } from './integrity.js';
+import { getEncodeASCII, hasNonASCII } from './charset.js';
 
 /** @import { ProcessedOptions } from './options.js' */
+/** @import { IntegrityConfig } from './integrity.js' */
 
 // Type definitions
 
@@ -131,6 +137,51 @@ function deduplicateAttributes(attrs, caseSensitive) {
   return attrs;
 }
 
+/**
+ * Add or update the `integrity` attribute of a script or style sheet that
+ * points to a local file, and `crossorigin` where that file is served from
+ * another origin
+ * @param {string} tag
+ * @param {HTMLAttribute[]} attrs - Modified in place
+ * @param {IntegrityConfig} config
+ * @returns {Promise<void>}
+ */
+async function updateIntegrity(tag, attrs, config) {
+  const fs = globalThis.process?.getBuiltinModule?.('node:fs');
+  let urlAttr;
+  if (tag === 'script') {
+    urlAttr = attrs.find(attr => attr.name.toLowerCase() === 'src');
+  } else if (tag === 'link' && isLinkType(tag, attrs, 'stylesheet')) {
+    urlAttr = attrs.find(attr => attr.name.toLowerCase() === 'href');
+  }
+  const target = urlAttr?.value ? resolveIntegrityFile(urlAttr.value, config) : null;
+  if (!fs || !urlAttr?.value || !target) {
+    return;
+  }
+  let content;
+  try {
+    content = await fs.promises.readFile(target.file);
+  } catch {
+    // A file that isn’t there leaves the element as is
+    return;
+  }
+  const integrityAttr = attrs.find(attr => attr.name.toLowerCase() === 'integrity');
+  if (integrityAttr?.value && isIntegrityCurrent(integrityAttr.value, content)) {
+    return;
+  }
+  const integrity = computeIntegrity(content, config.algorithm);
+  if (integrityAttr) {
+    integrityAttr.value = integrity;
+  } else {
+    attrs.push({ name: 'integrity', value: integrity, quote: '"', customAssign: '=', customOpen: '', customClose: '' });
+  }
+  // Integrity checks on other origins need CORS
+  if (target.crossOrigin && config.crossorigin && !attributesInclude(attrs, 'crossorigin')) {
+    attrs.push({ name: 'crossorigin', value: config.crossorigin, quote: '"', customAssign: '=', customOpen: '', customClose: '' });
+  }
+  config.onUpdate?.({ url: urlAttr.value, file: target.file, status: integrityAttr?.value ? 'stale' : 'missing', integrity });
+}
+
 /**
  * @param {string} tag
  * @param {string} attrName
@@ -419,23 +470,25 @@ function cleanAttributeValue(tag, attrName, attrValue, options, attrs, minifyHTM
     if (!options.decodeEntities && options.minifyJS !== identity && attrValue.indexOf('&') !== -1) {
       return getDecodeHTMLStrict().then(decode => {
         const decoded = decode(attrValue);
-        const result = options.minifyJS(decoded, true);
+        const result = options.minifyJS(decoded, true, false, options.engineContext);
         const reEncode = (/** @type {string} */ v) => (v && v.indexOf('&') !== -1) ? v.replace(RE_AMP_ENTITY, '&amp;$1') : v;
         if (isThenable(result)) {
           return result.then(reEncode, (/** @type {Error} */ err) => {
-            if (!options.continueOnMinifyError) throw err;
+            if (!canContinue(err, options)) throw err;
             options.log && options.log(err);
+            options.engineContext?.diagnose?.(errorDiagnostic('js', 'js-error', err));
             return attrValue;
           });
         }
         return reEncode(result);
       });
     }
-    const result = options.minifyJS(attrValue, true);
+    const result = options.minifyJS(attrValue, true, false, options.engineContext);
     if (isThenable(result)) {
       return result.catch((/** @type {Error} */ err) => {
-        if (!options.continueOnMinifyError) throw err;
+        if (!canContinue(err, options)) throw err;
         options.log && options.log(err);
+        options.engineContext?.diagnose?.(errorDiagnostic('js', 'js-error', err));
         return attrValue;
       });
     }
@@ -458,17 +511,23 @@ function cleanAttributeValue(tag, attrName, attrValue, options, attrs, minifyHTM
     if (isLinkType(tag, attrs, 'canonical')) {
       return attrValue;
     }
-    const result = options.minifyURLs(attrValue);
+    const result = options.minifyURLs(attrValue, options.engineContext);
+    const settle = (/** @type {unknown} */ out) => {
+      const url = typeof out === 'string' ? out : attrValue;
+      addSavings(options.savings, 'minifyURLs', attrValue, url);
+      return url;
+    };
     if (isThenable(result)) {
       return result
-        .then((/** @type {unknown} */ out) => typeof out === 'string' ? out : attrValue)
+        .then(settle)
         .catch((/** @type {Error} */ err) => {
-          if (!options.continueOnMinifyError) throw err;
+          if (!canContinue(err, options)) throw err;
           options.log && options.log(err);
+          options.engineContext?.diagnose?.(errorDiagnostic('html', 'url-error', err));
           return attrValue;
         });
     }
-    return typeof result === 'string' ? result : attrValue;
+    return settle(result);
   }
 
   if (isNumberTypeAttribute(attrName, tag)) {
@@ -492,8 +551,9 @@ function cleanAttributeValue(tag, attrName, attrValue, options, attrs, minifyHTM
             return minified;
           })
           .catch((/** @type {Error} */ err) => {
-            if (!options.continueOnMinifyError) throw err;
+            if (!canContinue(err, options)) throw err;
             options.log && options.log(err);
+            options.engineContext?.diagnose?.(errorDiagnostic('css', 'css-error', err));
             return originalAttrValue;
           });
       }
@@ -546,17 +606,23 @@ function cleanAttributeValue(tag, attrName, attrValue, options, attrs, minifyHTM
           descriptor = ' ' + num + suffix;
         }
       }
-      const out = options.minifyURLs(url);
+      const out = options.minifyURLs(url, options.engineContext);
+      const settle = (/** @type {unknown} */ result) => {
+        const minified = typeof result === 'string' ? result : url;
+        addSavings(options.savings, 'minifyURLs', url, minified);
+        return minified + descriptor;
+      };
       if (isThenable(out)) {
         return out
-          .then((/** @type {unknown} */ result) => (typeof result === 'string' ? result : url) + descriptor)
+          .then(settle)
           .catch((/** @type {Error} */ err) => {
-            if (!options.continueOnMinifyError) throw err;
+            if (!canContinue(err, options)) throw err;
             options.log && options.log(err);
+            options.engineContext?.diagnose?.(errorDiagnostic('html', 'url-error', err));
             return url + descriptor;
           });
       }
-      return (typeof out === 'string' ? out : url) + descriptor;
+      return settle(out);
     });
     if (processed.some(isThenable)) {
       return Promise.all(processed).then(results => results.join(', '));
@@ -596,8 +662,9 @@ function cleanAttributeValue(tag, attrName, attrValue, options, attrs, minifyHTM
     const cssResult = options.minifyCSS(attrValue, 'media', options.cssContext);
     if (isThenable(cssResult)) {
       return cssResult.catch((/** @type {Error} */ err) => {
-        if (!options.continueOnMinifyError) throw err;
+        if (!canContinue(err, options)) throw err;
         options.log && options.log(err);
+        options.engineContext?.diagnose?.(errorDiagnostic('css', 'css-error', err));
         return originalAttrValue;
       });
     }
@@ -645,6 +712,7 @@ async function minifySrcdoc(attrValue, options, minifyHTMLSelf) {
     srcdocOptions = {
       ...options,
       cssContext: {
+        ...options.cssContext,
         warned: options.cssContext ? options.cssContext.warned : new Set(),
         usedSymbols: collectUsedSymbols(markup, options.removeUnusedCSS.scripts, /** @type {((text: string) => string) | undefined} */ (decode))
       }
@@ -655,8 +723,9 @@ async function minifySrcdoc(attrValue, options, minifyHTMLSelf) {
     const minified = await minifyHTMLSelf(markup, srcdocOptions, true);
     return wasEncoded ? (await getEscapeAttribute())(minified) : minified;
   } catch (err) {
-    if (!options.continueOnMinifyError) throw err;
+    if (!canContinue(err, options)) throw err;
     options.log && options.log(/** @type {Error} */ (err));
+    options.engineContext?.diagnose?.(errorDiagnostic('html', 'srcdoc-error', err));
     return attrValue;
   }
 }
@@ -715,12 +784,20 @@ function normalizeAttr(attr, attrs, tag, options, minifyHTML) {
  * @param {Function} minifyHTML
  */
 function normalizeAttrContinue(attrName, attrValue, attr, attrs, tag, options, minifyHTML) {
-  if ((options.removeRedundantAttributes &&
-       isAttributeRedundant(tag, attrName, attrValue ?? '', attrs)) ||
-      (options.removeDefaultTypeAttributes && attrName === 'type' && (
-        ((tag === 'style' || tag === 'link') && isStyleLinkTypeAttribute(attrValue)) ||
-        (tag === 'script' && isScriptTypeAttribute(attrValue) && !keepScriptTypeAttribute(attrValue))
-      ))) {
+  if (options.removeRedundantAttributes &&
+      isAttributeRedundant(tag, attrName, attrValue ?? '', attrs)) {
+    if (options.savings) {
+      // Credited with the attribute as written, separating space included
+      const quote = attr.quote ?? '';
+      options.savings.removeRedundantAttributes += byteLength(' ' + attr.name +
+        (attr.value === undefined ? '' : (attr.customAssign || '=') + quote + attr.value + quote));
+    }
+    return;
+  }
+  if (options.removeDefaultTypeAttributes && attrName === 'type' && (
+    ((tag === 'style' || tag === 'link') && isStyleLinkTypeAttribute(attrValue)) ||
+    (tag === 'script' && isScriptTypeAttribute(attrValue) && !keepScriptTypeAttribute(attrValue))
+  )) {
     return;
   }
 
@@ -753,6 +830,12 @@ function normalizeAttrFinish(attrName, attrValue, attr, tag, options) {
     attrValue = attrValue.replace(RE_AMP_ENTITY, '&amp;$1');
   }
 
+  // Values are final by now, including what `minifyJS` and `minifyCSS` made of them
+  if (options.outputCharset === 'ascii' && attrValue && hasNonASCII(attrValue)) {
+    const value = attrValue;
+    return getEncodeASCII().then(encode => ({ attr, name: attrName, value: encode(value) }));
+  }
+
   return {
     attr,
     name: attrName,
@@ -884,6 +967,13 @@ function buildAttr(normalized, hasUnarySlash, options, isLast, uidAttr) {
     }
   } else {
     attrFragment = attrName + attr.customAssign + emittedAttrValue;
+    // Quotes the input had and the output drops, less the space an unquoted value
+    // may need where a quoted one would not
+    if (options.savings && options.removeAttributeQuotes && !shouldAddQuotes && attrQuote) {
+      const quotedSpace = !isLast && !options.removeTagWhitespace ? 1 : 0;
+      const unquotedSpace = isLast && !hasUnarySlash ? 0 : 1;
+      options.savings.removeAttributeQuotes += 2 + quotedSpace - unquotedSpace;
+    }
   }
 
   return attr.customOpen + attrFragment + attr.customClose;
@@ -918,5 +1008,8 @@ export {
   cleanAttributeValue,
   normalizeAttr,
   buildAttr,
-  deduplicateAttributes
+  chooseAttributeQuote,
+  deduplicateAttributes,
+  updateIntegrity,
+  getDecodeHTMLStrict
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Cancellation
+
+/** @import { HTMLParserHandler } from '../htmlparser.js' */
+
+/**
+ * Error a minification rejects with when its `signal` aborts or its `timeout`
+ * runs out
+ */
+class AbortError extends Error {
+  /**
+   * @param {string} message
+   * @param {{cause?: unknown, timedOut?: boolean}} [details]
+   */
+  constructor(message, { cause, timedOut = false } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'AbortError';
+    /** Whether the `timeout` ran out, rather than the `signal` aborting */
+    this.timedOut = timedOut;
+  }
+}
+
+/**
+ * @typedef {Object} Cancellation
+ *  One document’s `signal` and `timeout`, combined.
+ *
+ * @prop {AbortSignal} signal Aborts, with an `AbortError` as its reason, when either does.
+ * @prop {() => void} throwIfAborted Throws that `AbortError`. Also notices a spent
+ *  `timeout` whose timer hasn’t fired yet, as it can’t while the minifier keeps the
+ *  event loop busy.
+ * @prop {() => void} dispose Stops the timer and stops listening to `signal`.
+ */
+
+/**
+ * @param {AbortSignal | undefined} signal
+ * @param {number | undefined} timeout - Milliseconds; anything but a positive number means none
+ * @returns {Cancellation | undefined}
+ */
+function createCancellation(signal, timeout) {
+  const hasTimeout = typeof timeout === 'number' && timeout > 0 && Number.isFinite(timeout);
+  if (!signal && !hasTimeout) {
+    return undefined;
+  }
+
+  const controller = new AbortController();
+  const deadline = hasTimeout ? Date.now() + timeout : Infinity;
+  const timeOut = () => {
+    if (!controller.signal.aborted) {
+      controller.abort(new AbortError(`Minification timed out after ${timeout} ms`, { timedOut: true }));
+    }
+  };
+  const onAbort = () => {
+    if (!controller.signal.aborted) {
+      controller.abort(new AbortError('Minification was aborted', { cause: signal?.reason }));
+    }
+  };
+
+  const timer = hasTimeout ? setTimeout(timeOut, timeout) : undefined;
+  // Node.js: Don’t keep the process alive for a document that is long done
+  if (timer && typeof timer === 'object') timer.unref();
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    throwIfAborted() {
+      if (!controller.signal.aborted && Date.now() >= deadline) {
+        timeOut();
+      }
+      controller.signal.throwIfAborted();
+    },
+    dispose() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Whether an error thrown while minifying a block leaves the block unminified
+ * rather than failing the document: With `continueOnMinifyError`, any but an
+ * aborting `signal`—a spent `timeout` falls back like an engine failing
+ * @param {unknown} err
+ * @param {{continueOnMinifyError?: boolean}} options
+ * @returns {boolean}
+ */
+function canContinue(err, options) {
+  return Boolean(options.continueOnMinifyError) && !(err instanceof AbortError && !err.timedOut);
+}
+
+/**
+ * Settle with `promise`, or reject with the `AbortError` as soon as `cancellation`
+ * aborts—an engine running past the budget is left to finish on its own
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {Cancellation | undefined} cancellation
+ * @returns {Promise<T>}
+ */
+function untilAborted(promise, cancellation) {
+  if (!cancellation) {
+    return promise;
+  }
+  const { signal } = cancellation;
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Check `cancellation` before each parser event. With `continueOnMinifyError`, a
+ * spent `timeout` only stops the engines, so the markup is still minified.
+ * @param {HTMLParserHandler} handler
+ * @param {Cancellation} cancellation
+ * @param {{continueOnMinifyError?: boolean}} options
+ * @returns {HTMLParserHandler}
+ */
+function withCancellation(handler, cancellation, options) {
+  const check = () => {
+    try {
+      cancellation.throwIfAborted();
+    } catch (err) {
+      if (!(options.continueOnMinifyError && err instanceof AbortError && err.timedOut)) {
+        throw err;
+      }
+    }
+  };
+  /** @type {HTMLParserHandler} */
+  const checked = {};
+  for (const key of /** @type {Array<keyof HTMLParserHandler>} */ (['start', 'end', 'chars', 'comment', 'doctype'])) {
+    const fn = /** @type {((...args: any[]) => unknown) | undefined} */ (handler[key]);
+    if (fn) {
+      checked[key] = /** @type {any} */ (function (/** @type {any[]} */ ...args) {
+        check();
+        return fn.apply(handler, args);
+      });
+    }
+  }
+  return { ...handler, ...checked };
+}
+
+// Exports
+
+export {
+  AbortError,
+  createCancellation,
+  canContinue,
+  untilAborted,
+  withCancellation
+};
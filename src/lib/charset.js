@@ -0,0 +1,78 @@
+// Output character set
+
+// Runs of characters to be written as character references in ASCII output
+const RE_NON_ASCII = /[^\0-\x7f]+/g;
+
+// Elements whose text is taken as written, references and all, besides `script`
+// and `style`: References there would show as typed
+const rawTextElements = new Set(['iframe', 'noembed', 'noframes', 'plaintext', 'xmp']);
+
+/**
+ * @param {number} codePoint
+ * @returns {string | null} The shorter of the decimal and hexadecimal reference to
+ *  the code point—null for C1 controls and surrogates, which references to stand
+ *  for other characters (or U+FFFD)
+ */
+function numericReference(codePoint) {
+  if ((codePoint >= 0x80 && codePoint <= 0x9f) || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+    return null;
+  }
+  const decimal = '&#' + codePoint + ';';
+  const hex = '&#x' + codePoint.toString(16) + ';';
+  return hex.length < decimal.length ? hex : decimal;
+}
+
+/** @type {Promise<(text: string) => string> | undefined} */
+let encodeASCIIPromise;
+
+/**
+ * Lazy-load the encoder for `outputCharset: 'ascii'`: It writes what isn’t ASCII
+ * as whichever reference is shortest—named, decimal, or hexadecimal, in that order
+ * when they tie. The named reference is the one `entities` encodes the character
+ * with, not necessarily its shortest alias; one standing for two code points
+ * (`&nesim;`) counts against the numeric references for both.
+ * @returns {Promise<(text: string) => string>}
+ */
+async function getEncodeASCII() {
+  if (!encodeASCIIPromise) {
+    encodeASCIIPromise = import('entities').then(({ encodeNonAsciiHTML, decodeHTMLStrict }) => (/** @type {string} */ text) => {
+      return text.replace(RE_NON_ASCII, run => {
+        let encoded = '';
+        let i = 0;
+        // `entities` gives a named reference where there is one, a hexadecimal one otherwise
+        for (const [reference] of encodeNonAsciiHTML(run).matchAll(/&(?:#x[\da-f]+|[^;]+);/gi)) {
+          const named = !reference.startsWith('&#');
+          const chars = named ? [...decodeHTMLStrict(reference)] : [String.fromCodePoint(parseInt(reference.slice(3, -1), 16))];
+          const numeric = chars.map(char => numericReference(/** @type {number} */ (char.codePointAt(0))));
+          if (numeric.includes(null)) {
+            // Left as it is
+            encoded += chars.join('');
+          } else {
+            const shortest = numeric.join('');
+            encoded += named && reference.length <= shortest.length ? reference : shortest;
+          }
+          i += chars.join('').length;
+        }
+        // Anything `entities` passed over
+        return encoded + run.slice(i);
+      });
+    });
+  }
+  return encodeASCIIPromise;
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} Whether the text has characters ASCII output writes as references
+ */
+function hasNonASCII(text) {
+  return /[^\0-\x7f]/.test(text);
+}
+
+// Exports
+
+export {
+  getEncodeASCII,
+  hasNonASCII,
+  rawTextElements
+};
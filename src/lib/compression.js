@@ -0,0 +1,47 @@
+// Compression
+
+// Sizes on the wire for `sortAttributes: 'compress'` and `sortClassNames: 'compress'`:
+// the analysis pass’s output is written in each candidate order and compressed
+// with Node.js’s `zlib`, the codec being the one the document will be served with
+
+import { treeToMarkup } from './tree.js';
+
+/** @import { DocumentNode, HTMLAttribute, TreeNode } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+
+/**
+ * @param {'gzip' | 'brotli'} [codec] - Default `gzip`
+ * @returns {((text: string) => number) | null} Null outside Node.js
+ */
+function getCompressedSize(codec = 'gzip') {
+  const zlib = globalThis.process?.getBuiltinModule?.('node:zlib');
+  if (!zlib) {
+    return null;
+  }
+  return codec === 'brotli'
+    ? text => zlib.brotliCompressSync(text).length
+    : text => zlib.gzipSync(text).length;
+}
+
+/**
+ * Markup for a tree with the attributes of each element in another order
+ * @param {DocumentNode} tree
+ * @param {(tag: string, attrs: HTMLAttribute[]) => HTMLAttribute[]} order - Returns
+ *  the attributes reordered (and class names, too), leaving those given as they are
+ * @param {ProcessedOptions} options - For writing attributes
+ * @returns {string}
+ */
+function orderedMarkup(tree, order, options) {
+  /** @type {(node: TreeNode) => TreeNode} */
+  const reorder = node => node.type === 'element'
+    ? { ...node, attrs: order(node.tag, node.attrs), children: node.children.map(reorder) }
+    : node;
+  return treeToMarkup({ ...tree, children: tree.children.map(reorder) }, options);
+}
+
+// Exports
+
+export {
+  getCompressedSize,
+  orderedMarkup
+};
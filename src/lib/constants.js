@@ -17,6 +17,8 @@ const RE_ATTR_WS_CHECK = /[ \n\r\t\f]/;
 const RE_ATTR_WS_COLLAPSE = /[ \n\r\t\f]+/g;
 const RE_ATTR_WS_TRIM = /^[ \n\r\t\f]+|[ \n\r\t\f]+$/g;
 const RE_STYLE_ELEMENT = /<style[\s/>]/i;
+// Custom properties, `@keyframes`, and `@counter-style` rules, for `mangleCSSNames`
+const RE_CSS_NAME_DEFINITION = /--|@(?:-\w+-)?(?:keyframes|counter-style)\b/i;
 const RE_EMPTY_ATTRIBUTE = new RegExp(
   '^(?:class|id|style|title|lang|dir|on(?:focus|blur|change|click|dblclick|mouse(' +
   '?:down|up|over|move|out)|key(?:press|down|up)))$');
@@ -191,6 +193,7 @@ export {
   RE_ATTR_WS_COLLAPSE,
   RE_ATTR_WS_TRIM,
   RE_STYLE_ELEMENT,
+  RE_CSS_NAME_DEFINITION,
   RE_EMPTY_ATTRIBUTE,
 
   // Inline element sets
@@ -2,8 +2,9 @@ import {
   jsonScriptTypes
 } from './constants.js';
 import { trimWhitespace } from './whitespace.js';
+import { errorDiagnostic } from './diagnostics.js';
 
-/** @import { ProcessedOptions } from './options.js' */
+/** @import { ProcessedOptions, EngineContext } from './options.js' */
 
 // CSS processing
 
@@ -46,7 +47,7 @@ function unwrapCSS(text, type) {
 // Minify JSON script content, keeping `<` escaped
 /**
  * @param {string} text
- * @param {{continueOnMinifyError?: boolean, log?: Function}} options
+ * @param {{continueOnMinifyError?: boolean, log?: Function, engineContext?: EngineContext}} options
  */
 function minifyJson(text, options) {
   try {
@@ -57,6 +58,7 @@ function minifyJson(text, options) {
       throw err;
     }
     options.log && options.log(err);
+    options.engineContext?.diagnose?.(errorDiagnostic('js', 'json-error', err));
     return text;
   }
 }
@@ -0,0 +1,207 @@
+// Content Security Policy hashes
+
+import { HTMLParser } from '../htmlparser.js';
+import { canRemoveAttributeQuotes, chooseAttributeQuote, isContentSecurityPolicy, isExecutableScript } from './attributes.js';
+import { computeIntegrity } from './integrity.js';
+
+/** @import { CSPHashes, HTMLAttribute } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+
+/**
+ * @typedef {Object} CSPHashesConfig
+ *  `cspHashes` as normalized.
+ *
+ * @prop {'sha256' | 'sha384' | 'sha512'} algorithm Hash function.
+ * @prop {boolean} updateMeta Whether `<meta http-equiv="Content-Security-Policy">` elements get the hashes.
+ * @prop {((hashes: CSPHashes) => void) | null} onHashes Called with the hashes of each document.
+ */
+
+const algorithms = new Set(['sha256', 'sha384', 'sha512']);
+
+const cspKeys = new Set(['algorithm', 'updateMeta', 'onHashes']);
+
+// Inline scripts CSP checks besides classic ones: Data blocks (JSON, templates)
+// don’t run, and aren’t checked
+const checkedScriptTypes = new Set(['module', 'importmap', 'speculationrules']);
+
+const RE_HASH_SOURCE = /^'sha(?:256|384|512)-[^']*'$/i;
+
+/**
+ * @param {unknown} option - `cspHashes` as given
+ * @param {(message: string) => void} [warn]
+ * @returns {CSPHashesConfig | null} Null when disabled
+ */
+function normalizeCSPOptions(option, warn) {
+  if (!option) {
+    return null;
+  }
+  const report = warn ?? (() => {});
+  const config = /** @type {Record<string, any>} */ (typeof option === 'object' ? option : {});
+
+  for (const key of Object.keys(config)) {
+    if (!cspKeys.has(key)) {
+      report(`Ignoring unknown \`cspHashes\` key \`${key}\`—expected \`algorithm\`, \`updateMeta\`, or \`onHashes\``);
+    }
+  }
+
+  if (!globalThis.process?.getBuiltinModule?.('node:crypto')) {
+    report('Ignoring `cspHashes`—hashing requires Node.js');
+    return null;
+  }
+
+  let algorithm = /** @type {CSPHashesConfig['algorithm']} */ ('sha256');
+  if (algorithms.has(config.algorithm)) {
+    algorithm = config.algorithm;
+  } else if (config.algorithm !== undefined) {
+    report('Ignoring `cspHashes.algorithm`—it takes `sha256`, `sha384`, or `sha512`');
+  }
+
+  let onHashes = null;
+  if (typeof config.onHashes === 'function') {
+    onHashes = config.onHashes;
+  } else if (config.onHashes !== undefined) {
+    report('Ignoring `cspHashes.onHashes`—it takes a function');
+  }
+
+  return { algorithm, updateMeta: config.updateMeta === true, onHashes };
+}
+
+/**
+ * @param {string} tag
+ * @param {HTMLAttribute[]} attrs
+ * @returns {boolean} Whether the element’s content is what CSP checks against `script-src` hashes
+ */
+function isCheckedScript(tag, attrs) {
+  if (tag !== 'script' || attrs.some(attr => attr.name.toLowerCase() === 'src')) {
+    return false;
+  }
+  const type = attrs.find(attr => attr.name.toLowerCase() === 'type')?.value;
+  return isExecutableScript(tag, attrs) || checkedScriptTypes.has((type ?? '').trim().toLowerCase());
+}
+
+/**
+ * Update the hash sources of a policy’s script or style directives: Old hashes go,
+ * new ones come in. Without `script-src` or `style-src` (or their `-elem` forms),
+ * `default-src` stands in. Directives allowing `'unsafe-inline'` are left as they
+ * are: With a hash, browsers ignore it, which would block event handler and
+ * `style` attributes.
+ * @param {string} policy
+ * @param {CSPHashes} hashes
+ * @returns {string}
+ */
+function updatePolicy(policy, hashes) {
+  const directives = policy.split(';');
+  const tokenized = directives.map(directive => directive.trim().split(/\s+/).filter(Boolean));
+  // The hashes each directive gets, `default-src` possibly getting both kinds
+  /** @type {Map<string[], string[]>} */
+  const updates = new Map();
+  /** @type {Array<[RegExp, string[]]>} */
+  const kinds = [[/^script-src(?:-elem)?$/i, hashes.scripts], [/^style-src(?:-elem)?$/i, hashes.styles]];
+  for (const [pattern, sources] of kinds) {
+    let targets = tokenized.filter(tokens => pattern.test(tokens[0] ?? ''));
+    if (!targets.length) {
+      targets = tokenized.filter(tokens => (tokens[0] ?? '').toLowerCase() === 'default-src');
+    }
+    for (const tokens of targets) {
+      updates.set(tokens, [...(updates.get(tokens) ?? []), ...sources]);
+    }
+  }
+  for (const [tokens, sources] of updates) {
+    if (tokens.some(token => token.toLowerCase() === '\'unsafe-inline\'')) {
+      continue;
+    }
+    const kept = tokens.slice(1).filter(token => !RE_HASH_SOURCE.test(token) && token.toLowerCase() !== '\'none\'');
+    const merged = [...kept, ...new Set(sources)];
+    tokens.splice(1, tokens.length - 1, ...(merged.length ? merged : ['\'none\'']));
+  }
+  // Directives keep the whitespace around them
+  return directives.map((directive, i) => {
+    const tokens = /** @type {string[]} */ (tokenized[i]);
+    return tokens.length ? directive.replace(/\S(?:.*\S)?/s, () => tokens.join(' ')) : directive;
+  }).join(';');
+}
+
+/**
+ * Hash the inline scripts and style sheets of a minified document, and, with
+ * `updateMeta`, put the hashes in its policy
+ * @param {string} html - The output, as final
+ * @param {CSPHashesConfig} config
+ * @param {ProcessedOptions} options
+ * @param {Array<[outputStart: number, inputStart: number, length: number]>} [runs] - Collects
+ *  the runs copied verbatim, for source maps to follow the update
+ * @returns {Promise<string>} The document, its policy updated
+ */
+async function applyCSPHashes(html, config, options, runs) {
+  const hash = (/** @type {string} */ text) => `'${computeIntegrity(text, config.algorithm)}'`;
+  /** @type {Set<string>} */
+  const scripts = new Set();
+  /** @type {Set<string>} */
+  const styles = new Set();
+  // Where policy `meta` elements’ start tags are in the document
+  /** @type {Array<{start: number, end: number}>} */
+  const metas = [];
+  /** @type {{kind: 'script' | 'style', text: string} | null} */
+  let open = null;
+
+  const parser = new HTMLParser(html, {
+    continueOnParseError: true,
+    partialMarkup: options.partialMarkup,
+    customAttrAssign: options.customAttrAssign,
+    customAttrSurround: options.customAttrSurround,
+    start(/** @type {string} */ tagName, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ unary) {
+      const tag = tagName.toLowerCase();
+      if (isContentSecurityPolicy(tag, attrs)) {
+        metas.push({ start: parser.tokenStart, end: parser.tokenEnd });
+      } else if (!unary && isCheckedScript(tag, attrs)) {
+        open = { kind: 'script', text: '' };
+      } else if (!unary && tag === 'style') {
+        open = { kind: 'style', text: '' };
+      }
+    },
+    chars(/** @type {string} */ text) {
+      if (open) open.text += text;
+    },
+    end(/** @type {string} */ tagName) {
+      const tag = tagName.toLowerCase();
+      if (open && (tag === 'script' || tag === 'style')) {
+        (open.kind === 'script' ? scripts : styles).add(hash(open.text));
+        open = null;
+      }
+    }
+  });
+  await parser.parse();
+
+  /** @type {CSPHashes} */
+  const hashes = { scripts: [...scripts], styles: [...styles] };
+  config.onHashes?.(hashes);
+  if (!config.updateMeta || !metas.length) {
+    runs?.push([0, 0, html.length]);
+    return html;
+  }
+
+  let result = '';
+  let last = 0;
+  for (const { start, end } of metas) {
+    runs?.push([result.length, last, start - last]);
+    const tag = html.slice(start, end);
+    const updated = tag.replace(/(\scontent\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/i, (_match, assign, double, single, bare) => {
+      const value = updatePolicy(double ?? single ?? bare ?? '', hashes);
+      if (bare !== undefined && canRemoveAttributeQuotes(value)) {
+        return assign + value;
+      }
+      const quote = double !== undefined ? '"' : single !== undefined ? '\'' : chooseAttributeQuote(value, options);
+      return assign + quote + value.replaceAll(quote, quote === '"' ? '&#34;' : '&#39;') + quote;
+    });
+    result += html.slice(last, start) + updated;
+    last = end;
+  }
+  runs?.push([result.length, last, html.length - last]);
+  return result + html.slice(last);
+}
+
+// Exports
+
+export {
+  normalizeCSPOptions,
+  applyCSPHashes
+};
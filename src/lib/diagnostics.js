@@ -0,0 +1,137 @@
+// Diagnostics
+
+import { AbortError } from './cancellation.js';
+
+/** @import { Diagnostic, DiagnosticSource } from '../htmlminifier.js' */
+
+/**
+ * @typedef {Object} DocumentDiagnostics
+ *  Places one document’s diagnostics in it before handing them to `onDiagnostic`.
+ *  The `minifyHTML` call for the document itself sets `locate` and `current`;
+ *  nested calls (`srcdoc`, `processScripts`) leave them, so that what they report
+ *  is placed at the element they minify.
+ *
+ * @prop {((offset: number) => {line: number, column: number}) | null} locate Line and
+ *  column of a parser offset; null for a stream, whose input isn’t kept.
+ * @prop {(() => number) | null} current Parser offset of the token being handled.
+ * @prop {(diagnostic: Diagnostic, offset?: number, relative?: boolean) => void} report
+ *  Place a diagnostic at `offset` (by default, the current token) and hand it on.
+ *  With `relative`, its `line` and `column` count from `offset`—a style sheet or
+ *  script as handed to its engine; otherwise, they are dropped.
+ */
+
+/**
+ * @param {(diagnostic: Diagnostic) => void} onDiagnostic
+ * @returns {DocumentDiagnostics}
+ */
+function createDiagnostics(onDiagnostic) {
+  /** @type {DocumentDiagnostics} */
+  const diagnostics = {
+    locate: null,
+    current: null,
+    report(diagnostic, offset, relative = false) {
+      const { line, column, ...rest } = diagnostic;
+      /** @type {Diagnostic} */
+      const placed = rest;
+      const at = offset ?? diagnostics.current?.();
+      const start = at === undefined ? undefined : diagnostics.locate?.(at);
+      if (start) {
+        if (relative && line !== undefined) {
+          placed.line = start.line + line - 1;
+          placed.column = line === 1 ? start.column + (column ?? 1) - 1 : column ?? 1;
+        } else {
+          placed.line = start.line;
+          placed.column = start.column;
+        }
+      }
+      onDiagnostic(placed);
+    }
+  };
+  return diagnostics;
+}
+
+/**
+ * Line and column of each offset in `input`, the line starts indexed on first use
+ * @param {string} input
+ * @returns {(offset: number) => {line: number, column: number}}
+ */
+function createLocator(input) {
+  /** @type {number[] | null} */
+  let lineStarts = null;
+  return offset => {
+    if (!lineStarts) {
+      lineStarts = [0];
+      for (let i = input.indexOf('\n'); i !== -1; i = input.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+      }
+    }
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if ((lineStarts[mid] ?? 0) <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - (lineStarts[low] ?? 0) + 1 };
+  };
+}
+
+/**
+ * Describe an error a block was left unminified for, at the position in the block
+ * the engine gave, if any
+ * @param {DiagnosticSource} source
+ * @param {string} code
+ * @param {unknown} err
+ * @returns {Diagnostic}
+ */
+function errorDiagnostic(source, code, err) {
+  // Only a spent `timeout` is recovered from (see `canContinue`)
+  if (err instanceof AbortError) {
+    return { code: 'timeout', severity: 'warning', source, message: err.message, error: err };
+  }
+  /** @type {Diagnostic} */
+  const diagnostic = { code, severity: 'error', source, message: err instanceof Error ? err.message : String(err), error: err };
+  const details = /** @type {{loc?: {line?: unknown, column?: unknown}, line?: unknown, col?: unknown, column?: unknown}} */ (err !== null && typeof err === 'object' ? err : {});
+  // Lightning CSS gives a `loc`, Terser a 0-based `col`, and SVGO a `column`
+  if (details.loc && typeof details.loc.line === 'number') {
+    diagnostic.line = details.loc.line;
+    if (typeof details.loc.column === 'number') diagnostic.column = details.loc.column;
+  } else if (typeof details.line === 'number') {
+    diagnostic.line = details.line;
+    if (typeof details.col === 'number') {
+      diagnostic.column = details.col + 1;
+    } else if (typeof details.column === 'number') {
+      diagnostic.column = details.column;
+    }
+  }
+  return diagnostic;
+}
+
+/**
+ * Warn about the options: to `onDiagnostic` and `log`, whichever are given, or else
+ * to `console.warn`
+ * @param {{log?: unknown, onDiagnostic?: unknown}} inputOptions
+ * @returns {(code: string, message: string) => void}
+ */
+function createOptionsWarner(inputOptions) {
+  const log = typeof inputOptions.log === 'function' ? inputOptions.log : undefined;
+  const onDiagnostic = typeof inputOptions.onDiagnostic === 'function' ? inputOptions.onDiagnostic : undefined;
+  return (code, message) => {
+    onDiagnostic?.({ code, severity: 'warning', source: 'options', message });
+    if (log || !onDiagnostic) {
+      (log ?? console.warn)(`HTML Minifier Next: ${message}`);
+    }
+  };
+}
+
+// Exports
+
+export {
+  createOptionsWarner,
+  createDiagnostics,
+  createLocator,
+  errorDiagnostic
+};
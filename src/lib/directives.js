@@ -0,0 +1,53 @@
+// Directives
+
+// Comments (`<!-- htmlmin:no-js -->`) and attributes (`data-htmlmin-no-js`) that
+// change options for part of a document; `htmlmin:ignore` is handled on its own,
+// before parsing
+const RE_DIRECTIVE_COMMENT = /^\s*htmlmin:([\w-]+)(?:\s+([\s\S]*?))?\s*$/;
+const RE_DIRECTIVE_ATTRIBUTE = /^data-htmlmin-([\w-]+)$/i;
+
+// Whether a document may contain directives
+const RE_DIRECTIVE_PROBE = /htmlmin:|data-htmlmin-/i;
+
+// Options the shorthand directives stand for
+/** @type {Record<string, Record<string, unknown>>} */
+const shorthands = {
+  'keep-whitespace': { collapseWhitespace: false },
+  'no-js': { minifyJS: false },
+  'no-css': { minifyCSS: false }
+};
+
+/**
+ * Options a directive sets
+ * @param {string} name - Directive name, lowercase (`options`, `no-js`, …)
+ * @param {string} argument - What follows the name: JSON for `options`, nothing for the rest
+ * @returns {{options: Record<string, unknown>} | {error: string} | null} The options, why there are
+ *  none, or null for a name that isn’t a directive that sets options
+ */
+function parseDirective(name, argument) {
+  if (Object.hasOwn(shorthands, name)) {
+    return { options: shorthands[name] ?? {} };
+  }
+  if (name !== 'options') {
+    return null;
+  }
+  let options;
+  try {
+    options = JSON.parse(argument);
+  } catch (err) {
+    return { error: `its options are not valid JSON (${err instanceof Error ? err.message : err})` };
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'its options must be a JSON object' };
+  }
+  return { options };
+}
+
+// Exports
+
+export {
+  RE_DIRECTIVE_COMMENT,
+  RE_DIRECTIVE_ATTRIBUTE,
+  RE_DIRECTIVE_PROBE,
+  parseDirective
+};
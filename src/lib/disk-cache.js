@@ -0,0 +1,165 @@
+// Disk cache
+
+// Engine results kept on disk (`cacheDir`), so that separate runs—every CLI
+// invocation starts with empty in-memory caches—don’t minify the same shared
+// headers, snippets, and icons again. Each entry is a JSON file named after the
+// package version, the kind of result, and the in-memory cache key (content or
+// its `hashContent` digest, plus the options signature); a new version thus
+// misses the old entries, which, never read again, are the first to be evicted.
+
+const DEFAULT_MAX_SIZE = 100; // MB
+
+/**
+ * @typedef {Object} DiskCache
+ * @prop {(kind: string, key: string, compute: () => Promise<any>) => Promise<any>} cached
+ *  The stored result for the key, or what `compute` returns, stored for next time.
+ *  Failing to read or write an entry only costs the cache hit.
+ */
+
+/** @type {Map<string, DiskCache>} */
+const diskCaches = new Map();
+
+/** @type {string | undefined} */
+let packageVersion;
+
+/**
+ * @param {typeof import('node:fs')} fs
+ * @returns {string}
+ */
+function getPackageVersion(fs) {
+  if (packageVersion === undefined) {
+    try {
+      packageVersion = String(JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version);
+    } catch {
+      packageVersion = '';
+    }
+  }
+  return packageVersion;
+}
+
+/**
+ * Open the disk cache in a directory, shared by all options naming the same one
+ * @param {string} dir - Created if missing
+ * @param {number} [maxSize] - Size cap in MB, default 100
+ * @returns {DiskCache | null} Null outside Node.js
+ */
+function openDiskCache(dir, maxSize) {
+  const fs = globalThis.process?.getBuiltinModule?.('node:fs');
+  const path = globalThis.process?.getBuiltinModule?.('node:path');
+  const crypto = globalThis.process?.getBuiltinModule?.('node:crypto');
+  if (!fs || !path || !crypto) {
+    return null;
+  }
+  const root = path.resolve(dir);
+  const limit = (Number.isFinite(maxSize) && /** @type {number} */ (maxSize) > 0 ? /** @type {number} */ (maxSize) : DEFAULT_MAX_SIZE) * 1024 * 1024;
+  const id = root + '\0' + limit;
+  const open = diskCaches.get(id);
+  if (open) {
+    return open;
+  }
+
+  const version = getPackageVersion(fs);
+
+  // Entry sizes by file name, least recently used first; read from the directory
+  // on first use, so that entries earlier runs wrote count toward the cap, too
+  /** @type {Map<string, number> | null} */
+  let entries = null;
+  let total = 0;
+
+  const load = () => {
+    if (entries) return entries;
+    entries = new Map();
+    try {
+      fs.mkdirSync(root, { recursive: true });
+      const found = [];
+      for (const name of fs.readdirSync(root)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          const stat = fs.statSync(path.join(root, name));
+          found.push({ name, size: stat.size, used: stat.mtimeMs });
+        } catch {
+          // Removed meanwhile
+        }
+      }
+      found.sort((a, b) => a.used - b.used);
+      for (const { name, size } of found) {
+        entries.set(name, size);
+        total += size;
+      }
+    } catch {
+      // Unusable directory: Every lookup misses and every write fails quietly
+    }
+    return entries;
+  };
+
+  const forget = (/** @type {string} */ name) => {
+    const size = load().get(name);
+    if (size !== undefined) {
+      entries?.delete(name);
+      total -= size;
+    }
+  };
+
+  // Record an entry as the most recently used
+  const remember = (/** @type {string} */ name, /** @type {number} */ size) => {
+    forget(name);
+    load().set(name, size);
+    total += size;
+  };
+
+  // Done once the files are gone, so that the directory stays within the cap
+  const evict = () => {
+    const removals = [];
+    for (const name of load().keys()) {
+      if (total <= limit) break;
+      forget(name);
+      removals.push(fs.promises.unlink(path.join(root, name)).catch(() => {}));
+    }
+    return Promise.all(removals);
+  };
+
+  /** @type {DiskCache} */
+  const diskCache = {
+    async cached(kind, key, compute) {
+      const name = kind + '-' + crypto.createHash('sha256').update(version + '\0' + kind + '\0' + key).digest('hex') + '.json';
+      const file = path.join(root, name);
+      // Looked up on disk even if not known, as other processes may have written it
+      try {
+        const data = await fs.promises.readFile(file, 'utf8');
+        const stored = JSON.parse(data);
+        // A foreign file doesn’t hold the key
+        if (stored && stored.key === key && stored.value !== undefined) {
+          remember(name, Buffer.byteLength(data));
+          const now = new Date();
+          fs.promises.utimes(file, now, now).catch(() => {});
+          return stored.value;
+        }
+      } catch {
+        // Missing or unreadable: Compute and (re)write
+      }
+      forget(name);
+
+      const value = await compute();
+      try {
+        const data = JSON.stringify({ key, value });
+        // Written under a temporary name first, so that no process reads half an entry
+        const temporary = file + '.' + process.pid + '.tmp';
+        await fs.promises.writeFile(temporary, data);
+        await fs.promises.rename(temporary, file);
+        remember(name, Buffer.byteLength(data));
+        await evict();
+      } catch {
+        // Not stored this time
+      }
+      return value;
+    }
+  };
+  diskCaches.set(id, diskCache);
+  return diskCache;
+}
+
+// Exports
+
+export {
+  openDiskCache
+};
@@ -0,0 +1,231 @@
+// Duplicate resources
+
+import { HTMLParser } from '../htmlparser.js';
+import { getDecodeHTMLStrict } from './attributes.js';
+
+/** @import { HTMLAttribute } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+
+// What an element may have and still be dropped as a copy of an earlier one:
+// Anything else (an `id`, an event handler, `data-*`) makes it one of a kind
+/** @type {Record<string, Set<string>>} */
+const resourceAttributes = {
+  link: new Set(['rel', 'href', 'as', 'type', 'media', 'crossorigin', 'integrity', 'referrerpolicy', 'nonce', 'fetchpriority', 'hreflang', 'sizes', 'imagesrcset', 'imagesizes', 'blocking', 'title']),
+  script: new Set(['src', 'type', 'async', 'defer', 'nomodule', 'crossorigin', 'integrity', 'referrerpolicy', 'nonce', 'fetchpriority', 'blocking', 'charset']),
+  style: new Set(['media', 'type', 'nonce', 'title', 'blocking']),
+  meta: new Set(['name', 'content', 'media'])
+};
+
+// Link types whose copies do nothing more—besides style sheets, whose order matters
+const hintRels = new Set(['preload', 'modulepreload', 'prefetch', 'preconnect', 'dns-prefetch']);
+
+// Where copies aren’t the document’s own resources
+const hidingElements = new Set(['template', 'svg', 'math']);
+
+/**
+ * @param {string} url
+ * @returns {string} The URL as resolved against a made-up page, so that spellings
+ *  of the same one (`a.css`, `./a.css`, `dir/../a.css`) compare equal
+ */
+function normalizeResourceURL(url) {
+  try {
+    return new URL(url.trim(), 'http://hmn.invalid/page/').href;
+  } catch {
+    return url.trim();
+  }
+}
+
+/**
+ * What kind of resource an element is, as far as its copies go: Style sheets
+ * (`link` and `style` elements) and scripts apply in order, hints and `meta`
+ * elements by name don’t
+ * @param {string} tag
+ * @param {Array<{name: string, value?: string | undefined}>} attrs
+ * @returns {{kind: 'style' | 'script' | 'module' | 'hint' | 'meta', droppable: boolean} | null}
+ *  Null for other elements; `module` for module scripts with `src`, which run once
+ *  however often they are in the document. Style sheets and scripts that aren’t
+ *  `droppable` still come between others.
+ */
+function resourceKind(tag, attrs) {
+  const allowed = resourceAttributes[tag];
+  if (!allowed) {
+    return null;
+  }
+  const droppable = attrs.every(attr => allowed.has(attr.name.toLowerCase()));
+  const value = (/** @type {string} */ name) => attrs.find(attr => attr.name.toLowerCase() === name)?.value;
+  if (tag === 'link') {
+    const rels = (value('rel') ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (rels.includes('stylesheet')) {
+      return { kind: 'style', droppable: droppable && rels.length === 1 && Boolean(value('href')?.trim()) };
+    }
+    return rels.length && rels.every(rel => hintRels.has(rel)) && droppable && value('href')?.trim() ? { kind: 'hint', droppable } : null;
+  }
+  if (tag === 'meta') {
+    return droppable && value('name') && value('content') !== undefined ? { kind: 'meta', droppable } : null;
+  }
+  if (tag === 'script') {
+    const module = value('src') !== undefined && (value('type') ?? '').trim().toLowerCase() === 'module';
+    return { kind: module ? 'module' : 'script', droppable };
+  }
+  return { kind: 'style', droppable };
+}
+
+/**
+ * @param {string} tag
+ * @param {Array<{name: string, value?: string | undefined}>} attrs
+ * @param {(text: string) => string} decode
+ * @returns {string} What copies share: The tag and all attributes, URLs normalized
+ */
+function resourceKey(tag, attrs, decode) {
+  return tag + ' ' + attrs.map(attr => {
+    const name = attr.name.toLowerCase();
+    const value = decode(attr.value ?? '');
+    return name + '=' + JSON.stringify(name === 'href' || name === 'src' ? normalizeResourceURL(value) : value);
+  }).sort().join(' ');
+}
+
+/**
+ * Tell which elements are copies of earlier ones, in document order. Hints and
+ * `meta` elements go wherever their copy is; a style sheet only with no other
+ * style sheet since its copy, which would come after it in the cascade; a script
+ * only right after its copy, nothing but whitespace between, as it runs at its
+ * place. Module scripts with `src` go anywhere—they run once anyway.
+ */
+function createDuplicateTracker() {
+  /** @type {Set<string>} */
+  const seen = new Set();
+  /** @type {string | null} */
+  let lastStyle = null;
+  /** @type {string | null} */
+  let lastScript = null;
+
+  return {
+    /**
+     * @param {NonNullable<ReturnType<typeof resourceKind>>} resource
+     * @param {string | null} key - Null for an element that can’t be dropped
+     * @param {boolean} adjacent - Whether nothing but whitespace is between the element and the script before it
+     * @returns {boolean} Whether the element is a copy to drop
+     */
+    isCopy({ kind, droppable }, key, adjacent) {
+      if (!droppable || key === null) {
+        if (kind === 'style') lastStyle = null;
+        if (kind === 'script' || kind === 'module') lastScript = null;
+        return false;
+      }
+      if (kind === 'style') {
+        const copy = lastStyle === key;
+        lastStyle = key;
+        return copy;
+      }
+      if (kind === 'script') {
+        const copy = adjacent && lastScript === key;
+        lastScript = key;
+        return copy;
+      }
+      if (kind === 'module') lastScript = key;
+      const copy = seen.has(kind + ' ' + key);
+      seen.add(kind + ' ' + key);
+      return copy;
+    }
+  };
+}
+
+/**
+ * Drop later copies of resources from the output: `link` elements for style sheets
+ * and preloading, `meta` elements by name, scripts, and `style` elements—inline
+ * ones by their content as minified, too
+ * @param {string} html - The output
+ * @param {ProcessedOptions} options
+ * @param {Array<[outputStart: number, inputStart: number, length: number]>} [runs] - Collects
+ *  the runs copied verbatim, for source maps to follow the removal
+ * @returns {Promise<string>}
+ */
+async function removeDuplicateResources(html, options, runs) {
+  const decode = html.includes('&')
+    ? /** @type {(text: string) => string} */ (await getDecodeHTMLStrict())
+    : (/** @type {string} */ text) => text;
+  const tracker = createDuplicateTracker();
+  /** @type {Array<[start: number, end: number]>} */
+  const removed = [];
+  // Open elements that hide what is in them
+  let opaque = 0;
+  // Where the last script ended
+  let scriptEnd = -1;
+  /** @type {{tag: string, attrs: HTMLAttribute[], start: number, text: string} | null} */
+  let open = null;
+
+  const parser = new HTMLParser(html, {
+    continueOnParseError: true,
+    partialMarkup: options.partialMarkup,
+    customAttrAssign: options.customAttrAssign,
+    customAttrSurround: options.customAttrSurround,
+    start(/** @type {string} */ tagName, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ unary) {
+      const tag = tagName.toLowerCase();
+      if (hidingElements.has(tag)) {
+        if (!unary) opaque++;
+        return;
+      }
+      if (opaque) {
+        // Style sheets in SVG are in the cascade all the same
+        if (tag === 'style') tracker.isCopy({ kind: 'style', droppable: false }, null, false);
+        return;
+      }
+      if (!unary && (tag === 'script' || tag === 'style')) {
+        open = { tag, attrs, start: parser.tokenStart, text: '' };
+        return;
+      }
+      const resource = resourceKind(tag, attrs);
+      if (resource && tracker.isCopy(resource, resourceKey(tag, attrs, decode), false)) {
+        removed.push([parser.tokenStart, parser.tokenEnd]);
+      }
+    },
+    chars(/** @type {string} */ text) {
+      if (open) open.text += text;
+    },
+    end(/** @type {string} */ tagName, /** @type {HTMLAttribute[]} */ _attrs, /** @type {boolean} */ autoGenerated) {
+      const tag = tagName.toLowerCase();
+      if (hidingElements.has(tag)) {
+        opaque = Math.max(0, opaque - 1);
+        return;
+      }
+      if (!open || open.tag !== tag) {
+        return;
+      }
+      const { attrs, start, text } = open;
+      open = null;
+      const resource = /** @type {NonNullable<ReturnType<typeof resourceKind>>} */ (resourceKind(tag, attrs));
+      const adjacent = scriptEnd !== -1 && !/\S/.test(html.slice(scriptEnd, start));
+      if (tag === 'script') scriptEnd = parser.tokenEnd;
+      // An element without its end tag can’t be cut out whole
+      const key = autoGenerated ? null : resourceKey(tag, attrs, decode) + '\n' + text;
+      if (tracker.isCopy(resource, key, adjacent)) {
+        removed.push([start, parser.tokenEnd]);
+      }
+    }
+  });
+  await parser.parse();
+
+  if (!removed.length) {
+    runs?.push([0, 0, html.length]);
+    return html;
+  }
+  let result = '';
+  let last = 0;
+  for (const [start, end] of removed) {
+    runs?.push([result.length, last, start - last]);
+    result += html.slice(last, start);
+    last = end;
+  }
+  runs?.push([result.length, last, html.length - last]);
+  return result + html.slice(last);
+}
+
+// Exports
+
+export {
+  createDuplicateTracker,
+  hidingElements,
+  normalizeResourceURL,
+  removeDuplicateResources,
+  resourceKind
+};
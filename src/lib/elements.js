@@ -202,14 +202,16 @@ function parseRemoveEmptyElementsExcept(input, options) {
   return /** @type {Array<{tag: string, attrs: {[x: string]: string | undefined} | null}>} */ (input.map(item => {
     if (typeof item === 'string') {
       const spec = parseElementSpec(item, options);
-      if (!spec && options.log) {
-        options.log('Warning: Unable to parse `removeEmptyElementsExcept` specification: “' + item + '”');
+      if (!spec) {
+        const message = 'Unable to parse `removeEmptyElementsExcept` specification: “' + item + '”';
+        options.log && options.log('Warning: ' + message);
+        options.onDiagnostic?.({ code: 'invalid-option-value', severity: 'warning', source: 'options', message });
       }
       return spec;
     }
-    if (options.log) {
-      options.log('Warning: `removeEmptyElementsExcept` specification must be a string, received: ' + typeof item);
-    }
+    const message = '`removeEmptyElementsExcept` specification must be a string, received: ' + typeof item;
+    options.log && options.log('Warning: ' + message);
+    options.onDiagnostic?.({ code: 'invalid-option-value', severity: 'warning', source: 'options', message });
     return null;
   }).filter(Boolean));
 }
@@ -0,0 +1,325 @@
+// Event handler extraction
+
+import { getDecodeHTMLStrict, isEventAttribute } from './attributes.js';
+import { canContinue } from './cancellation.js';
+import { errorDiagnostic } from './diagnostics.js';
+import { serializeAttrs } from './inline-assets.js';
+import { computeIntegrity } from './integrity.js';
+import { hashContent } from './utils.js';
+
+/** @import { HTMLAttribute, Plugin } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+
+/**
+ * @typedef {Object} EventHandlersConfig
+ *  `extractEventHandlers` as normalized.
+ *
+ * @prop {string} attribute The `data-*` attribute elements are found by.
+ * @prop {'inline' | 'file'} output Whether the script is inline, or written to a file.
+ * @prop {string | null} nonce What the script’s `nonce` attribute says.
+ * @prop {string} dir Directory the script files are written to.
+ * @prop {string} href What the script’s `src` points to, the file name appended.
+ * @prop {boolean} write Whether files are written, or only collected in `files`.
+ * @prop {Map<string, string>} files Scripts by file name, shared by all documents minified with it.
+ */
+
+/**
+ * @typedef {Object} ExtractedHandlers
+ *  The event handlers `extractEventHandlers` took out of a document.
+ *
+ * @prop {Map<string, string>} hooks Hook values by the handlers they stand for, as script source.
+ * @prop {string | null} markup The `script` element put in, once it is.
+ * @prop {Map<string, string>} files The script file to be written, by name.
+ */
+
+const DEFAULT_ATTRIBUTE = 'data-hmn';
+const DEFAULT_DIR = 'assets';
+
+const handlerKeys = new Set(['attribute', 'output', 'nonce', 'dir', 'href', 'write', 'files']);
+
+const RE_DATA_ATTRIBUTE = /^data-[a-z\d_.-]+$/;
+
+// Handlers that attributes of `body` (and `frameset`) set on the window
+const windowEvents = new Set([
+  'afterprint', 'beforeprint', 'beforeunload', 'blur', 'error', 'focus', 'hashchange', 'languagechange',
+  'load', 'message', 'messageerror', 'offline', 'online', 'pagehide', 'pageshow', 'popstate',
+  'rejectionhandled', 'resize', 'scroll', 'storage', 'unhandledrejection', 'unload'
+]);
+
+/**
+ * @param {unknown} option - `extractEventHandlers` as given
+ * @param {(message: string) => void} [warn]
+ * @returns {EventHandlersConfig | null} Null when disabled
+ */
+function normalizeEventHandlerOptions(option, warn) {
+  if (!option) {
+    return null;
+  }
+  const report = warn ?? (() => {});
+  const config = /** @type {Record<string, any>} */ (typeof option === 'object' ? option : {});
+
+  for (const key of Object.keys(config)) {
+    if (!handlerKeys.has(key)) {
+      report(`Ignoring unknown \`extractEventHandlers\` key \`${key}\`—expected \`attribute\`, \`output\`, \`nonce\`, \`dir\`, \`href\`, \`write\`, or \`files\``);
+    }
+  }
+
+  let attribute = DEFAULT_ATTRIBUTE;
+  if (typeof config.attribute === 'string' && RE_DATA_ATTRIBUTE.test(config.attribute)) {
+    attribute = config.attribute;
+  } else if (config.attribute !== undefined) {
+    report('Ignoring `extractEventHandlers.attribute`—it takes a lowercase `data-*` attribute name');
+  }
+
+  let output = /** @type {EventHandlersConfig['output']} */ ('inline');
+  if (config.output === 'inline' || config.output === 'file') {
+    output = config.output;
+  } else if (config.output !== undefined) {
+    report('Ignoring `extractEventHandlers.output`—it takes `inline` or `file`');
+  }
+
+  let nonce = null;
+  if (typeof config.nonce === 'string' && config.nonce) {
+    nonce = config.nonce;
+  } else if (config.nonce !== undefined) {
+    report('Ignoring `extractEventHandlers.nonce`—it takes a string');
+  }
+
+  let dir = DEFAULT_DIR;
+  if (typeof config.dir === 'string' && config.dir) {
+    dir = config.dir;
+  } else if (config.dir !== undefined) {
+    report('Ignoring `extractEventHandlers.dir`—it takes a directory path');
+  }
+
+  let href = dir.replace(/\\/g, '/').replace(/\/*$/, '/');
+  if (typeof config.href === 'string') {
+    href = config.href;
+  } else if (config.href !== undefined) {
+    report('Ignoring `extractEventHandlers.href`—it takes a URL to put file names after');
+  }
+
+  /** @type {Map<string, string>} */
+  let files = new Map();
+  if (config.files instanceof Map) {
+    files = config.files;
+  } else if (config.files !== undefined) {
+    report('Ignoring `extractEventHandlers.files`—it takes a `Map`');
+  }
+
+  const write = output === 'file' && config.write !== false;
+  if (write && !globalThis.process?.getBuiltinModule?.('node:fs')) {
+    report('Ignoring `extractEventHandlers`—writing files requires Node.js; set `write` to `false` to collect them in `files` instead, or `output` to `inline`');
+    return null;
+  }
+
+  return { attribute, output, nonce, dir, href, write, files };
+}
+
+/**
+ * @param {string} name - An attribute’s
+ * @param {{customEventAttributes?: RegExp[]}} options
+ * @returns {string | null} The event an event handler attribute is for—null for
+ *  others, and for custom ones (like `ng-click`) that aren’t DOM event handlers
+ */
+function handlerEvent(name, options) {
+  return /^on[a-z]+$/i.test(name) && isEventAttribute(name, options) ? name.slice(2).toLowerCase() : null;
+}
+
+/**
+ * @param {string} tag
+ * @param {string} name
+ * @param {string | undefined} value
+ * @returns {string | null} What a `javascript:` URL runs, if the attribute is one
+ *  that navigates on click
+ */
+function javascriptURLCode(tag, name, value) {
+  if ((tag !== 'a' && tag !== 'area') || name.toLowerCase() !== 'href' || value === undefined) {
+    return null;
+  }
+  // URL parsing drops tabs and line breaks, and what surrounds the URL
+  const url = value.replace(/[\t\n\r]/g, '').trim();
+  if (!/^javascript:/i.test(url)) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(url.slice('javascript:'.length));
+  } catch {
+    // Malformed escapes
+    return null;
+  }
+}
+
+/**
+ * @param {string} code
+ * @returns {boolean} Whether the code parses as a function body by itself, so that
+ *  it can’t break the script it goes in, or close the function around it
+ */
+function isFunctionBody(code) {
+  try {
+    // Compiled only, never called
+    new Function('event', code);
+    return true;
+  } catch (err) {
+    // Where `eval` is off limits, nothing can be told
+    return !(err instanceof SyntaxError);
+  }
+}
+
+/**
+ * @param {ExtractedHandlers} extracted
+ * @param {string} source - Script source of an array of `[event, handler, onWindow]`
+ * @returns {string} The hook value elements with these handlers get
+ */
+function hookFor(extracted, source) {
+  let hook = extracted.hooks.get(source);
+  if (hook === undefined) {
+    hook = extracted.hooks.size.toString(36);
+    extracted.hooks.set(source, hook);
+  }
+  return hook;
+}
+
+/**
+ * Take event handler attributes, and `javascript:` URLs of links, out of elements,
+ * each element getting a hook attribute for the script that sets them up instead
+ * @param {EventHandlersConfig} config
+ * @param {ExtractedHandlers} extracted
+ * @returns {Plugin}
+ */
+function createEventHandlerPlugin(config, extracted) {
+  return {
+    async start(element, context) {
+      const { attrs } = element;
+      // What `template` elements hold isn’t in the document for the script to find
+      if (context.stack.some(open => open.tag === 'template') || attrs.some(attr => attr.name.toLowerCase() === config.attribute) ||
+          !attrs.some(attr => handlerEvent(attr.name, context.options) !== null || javascriptURLCode(element.tag, attr.name, attr.value) !== null)) {
+        return;
+      }
+      const decode = attrs.some(attr => attr.value?.includes('&')) && !context.options.decodeEntities
+        ? /** @type {(text: string) => string} */ (await getDecodeHTMLStrict())
+        : (/** @type {string} */ text) => text;
+      const onWindow = element.tag === 'body' || element.tag === 'frameset';
+      /** @type {string[]} */
+      const handlers = [];
+      /** @type {string | null} */
+      let link = null;
+      /** @type {HTMLAttribute[]} */
+      const kept = [];
+      for (const attr of attrs) {
+        let event = handlerEvent(attr.name, context.options);
+        let code = javascriptURLCode(element.tag, attr.name, attr.value === undefined ? undefined : decode(attr.value));
+        // Code that doesn’t parse stays where it is, failing on its own as before
+        if ((event !== null || code !== null) && !isFunctionBody(event !== null ? decode(attr.value ?? '') : code ?? '')) {
+          const message = `Not extracting \`${attr.name}\` of \`<${element.tag}>\`—its code doesn’t parse`;
+          context.options.log('Warning: ' + message);
+          context.options.diagnostics?.report({ code: 'invalid-event-handler', severity: 'warning', source: 'js', message });
+          event = null;
+          code = null;
+        }
+        if (event !== null) {
+          handlers.push(`[${JSON.stringify(event)}, function (event) {\n${decode(attr.value ?? '')}\n}, ${onWindow && windowEvents.has(event) ? 1 : 0}]`);
+        } else if (code !== null) {
+          // The link stays one, its click running the code instead of going anywhere,
+          // unless a handler cancelled it, as it would have the navigation
+          link = `["click", function (event) {\nconst run = !event.defaultPrevented;\nevent.preventDefault();\nif (run) {\n${code}\n}\n}, 0]`;
+          kept.push({ ...attr, value: '#' });
+        } else {
+          kept.push(attr);
+        }
+      }
+      if (!handlers.length && !link) {
+        return;
+      }
+      // Handler attributes run before the link is followed
+      if (link) handlers.push(link);
+      kept.push({ name: config.attribute, value: hookFor(extracted, '[' + handlers.join(', ') + ']'), quote: '"', customAssign: '=', customOpen: '', customClose: '' });
+      element.attrs = kept;
+    }
+  };
+}
+
+/**
+ * @param {ExtractedHandlers} extracted
+ * @param {EventHandlersConfig} config
+ * @returns {string} The script that sets up the handlers, unminified
+ */
+function handlerScript(extracted, config) {
+  const attribute = JSON.stringify(config.attribute);
+  // The handlers are written outside the function, so that they see global names only
+  return `((handlers) => {
+  for (const element of document.querySelectorAll(${JSON.stringify('[' + config.attribute + ']')})) {
+    for (const [type, handler, onWindow] of handlers[parseInt(element.getAttribute(${attribute}), 36)]) {
+      const target = onWindow ? window : element;
+      target.addEventListener(type, function (event) {
+        if (handler.call(target, event) === false) event.preventDefault();
+      });
+    }
+  }
+})([
+${[...extracted.hooks.keys()].join(',\n')}
+]);`;
+}
+
+/**
+ * Put in the script that sets up the handlers taken out, at the end of the `body`,
+ * after all elements it looks for
+ * @param {string} html - The output
+ * @param {EventHandlersConfig} config
+ * @param {ExtractedHandlers} extracted
+ * @param {ProcessedOptions} options
+ * @param {Array<[outputStart: number, inputStart: number, length: number]>} [runs] - Collects
+ *  the runs copied verbatim, for source maps to follow the insertion
+ * @returns {Promise<string>}
+ */
+async function emitEventHandlers(html, config, extracted, options, runs) {
+  if (!extracted.hooks.size) {
+    runs?.push([0, 0, html.length]);
+    return html;
+  }
+  const source = handlerScript(extracted, config);
+  let js = source;
+  try {
+    js = await options.minifyJS(source, false, false, options.engineContext);
+  } catch (err) {
+    if (!canContinue(err, options)) throw err;
+    options.log(err);
+    options.engineContext?.diagnose?.(errorDiagnostic('js', 'js-error', /** @type {Error} */ (err)));
+  }
+  // Nothing in the script may end it, or start a comment
+  js = js.replace(/<\/(script)/gi, '<\\/$1').replace(/<!--/g, '<\\!--');
+
+  /** @type {HTMLAttribute[]} */
+  const attrs = [];
+  if (config.output === 'file') {
+    const name = hashContent(js) + '.js';
+    config.files.set(name, js);
+    extracted.files.set(name, js);
+    const src = config.href + name;
+    attrs.push({ name: 'src', value: src });
+    // With `addIntegrity`, the file comes with its hash—unless on another origin
+    if (options.addIntegrity && !/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(src)) {
+      attrs.push({ name: 'integrity', value: computeIntegrity(js, options.addIntegrity.algorithm) });
+    }
+  }
+  if (config.nonce !== null) {
+    attrs.push({ name: 'nonce', value: config.nonce });
+  }
+  const markup = '<script' + serializeAttrs(attrs, options) + '>' + (config.output === 'file' ? '' : js) + '</script>';
+  extracted.markup = markup;
+
+  const end = html.toLowerCase().lastIndexOf('</body');
+  const at = end !== -1 ? end : html.length;
+  runs?.push([0, 0, at], [at + markup.length, at, html.length - at]);
+  return html.slice(0, at) + markup + html.slice(at);
+}
+
+// Exports
+
+export {
+  normalizeEventHandlerOptions,
+  createEventHandlerPlugin,
+  emitEventHandlers,
+  handlerEvent,
+  javascriptURLCode
+};
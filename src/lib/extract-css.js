@@ -0,0 +1,151 @@
+// Style sheet extraction
+
+import { hashContent } from './utils.js';
+
+/** @import { HTMLAttribute } from '../htmlminifier.js' */
+
+/**
+ * @typedef {Object} ExtractCSSConfig
+ *  `extractCSS` as normalized.
+ *
+ * @prop {string} dir Directory the style sheet files are written to.
+ * @prop {string} href What links point to, the file name appended.
+ * @prop {number} minSize Style sheets smaller than this (in bytes, UTF-8) stay inline.
+ * @prop {boolean} write Whether files are written, or only collected in `files`.
+ * @prop {Map<string, string>} files Style sheets by file name, shared by all documents minified with it.
+ */
+
+const DEFAULT_DIR = 'assets';
+const DEFAULT_MIN_SIZE = 1024;
+
+const extractKeys = new Set(['dir', 'href', 'minSize', 'write', 'files']);
+
+// What a `link` can carry over from the `style` element it replaces; one with
+// other attributes (an `id` a script looks it up by, say) stays inline
+const extractableAttributes = new Set(['blocking', 'media', 'nonce', 'title', 'type']);
+
+/**
+ * @param {unknown} option - `extractCSS` as given
+ * @param {(message: string) => void} [warn]
+ * @returns {ExtractCSSConfig | null} Null when disabled
+ */
+function normalizeExtractOptions(option, warn) {
+  if (!option) {
+    return null;
+  }
+  const report = warn ?? (() => {});
+  const config = /** @type {Record<string, any>} */ (typeof option === 'object' ? option : {});
+
+  for (const key of Object.keys(config)) {
+    if (!extractKeys.has(key)) {
+      report(`Ignoring unknown \`extractCSS\` key \`${key}\`—expected \`dir\`, \`href\`, \`minSize\`, \`write\`, or \`files\``);
+    }
+  }
+
+  let dir = DEFAULT_DIR;
+  if (typeof config.dir === 'string' && config.dir) {
+    dir = config.dir;
+  } else if (config.dir !== undefined) {
+    report('Ignoring `extractCSS.dir`—it takes a directory path');
+  }
+
+  let href = dir.replace(/\\/g, '/').replace(/\/*$/, '/');
+  if (typeof config.href === 'string') {
+    href = config.href;
+  } else if (config.href !== undefined) {
+    report('Ignoring `extractCSS.href`—it takes a URL to put file names after');
+  }
+
+  let minSize = DEFAULT_MIN_SIZE;
+  if (typeof config.minSize === 'number' && config.minSize >= 0) {
+    minSize = config.minSize;
+  } else if (config.minSize !== undefined) {
+    report('Ignoring `extractCSS.minSize`—it takes a number of bytes');
+  }
+
+  /** @type {Map<string, string>} */
+  let files = new Map();
+  if (config.files instanceof Map) {
+    files = config.files;
+  } else if (config.files !== undefined) {
+    report('Ignoring `extractCSS.files`—it takes a `Map`');
+  }
+
+  const write = config.write !== false;
+  if (write && !globalThis.process?.getBuiltinModule?.('node:fs')) {
+    report('Ignoring `extractCSS`—writing files requires Node.js; set `write` to `false` to collect them in `files` instead');
+    return null;
+  }
+
+  return { dir, href, minSize, write, files };
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs - Of a `style` element
+ * @returns {boolean} Whether a `link` can stand in for the element
+ */
+function canExtractStyle(attrs) {
+  return attrs.every(attr => extractableAttributes.has(attr.name.toLowerCase()));
+}
+
+/**
+ * Hand out the file for a style sheet; identical style sheets share one
+ * @param {string} css
+ * @param {ExtractCSSConfig} config
+ * @param {Map<string, string>} extracted - The document’s style sheets by file name, to be written
+ * @returns {string} What the `link` points to
+ */
+function extractStyle(css, config, extracted) {
+  const name = hashContent(css) + '.css';
+  config.files.set(name, css);
+  extracted.set(name, css);
+  return config.href + name;
+}
+
+/**
+ * Write the files a document had taken out—style sheets, or the script
+ * `extractEventHandlers` sets up handlers with—where not already there
+ * @param {{dir: string, write: boolean}} config
+ * @param {Map<string, string>} extracted - Contents by file name
+ * @returns {Promise<void>}
+ */
+async function writeExtractedFiles(config, extracted) {
+  const fs = globalThis.process?.getBuiltinModule?.('node:fs');
+  const path = globalThis.process?.getBuiltinModule?.('node:path');
+  if (!config.write || !extracted.size || !fs || !path) {
+    return;
+  }
+  await fs.promises.mkdir(config.dir, { recursive: true });
+  // Names follow the content, so a file of the same name already holds it
+  await Promise.all([...extracted].map(([name, content]) =>
+    fs.promises.writeFile(path.join(config.dir, name), content, { flag: 'wx' }).catch((/** @type {NodeJS.ErrnoException} */ err) => {
+      if (err.code !== 'EEXIST') throw err;
+    })
+  ));
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs - Of a `link` element
+ * @param {ExtractCSSConfig} config
+ * @returns {boolean} Whether the link is one `extractCSS` put in place of a `style` element
+ */
+function isExtractedLink(attrs, config) {
+  let rel = '';
+  let href = '';
+  for (const attr of attrs) {
+    const name = attr.name.toLowerCase();
+    if (name === 'rel') rel = (attr.value ?? '').trim().toLowerCase();
+    else if (name === 'href') href = attr.value ?? '';
+  }
+  return rel === 'stylesheet' && href.startsWith(config.href) && config.files.has(href.slice(config.href.length));
+}
+
+// Exports
+
+export {
+  normalizeExtractOptions,
+  canExtractStyle,
+  extractStyle,
+  writeExtractedFiles,
+  isExtractedLink
+};
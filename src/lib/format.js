@@ -0,0 +1,211 @@
+// Format
+
+// Pretty-printing for `format`: Block elements go on lines of their own, indented
+// by depth, where whitespace doesn’t render—between block elements and at their
+// edges, with the same notion of inline and block elements as whitespace
+// collapsing. Runs of text and inline elements stay as they are, except that
+// their line breaks are re-indented and, with `wrap`, long lines broken at
+// whitespace already there. Whitespace-preserving elements (`pre`, `textarea`,
+// `script`, `style`) are left untouched.
+
+import { inlineElementsToKeepWhitespaceAround } from './constants.js';
+import { canCollapseWhitespace } from './whitespace.js';
+import { isVoidNode, startTagMarkup, treeToMarkup } from './tree.js';
+
+/** @import { DocumentNode, ElementNode, TreeNode } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+
+/**
+ * @typedef {Object} FormatSettings
+ * @prop {string} indent One level of indentation.
+ * @prop {number} wrap Line length to break text at; `Infinity` not to.
+ * @prop {Set<string>} inlineElements Tag names, lowercase, kept within lines.
+ */
+
+const RE_WHITESPACE = /^[ \n\r\t\f]/;
+const RE_WHITESPACE_SPLIT = /([ \n\r\t\f]+)/;
+const RE_LEADING_WHITESPACE = /^[ \n\r\t\f]+/;
+const RE_TRAILING_WHITESPACE = /[ \n\r\t\f]+$/;
+
+/**
+ * Inline elements as whitespace collapsing knows them, plus `br`, which reads
+ * better kept with the text it breaks (whitespace around it doesn’t render either way)
+ * @param {ArrayLike<string>} [customElements] - `inlineCustomElements`
+ * @returns {Set<string>}
+ */
+function getInlineElements(customElements) {
+  return new Set([...inlineElementsToKeepWhitespaceAround, 'br', ...Array.from(customElements ?? [], tag => tag.toLowerCase())]);
+}
+
+/**
+ * @param {TreeNode} node
+ * @param {FormatSettings} settings
+ */
+function isBlock(node, settings) {
+  return node.type === 'doctype' || (node.type === 'element' && !settings.inlineElements.has(node.tag.toLowerCase()));
+}
+
+/**
+ * How much of a run has to stay on the line ahead of the next whitespace: the word
+ * text starts with, and an element as a whole
+ * @param {Array<string | TreeNode>} parts
+ * @param {number} from
+ * @param {ProcessedOptions} options
+ * @returns {number}
+ */
+function widthToBreak(parts, from, options) {
+  let width = 0;
+  for (let i = from; i < parts.length; i++) {
+    const part = /** @type {string | TreeNode} */ (parts[i]);
+    if (typeof part === 'string') {
+      if (RE_WHITESPACE.test(part)) break;
+      width += part.length;
+    } else {
+      return width + (treeToMarkup(part, options).split('\n')[0] ?? '').length;
+    }
+  }
+  return width;
+}
+
+/**
+ * Markup for a run of text and inline nodes, its edges trimmed, line breaks in its
+ * text re-indented, and, with `wrap`, long lines broken at its whitespace
+ * @param {TreeNode[]} run
+ * @param {string} indent - Indentation of continuation lines
+ * @param {number} column - Where on its line the run starts
+ * @param {FormatSettings} settings
+ * @param {ProcessedOptions} options
+ * @returns {string}
+ */
+function formatRun(run, indent, column, settings, options) {
+  // Words and whitespace of the text, and the inline elements and comments between
+  /** @type {Array<string | TreeNode>} */
+  const parts = [];
+  run.forEach((node, i) => {
+    if (node.type !== 'text') {
+      parts.push(node);
+      return;
+    }
+    let text = node.text;
+    if (i === 0) text = text.replace(RE_LEADING_WHITESPACE, '');
+    if (i === run.length - 1) text = text.replace(RE_TRAILING_WHITESPACE, '');
+    parts.push(...text.split(RE_WHITESPACE_SPLIT).filter(Boolean));
+  });
+
+  let markup = '';
+  parts.forEach((part, i) => {
+    if (typeof part !== 'string') {
+      const written = treeToMarkup(part, options);
+      markup += written;
+      const lineBreak = written.lastIndexOf('\n');
+      column = lineBreak === -1 ? column + written.length : written.length - lineBreak - 1;
+    } else if (!RE_WHITESPACE.test(part)) {
+      markup += part;
+      column += part.length;
+    } else if (/[\n\r]/.test(part) ||
+        (column > indent.length && column + 1 + widthToBreak(parts, i + 1, options) > settings.wrap)) {
+      markup += '\n' + indent;
+      column = indent.length;
+    } else {
+      markup += part;
+      column += part.length;
+    }
+  });
+  return markup;
+}
+
+/**
+ * @param {TreeNode[]} run
+ */
+function isBlankRun(run) {
+  return run.every(node => node.type === 'text' && !/[^ \n\r\t\f]/.test(node.text));
+}
+
+/**
+ * Lines for the children of a block element (or the document)
+ * @param {TreeNode[]} children
+ * @param {number} depth
+ * @param {FormatSettings} settings
+ * @param {ProcessedOptions} options
+ * @returns {string[]}
+ */
+function formatChildren(children, depth, settings, options) {
+  const indent = settings.indent.repeat(depth);
+  /** @type {string[]} */
+  const lines = [];
+  /** @type {TreeNode[]} */
+  let run = [];
+  const flush = () => {
+    if (!isBlankRun(run)) {
+      lines.push(indent + formatRun(run, indent, indent.length, settings, options));
+    }
+    run = [];
+  };
+  for (const child of children) {
+    if (isBlock(child, settings)) {
+      flush();
+      lines.push(...formatBlock(child, depth, settings, options));
+    } else {
+      run.push(child);
+    }
+  }
+  flush();
+  return lines;
+}
+
+/**
+ * Lines for a block node
+ * @param {TreeNode} node
+ * @param {number} depth
+ * @param {FormatSettings} settings
+ * @param {ProcessedOptions} options
+ * @returns {string[]}
+ */
+function formatBlock(node, depth, settings, options) {
+  const indent = settings.indent.repeat(depth);
+  if (node.type !== 'element') {
+    return [indent + treeToMarkup(node, options)];
+  }
+  const element = /** @type {ElementNode} */ (node);
+  if (!canCollapseWhitespace(element.tag.toLowerCase())) {
+    return [indent + treeToMarkup(element, options)];
+  }
+  const end = element.endImplied ? '' : '</' + element.tag + '>';
+  // An element the parser implied has no tags of its own to indent by
+  if (element.startImplied) {
+    const lines = formatChildren(element.children, depth, settings, options);
+    if (end) lines.push(indent + end);
+    return lines;
+  }
+  const start = startTagMarkup(element, options);
+  if (isVoidNode(element)) {
+    return [indent + start];
+  }
+  if (!element.children.some(child => isBlock(child, settings))) {
+    const content = isBlankRun(element.children)
+      ? ''
+      : formatRun(element.children, indent + settings.indent, indent.length + start.length, settings, options);
+    return [indent + start + content + end];
+  }
+  const lines = [indent + start, ...formatChildren(element.children, depth + 1, settings, options)];
+  if (end) lines.push(indent + end);
+  return lines;
+}
+
+/**
+ * @param {DocumentNode} tree
+ * @param {FormatSettings} settings
+ * @param {ProcessedOptions} options - For writing attributes
+ * @returns {string}
+ */
+function formatTree(tree, settings, options) {
+  const lines = formatChildren(tree.children, 0, settings, options);
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+// Exports
+
+export {
+  getInlineElements,
+  formatTree
+};
@@ -110,7 +110,8 @@ function toFragment(pattern) {
  * @param {string} value - Document to scan
  * @param {(DelimitedFragment | PatternFragment)[]} fragments - In the order the patterns
  *  were given, since the earliest match wins and ties go to the pattern listed first
- * @param {(match: string) => string} replacer - Called with each match, as `replace` would
+ * @param {(match: string, offset: number) => string} replacer - Called with each match and
+ *  where it starts, as `replace` would
  * @returns {string}
  */
 function replaceCustomFragments(value, fragments, replacer) {
@@ -257,7 +258,7 @@ function replaceCustomFragments(value, fragments, replacer) {
     while (start > copied && RE_WHITESPACE.test(value[start - 1] ?? '')) start--;
     while (end < value.length && RE_WHITESPACE.test(value[end] ?? '')) end++;
 
-    out += value.slice(copied, start) + replacer(value.slice(start, end));
+    out += value.slice(copied, start) + replacer(value.slice(start, end), start);
     copied = end;
     search = end;
   }
@@ -0,0 +1,494 @@
+// Asset inlining
+
+import { isExecutableScript, isStyleElement, keepScriptTypeAttribute } from './attributes.js';
+
+/** @import { HTMLAttribute, Plugin, PluginContext, PluginElement } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+
+/**
+ * @typedef {Object} InlinedAssets
+ *  What `inlineAssets` brought into a document, by URL as written, so that
+ *  `verify` can tell the input’s elements apart from the output’s.
+ *
+ * @prop {Set<string>} styles Style sheets of `link` elements, now `style` elements.
+ * @prop {Set<string>} scripts Scripts, now inline.
+ * @prop {Map<string, string>} images SVG images of `img` elements, now data URIs.
+ * @prop {Map<string, string>} svgs SVG images of `img` elements, now `svg` elements: their markup.
+ */
+
+/**
+ * @typedef {Object} InlineAssetsConfig
+ *  `inlineAssets` as normalized.
+ *
+ * @prop {string} baseDir Directory the document’s relative URLs resolve against; nothing outside it is read.
+ * @prop {number} maxSize Files larger than this (in bytes) stay where they are.
+ * @prop {Array<string | RegExp>} include URLs to inline, all when empty.
+ * @prop {Array<string | RegExp>} exclude URLs not to inline.
+ * @prop {'dataURI' | 'inline'} svg How an `img` element’s SVG comes in.
+ */
+
+const DEFAULT_MAX_SIZE = 4096;
+
+const inlineKeys = new Set(['baseDir', 'maxSize', 'include', 'exclude', 'svg']);
+
+// Attributes of a `link` or `script` element that inlining can do without or
+// carry over; elements with others (an `id` a script looks them up by, `async`,
+// `defer`, `onload`) stay as they are
+const linkAttributes = new Set(['rel', 'href', 'media', 'nonce', 'title', 'type', 'crossorigin', 'integrity', 'referrerpolicy', 'fetchpriority', 'blocking']);
+const scriptAttributes = new Set(['src', 'type', 'nonce', 'crossorigin', 'integrity', 'referrerpolicy', 'fetchpriority', 'charset', 'language']);
+// What only means something for a file
+const fetchAttributes = new Set(['src', 'href', 'rel', 'crossorigin', 'integrity', 'referrerpolicy', 'fetchpriority', 'charset']);
+
+const RE_SCHEME = /^[a-z][a-z\d+.-]*:/i;
+const RE_CHARSET = /^\s*@charset\s*(?:"[^"]*"|'[^']*')\s*;/i;
+const RE_LEADING_IMPORT = /^(?:\s|\/\*[\s\S]*?\*\/)*@import\s+(?:url\(\s*(["']?)([^"')]*)\1\s*\)|(["'])([^"']*)\3)\s*([^;]*);/i;
+const RE_CSS_URL = /url\(\s*(["']?)([^"')]*)\1\s*\)/gi;
+const RE_SVG_PROLOG = /^(?:\s|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>)*/i;
+
+/**
+ * @param {unknown} option - `inlineAssets` as given
+ * @param {(message: string) => void} [warn]
+ * @returns {InlineAssetsConfig | null} Null when disabled
+ */
+function normalizeInlineOptions(option, warn) {
+  if (!option) {
+    return null;
+  }
+  const report = warn ?? (() => {});
+  const config = /** @type {Record<string, any>} */ (typeof option === 'object' ? option : {});
+
+  for (const key of Object.keys(config)) {
+    if (!inlineKeys.has(key)) {
+      report(`Ignoring unknown \`inlineAssets\` key \`${key}\`—expected \`baseDir\`, \`maxSize\`, \`include\`, \`exclude\`, or \`svg\``);
+    }
+  }
+
+  if (!globalThis.process?.getBuiltinModule?.('node:fs')) {
+    report('Ignoring `inlineAssets`—reading files requires Node.js');
+    return null;
+  }
+
+  let baseDir = '.';
+  if (typeof config.baseDir === 'string' && config.baseDir) {
+    baseDir = config.baseDir;
+  } else if (config.baseDir !== undefined) {
+    report('Ignoring `inlineAssets.baseDir`—it takes a directory path');
+  }
+
+  let maxSize = DEFAULT_MAX_SIZE;
+  if (typeof config.maxSize === 'number' && config.maxSize >= 0) {
+    maxSize = config.maxSize;
+  } else if (config.maxSize !== undefined) {
+    report('Ignoring `inlineAssets.maxSize`—it takes a number of bytes');
+  }
+
+  /** @type {(key: 'include' | 'exclude') => Array<string | RegExp>} */
+  const patterns = (key) => {
+    if (config[key] === undefined) {
+      return [];
+    }
+    if (!Array.isArray(config[key])) {
+      report(`Ignoring \`inlineAssets.${key}\`—it takes an array of strings and regular expressions`);
+      return [];
+    }
+    return config[key].filter((/** @type {unknown} */ entry) => {
+      if (typeof entry === 'string' || entry instanceof RegExp) {
+        return true;
+      }
+      report(`Ignoring \`inlineAssets.${key}\` entry of type ${typeof entry}—entries must be strings or regular expressions`);
+      return false;
+    });
+  };
+
+  let svg = /** @type {InlineAssetsConfig['svg']} */ ('dataURI');
+  if (config.svg === 'dataURI' || config.svg === 'inline') {
+    svg = config.svg;
+  } else if (config.svg !== undefined) {
+    report('Ignoring `inlineAssets.svg`—it takes `dataURI` or `inline`');
+  }
+
+  return { baseDir, maxSize, include: patterns('include'), exclude: patterns('exclude'), svg };
+}
+
+/**
+ * @param {string} url
+ * @param {Array<string | RegExp>} patterns
+ * @returns {boolean}
+ */
+function matchesAny(url, patterns) {
+  return patterns.some(pattern => typeof pattern === 'string' ? url.startsWith(pattern) : pattern.test(url));
+}
+
+/**
+ * Resolve a URL against the one it appears in, both relative to the document;
+ * null for URLs that aren’t relative (`https:`, `data:`, `/root`, `#id`)
+ * @param {string} url
+ * @param {string} from - URL of the style sheet, empty for the document itself
+ * @returns {string | null}
+ */
+function resolveURL(url, from) {
+  const trimmed = url.trim();
+  if (!trimmed || RE_SCHEME.test(trimmed) || /^[/\\#?]/.test(trimmed)) {
+    return null;
+  }
+  const at = trimmed.search(/[?#]/);
+  const [pathname, suffix] = at < 0 ? [trimmed, ''] : [trimmed.slice(0, at), trimmed.slice(at)];
+  /** @type {string[]} */
+  const segments = [];
+  const parts = (from.slice(0, from.lastIndexOf('/') + 1) + pathname).split('/');
+  parts.forEach((part, index) => {
+    if (part === '..' && segments.length && segments[segments.length - 1] !== '..') {
+      segments.pop();
+    } else if (part === '..' || (part && part !== '.')) {
+      segments.push(part);
+    } else if (index === parts.length - 1) {
+      // A trailing slash stays
+      segments.push('');
+    }
+  });
+  return segments.join('/') + suffix;
+}
+
+/**
+ * @param {string} css
+ * @param {string} from - URL of the style sheet, relative to the document
+ * @returns {string} The style sheet with its relative URLs relative to the document
+ */
+function rebaseURLs(css, from) {
+  if (!from.includes('/')) {
+    return css;
+  }
+  return css.replace(RE_CSS_URL, (match, quote, url) => {
+    const resolved = resolveURL(url, from);
+    return resolved === null ? match : `url(${quote}${resolved}${quote})`;
+  });
+}
+
+/**
+ * Read a file a URL points to, if local, allowed, and small enough
+ * @param {string} url - Relative to the document
+ * @param {InlineAssetsConfig} config
+ * @returns {Promise<string | null>}
+ */
+async function readAsset(url, config) {
+  const fs = globalThis.process?.getBuiltinModule?.('node:fs');
+  const path = globalThis.process?.getBuiltinModule?.('node:path');
+  const local = resolveURL(url, '');
+  if (!fs || !path || local === null || (config.include.length && !matchesAny(local, config.include)) || matchesAny(local, config.exclude)) {
+    return null;
+  }
+  let file;
+  try {
+    // Compared with links followed, so that one can’t lead outside
+    const root = await fs.promises.realpath(config.baseDir);
+    file = await fs.promises.realpath(path.resolve(root, decodeURIComponent(local.replace(/[?#].*$/, ''))));
+    if (!file.startsWith(root + path.sep)) {
+      return null;
+    }
+    const stat = await fs.promises.stat(file);
+    if (!stat.isFile() || stat.size > config.maxSize) {
+      return null;
+    }
+    return await fs.promises.readFile(file, 'utf8');
+  } catch {
+    // Missing, unreadable, or a malformed URL: The reference stays
+    return null;
+  }
+}
+
+/**
+ * Follow a style sheet’s `@import` rules of local files, all or none, so that
+ * those left stay at the top
+ * @param {string} css
+ * @param {string} from - URL of the style sheet, relative to the document
+ * @param {InlineAssetsConfig} config
+ * @param {Set<string>} seen - Style sheets on the way here, against cycles
+ * @returns {Promise<{css: string, complete: boolean}>} With URLs relative to the document; `complete` when no `@import` is left
+ */
+async function followImports(css, from, config, seen) {
+  let rest = css.replace(RE_CHARSET, '');
+  /** @type {Array<{url: string, condition: string}>} */
+  const imports = [];
+  for (let match = RE_LEADING_IMPORT.exec(rest); match; match = RE_LEADING_IMPORT.exec(rest)) {
+    imports.push({ url: match[2] ?? match[4] ?? '', condition: (match[5] ?? '').trim() });
+    rest = rest.slice(match[0].length);
+  }
+  const body = rebaseURLs(rest, from);
+  if (!imports.length) {
+    return { css: body, complete: true };
+  }
+
+  /** @type {string[]} */
+  const followed = [];
+  for (const { url, condition } of imports) {
+    const resolved = resolveURL(url, from);
+    // `layer()` and `supports()` conditions have no wrapper as simple as `@media`
+    const imported = resolved !== null && !seen.has(resolved) && !/^(?:layer|supports)\b/i.test(condition)
+      ? await readAsset(resolved, config)
+      : null;
+    const result = imported === null ? null : await followImports(imported, /** @type {string} */ (resolved), config, new Set([...seen, /** @type {string} */ (resolved)]));
+    if (!result?.complete) {
+      const kept = imports.map(entry => {
+        const rebased = resolveURL(entry.url, from) ?? entry.url;
+        return `@import url(${JSON.stringify(rebased)})${entry.condition ? ' ' + entry.condition : ''};`;
+      });
+      return { css: kept.join('') + body, complete: false };
+    }
+    followed.push(condition ? `@media ${condition}{${result.css}}` : result.css);
+  }
+  return { css: followed.join('') + body, complete: true };
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function attrValue(attrs, name) {
+  return attrs.find(attr => attr.name.toLowerCase() === name)?.value;
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs
+ * @param {ProcessedOptions} options
+ * @returns {string} The attributes as markup, after a tag name
+ */
+function serializeAttrs(attrs, options) {
+  return attrs.map(attr => {
+    if (attr.value === undefined) {
+      return ' ' + attr.name;
+    }
+    const value = attr.value.replace(/&(?![#\w]+;)/g, '&amp;');
+    return ' ' + attr.name + '=' + (options.removeAttributeQuotes && /^[^\s"'=<>`]+$/.test(value) ? value : '"' + value.replace(/"/g, '&#34;') + '"');
+  }).join('');
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs - Of a `link` element
+ * @returns {string | undefined} The style sheet’s URL, if a `style` element can stand in for the element
+ */
+function styleSheetURL(attrs) {
+  if ((attrValue(attrs, 'rel') ?? '').trim().toLowerCase() !== 'stylesheet' ||
+      !attrs.every(attr => linkAttributes.has(attr.name.toLowerCase())) || !isStyleElement('style', attrs)) {
+    return undefined;
+  }
+  return attrValue(attrs, 'href');
+}
+
+/**
+ * @param {string} tag
+ * @param {HTMLAttribute[]} attrs
+ * @returns {string | undefined} The script’s URL, if a classic script that can be inline
+ */
+function scriptURL(tag, attrs) {
+  // Modules stay, as what they import is relative to them
+  if (tag !== 'script' || !isExecutableScript(tag, attrs) || keepScriptTypeAttribute(attrValue(attrs, 'type')) ||
+      !attrs.every(attr => scriptAttributes.has(attr.name.toLowerCase()))) {
+    return undefined;
+  }
+  return attrValue(attrs, 'src');
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs - Of an `img` element
+ * @returns {string | undefined} The image’s URL, if an SVG file
+ */
+function svgURL(attrs) {
+  const src = attrValue(attrs, 'src');
+  return src !== undefined && /\.svg$/i.test(src.replace(/[?#].*$/, '')) ? src : undefined;
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs - Of an `img` element
+ * @param {boolean} inPicture - Whether the element is in a `picture` element
+ * @returns {boolean} Whether an `svg` element can stand in for the element, which
+ *   isn’t so where the browser picks among sources
+ */
+function canReplaceImage(attrs, inPicture) {
+  return !inPicture && attrValue(attrs, 'srcset') === undefined;
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs
+ * @returns {HTMLAttribute[]} Those still meaningful once the file is inline
+ */
+function withoutFetchAttributes(attrs) {
+  return attrs.filter(attr => !fetchAttributes.has(attr.name.toLowerCase()));
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs - Of an `img` element
+ * @param {string} markup - The SVG image’s, without prolog
+ * @param {ProcessedOptions} options
+ * @returns {string} The `svg` element to put in place of the `img` element, with
+ *   its box and text alternative
+ */
+function replaceImage(attrs, markup, options) {
+  const root = /^<svg\b([^>]*?)(\/?)>/i.exec(markup);
+  if (!root) {
+    return markup;
+  }
+  /** @type {HTMLAttribute[]} */
+  const carried = attrs.filter(attr => /^(?:id|class|style|width|height|title)$/i.test(attr.name));
+  const alt = attrValue(attrs, 'alt');
+  if (alt) {
+    carried.push({ name: 'role', value: 'img' }, { name: 'aria-label', value: alt });
+  } else if (alt !== undefined) {
+    carried.push({ name: 'aria-hidden', value: 'true' });
+  }
+  const names = new Set(carried.map(attr => attr.name.toLowerCase()));
+  const own = (root[1] ?? '').replace(/\s([^\s"'>/=]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/g, (match, name) => names.has(name.toLowerCase()) ? '' : match);
+  return '<svg' + serializeAttrs(carried, options) + own + root[2] + '>' + markup.slice(root[0].length);
+}
+
+/**
+ * Stand-ins for the elements `inlineAssets` replaced, for `verify` to compare
+ * the input by
+ * @param {string} tag
+ * @param {HTMLAttribute[]} attrs
+ * @param {boolean} inPicture - Whether the element is in a `picture` element
+ * @param {InlinedAssets} inlined
+ * @param {ProcessedOptions} options
+ * @returns {{tag: string, attrs: HTMLAttribute[]} | {markup: string} | null} The element as
+ *   it is now, or the markup in its place; null when as it was
+ */
+function inlinedElement(tag, attrs, inPicture, inlined, options) {
+  if (tag === 'link') {
+    const href = styleSheetURL(attrs);
+    return href !== undefined && inlined.styles.has(href) ? { tag: 'style', attrs: withoutFetchAttributes(attrs) } : null;
+  }
+  if (tag === 'script') {
+    const src = scriptURL(tag, attrs);
+    return src !== undefined && inlined.scripts.has(src) ? { tag, attrs: withoutFetchAttributes(attrs) } : null;
+  }
+  const src = tag === 'img' ? svgURL(attrs) : undefined;
+  if (src === undefined) {
+    return null;
+  }
+  const markup = inlined.svgs.get(src);
+  if (markup !== undefined && canReplaceImage(attrs, inPicture)) {
+    return { markup: replaceImage(attrs, markup, options) };
+  }
+  const uri = inlined.images.get(src);
+  return uri === undefined ? null : { tag, attrs: attrs.map(attr => attr.name.toLowerCase() === 'src' ? { ...attr, value: uri } : attr) };
+}
+
+/**
+ * Plugin bringing in local style sheets (`link`, `@import`), scripts, and SVG
+ * images, the style sheets and scripts minified as if they had been inline
+ * @param {InlineAssetsConfig} config
+ * @param {InlinedAssets} inlined - Filled in with what comes in
+ * @returns {Plugin}
+ */
+function createInlinePlugin(config, inlined) {
+  // Scripts whose `src` was taken, and what comes in its place
+  /** @type {WeakMap<PluginElement, string>} */
+  const scripts = new WeakMap();
+
+  /**
+   * @param {PluginElement} element - A `link` element
+   * @param {PluginContext} context
+   * @returns {Promise<boolean>} Whether the element stays
+   */
+  async function inlineStyleSheet(element, context) {
+    const options = context.options;
+    const href = styleSheetURL(element.attrs);
+    const css = href === undefined ? null : await readAsset(href, config);
+    if (href === undefined || css === null) {
+      return true;
+    }
+    const from = /** @type {string} */ (resolveURL(href, ''));
+    const sheet = await followImports(css, from, config, new Set([from]));
+    const minified = await options.minifyCSS(sheet.css, undefined, options.cssContext);
+    // Markup that would end the element has to stay out
+    if (/<\/style/i.test(minified)) {
+      return true;
+    }
+    inlined.styles.add(href);
+    context.insertBefore('<style' + serializeAttrs(withoutFetchAttributes(element.attrs), options) + '>' + minified + '</style>');
+    return false;
+  }
+
+  /**
+   * @param {PluginElement} element - A `script` element
+   * @returns {Promise<void>}
+   */
+  async function inlineScript(element) {
+    const src = scriptURL(element.tag, element.attrs);
+    const js = src === undefined ? null : await readAsset(src, config);
+    // Markup that would end or escape the element has to stay out
+    if (src === undefined || js === null || /<\/script|<!--/i.test(js)) {
+      return;
+    }
+    inlined.scripts.add(src);
+    element.attrs = withoutFetchAttributes(element.attrs);
+    scripts.set(element, js);
+  }
+
+  /**
+   * @param {PluginElement} element - An `img` element
+   * @param {PluginContext} context
+   * @returns {Promise<boolean>} Whether the element stays
+   */
+  async function inlineImage(element, context) {
+    const options = context.options;
+    const src = svgURL(element.attrs);
+    let svg = src === undefined ? null : await readAsset(src, config);
+    if (src === undefined || svg === null) {
+      return true;
+    }
+    if (options.minifySVG) {
+      svg = await options.minifySVG(svg, options.engineContext);
+    }
+    const markup = svg.replace(RE_SVG_PROLOG, '').trim();
+    if (config.svg === 'inline' && /^<svg\b/i.test(markup) && canReplaceImage(element.attrs, context.stack.some(open => open.tag === 'picture'))) {
+      inlined.svgs.set(src, markup);
+      context.insertBefore(replaceImage(element.attrs, markup, options));
+      return false;
+    }
+    // `&` as well, which the HTML parser would otherwise take for a character reference
+    const uri = 'data:image/svg+xml,' + markup.replace(/\s+/g, ' ').replace(/[%#&]/g, encodeURIComponent);
+    inlined.images.set(src, uri);
+    element.attrs = element.attrs.map(attr => attr.name.toLowerCase() === 'src' ? { ...attr, value: uri } : attr);
+    return true;
+  }
+
+  return {
+    async start(element, context) {
+      if (context.options.insideForeignContent) {
+        return true;
+      }
+      if (element.tag === 'link') {
+        return inlineStyleSheet(element, context);
+      }
+      if (element.tag === 'img') {
+        return inlineImage(element, context);
+      }
+      if (element.tag === 'script') {
+        await inlineScript(element);
+      }
+      return true;
+    },
+    async text(node, context) {
+      const parent = context.stack[context.stack.length - 1];
+      if (!parent) {
+        return;
+      }
+      const js = scripts.get(parent);
+      if (js !== undefined) {
+        node.text = js;
+      } else if (isStyleElement(parent.tag, parent.attrs) && node.text.includes('@import')) {
+        node.text = (await followImports(node.text, '', config, new Set())).css;
+      }
+    }
+  };
+}
+
+// Exports
+
+export {
+  normalizeInlineOptions,
+  createInlinePlugin,
+  inlinedElement,
+  serializeAttrs
+};
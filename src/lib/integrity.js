@@ -0,0 +1,171 @@
+// Subresource Integrity
+
+/** @import { IntegrityUpdate } from '../htmlminifier.js' */
+
+/**
+ * @typedef {Object} IntegrityConfig
+ *  `addIntegrity` as normalized.
+ *
+ * @prop {string} baseDir Directory relative URLs resolve against.
+ * @prop {string} root Directory root-relative URLs (`/…`) resolve against.
+ * @prop {Record<string, string>} origins Directories absolute URLs starting with the keys resolve against.
+ * @prop {'sha256' | 'sha384' | 'sha512'} algorithm Hash function for new values.
+ * @prop {'anonymous' | 'use-credentials' | false} crossorigin What elements pointing to another origin get as `crossorigin`, if they have none.
+ * @prop {((update: IntegrityUpdate) => void) | null} onUpdate Called for each value added or replaced.
+ */
+
+const algorithms = new Set(['sha256', 'sha384', 'sha512']);
+
+const integrityKeys = new Set(['baseDir', 'root', 'origins', 'algorithm', 'crossorigin', 'onUpdate']);
+
+const RE_SCHEME = /^[a-z][a-z\d+.-]*:/i;
+
+/**
+ * @param {unknown} option - `addIntegrity` as given
+ * @param {(message: string) => void} [warn]
+ * @returns {IntegrityConfig | null} Null when disabled
+ */
+function normalizeIntegrityOptions(option, warn) {
+  if (!option) {
+    return null;
+  }
+  const report = warn ?? (() => {});
+  const config = /** @type {Record<string, any>} */ (typeof option === 'object' ? option : {});
+
+  for (const key of Object.keys(config)) {
+    if (!integrityKeys.has(key)) {
+      report(`Ignoring unknown \`addIntegrity\` key \`${key}\`—expected \`baseDir\`, \`root\`, \`origins\`, \`algorithm\`, \`crossorigin\`, or \`onUpdate\``);
+    }
+  }
+
+  if (!globalThis.process?.getBuiltinModule?.('node:crypto')) {
+    report('Ignoring `addIntegrity`—hashing files requires Node.js');
+    return null;
+  }
+
+  let baseDir = '.';
+  if (typeof config.baseDir === 'string' && config.baseDir) {
+    baseDir = config.baseDir;
+  } else if (config.baseDir !== undefined) {
+    report('Ignoring `addIntegrity.baseDir`—it takes a directory path');
+  }
+
+  let root = baseDir;
+  if (typeof config.root === 'string' && config.root) {
+    root = config.root;
+  } else if (config.root !== undefined) {
+    report('Ignoring `addIntegrity.root`—it takes a directory path');
+  }
+
+  /** @type {Record<string, string>} */
+  const origins = {};
+  if (config.origins && typeof config.origins === 'object' && !Array.isArray(config.origins)) {
+    for (const [prefix, dir] of Object.entries(config.origins)) {
+      if (typeof dir === 'string' && RE_SCHEME.test(prefix)) {
+        origins[prefix] = dir;
+      } else {
+        report(`Ignoring \`addIntegrity.origins\` entry \`${prefix}\`—it takes absolute URLs mapped to directory paths`);
+      }
+    }
+  } else if (config.origins !== undefined) {
+    report('Ignoring `addIntegrity.origins`—it takes an object of absolute URLs mapped to directory paths');
+  }
+
+  let algorithm = /** @type {IntegrityConfig['algorithm']} */ ('sha384');
+  if (algorithms.has(config.algorithm)) {
+    algorithm = config.algorithm;
+  } else if (config.algorithm !== undefined) {
+    report('Ignoring `addIntegrity.algorithm`—it takes `sha256`, `sha384`, or `sha512`');
+  }
+
+  let crossorigin = /** @type {IntegrityConfig['crossorigin']} */ ('anonymous');
+  if (config.crossorigin === 'anonymous' || config.crossorigin === 'use-credentials' || config.crossorigin === false) {
+    crossorigin = config.crossorigin;
+  } else if (config.crossorigin !== undefined) {
+    report('Ignoring `addIntegrity.crossorigin`—it takes `anonymous`, `use-credentials`, or `false`');
+  }
+
+  let onUpdate = null;
+  if (typeof config.onUpdate === 'function') {
+    onUpdate = config.onUpdate;
+  } else if (config.onUpdate !== undefined) {
+    report('Ignoring `addIntegrity.onUpdate`—it takes a function');
+  }
+
+  return { baseDir, root, origins, algorithm, crossorigin, onUpdate };
+}
+
+/**
+ * The local file a URL points to, if any
+ * @param {string} url
+ * @param {IntegrityConfig} config
+ * @returns {{file: string, crossOrigin: boolean} | null}
+ */
+function resolveIntegrityFile(url, config) {
+  const path = globalThis.process?.getBuiltinModule?.('node:path');
+  let href = url.trim().replace(/[?#].*$/, '');
+  if (!path || !href) {
+    return null;
+  }
+  // Protocol-relative URLs are taken as HTTPS, as the page most likely is
+  if (href.startsWith('//')) {
+    href = 'https:' + href;
+  }
+  let dir;
+  let crossOrigin = false;
+  if (RE_SCHEME.test(href)) {
+    const prefix = Object.keys(config.origins).find(origin => href.startsWith(origin));
+    if (prefix === undefined) {
+      return null;
+    }
+    dir = /** @type {string} */ (config.origins[prefix]);
+    href = href.slice(prefix.length);
+    crossOrigin = true;
+  } else if (/^[/\\]/.test(href)) {
+    dir = config.root;
+  } else {
+    dir = config.baseDir;
+  }
+  try {
+    const base = path.resolve(dir);
+    const file = path.resolve(base, decodeURIComponent(href.replace(/^[/\\]+/, '')));
+    // Relative URLs may lead up from the page as far as the site root
+    const within = crossOrigin ? [base] : [base, path.resolve(config.root)];
+    return within.some(top => file.startsWith(top + path.sep)) ? { file, crossOrigin } : null;
+  } catch {
+    // A malformed URL
+    return null;
+  }
+}
+
+/**
+ * @param {string | Uint8Array} content
+ * @param {string} algorithm
+ * @returns {string} The integrity metadata for the content, like `sha384-…`
+ */
+function computeIntegrity(content, algorithm) {
+  const crypto = /** @type {typeof import('node:crypto')} */ (globalThis.process?.getBuiltinModule?.('node:crypto'));
+  return algorithm + '-' + crypto.createHash(algorithm).update(content).digest('base64');
+}
+
+/**
+ * @param {string} value - An `integrity` attribute’s
+ * @param {string | Uint8Array} content
+ * @returns {boolean} Whether any of its hashes (of a function browsers support) matches the content
+ */
+function isIntegrityCurrent(value, content) {
+  return value.trim().split(/\s+/).some(token => {
+    const algorithm = token.slice(0, token.indexOf('-')).toLowerCase();
+    // Options after `?` are reserved, and ignored by browsers
+    return algorithms.has(algorithm) && computeIntegrity(content, algorithm) === algorithm + token.slice(algorithm.length).replace(/\?.*$/, '');
+  });
+}
+
+// Exports
+
+export {
+  normalizeIntegrityOptions,
+  resolveIntegrityFile,
+  computeIntegrity,
+  isIntegrityCurrent
+};
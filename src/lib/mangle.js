@@ -0,0 +1,650 @@
+// Selector and CSS name mangling
+
+// Short names for the class names and IDs a document’s style sheets select by
+// (`mangleSelectors`): renamed in `class` and `id` attributes, in attributes that
+// refer to IDs, in `style` elements (through a Lightning CSS visitor), and in
+// the strings inline scripts hand the DOM as names or selectors. Likewise for the custom properties and the
+// `@keyframes` and `@counter-style` names a document defines (`mangleCSSNames`),
+// which only style sheets and `style` attributes refer to. Names are handed out
+// by how often the document uses them and kept in a name map, so that documents
+// minified with the same map rename the same names alike. Names other than those
+// stay as they are, as do all names on a document that already uses the short
+// name for something else.
+
+import {
+  idReferenceAttributes,
+  fragmentReferenceAttributes,
+  attributePattern,
+  identifierPattern,
+  reservedAtRulePattern,
+  fragmentURLPattern,
+  stringLiteralPattern,
+  cssIdentifierPattern,
+  unescapeIdentifier,
+  foldCase,
+  findRawTextElements,
+  collectUsedSymbols,
+  isSafelisted
+} from './unused-css.js';
+import { isExecutableScript } from './attributes.js';
+import { RE_EVENT_ATTR_DEFAULT } from './constants.js';
+
+/** @import { HTMLAttribute, Plugin } from '../htmlminifier.js' */
+
+/**
+ * `mangleSelectors` or `mangleCSSNames` as processed
+ *
+ * @typedef {{safelist: Array<string | RegExp>, scripts: boolean, nameMap: Map<string, string>}} MangleConfig
+ */
+
+// Short names start with a letter and go on with letters and digits—lowercase,
+// since class names match case-insensitively in quirks mode
+const FIRST_CHARACTERS = 'abcdefghijklmnopqrstuvwxyz';
+const CHARACTERS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+const RE_TOKEN_LIST = /^[ \t\n\f\r]*[-\w]+(?:[ \t\n\f\r]+[-\w]+)*[ \t\n\f\r]*$/;
+const RE_TOKEN = /[-\w]+/g;
+const RE_LIST_ITEM = /[^ \t\n\f\r]+/g;
+// Class and ID selectors in a script’s strings (`'.menu > .item'`)
+const RE_SELECTOR_NAME = /(^|[\s>+~,(])([.#])(-?[_a-zA-Z][-\w]*)(?![-\w])/g;
+// What comes before a string a script hands the DOM as class names, an ID, or a
+// selector: `classList` methods (each argument), selector and lookup methods, and
+// `className`, `id`, and `setAttribute('class'|'id')` values
+const RE_NAME_CALL = /(?:\.classList\s*\.\s*(?:add|remove|toggle|contains|replace)\s*\((?:\s*(?:'[^'\\\n]*'|"[^"\\\n]*")\s*,)*|\.(?:querySelector|querySelectorAll|closest|matches|getElementById|getElementsByClassName)\s*\(|\.(?:className|id)\s*=|\.setAttribute\s*\(\s*(['"])(?:class|id)\1\s*,)\s*$/;
+
+// Attribute selectors with a value (`[class~="card"]`, `[id^=section-]`)
+const RE_ATTRIBUTE_SELECTOR = /\[\s*([-\w]+)\s*([~|^$*]?=)\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s\]]+))\s*(?:[iIsS]\s*)?\]/g;
+
+// Custom properties defined in a declaration or an `@property` rule
+const RE_CUSTOM_PROPERTY_DEFINITION = /(?:^|[{;\s])(--[-\w]+)\s*:|@property\s+(--[-\w]+)/g;
+// What `animation-name` and `list-style-type` take besides names, and predefined
+// counter styles, as short as short names get
+const reservedNames = new Set(['auto', 'both', 'disc', 'ease', 'none', 'unset']);
+
+const mangleKeys = {
+  mangleSelectors: new Set(['safelist', 'scripts', 'nameMap']),
+  mangleCSSNames: new Set(['safelist', 'nameMap'])
+};
+
+/**
+ * Normalize the `mangleSelectors` or `mangleCSSNames` option, the way
+ * `removeUnusedCSS` is
+ * @param {boolean | {safelist?: Array<string | RegExp>, scripts?: boolean, nameMap?: Map<string, string> | Record<string, string>} | undefined} option
+ * @param {(message: string) => unknown} [warn] - Receives one message per ignored value
+ * @param {'mangleSelectors' | 'mangleCSSNames'} [optionName] - Default `mangleSelectors`
+ * @returns {MangleConfig | null} Null when disabled
+ */
+function normalizeMangleOptions(option, warn, optionName = 'mangleSelectors') {
+  if (!option) {
+    return null;
+  }
+  const report = warn ?? (() => {});
+  const config = /** @type {Record<string, any>} */ (typeof option === 'object' ? option : {});
+  const keys = mangleKeys[optionName];
+
+  for (const key of Object.keys(config)) {
+    if (!keys.has(key)) {
+      const expected = keys.has('scripts') ? '`safelist`, `scripts`, or `nameMap`' : '`safelist` or `nameMap`';
+      report(`Ignoring unknown \`${optionName}\` key \`${key}\`—expected ${expected}`);
+    }
+  }
+
+  /** @type {Array<string | RegExp>} */
+  let safelist = [];
+  if (config.safelist !== undefined) {
+    if (!Array.isArray(config.safelist)) {
+      report(`Ignoring \`${optionName}.safelist\`—it takes an array of strings and regular expressions`);
+    } else {
+      safelist = config.safelist.filter((/** @type {unknown} */ entry) => {
+        if (typeof entry === 'string' || entry instanceof RegExp) {
+          return true;
+        }
+        report(`Ignoring \`${optionName}.safelist\` entry of type ${typeof entry}—entries must be strings or regular expressions`);
+        return false;
+      });
+    }
+  }
+
+  if (keys.has('scripts') && config.scripts !== undefined && typeof config.scripts !== 'boolean') {
+    report(`Ignoring \`${optionName}.scripts\`—it takes a boolean`);
+  }
+
+  // A `Map` is filled in as names are handed out; an object (a map read back from
+  // JSON) only starts one off
+  /** @type {Map<string, string>} */
+  let nameMap = new Map();
+  if (config.nameMap instanceof Map) {
+    nameMap = config.nameMap;
+  } else if (config.nameMap && typeof config.nameMap === 'object' && !Array.isArray(config.nameMap)) {
+    for (const [name, short] of Object.entries(config.nameMap)) {
+      if (typeof short === 'string' && short) {
+        nameMap.set(name, short);
+      }
+    }
+  } else if (config.nameMap !== undefined) {
+    report(`Ignoring \`${optionName}.nameMap\`—it takes a \`Map\` or an object of names`);
+  }
+
+  return {
+    safelist,
+    scripts: typeof config.scripts === 'boolean' ? config.scripts : true,
+    nameMap
+  };
+}
+
+/**
+ * Short name number `index`: `a`–`z`, then `aa`, `ba`, … `a0`, …
+ * @param {number} index
+ * @returns {string}
+ */
+function shortName(index) {
+  let name = FIRST_CHARACTERS[index % FIRST_CHARACTERS.length] ?? '';
+  index = Math.floor(index / FIRST_CHARACTERS.length);
+  while (index > 0) {
+    index--;
+    name += CHARACTERS[index % CHARACTERS.length] ?? '';
+    index = Math.floor(index / CHARACTERS.length);
+  }
+  return name;
+}
+
+/**
+ * Decide what to rename in a document, handing out names the map lacks—leaving
+ * names attribute selectors may match by, names event handlers mention, and,
+ * with `scripts`, names script strings other than those renamed in hold
+ * @param {string} html - Raw document markup
+ * @param {MangleConfig} config - Its `nameMap` is added to
+ * @param {(text: string) => string} [decode] - Resolves character references in attribute values
+ * @param {Set<string>} [fixed] - Names to leave as they are, such as those in `htmlmin:ignore` blocks
+ * @returns {Map<string, string>} Short names by name
+ */
+function createRenames(html, config, decode, fixed) {
+  // Names the document uses in any way, which a short name must not be
+  const taken = collectUsedSymbols(html, true, decode);
+  /** @type {Set<string>} */
+  const selected = new Set();
+  /** @type {ReturnType<typeof findAttributeSelectors>} */
+  const selectors = [];
+  for (const element of findRawTextElements(foldCase(html), 'style')) {
+    if (!element.closed) {
+      continue;
+    }
+    const css = html.slice(element.bodyStart, element.bodyEnd);
+    selectors.push(...findAttributeSelectors(css));
+    cssIdentifierPattern.lastIndex = 0;
+    let match;
+    while ((match = cssIdentifierPattern.exec(css))) {
+      const name = unescapeIdentifier(match[1] ?? '');
+      taken.add(name);
+      if (!fixed?.has(name) && !isSafelisted(name, config.safelist)) {
+        selected.add(name);
+      }
+    }
+  }
+
+  // The more often a name is used, the shorter the name it gets
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  attributePattern.lastIndex = 0;
+  let match;
+  while ((match = attributePattern.exec(html))) {
+    const name = (match[1] ?? '').toLowerCase();
+    const isEvent = RE_EVENT_ATTR_DEFAULT.test(name);
+    if (name !== 'class' && name !== 'id' && !idReferenceAttributes.has(name) && !isEvent) {
+      continue;
+    }
+    const raw = match[2] ?? match[3] ?? match[4] ?? '';
+    const value = decode && raw.indexOf('&') !== -1 ? decode(raw) : raw;
+    if (isEvent) {
+      // Event handlers may mention names in ways that can’t be told apart from the rest of the code
+      for (const token of value.match(RE_TOKEN) ?? []) {
+        selected.delete(token);
+      }
+      continue;
+    }
+    for (const token of value.split(/[ \t\n\f\r]+/)) {
+      if (selected.has(token)) {
+        counts.set(token, (counts.get(token) ?? 0) + 1);
+      }
+    }
+  }
+  for (const name of selected) {
+    if (matchesAttributeSelector(name, selectors)) {
+      selected.delete(name);
+    }
+  }
+  // Strings that scripts may mean something else by keep the names they hold
+  if (config.scripts) {
+    for (const element of findRawTextElements(foldCase(html), 'script')) {
+      for (const { names, call } of scriptLiterals(html.slice(element.bodyStart, element.bodyEnd))) {
+        if (!call) {
+          for (const { name } of names) selected.delete(name);
+        }
+      }
+    }
+  }
+  return handOut(selected, counts, config.nameMap, taken, shortName);
+}
+
+/**
+ * @param {string} css
+ * @returns {Array<{operator: string, tokens: string[]}>} The attribute selectors
+ *  on attributes names are renamed in, with the tokens of their values
+ */
+function findAttributeSelectors(css) {
+  /** @type {Array<{operator: string, tokens: string[]}>} */
+  const selectors = [];
+  RE_ATTRIBUTE_SELECTOR.lastIndex = 0;
+  let match;
+  while ((match = RE_ATTRIBUTE_SELECTOR.exec(css))) {
+    const name = (match[1] ?? '').toLowerCase();
+    const fragment = fragmentReferenceAttributes.has(name);
+    if (name !== 'class' && name !== 'id' && !idReferenceAttributes.has(name) && !fragment) {
+      continue;
+    }
+    const value = unescapeIdentifier(match[3] ?? match[4] ?? match[5] ?? '').toLowerCase();
+    const tokens = value.split(/[ \t\n\f\r]+/).filter(Boolean).map(token => fragment ? token.replace(/^.*#/, '') : token);
+    selectors.push({ operator: match[2] ?? '=', tokens });
+  }
+  return selectors;
+}
+
+/**
+ * Whether an attribute selector may match an element by a name, which renaming
+ * would keep it from: whole tokens for `=`, `~=`, and `|=`, any overlap for the
+ * substring operators; regardless of case, which the `i` flag ignores
+ * @param {string} name
+ * @param {Array<{operator: string, tokens: string[]}>} selectors
+ * @returns {boolean}
+ */
+function matchesAttributeSelector(name, selectors) {
+  const folded = name.toLowerCase();
+  return selectors.some(({ operator, tokens }) => tokens.some(token => {
+    if (operator === '=' || operator === '~=') {
+      return folded === token;
+    }
+    if (operator === '|=') {
+      return folded === token || folded.startsWith(token + '-');
+    }
+    return folded.includes(token) || token.includes(folded);
+  }));
+}
+
+/**
+ * Decide what to rename in a document for `mangleCSSNames`: the custom properties
+ * and `@keyframes` and `@counter-style` names its style sheets define, unless
+ * scripts or attributes other than `style` mention them
+ * @param {string} html - Raw document markup
+ * @param {MangleConfig} config - Its `nameMap` is added to
+ * @param {(text: string) => string} [decode] - Resolves character references in attribute values
+ * @param {Set<string>} [fixed] - Names to leave as they are, such as those in `htmlmin:ignore` blocks
+ * @param {Iterable<string>} [shortNames] - Names `mangleSelectors` hands out, which
+ *  `removeUnusedCSS` would take at-rules of the same name for
+ * @returns {Map<string, string>} Short names by name
+ */
+function createCSSNameRenames(html, config, decode, fixed, shortNames = []) {
+  const haystack = foldCase(html);
+  /** @type {string[]} */
+  const styles = [];
+  for (const element of findRawTextElements(haystack, 'style')) {
+    if (element.closed) {
+      styles.push(html.slice(element.bodyStart, element.bodyEnd));
+    }
+  }
+  // Names mentioned outside of style sheets, where they aren’t renamed
+  const mentioned = new Set(fixed);
+  const addTokens = (/** @type {string} */ text) => {
+    for (const token of text.match(RE_TOKEN) ?? []) {
+      mentioned.add(token);
+    }
+  };
+  attributePattern.lastIndex = 0;
+  let match;
+  while ((match = attributePattern.exec(html))) {
+    const raw = match[2] ?? match[3] ?? match[4] ?? '';
+    const value = decode && raw.indexOf('&') !== -1 ? decode(raw) : raw;
+    if ((match[1] ?? '').toLowerCase() === 'style') {
+      styles.push(value);
+    } else {
+      addTokens(value);
+    }
+  }
+  for (const element of findRawTextElements(haystack, 'script')) {
+    addTokens(html.slice(element.bodyStart, element.bodyEnd));
+  }
+
+  /** @type {Set<string>} */
+  const properties = new Set();
+  /** @type {Set<string>} */
+  const atRuleNames = new Set();
+  const taken = new Set([...mentioned, ...reservedNames, ...shortNames]);
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  for (const css of styles) {
+    RE_CUSTOM_PROPERTY_DEFINITION.lastIndex = 0;
+    while ((match = RE_CUSTOM_PROPERTY_DEFINITION.exec(css))) {
+      properties.add(match[1] ?? match[2] ?? '');
+    }
+    reservedAtRulePattern.lastIndex = 0;
+    while ((match = reservedAtRulePattern.exec(css))) {
+      atRuleNames.add(match[1] ?? '');
+    }
+    identifierPattern.lastIndex = 0;
+    while ((match = identifierPattern.exec(css))) {
+      taken.add(match[0]);
+      counts.set(match[0], (counts.get(match[0]) ?? 0) + 1);
+    }
+  }
+  const renamable = (/** @type {string} */ name) => !mentioned.has(name) && !isSafelisted(name, config.safelist);
+
+  return new Map([
+    ...handOut([...properties].filter(renamable), counts, config.nameMap, taken, index => '--' + shortName(index)),
+    ...handOut([...atRuleNames].filter(renamable), counts, config.nameMap, taken, shortName)
+  ]);
+}
+
+/**
+ * Pair names with short names, those the map has where the document allows, and
+ * new ones, most used names first, where they are shorter
+ * @param {Iterable<string>} names
+ * @param {Map<string, number>} counts - Uses by name
+ * @param {Map<string, string>} nameMap - Added to
+ * @param {Set<string>} taken - Names the document uses, which a short name must not be
+ * @param {(index: number) => string} nameAt - Short name by number
+ * @returns {Map<string, string>}
+ */
+function handOut(names, counts, nameMap, taken, nameAt) {
+  const ordered = [...names].sort((a, b) => (counts.get(b) ?? 0) - (counts.get(a) ?? 0) || (a < b ? -1 : a > b ? 1 : 0));
+  const given = new Set(nameMap.values());
+  /** @type {Map<string, string>} */
+  const renames = new Map();
+  const assigned = new Set();
+  let next = 0;
+  for (const name of ordered) {
+    let short = nameMap.get(name);
+    if (short === undefined) {
+      do {
+        short = nameAt(next++);
+      } while (taken.has(short) || given.has(short) || nameMap.has(short));
+      if (short.length >= name.length) {
+        next--;
+        continue;
+      }
+      nameMap.set(name, short);
+      given.add(short);
+    } else if (taken.has(short) || assigned.has(short)) {
+      // Handed out for another document, but a name of this one’s own (or, from a
+      // map put together by hand, another name’s, too)
+      continue;
+    }
+    assigned.add(short);
+    renames.set(name, short);
+  }
+  return renames;
+}
+
+/**
+ * The renames that apply to a style sheet, for telling cached results apart
+ * @param {string} css
+ * @param {Map<string, string>} renames
+ * @param {boolean} [names] - Whether the renames are `mangleCSSNames`’, rather than
+ *  `mangleSelectors`’
+ * @returns {Array<[string, string]>}
+ */
+function renamesIn(css, renames, names = false) {
+  const pattern = names ? identifierPattern : cssIdentifierPattern;
+  /** @type {Map<string, string>} */
+  const found = new Map();
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(css))) {
+    const name = names ? match[0] : unescapeIdentifier(match[1] ?? '');
+    const short = renames.get(name);
+    if (short !== undefined) {
+      found.set(name, short);
+    }
+  }
+  return [...found].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+}
+
+/**
+ * Run a visitor from the `minifyCSS` options on a node: a function, or an object
+ * of functions by node type (rules), property (declarations), or name (functions)
+ * @param {any} visit
+ * @param {any} node
+ * @param {string} key
+ * @returns {any} What replaces the node, if anything
+ */
+function visitWith(visit, node, key) {
+  const fn = typeof visit === 'function' ? visit : visit?.[key];
+  return fn?.(node);
+}
+
+/**
+ * Lightning CSS visitor renaming class and ID selectors, also inside `:is()`,
+ * `:not()`, `:has()`, and the like, and `url(#id)` references, as well as custom
+ * properties and `@keyframes` and `@counter-style` names, after whatever a visitor
+ * from the `minifyCSS` options does
+ * @param {Map<string, string>} renames - `mangleSelectors`’
+ * @param {Map<string, string>} nameRenames - `mangleCSSNames`’
+ * @param {Record<string, any>} [visitor]
+ * @returns {Record<string, any>}
+ */
+function createMangleVisitor(renames, nameRenames, visitor) {
+  /** @type {Record<string, any>} */
+  const mangleVisitor = { ...visitor };
+
+  if (renames.size) {
+    /** @type {(selector: Array<Record<string, any>>) => Array<Record<string, any>>} */
+    const renameSelector = selector => selector.map(component => {
+      let renamed = component;
+      if ((component.type === 'class' || component.type === 'id') && renames.has(component.name)) {
+        renamed = { ...component, name: renames.get(component.name) };
+      }
+      // Nested selectors: lists (`:is()`, `:not()`, `:nth-child(… of …)`) or one (`::slotted()`, `:host()`)
+      for (const key of ['selectors', 'selector', 'of']) {
+        const nested = component[key];
+        if (Array.isArray(nested)) {
+          renamed = { ...renamed, [key]: Array.isArray(nested[0]) ? nested.map(renameSelector) : renameSelector(nested) };
+        }
+      }
+      return renamed;
+    });
+
+    mangleVisitor.Selector = (/** @type {Array<Record<string, any>>} */ selector) => {
+      const visited = visitor?.Selector ? visitor.Selector(selector) ?? selector : selector;
+      return Array.isArray(visited[0]) ? visited.map(renameSelector) : renameSelector(visited);
+    };
+    mangleVisitor.Url = (/** @type {{url: string}} */ url) => {
+      const visited = visitor?.Url ? visitor.Url(url) ?? url : url;
+      const short = visited.url.charAt(0) === '#' ? renames.get(visited.url.slice(1)) : undefined;
+      return short === undefined ? visited : { ...visited, url: '#' + short };
+    };
+  }
+
+  if (nameRenames.size) {
+    // Lightning CSS visits a rule or declaration before what is in it, so it is
+    // known whether an identifier names a `@keyframes` or `@counter-style` rule
+    // (as opposed to, say, a grid area or a counter). Renaming the identifiers
+    // rather than the rules and declarations that hold them also keeps clear of
+    // values Lightning CSS cannot take back (such as `var()` references).
+    let inCounterStyle = false;
+    let namesRule = false;
+    let namesRules = false;
+    // Identifiers seen in `counter()` or `counters()`, the counter’s own being the
+    // first; -1 outside of those
+    let counterArgument = -1;
+    const rename = (/** @type {string} */ name) => nameRenames.get(name) ?? name;
+
+    mangleVisitor.DashedIdent = (/** @type {string} */ ident) => rename(visitor?.DashedIdent?.(ident) ?? ident);
+    mangleVisitor.CustomIdent = (/** @type {string} */ ident) => {
+      const visited = visitor?.CustomIdent?.(ident) ?? ident;
+      if (namesRule || namesRules) {
+        namesRule = false;
+        return rename(visited);
+      }
+      return visited;
+    };
+    // `system: extends …` and `fallback: …` in `@counter-style`, and the style in
+    // `counter(name, style)` and `counters(name, string, style)`
+    mangleVisitor.Token = (/** @type {any} */ token) => {
+      const visited = visitor?.Token?.(token);
+      if (visited !== undefined || token.type !== 'ident' || (counterArgument !== -1 && counterArgument++ === 0)) {
+        return visited;
+      }
+      return (namesRules || counterArgument !== -1) && nameRenames.has(token.value)
+        ? { type: 'token', value: { type: 'ident', value: rename(token.value) } }
+        : undefined;
+    };
+    mangleVisitor.Rule = (/** @type {any} */ rule) => {
+      inCounterStyle = rule.type === 'counter-style';
+      namesRule = rule.type === 'keyframes' || inCounterStyle;
+      return visitWith(visitor?.Rule, rule, rule.type);
+    };
+    mangleVisitor.RuleExit = (/** @type {any} */ rule) => {
+      inCounterStyle = false;
+      namesRule = false;
+      return visitWith(visitor?.RuleExit, rule, rule.type);
+    };
+    mangleVisitor.Declaration = (/** @type {any} */ declaration) => {
+      namesRule = false;
+      namesRules = ['animation', 'animation-name', 'list-style', 'list-style-type'].includes(declaration.property) ||
+        (inCounterStyle && declaration.property === 'custom' && (declaration.value.name === 'system' || declaration.value.name === 'fallback'));
+      return visitWith(visitor?.Declaration, declaration, declaration.property);
+    };
+    mangleVisitor.DeclarationExit = (/** @type {any} */ declaration) => {
+      namesRules = false;
+      return visitWith(visitor?.DeclarationExit, declaration, declaration.property);
+    };
+    mangleVisitor.Function = (/** @type {any} */ fn) => {
+      if (fn.name === 'counter' || fn.name === 'counters') {
+        counterArgument = 0;
+      }
+      return visitWith(visitor?.Function, fn, fn.name);
+    };
+    mangleVisitor.FunctionExit = (/** @type {any} */ fn) => {
+      counterArgument = -1;
+      return visitWith(visitor?.FunctionExit, fn, fn.name);
+    };
+  }
+
+  return mangleVisitor;
+}
+
+/**
+ * Plugin renaming in attributes and, with `scripts`, in the strings inline
+ * scripts hand the DOM as names or selectors
+ * @param {Map<string, string>} renames
+ * @param {MangleConfig} config
+ * @param {(text: string) => string} [decode]
+ * @returns {Plugin}
+ */
+function createManglePlugin(renames, config, decode) {
+  return {
+    start(element) {
+      element.attrs = renameAttributes(element.attrs, renames, decode);
+    },
+    text(node, context) {
+      const parent = context.stack[context.stack.length - 1];
+      if (config.scripts && parent && isExecutableScript(parent.tag, parent.attrs)) {
+        node.text = renameScript(node.text, renames);
+      }
+    }
+  };
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs
+ * @param {Map<string, string>} renames
+ * @param {(text: string) => string} [decode]
+ * @returns {HTMLAttribute[]}
+ */
+function renameAttributes(attrs, renames, decode) {
+  const renameToken = (/** @type {string} */ token) => renames.get(decode && token.indexOf('&') !== -1 ? decode(token) : token) ?? token;
+  return attrs.map(attr => {
+    if (!attr.value) {
+      return attr;
+    }
+    const name = attr.name.toLowerCase();
+    let value = attr.value;
+    if (name === 'class' || name === 'id' || idReferenceAttributes.has(name)) {
+      value = value.replace(RE_LIST_ITEM, renameToken);
+    } else if (fragmentReferenceAttributes.has(name) && value.charAt(0) === '#') {
+      // Only a leading `#`: `href="/page#sec"` names a section of another document
+      value = '#' + renameToken(value.slice(1));
+    }
+    if (value.indexOf('(') !== -1) {
+      value = value.replace(fragmentURLPattern, (match, id) => {
+        const short = renames.get(id);
+        return short === undefined ? match : match.slice(0, match.length - id.length) + short;
+      });
+    }
+    return value === attr.value ? attr : { ...attr, value };
+  });
+}
+
+/**
+ * A script’s string literals with the names they hold—nothing but names
+ * (`'c-card'`, `'is-open is-active'`) name by name, others (`'.c-card > .title'`)
+ * where they read like selectors—and whether they are handed to the DOM as such
+ * @param {string} script
+ * @returns {Array<{names: Array<{start: number, name: string}>, call: boolean}>} Names with
+ *  where they start in the script
+ */
+function scriptLiterals(script) {
+  /** @type {Array<{names: Array<{start: number, name: string}>, call: boolean}>} */
+  const literals = [];
+  for (const match of script.matchAll(stringLiteralPattern)) {
+    const start = match.index;
+    const body = match[0].slice(1, -1);
+    /** @type {Array<{start: number, name: string}>} */
+    const names = [];
+    if (RE_TOKEN_LIST.test(body)) {
+      for (const token of body.matchAll(RE_TOKEN)) {
+        names.push({ start: start + 1 + token.index, name: token[0] });
+      }
+    } else {
+      for (const selector of body.matchAll(RE_SELECTOR_NAME)) {
+        const name = selector[3] ?? '';
+        names.push({ start: start + 1 + selector.index + selector[0].length - name.length, name });
+      }
+    }
+    const call = RE_NAME_CALL.test(script.slice(Math.max(0, start - 200), start));
+    literals.push({ names, call });
+  }
+  return literals;
+}
+
+/**
+ * Rename in the string literals a script hands the DOM as class names, IDs, or
+ * selectors (`classList.add('is-open')`, `querySelector('.c-card > .title')`)
+ * @param {string} script
+ * @param {Map<string, string>} renames
+ * @returns {string}
+ */
+function renameScript(script, renames) {
+  let result = '';
+  let last = 0;
+  for (const { names, call } of scriptLiterals(script)) {
+    for (const { start, name } of call ? names : []) {
+      const short = renames.get(name);
+      if (short !== undefined) {
+        result += script.slice(last, start) + short;
+        last = start + name.length;
+      }
+    }
+  }
+  return result + script.slice(last);
+}
+
+// Exports
+
+export {
+  normalizeMangleOptions,
+  createRenames,
+  createCSSNameRenames,
+  renamesIn,
+  createMangleVisitor,
+  createManglePlugin,
+  renameAttributes
+};
@@ -0,0 +1,236 @@
+// Style merging
+
+import { HTMLParser } from '../htmlparser.js';
+import { getDecodeHTMLStrict } from './attributes.js';
+
+/** @import { HTMLAttribute } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+/** @import { OffsetMap } from './source-map.js' */
+
+// What a `style` element may have and still be merged: Anything else (an `id`,
+// `data-*`, `onload`) is something scripts may look for it by
+const mergeableAttributes = new Set(['media', 'type', 'nonce', 'blocking', 'title']);
+
+// Rules that are only valid at the start of a style sheet, and nowhere in `@media`
+const RE_LEADING_RULE = /@(?:import|charset|namespace)\b/i;
+
+// Style sheets in foreign content go by the rules of SVG and MathML
+const foreignElements = new Set(['svg', 'math']);
+
+/**
+ * @param {string} css
+ * @returns {boolean} Whether the style sheet can be joined to others: Every comment,
+ *  string, and block closed, ending with a complete rule, and no rule that has to
+ *  come first in a sheet or can’t be put in `@media`
+ */
+function isSelfContained(css) {
+  // HTML comment markers are ignored at the top level only
+  if (css.includes('<!--') || css.includes('-->')) {
+    return false;
+  }
+  let depth = 0;
+  let stripped = '';
+  for (let i = 0; i < css.length; i++) {
+    const char = css.charAt(i);
+    if (char === '/' && css.charAt(i + 1) === '*') {
+      const end = css.indexOf('*/', i + 2);
+      if (end === -1) return false;
+      i = end + 1;
+      stripped += ' ';
+    } else if (char === '"' || char === '\'') {
+      let j = i + 1;
+      while (j < css.length && css.charAt(j) !== char) {
+        const next = css.charAt(j);
+        if (next === '\n' || next === '\r' || next === '\f') return false;
+        j += next === '\\' ? 2 : 1;
+      }
+      if (j >= css.length) return false;
+      i = j;
+      stripped += '""';
+    } else if (char === '\\') {
+      i++;
+      stripped += 'x';
+    } else {
+      if (char === '{') depth++;
+      if (char === '}' && --depth < 0) return false;
+      stripped += char;
+    }
+  }
+  const trimmed = stripped.trim();
+  return depth === 0 && !RE_LEADING_RULE.test(stripped) && (!trimmed || /[;}]$/.test(trimmed));
+}
+
+/**
+ * @param {string | undefined} media
+ * @returns {string} The media query list as compared, empty for all media
+ */
+function normalizeMedia(media) {
+  const value = (media ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return value === 'all' ? '' : value;
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs
+ * @param {(text: string) => string} decode
+ * @returns {{media: string, query: string, key: string} | null} The element’s media,
+ *  as compared and as written, and what the elements it can be merged with share
+ *  in the rest of their attributes—null if it can’t be merged
+ */
+function styleSignature(attrs, decode) {
+  let media = '';
+  let query = '';
+  /** @type {string[]} */
+  const key = [];
+  for (const attr of attrs) {
+    const name = attr.name.toLowerCase();
+    const value = decode(attr.value ?? '');
+    if (!mergeableAttributes.has(name)) {
+      return null;
+    }
+    if (name === 'media') {
+      // Braces, semicolons, and comments would end the `@media` prelude early
+      if (/[{};<]|\/\*/.test(value)) return null;
+      media = normalizeMedia(value);
+      query = value.trim();
+    } else if (name === 'type') {
+      const type = value.trim().toLowerCase();
+      if (type && type !== 'text/css') return null;
+    } else if (name === 'blocking') {
+      // Render-blocking as before, to the same extent
+      key.push(name + '=' + JSON.stringify(value.toLowerCase().split(/\s+/).filter(Boolean).sort().join(' ')));
+    } else {
+      // `nonce` has to stay what the policy allows, and `title` picks the style sheet set
+      key.push(name + '=' + JSON.stringify(value));
+    }
+  }
+  return { media, query, key: key.sort().join(' ') };
+}
+
+/**
+ * @param {HTMLAttribute[]} attrs
+ * @returns {string} Attributes as written, `media` left out
+ */
+function attrsWithoutMedia(attrs) {
+  return attrs.filter(attr => attr.name.toLowerCase() !== 'media').map(attr => {
+    const quote = attr.quote ?? '';
+    return ' ' + (attr.customOpen ?? '') + attr.name +
+      (attr.value === undefined ? '' : (attr.customAssign ?? '=') + quote + attr.value + quote) + (attr.customClose ?? '');
+  }).join('');
+}
+
+/**
+ * Join consecutive `style` elements—siblings with nothing but whitespace between
+ * them, and the same `nonce`, `blocking`, `title`, and type—into the first, before
+ * the document is minified, so that their rules are minified as one style sheet.
+ * Differing `media` are kept as `@media` blocks around the sheets they were on.
+ * @param {string} html
+ * @param {ProcessedOptions} options
+ * @param {string[]} placeholders - Markers the document’s ignored content was
+ *  set aside with, which sheets with it are left as they are for
+ * @param {OffsetMap | null} offsetMap - Collects where the merged markup came from
+ * @returns {Promise<string>}
+ */
+async function mergeStyleElements(html, options, placeholders, offsetMap) {
+  if (!/<style[\s>]/i.test(html)) {
+    return html;
+  }
+  const decode = html.includes('&')
+    ? /** @type {(text: string) => string} */ (await getDecodeHTMLStrict())
+    : (/** @type {string} */ text) => text;
+  /** @typedef {{attrs: HTMLAttribute[], start: number, contentStart: number, contentEnd: number, end: number, media: string, query: string, key: string}} StyleElement */
+  /** @type {StyleElement[][]} */
+  const runs = [];
+  /** @type {StyleElement[]} */
+  let run = [];
+  /** @type {{attrs: HTMLAttribute[], start: number, contentStart: number, text: string} | null} */
+  let open = null;
+  let foreign = 0;
+
+  const endRun = () => {
+    if (run.length > 1) runs.push(run);
+    run = [];
+  };
+
+  const parser = new HTMLParser(html, {
+    continueOnParseError: true,
+    partialMarkup: options.partialMarkup,
+    customAttrAssign: options.customAttrAssign,
+    customAttrSurround: options.customAttrSurround,
+    start(/** @type {string} */ tagName, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ unary) {
+      const tag = tagName.toLowerCase();
+      if (foreignElements.has(tag) && !unary) foreign++;
+      if (tag === 'style' && !unary && !foreign) {
+        open = { attrs, start: parser.tokenStart, contentStart: parser.tokenEnd, text: '' };
+      } else {
+        endRun();
+      }
+    },
+    chars(/** @type {string} */ text) {
+      if (open) {
+        open.text += text;
+      } else if (/\S/.test(text)) {
+        endRun();
+      }
+    },
+    comment() {
+      endRun();
+    },
+    end(/** @type {string} */ tagName, /** @type {HTMLAttribute[]} */ _attrs, /** @type {boolean} */ autoGenerated) {
+      const tag = tagName.toLowerCase();
+      if (foreignElements.has(tag)) foreign = Math.max(0, foreign - 1);
+      const style = tag === 'style' ? open : null;
+      open = null;
+      const signature = style && !autoGenerated && isSelfContained(style.text) &&
+        !placeholders.some(placeholder => style.text.includes(placeholder))
+        ? styleSignature(style.attrs, decode)
+        : null;
+      if (!style || !signature) {
+        endRun();
+        return;
+      }
+      const previous = run[run.length - 1];
+      if (previous && (previous.key !== signature.key || /\S/.test(html.slice(previous.end, style.start)))) {
+        endRun();
+      }
+      run.push({ attrs: style.attrs, start: style.start, contentStart: style.contentStart, contentEnd: parser.tokenStart, end: parser.tokenEnd, ...signature });
+    },
+    doctype() {
+      endRun();
+    }
+  });
+  await parser.parse();
+  endRun();
+
+  if (!runs.length) {
+    return html;
+  }
+  let result = '';
+  let last = 0;
+  // Markup put in place of `start`–`end`
+  const replace = (/** @type {string} */ markup, /** @type {number} */ start, /** @type {number} */ end) => {
+    result += html.slice(last, start);
+    offsetMap?.replace(result.length, result.length + markup.length, start, end);
+    result += markup;
+    last = end;
+  };
+  for (const styles of runs) {
+    const first = /** @type {StyleElement} */ (styles[0]);
+    const wrap = styles.some(style => style.media !== first.media);
+    const startTag = wrap ? '<style' + attrsWithoutMedia(first.attrs) + '>' : html.slice(first.start, first.contentStart);
+    replace(startTag + (wrap && first.media ? '@media ' + first.query + '{' : ''), first.start, first.contentStart);
+    for (let i = 1; i < styles.length; i++) {
+      const previous = /** @type {StyleElement} */ (styles[i - 1]);
+      const style = /** @type {StyleElement} */ (styles[i]);
+      replace((wrap && previous.media ? '}' : '') + (wrap && style.media ? '@media ' + style.query + '{' : ''), previous.contentEnd, style.contentStart);
+    }
+    const final = /** @type {StyleElement} */ (styles[styles.length - 1]);
+    replace((wrap && final.media ? '}' : '') + html.slice(final.contentEnd, final.end), final.contentEnd, final.end);
+  }
+  return result + html.slice(last);
+}
+
+// Exports
+
+export {
+  mergeStyleElements
+};
@@ -9,14 +9,30 @@
 
 /** @type {Record<string, OptionDefinition>} */
 const optionDefinitions = {
+  addIntegrity: {
+    description: 'Add `integrity` attributes to scripts and style sheets that point to local files, and update stale ones; URLs resolve against `{"baseDir": …}` (default: the input file’s directory) and `{"root": …}` (for `/…`; default: the input directory), other origins per `{"origins": {"https://…/": "dir"}}` (getting `{"crossorigin": …}`, default `anonymous`); `--dry` lists missing and stale values',
+    type: 'jsonObject'
+  },
   cacheCSS: {
     description: 'Set CSS minification cache size (number of entries, default: 500)',
     type: 'int'
   },
+  cacheDir: {
+    description: 'Keep CSS, JavaScript, and SVG minification results in this directory across runs',
+    type: 'string'
+  },
+  cacheDirSize: {
+    description: 'Set the size cap of the `--cache-dir` directory (megabytes, default: 100)',
+    type: 'int'
+  },
   cacheJS: {
     description: 'Set JavaScript minification cache size (number of entries, default: 500)',
     type: 'int'
   },
+  cacheMaxBytes: {
+    description: 'Cap each of the CSS, JavaScript, and SVG minification caches at this size (bytes, estimated; default: none)',
+    type: 'int'
+  },
   cacheSVG: {
     description: 'Set SVG minification cache size (number of entries, default: 500)',
     type: 'int'
@@ -41,6 +57,10 @@ const optionDefinitions = {
     description: 'Collapse whitespace that contributes to text nodes in a document tree',
     type: 'boolean'
   },
+  compressionCodec: {
+    description: 'Set the codec the output will be served with, which `--sort-attributes compress` and `--sort-class-names compress` measure with (`gzip` or `brotli`, default: `gzip`)',
+    type: 'string'
+  },
   conservativeCollapse: {
     description: 'Always collapse to one space (never remove it entirely)—use with `--collapse-whitespace`',
     type: 'boolean'
@@ -54,6 +74,10 @@ const optionDefinitions = {
     description: 'Handle parse errors instead of aborting',
     type: 'boolean'
   },
+  cspHashes: {
+    description: 'Hash inline scripts and style sheets of the output for a Content Security Policy, with `{"algorithm": …}` (default `sha256`); `{"updateMeta": true}` puts the hashes in `<meta http-equiv="Content-Security-Policy">`; `--verbose` and `--dry` list them',
+    type: 'jsonObject'
+  },
   customAttrAssign: {
     description: 'Array of regexes that allow to support custom attribute assign expressions (e.g., `<div flex?="{{mode != cover}}"></div>`)',
     type: 'regexpArray'
@@ -74,6 +98,14 @@ const optionDefinitions = {
     description: 'Use direct Unicode characters whenever possible',
     type: 'boolean'
   },
+  extractCSS: {
+    description: 'Move `style` element content of `{"minSize": …}` bytes or more (default 1024) to `.css` files in `{"dir": …}` (default `assets`, in directory mode inside the output directory), named after their content, and link to them instead',
+    type: 'jsonObject'
+  },
+  extractEventHandlers: {
+    description: 'Replace event handler attributes and `javascript:` URLs of links with `data-hmn` hooks (`{"attribute": …}`) and one script adding the handlers, inline (`{"nonce": …}`) or, with `{"output": "file"}`, written to `{"dir": …}` (default `assets`, in directory mode inside the output directory)',
+    type: 'jsonObject'
+  },
   ignoreCustomComments: {
     description: 'Array of regexes that allow to ignore matching comments',
     type: 'regexpArray'
@@ -86,6 +118,10 @@ const optionDefinitions = {
     description: 'Insert elements generated by HTML parser',
     type: 'boolean'
   },
+  inlineAssets: {
+    description: 'Bring local style sheets and classic scripts of up to `{"maxSize": …}` bytes (default 4096), minified, and `.svg` images (as data URIs, or `svg` elements with `{"svg": "inline"}`) into the document, following local `@import` rules; URLs resolve against `{"baseDir": …}` (default: the input file’s directory), narrowed down by `{"include": […], "exclude": […]}`',
+    type: 'jsonObject'
+  },
   inlineCustomElements: {
     description: 'Array of names of custom elements which are inline, for whitespace handling',
     type: 'jsonArray'
@@ -94,6 +130,14 @@ const optionDefinitions = {
     description: 'Keep the trailing slash on void elements',
     type: 'boolean'
   },
+  mangleCSSNames: {
+    description: 'Give the custom properties and `@keyframes` and `@counter-style` names that `style` elements define short names, renaming them alike in style sheets and `style` attributes (requires `--minify-css`); names that external style sheets or scripts use have to be listed under `{"safelist": […]}`',
+    type: 'jsonObject'
+  },
+  mangleSelectors: {
+    description: 'Give the class names and IDs that `style` elements select by short names, renaming them alike in attributes and inline scripts (requires `--minify-css`); names that external style sheets or scripts use, or that other pages link to, have to be listed under `{"safelist": […]}`',
+    type: 'jsonObject'
+  },
   maxInputLength: {
     description: 'Maximum input length to prevent ReDoS attacks',
     type: 'int'
@@ -106,6 +150,10 @@ const optionDefinitions = {
     description: 'Merge consecutive inline `script` elements into one',
     type: 'boolean'
   },
+  mergeStyles: {
+    description: 'Merge consecutive `style` elements into one, before minifying their CSS',
+    type: 'boolean'
+  },
   minifyCSS: {
     description: 'Minify CSS in `style` elements and attributes (uses Lightning CSS)',
     type: 'jsonObject'
@@ -126,6 +174,10 @@ const optionDefinitions = {
     description: 'Never add a newline before a tag that closes an element',
     type: 'boolean'
   },
+  outputCharset: {
+    description: 'Set the character set of the output: `ascii` writes text and attribute values as ASCII, with the shortest character reference for anything else (`ascii` or `utf-8`, default: `utf-8`)',
+    type: 'string'
+  },
   partialMarkup: {
     description: 'Treat input as a partial HTML fragment, preserving stray end tags and unclosed tags',
     type: 'boolean'
@@ -158,6 +210,10 @@ const optionDefinitions = {
     description: 'Remove default `type` attributes from `style`/`link` (e.g., `type="text/css"`) and `script` (e.g., `type="text/javascript"`) elements; other `type` attribute values are left intact',
     type: 'boolean'
   },
+  removeDuplicateResources: {
+    description: 'Remove later copies of style sheet, preload, and script links, `meta` elements by name, and identical inline `style` and `script` elements—scripts only right after their copy',
+    type: 'boolean'
+  },
   removeEmptyAttributes: {
     description: 'Remove all attributes with whitespace-only values',
     type: 'boolean'
@@ -187,12 +243,12 @@ const optionDefinitions = {
     type: 'jsonObject'
   },
   sortAttributes: {
-    description: 'Sort attributes by frequency',
-    type: 'boolean'
+    description: 'Sort attributes by frequency (`compress` to keep whichever of frequency, name, and input order compresses best)',
+    type: 'booleanOrString'
   },
   sortClassNames: {
-    description: 'Sort style classes by frequency',
-    type: 'boolean'
+    description: 'Sort style classes by frequency (`compress` to keep whichever of frequency, name, and input order compresses best)',
+    type: 'booleanOrString'
   },
   trimCustomFragments: {
     description: 'Trim whitespace around custom fragments (`--ignore-custom-fragments`)',
@@ -205,6 +261,10 @@ const optionDefinitions = {
   useShortDoctype: {
     description: 'Replaces the doctype with the short HTML doctype',
     type: 'boolean'
+  },
+  verify: {
+    description: 'Check that the output builds the same document tree as the input, failing if it doesn’t (`warn` to only warn)',
+    type: 'json'
   }
 };
 
@@ -4,26 +4,69 @@ import { RE_TRAILING_SEMICOLON } from './constants.js';
 import { canCollapseWhitespace, canTrimWhitespace } from './whitespace.js';
 import { wrapCSS, unwrapCSS } from './content.js';
 import { findUnusedSymbols, normalizeUnusedCSSOptions } from './unused-css.js';
+import { normalizeMangleOptions, renamesIn, createMangleVisitor } from './mangle.js';
+import { normalizeExtractOptions } from './extract-css.js';
+import { normalizeInlineOptions } from './inline-assets.js';
+import { normalizeIntegrityOptions } from './integrity.js';
+import { normalizeCSPOptions } from './csp.js';
+import { normalizeEventHandlerOptions } from './event-handlers.js';
+import { addSavings } from './report.js';
+import { canContinue, untilAborted } from './cancellation.js';
+import { createOptionsWarner, errorDiagnostic } from './diagnostics.js';
+import { overridableOptions, parseSelector } from './overrides.js';
+import { openDiskCache } from './disk-cache.js';
 import { getPreset, getPresetNames } from '../presets.js';
 import { optionDefinitions, optionDefaults } from './option-definitions.js';
 
-/** @import { MinifierOptions, HTMLAttribute } from '../htmlminifier.js' */
+/** @import { MinifierOptions, HTMLAttribute, SourceMap, Savings, Diagnostic } from '../htmlminifier.js' */
+/** @import { Cancellation } from './cancellation.js' */
+/** @import { DocumentDiagnostics } from './diagnostics.js' */
+/** @import { Selector } from './overrides.js' */
+/** @import { MangleConfig } from './mangle.js' */
+/** @import { ExtractCSSConfig } from './extract-css.js' */
+/** @import { InlineAssetsConfig, InlinedAssets } from './inline-assets.js' */
+/** @import { IntegrityConfig } from './integrity.js' */
+/** @import { CSPHashesConfig } from './csp.js' */
+/** @import { EventHandlersConfig, ExtractedHandlers } from './event-handlers.js' */
 
 // Type definitions
 
 /**
- * Per-document state handed to `minifyCSS`. Its closure hangs off the memoized
+ * Per-call state handed to the engine closures. The closures hang off the memoized
  * options object that every `minify()` call with those options shares, so state
- * belonging to one document has to be passed in rather than captured.
+ * belonging to one document—or one block of it—has to be passed in rather than
+ * captured. `onMap` asks for the engine’s source map of the block; `savings`
+ * collects what the engine saved, for `minifyWithReport`; `cancellation` stops
+ * the engine on the document’s `signal` or `timeout`; `diagnose` takes what the
+ * engine reports, positions counted from the start of the block.
  *
- * @typedef {{usedSymbols?: Set<string>, warned: Set<string>}} CSSContext
+ * @typedef {{onMap?: (map: SourceMap) => void, savings?: Savings, cancellation?: Cancellation, diagnose?: (diagnostic: Diagnostic) => void}} EngineContext
+ */
+
+/**
+ * Per-document state handed to `minifyCSS`; `quiet` keeps warnings from being
+ * reported (they are, from the cache, when the style sheet is minified again)
+ *
+ * @typedef {EngineContext & {usedSymbols?: Set<string>, renames?: Map<string, string>, nameRenames?: Map<string, string>, warned: Set<string>, quiet?: boolean}} CSSContext
+ */
+
+/**
+ * Warning from Lightning CSS: what goes to `log`, and its parts for `onDiagnostic`
+ *
+ * @typedef {{text: string, message: string, line?: number, column?: number}} CSSWarning
  */
 
 /**
  * Minified style sheet plus the warnings its transform produced, cached together
  * so that a cache hit can report what the transform reported
  *
- * @typedef {{css: string, warnings: string[]}} CSSResult
+ * @typedef {{css: string, warnings: CSSWarning[], map?: SourceMap}} CSSResult
+ */
+
+/**
+ * Minified script, with its source map when one was asked for
+ *
+ * @typedef {{code: string, map?: SourceMap}} JSResult
  */
 
 /**
@@ -33,18 +76,34 @@ import { optionDefinitions, optionDefaults } from './option-definitions.js';
  * minification adds writable internal state on top of the public options
  * (set on prototype-chain forks during SVG/MathML namespace transitions)
  *
- * @typedef {Omit<MinifierOptions, 'preset' | 'canCollapseWhitespace' | 'canTrimWhitespace' | 'ignoreCustomComments' | 'log' | 'minifyCSS' | 'minifyJS' | 'minifyURLs' | 'minifySVG' | 'removeUnusedCSS'> & {
+ * @typedef {Omit<MinifierOptions, 'preset' | 'canCollapseWhitespace' | 'canTrimWhitespace' | 'ignoreCustomComments' | 'log' | 'minifyCSS' | 'minifyJS' | 'minifyURLs' | 'minifySVG' | 'removeUnusedCSS' | 'mangleSelectors' | 'mangleCSSNames' | 'extractCSS' | 'inlineAssets' | 'addIntegrity' | 'cspHashes' | 'extractEventHandlers' | 'overrides'> & {
  *   name: (name: string) => string,
  *   log: (message: any) => unknown,
  *   ignoreCustomComments: RegExp[],
  *   canCollapseWhitespace: (tag: string, attrs: HTMLAttribute[], defaultFn: (tag: string) => boolean) => boolean,
  *   canTrimWhitespace: (tag: string, attrs: HTMLAttribute[], defaultFn: (tag: string) => boolean) => boolean,
  *   minifyCSS: (text: string, type?: string, context?: CSSContext) => string | Promise<string>,
- *   minifyJS: (text: string, inline?: boolean, isModule?: boolean) => string | Promise<string>,
- *   minifyURLs: (text: string) => string | Promise<string>,
- *   minifySVG: ((svgContent: string) => string | Promise<string>) | null,
+ *   minifyJS: (text: string, inline?: boolean, isModule?: boolean, context?: EngineContext) => string | Promise<string>,
+ *   minifyURLs: (text: string, context?: EngineContext) => string | Promise<string>,
+ *   minifySVG: ((svgContent: string, context?: EngineContext) => string | Promise<string>) | null,
  *   removeUnusedCSS: {safelist: Array<string | RegExp>, scripts: boolean} | null,
+ *   mangleSelectors: MangleConfig | null,
+ *   mangleCSSNames: MangleConfig | null,
+ *   extractCSS: ExtractCSSConfig | null,
+ *   extracted?: Map<string, string>,
+ *   inlineAssets: InlineAssetsConfig | null,
+ *   inlined?: InlinedAssets,
+ *   addIntegrity: IntegrityConfig | null,
+ *   cspHashes: CSPHashesConfig | null,
+ *   extractEventHandlers: EventHandlersConfig | null,
+ *   handlers?: ExtractedHandlers,
+ *   overrides?: ProcessedOverride[],
+ *   processLayer?: (input: Record<string, any>, where: string, text?: string) => OptionsLayer,
  *   cssContext?: CSSContext,
+ *   engineContext?: EngineContext,
+ *   cancellation?: Cancellation,
+ *   diagnostics?: DocumentDiagnostics,
+ *   savings?: Savings,
  *   nameParent?: (name: string) => string,
  *   nameHTML?: (name: string) => string,
  *   insideSVG?: boolean,
@@ -52,6 +111,19 @@ import { optionDefinitions, optionDefaults } from './option-definitions.js';
  * }} ProcessedOptions
  */
 
+/**
+ * Options for part of a document as processed: what `minifyHTML` swaps in there,
+ * and whether whitespace is to be kept as is (`collapseWhitespace: false`)
+ *
+ * @typedef {{options: Partial<ProcessedOptions>, keepWhitespace: boolean}} OptionsLayer
+ */
+
+/**
+ * Entry of `overrides` as processed
+ *
+ * @typedef {OptionsLayer & {selector: Selector}} ProcessedOverride
+ */
+
 // Helper functions
 
 /** @param {ProcessedOptions} options */
@@ -91,26 +163,56 @@ function getUrlMinifyCache(site) {
 }
 
 // User-facing option keys that are valid but not listed in `optionDefinitions`
-const optionKeysExtra = new Set(['preset', 'log', 'canCollapseWhitespace', 'canTrimWhitespace']);
-
-// Unknown option keys and preset names already warned about—warn once per
-// key per process, so repeated `minify` calls (e.g., batch runs) don’t flood STDERR
-const optionKeysWarned = new Set();
-const presetNamesWarned = new Set();
-// Custom fragments whose shape risks ReDoS, warned about once per pattern per process
-const customFragmentsWarned = new Set();
-const unusedCSSWarned = new Set();
-// Object-valued options handed a string, warned about once per distinct value
-const stringValuesWarned = new Set();
+const optionKeysExtra = new Set(['preset', 'log', 'canCollapseWhitespace', 'canTrimWhitespace', 'plugins', 'signal', 'timeout', 'onDiagnostic', 'overrides']);
+
+/**
+ * @typedef {Object} WarnedSets
+ *  What a minifier has already warned about. Warnings are given once per key per
+ *  minifier—for `minify`, per process—so repeated calls (e.g., batch runs) don’t
+ *  flood STDERR.
+ *
+ * @prop {Set<string>} optionKeys Unknown option keys.
+ * @prop {Set<string>} presetNames Unknown preset names.
+ * @prop {Set<string>} customFragments Custom fragments whose shape risks ReDoS, by pattern source.
+ * @prop {Set<string>} unusedCSS Reasons `removeUnusedCSS` is ignored or adjusted.
+ * @prop {Set<string>} mangling Reasons `mangleSelectors` or `mangleCSSNames` is ignored or adjusted.
+ * @prop {Set<string>} extractCSS Reasons `extractCSS` is ignored or adjusted.
+ * @prop {Set<string>} inlineAssets Reasons `inlineAssets` is ignored or adjusted.
+ * @prop {Set<string>} addIntegrity Reasons `addIntegrity` is ignored or adjusted.
+ * @prop {Set<string>} cspHashes Reasons `cspHashes` is ignored or adjusted.
+ * @prop {Set<string>} extractEventHandlers Reasons `extractEventHandlers` is ignored or adjusted.
+ * @prop {Set<string>} stringValues Options handed a string they don’t take, by message.
+ * @prop {Set<string>} overrides Problems with `overrides` entries, by message.
+ * @prop {Set<string>} cacheDir Reasons `cacheDir` is ignored, by message.
+ */
+
+/** @returns {WarnedSets} */
+function createWarnedSets() {
+  return {
+    optionKeys: new Set(),
+    presetNames: new Set(),
+    customFragments: new Set(),
+    unusedCSS: new Set(),
+    mangling: new Set(),
+    extractCSS: new Set(),
+    inlineAssets: new Set(),
+    addIntegrity: new Set(),
+    cspHashes: new Set(),
+    extractEventHandlers: new Set(),
+    stringValues: new Set(),
+    overrides: new Set(),
+    cacheDir: new Set()
+  };
+}
 
 // Main options processor
 
 /**
  * @param {MinifierOptions} inputOptions - User-provided options
- * @param {{getLightningCSS?: Function | undefined, getTerser?: Function | undefined, getSwc?: Function | undefined, getSvgo?: Function | undefined, cssMinifyCache?: LRU | undefined, jsMinifyCache?: LRU | undefined, svgMinifyCache?: LRU | undefined}} [deps] - Dependencies from htmlminifier.js
+ * @param {{getLightningCSS?: Function | undefined, getTerser?: Function | undefined, getSwc?: Function | undefined, getSvgo?: Function | undefined, cssMinifyCache?: LRU | undefined, jsMinifyCache?: LRU | undefined, svgMinifyCache?: LRU | undefined, warnedSets?: WarnedSets | undefined}} [deps] - Dependencies from htmlminifier.js
  * @returns {ProcessedOptions} Normalized options with defaults applied
  */
-const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getSvgo, cssMinifyCache, jsMinifyCache, svgMinifyCache } = {}) => {
+const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getSvgo, cssMinifyCache, jsMinifyCache, svgMinifyCache, warnedSets = createWarnedSets() } = {}) => {
   /** @type {ProcessedOptions} */
   const options = {
     name: lowercase,
@@ -122,7 +224,14 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
     minifyJS: identity,
     minifyURLs: identity,
     minifySVG: null,
-    removeUnusedCSS: null
+    removeUnusedCSS: null,
+    mangleSelectors: null,
+    mangleCSSNames: null,
+    extractCSS: null,
+    inlineAssets: null,
+    addIntegrity: null,
+    cspHashes: null,
+    extractEventHandlers: null
   };
 
   const parseRegExpArray = (/** @type {unknown} */ arr) => {
@@ -142,8 +251,8 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
     });
   };
 
-  // Route warnings through the user-provided `log` hook so API consumers can
-  // capture or suppress them consistently; fall back to `console.warn`.
+  // Route warnings through the user-provided `log` and `onDiagnostic` hooks so API
+  // consumers can capture or suppress them consistently; fall back to `console.warn`.
   //
   // Message convention: Strings that may reach the console unsolicited (via
   // this fallback) carry the “HTML Minifier Next: ” prefix for attribution and
@@ -151,13 +260,20 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
   // only to an explicitly provided `log` hook carry “Warning: ” instead, since
   // the hook mixes severities (info strings, warnings, `Error` objects) and
   // its consumer already knows the source.
-  const warn = typeof inputOptions.log === 'function' ? inputOptions.log : console.warn;
+  const warn = createOptionsWarner(inputOptions);
+  // A warner reporting each message once, as long as the set remembers it
+  const warnOnce = (/** @type {Set<string>} */ warned, code = 'invalid-option-value') => (/** @type {string} */ message) => {
+    if (!warned.has(message)) {
+      warned.add(message);
+      warn(code, message);
+    }
+  };
 
   // Warn about unrecognized options—catches typos as well as options removed in earlier versions
   Object.keys(inputOptions).forEach(function (key) {
-    if (!Object.hasOwn(optionDefinitions, key) && !optionKeysExtra.has(key) && !optionKeysWarned.has(key)) {
-      optionKeysWarned.add(key);
-      warn(`HTML Minifier Next: Ignoring unknown or deprecated option \`${key}\` (see README for available options)`);
+    if (!Object.hasOwn(optionDefinitions, key) && !optionKeysExtra.has(key) && !warnedSets.optionKeys.has(key)) {
+      warnedSets.optionKeys.add(key);
+      warn('unknown-option', `Ignoring unknown or deprecated option \`${key}\` (see README for available options)`);
     }
   });
 
@@ -168,13 +284,33 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
     const preset = getPreset(inputOptions.preset);
     if (preset) {
       effectiveInput = { ...preset, ...inputOptions };
-    } else if (!presetNamesWarned.has(inputOptions.preset)) {
-      presetNamesWarned.add(inputOptions.preset);
+    } else if (!warnedSets.presetNames.has(inputOptions.preset)) {
+      warnedSets.presetNames.add(inputOptions.preset);
       const available = getPresetNames().join(', ');
-      warn(`HTML Minifier Next: Unknown preset “${inputOptions.preset}”; available presets: ${available}`);
+      warn('unknown-preset', `Unknown preset “${inputOptions.preset}”; available presets: ${available}`);
     }
   }
 
+  // Results on disk, behind the in-memory caches (see `openDiskCache`)
+  const { cacheDir, cacheDirSize } = effectiveInput;
+  const diskCache = typeof cacheDir === 'string' && cacheDir ? openDiskCache(cacheDir, cacheDirSize) : null;
+  if (!diskCache && cacheDir !== undefined && cacheDir !== '') {
+    const message = typeof cacheDir === 'string'
+      ? 'Ignoring `cacheDir`—caching on disk requires Node.js'
+      : '`cacheDir` option must be a directory path, received: ' + typeof cacheDir;
+    warnOnce(warnedSets.cacheDir)(message);
+  }
+
+  /**
+   * Run an engine through the disk cache, where there is one and the result is cacheable
+   * @template T
+   * @param {string} kind
+   * @param {string | undefined} key - In-memory cache key
+   * @param {() => Promise<T>} compute
+   * @returns {Promise<T>}
+   */
+  const cachedOnDisk = (kind, key, compute) => diskCache && key !== undefined ? diskCache.cached(kind, key, compute) : compute();
+
   // Escape hatch for the loop below, which reads and assigns user-provided values by dynamic key
   const optionsDynamic = /** @type {Record<string, any>} */ (options);
 
@@ -192,11 +328,8 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
     // there. (`minifyURLs` is deliberately excluded—there, a string names the site.)
     const definition = optionDefinitions[key];
     if (typeof option === 'string' && definition?.type === 'jsonObject') {
-      const message = `HTML Minifier Next: Ignoring \`${key}\`—it takes a boolean or an object, not a string (“${option}”)`;
-      if (!stringValuesWarned.has(message)) {
-        stringValuesWarned.add(message);
-        warn(message);
-      }
+      const message = `Ignoring \`${key}\`—it takes a boolean or an object, not a string (“${option}”)`;
+      warnOnce(warnedSets.stringValues)(message);
       return;
     }
 
@@ -205,16 +338,39 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
         options.name = identity;
       }
     } else if (key === 'removeUnusedCSS') {
-      optionsDynamic.removeUnusedCSS = normalizeUnusedCSSOptions(option, message => {
-        if (!unusedCSSWarned.has(message)) {
-          unusedCSSWarned.add(message);
-          warn(`HTML Minifier Next: ${message}`);
-        }
-      });
+      optionsDynamic.removeUnusedCSS = normalizeUnusedCSSOptions(option, warnOnce(warnedSets.unusedCSS));
+    } else if (key === 'mangleSelectors' || key === 'mangleCSSNames') {
+      optionsDynamic[key] = normalizeMangleOptions(option, warnOnce(warnedSets.mangling), key);
+    } else if (key === 'extractCSS') {
+      optionsDynamic.extractCSS = normalizeExtractOptions(option, warnOnce(warnedSets.extractCSS));
+    } else if (key === 'inlineAssets') {
+      optionsDynamic.inlineAssets = normalizeInlineOptions(option, warnOnce(warnedSets.inlineAssets));
+    } else if (key === 'addIntegrity') {
+      optionsDynamic.addIntegrity = normalizeIntegrityOptions(option, warnOnce(warnedSets.addIntegrity));
+    } else if (key === 'cspHashes') {
+      optionsDynamic.cspHashes = normalizeCSPOptions(option, warnOnce(warnedSets.cspHashes));
+    } else if (key === 'extractEventHandlers') {
+      optionsDynamic.extractEventHandlers = normalizeEventHandlerOptions(option, warnOnce(warnedSets.extractEventHandlers));
     } else if (key === 'log') {
       if (typeof option === 'function') {
         options.log = option;
       }
+    } else if (key === 'onDiagnostic') {
+      if (typeof option === 'function') {
+        options.onDiagnostic = option;
+      }
+    } else if (key === 'signal' || key === 'timeout') {
+      // Per document, see `processDocumentOptions`
+      return;
+    } else if (key === 'overrides') {
+      // Once the rest is processed, see below
+      return;
+    } else if (key === 'cacheDir' || key === 'cacheDirSize') {
+      // Opened above, for the engines to share
+      return;
+    } else if (key === 'plugins') {
+      // Falsy entries let plugins be switched on conditionally (`[debug && plugin]`)
+      options.plugins = Array.isArray(option) ? option.filter(Boolean) : [];
     } else if (key === 'minifyCSS' && typeof option !== 'function') {
       if (!option || !getLightningCSS || !cssMinifyCache) {
         return;
@@ -237,19 +393,24 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
         // rather than only from the transform keeps the output independent of cache
         // size and eviction. They are built and cached even when `log` is the default
         // no-op, so a later document that does pass a `log` hook still gets them.
-        const report = (/** @type {string[]} */ messages) => {
-          if (!messages.length || options.log === identity) {
+        const report = (/** @type {CSSWarning[]} */ warnings) => {
+          if (!warnings.length || context?.quiet || (options.log === identity && !context?.diagnose)) {
             return;
           }
           const warned = context?.warned;
-          for (const message of messages) {
+          for (const warning of warnings) {
             if (warned) {
-              if (warned.has(message)) {
+              if (warned.has(warning.text)) {
                 continue;
               }
-              warned.add(message);
+              warned.add(warning.text);
             }
-            options.log(message);
+            options.log(warning.text);
+            /** @type {Diagnostic} */
+            const diagnostic = { code: 'invalid-css', severity: 'warning', source: 'css', message: warning.message };
+            if (warning.line !== undefined) diagnostic.line = warning.line;
+            if (warning.column !== undefined) diagnostic.column = warning.column;
+            context?.diagnose?.(diagnostic);
           }
         };
 
@@ -263,24 +424,62 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
               const quote = dq != null ? '"' : (sq != null ? "'" : '');
               const url = dq ?? sq ?? unq ?? '';
               try {
-                const out = await options.minifyURLs(url);
-                return prefix + quote + (typeof out === 'string' ? out : url) + quote + suffix;
+                const out = await options.minifyURLs(url, context);
+                const minifiedURL = typeof out === 'string' ? out : url;
+                addSavings(context?.savings, 'minifyURLs', url, minifiedURL);
+                return prefix + quote + minifiedURL + quote + suffix;
               } catch (err) {
                 if (!options.continueOnMinifyError) {
                   throw err;
                 }
                 options.log && options.log(err);
+                context?.diagnose?.(errorDiagnostic('css', 'url-error', err));
                 return match;
               }
             }
           );
         }
 
+        // Maps are only asked for style sheets; wrapped `style` and `media` values
+        // don’t map onto their attribute
+        const wantsMap = type === undefined && Boolean(context?.onMap);
+
         // Unused-symbol removal applies to style sheets only
         const unusedCSSConfig = type === undefined ? options.removeUnusedCSS : undefined;
-        const unusedSymbols = (unusedCSSConfig && context?.usedSymbols)
+        const renames = context?.renames;
+        const nameRenames = context?.nameRenames;
+        let unusedSymbols = (unusedCSSConfig && context?.usedSymbols)
           ? findUnusedSymbols(text, context.usedSymbols, unusedCSSConfig.safelist)
           : undefined;
+        // Lightning CSS drops rules by their selectors as the visitor left them
+        if (unusedSymbols && renames) {
+          unusedSymbols = unusedSymbols.map(symbol => renames.get(symbol) ?? symbol);
+        }
+        // `mangleSelectors`, `mangleCSSNames`: Only the renames this style sheet is
+        // affected by go into the cache key, so that it is shared by documents
+        // agreeing on those
+        const renamed = renames ? renamesIn(text, renames) : [];
+        const renamedNames = nameRenames ? renamesIn(text, nameRenames, true) : [];
+
+        // Lightning CSS drops unused rules while minifying, so telling the two apart
+        // for the report takes the style sheet minified with all its rules, too
+        const credit = async (/** @type {string} */ css) => {
+          const savings = context?.savings;
+          if (!savings) {
+            return css;
+          }
+          let kept = css;
+          if (unusedSymbols && unusedSymbols.length) {
+            try {
+              kept = await options.minifyCSS(text, type, { warned: context.warned });
+            } catch {
+              // Should that fail, the removal is credited to minification
+            }
+          }
+          addSavings(savings, 'minifyCSS', text, kept);
+          addSavings(savings, 'removeUnusedCSS', kept, css);
+          return css;
+        };
 
         // Cache key: Content + type + options signature; large inputs are hashed to avoid huge Map keys.
         // The symbol list belongs in the signature: The cache outlives a single `minify()` call, so
@@ -290,7 +489,10 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
           type,
           opts: lightningCssOptions,
           cont: !!options.continueOnMinifyError,
-          unused: unusedSymbols && unusedSymbols.length ? unusedSymbols.slice().sort() : undefined
+          map: wantsMap || undefined,
+          unused: unusedSymbols && unusedSymbols.length ? unusedSymbols.slice().sort() : undefined,
+          renamed: renamed.length ? renamed : undefined,
+          renamedNames: renamedNames.length ? renamedNames : undefined
         });
         const isCacheable = inputCSS.length <= MAX_CACHE_ENTRY_SIZE;
         const cssKey = isCacheable
@@ -306,13 +508,16 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
               // Support both resolved values and in-flight promises
               const settled = await cached;
               report(settled.warnings);
-              return settled.css;
+              if (settled.map) context?.onMap?.(settled.map);
+              return credit(settled.css);
             }
           }
 
+          context?.cancellation?.throwIfAborted();
+
           // In-flight promise caching: Prevent duplicate concurrent minifications
           // of the same CSS content (same pattern as JS minification)
-          const inFlight = (async () => {
+          const inFlight = cachedOnDisk('css', cssKey, async () => {
             const transformCSS = await cssLoader();
             // Note: `Buffer.from()` is required—Lightning CSS API expects Uint8Array
             const result = transformCSS({
@@ -321,6 +526,10 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
               minify: true,
               errorRecovery: !!options.continueOnMinifyError,
               ...lightningCssOptions,
+              ...(wantsMap ? { sourceMap: true } : {}),
+              ...(renamed.length || renamedNames.length
+                ? { visitor: createMangleVisitor(new Map(renamed), new Map(renamedNames), lightningCssOptions.visitor) }
+                : {}),
               // Union, so that a manually supplied `unusedSymbols` list survives
               ...(unusedSymbols && unusedSymbols.length
                 ? { unusedSymbols: lightningCssOptions.unusedSymbols ? [...new Set([...lightningCssOptions.unusedSymbols, ...unusedSymbols])] : unusedSymbols }
@@ -331,12 +540,16 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
             // with instead of throwing—dropping the rule in some cases (`@property`
             // with a bad `syntax`) and passing it through in others (an unknown
             // at-rule), which is why the wording stops at “reported”
-            /** @type {string[]} */
+            /** @type {CSSWarning[]} */
             const warnings = [];
             if (result.warnings) {
               for (const warning of result.warnings) {
                 const at = warning.loc ? ` (line ${warning.loc.line}, column ${warning.loc.column})` : '';
-                warnings.push(`Warning: Lightning CSS reported invalid CSS${at}: ${warning.message}`);
+                warnings.push({
+                  text: `Warning: Lightning CSS reported invalid CSS${at}: ${warning.message}`,
+                  message: warning.message,
+                  ...(warning.loc ? { line: warning.loc.line, column: warning.loc.column } : {})
+                });
               }
             }
 
@@ -354,21 +567,31 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
 
             // Preserve if output is empty and input had template syntax or UIDs
             // This catches cases where Lightning CSS removed content that should be preserved
-            const css = (text.trim() && !outputCSS.trim() && (looksLikeTemplate || hasUID)) ? text : outputCSS;
-            return { css, warnings };
-          })();
+            const preserved = Boolean(text.trim() && !outputCSS.trim() && (looksLikeTemplate || hasUID));
+            /** @type {CSSResult} */
+            const minified = { css: preserved ? text : outputCSS, warnings };
+            if (wantsMap && result.map && !preserved) {
+              minified.map = JSON.parse(result.map.toString());
+            }
+            return minified;
+          });
 
           if (cssKey !== undefined) cssCache.set(cssKey, inFlight);
-          const resolved = await inFlight;
+          const resolved = await untilAborted(inFlight, context?.cancellation);
           if (cssKey !== undefined) cssCache.set(cssKey, resolved);
+          // The engine may have run past the budget without yielding for the timer
+          // to fire
+          context?.cancellation?.throwIfAborted();
           report(resolved.warnings);
-          return resolved.css;
+          if (resolved.map) context?.onMap?.(resolved.map);
+          return credit(resolved.css);
         } catch (err) {
           if (cssKey !== undefined) cssCache.delete(cssKey);
-          if (!options.continueOnMinifyError) {
+          if (!canContinue(err, options)) {
             throw err;
           }
           options.log && options.log(err);
+          context?.diagnose?.(errorDiagnostic('css', 'css-error', err));
           return text;
         }
       };
@@ -416,18 +639,21 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
         cont: !!options.continueOnMinifyError
       });
 
-      options.minifyJS = async function (/** @type {string} */ text, /** @type {boolean | undefined} */ inline, /** @type {boolean | undefined} */ isModule) {
+      options.minifyJS = async function (/** @type {string} */ text, /** @type {boolean | undefined} */ inline, /** @type {boolean | undefined} */ isModule, /** @type {EngineContext | undefined} */ context) {
         const start = text.match(/^\s*<!--.*/);
         const code = start ? text.slice(start[0].length).replace(/\n\s*-->\s*$/, '') : text;
 
         // Fast path: Avoid invoking minifier for empty/whitespace-only content
         if (!code || !code.trim()) {
+          addSavings(context?.savings, 'minifyJS', text, '');
           return '';
         }
 
         // Hybrid strategy: Always use Terser for inline JS (needs bare returns support)
         // Use user’s chosen engine for script blocks
         const useEngine = inline ? 'terser' : engine;
+        // Event handlers are mapped as part of their attribute
+        const wantsMap = !inline && Boolean(context?.onMap);
         let jsKey;
         const isCacheable = code.length <= MAX_CACHE_ENTRY_SIZE;
 
@@ -438,15 +664,21 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
           if (isCacheable) {
             // For large inputs, hash the full content to avoid storing huge strings as Map keys
             jsKey = (code.length > 2048 ? (hashContent(code) + '|') : (code + '|'))
-              + (inline ? '1' : '0') + '|' + (isModule ? 'm' : '') + '|' + useEngine + '|' + optsSig;
+              + (inline ? '1' : '0') + '|' + (isModule ? 'm' : '') + (wantsMap ? 'map' : '') + '|' + useEngine + '|' + optsSig;
 
-            const cached = /** @type {string | Promise<string> | undefined} */ (jsCache.get(jsKey));
+            const cached = /** @type {JSResult | Promise<JSResult> | undefined} */ (jsCache.get(jsKey));
             if (cached !== undefined) {
-              return await cached;
+              const settled = await cached;
+              if (settled.map) context?.onMap?.(settled.map);
+              addSavings(context?.savings, 'minifyJS', text, settled.code);
+              return settled.code;
             }
           }
 
-          const inFlight = (async () => {
+          context?.cancellation?.throwIfAborted();
+
+          /** @type {Promise<JSResult>} */
+          const inFlight = cachedOnDisk('js', jsKey, async () => {
             // Dispatch to appropriate minifier
             if (useEngine === 'terser') {
               // Create a copy to avoid mutating shared `terserOptions` (race condition)
@@ -456,11 +688,15 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
                   ...terserOptions.parse,
                   bare_returns: inline
                 },
-                ...(isModule ? { module: true } : {}) // Overrides user options: module detection takes precedence for `<script type=module>`
+                ...(isModule ? { module: true } : {}), // Overrides user options: module detection takes precedence for `<script type=module>`
+                ...(wantsMap ? { sourceMap: { asObject: true } } : {})
               };
               const terser = await loadTerser();
               const result = await terser(code, terserCallOptions);
-              return result.code.replace(RE_TRAILING_SEMICOLON, '');
+              return {
+                code: result.code.replace(RE_TRAILING_SEMICOLON, ''),
+                ...(wantsMap && result.map ? { map: typeof result.map === 'string' ? JSON.parse(result.map) : result.map } : {})
+              };
             } else if (useEngine === 'swc') {
               const swc = await loadSwc();
               // `swc.minify()` takes compress and mangle directly as options
@@ -468,23 +704,40 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
                 compress: true,
                 mangle: true,
                 ...swcOptions,
-                ...(isModule ? { module: true } : {}) // Overrides user options: module detection takes precedence for `<script type=module>`
+                ...(isModule ? { module: true } : {}), // Overrides user options: module detection takes precedence for `<script type=module>`
+                ...(wantsMap ? { sourceMap: true } : {})
               });
-              return result.code.replace(RE_TRAILING_SEMICOLON, '');
+              return {
+                code: result.code.replace(RE_TRAILING_SEMICOLON, ''),
+                ...(wantsMap && result.map ? { map: JSON.parse(result.map) } : {})
+              };
             }
             throw new Error(`Unknown JS minifier engine: ${useEngine}`);
-          })();
+          });
 
           if (jsKey !== undefined) jsCache.set(jsKey, inFlight);
-          const resolved = await inFlight;
+          const resolved = await untilAborted(inFlight, context?.cancellation);
           if (jsKey !== undefined) jsCache.set(jsKey, resolved);
-          return resolved;
+          context?.cancellation?.throwIfAborted();
+          if (resolved.map) context?.onMap?.(resolved.map);
+          addSavings(context?.savings, 'minifyJS', text, resolved.code);
+          return resolved.code;
         } catch (err) {
           if (jsKey !== undefined) jsCache.delete(jsKey);
-          if (!options.continueOnMinifyError) {
+          if (!canContinue(err, options)) {
             throw err;
           }
           options.log && options.log(err);
+          if (context?.diagnose) {
+            const diagnostic = errorDiagnostic('js', 'js-error', err);
+            // Positions count from the script as handed to the engine, past any `<!--`
+            if (start && diagnostic.line !== undefined) {
+              const lines = start[0].split('\n');
+              diagnostic.column = (diagnostic.line === 1 ? (lines.at(-1)?.length ?? 0) : 0) + (diagnostic.column ?? 1);
+              diagnostic.line += lines.length - 1;
+            }
+            context.diagnose(diagnostic);
+          }
           return text;
         }
       };
@@ -506,7 +759,7 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
       // Reuse the persistent cache for this site configuration
       const instanceCache = getUrlMinifyCache(urlOptions.site || '');
 
-      options.minifyURLs = function (/** @type {string} */ text) {
+      options.minifyURLs = function (/** @type {string} */ text, /** @type {EngineContext | undefined} */ context) {
         // Fast-path: Skip if text doesn’t look like a URL that needs processing
         // Only process if contains URL-like characters (`/`, `:`, `#`, `?`) or spaces that need encoding
         if (!/[/:?#\s]/.test(text)) {
@@ -529,6 +782,7 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
             throw err;
           }
           options.log && options.log(err);
+          context?.diagnose?.(errorDiagnostic('html', 'url-error', err));
           return text;
         }
       };
@@ -549,7 +803,7 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
         cont: !!options.continueOnMinifyError
       });
 
-      options.minifySVG = async function (/** @type {string} */ svgContent) {
+      options.minifySVG = async function (/** @type {string} */ svgContent, /** @type {EngineContext | undefined} */ context) {
         if (!svgContent || !svgContent.trim()) {
           return svgContent;
         }
@@ -565,29 +819,57 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
           if (svgKey !== undefined) {
             const cached = /** @type {string | Promise<string> | undefined} */ (svgCache.get(svgKey));
             if (cached !== undefined) {
-              return await cached;
+              const settled = await cached;
+              addSavings(context?.savings, 'minifySVG', svgContent, settled);
+              return settled;
             }
           }
 
-          const inFlight = (async () => {
+          context?.cancellation?.throwIfAborted();
+
+          const inFlight = cachedOnDisk('svg', svgKey, async () => {
             const optimize = await loadSvgo();
             const result = optimize(svgContent, svgoOptions);
             return result.data;
-          })();
+          });
 
           if (svgKey !== undefined) svgCache.set(svgKey, inFlight);
-          const resolved = await inFlight;
+          const resolved = await untilAborted(inFlight, context?.cancellation);
           if (svgKey !== undefined) svgCache.set(svgKey, resolved);
+          context?.cancellation?.throwIfAborted();
+          addSavings(context?.savings, 'minifySVG', svgContent, resolved);
           return resolved;
         } catch (err) {
           if (svgKey !== undefined) svgCache.delete(svgKey);
-          if (!options.continueOnMinifyError) {
+          if (!canContinue(err, options)) {
             throw err;
           }
           options.log && options.log(err);
+          context?.diagnose?.(errorDiagnostic('svg', 'svg-error', err));
           return svgContent;
         }
       };
+    } else if (key === 'sortAttributes' || key === 'sortClassNames') {
+      if (typeof option !== 'string' || option === 'compress') {
+        optionsDynamic[key] = option;
+      } else {
+        const message = `Ignoring \`${key}\`—it takes a boolean, \`compress\`, or a function (received “${option}”)`;
+        warnOnce(warnedSets.stringValues)(message);
+      }
+    } else if (key === 'compressionCodec') {
+      if (option === 'gzip' || option === 'brotli') {
+        options.compressionCodec = option;
+      } else if (option !== undefined) {
+        const message = `Ignoring \`compressionCodec\`—it takes \`gzip\` or \`brotli\` (received “${option}”)`;
+        warnOnce(warnedSets.stringValues)(message);
+      }
+    } else if (key === 'outputCharset') {
+      if (option === 'ascii' || option === 'utf-8') {
+        options.outputCharset = option;
+      } else if (option !== undefined) {
+        const message = `Ignoring \`outputCharset\`—it takes \`ascii\` or \`utf-8\` (received “${option}”)`;
+        warnOnce(warnedSets.stringValues)(message);
+      }
     } else if (key === 'customAttrCollapse') {
       // Single regex pattern
       optionsDynamic[key] = parseRegExp(option);
@@ -635,9 +917,9 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
     if (options.strictCustomFragments) {
       throw new Error(`HTML Minifier Next: ${problem}`);
     }
-    if (!customFragmentsWarned.has(re.source)) {
-      customFragmentsWarned.add(re.source);
-      warn(`HTML Minifier Next: ${problem}`);
+    if (!warnedSets.customFragments.has(re.source)) {
+      warnedSets.customFragments.add(re.source);
+      warn('risky-custom-fragment', problem);
     }
   }
 
@@ -649,14 +931,100 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
       ? 'it does not apply when `minifyCSS` is a function'
       : (options.minifyCSS === identity ? 'it requires `minifyCSS` (`--minify-css`)' : '');
     if (reason) {
-      if (!unusedCSSWarned.has(reason)) {
-        unusedCSSWarned.add(reason);
-        warn(`HTML Minifier Next: Ignoring \`removeUnusedCSS\`—${reason}`);
+      if (!warnedSets.unusedCSS.has(reason)) {
+        warnedSets.unusedCSS.add(reason);
+        warn('unused-css-ignored', `Ignoring \`removeUnusedCSS\`—${reason}`);
       }
       options.removeUnusedCSS = null;
     }
   }
 
+  // Likewise for renaming, which style sheets take part in through Lightning CSS
+  for (const key of /** @type {const} */ (['mangleSelectors', 'mangleCSSNames'])) {
+    if (!options[key]) {
+      continue;
+    }
+    const cssOption = /** @type {Record<string, any>} */ (effectiveInput).minifyCSS;
+    const reason = typeof cssOption === 'function'
+      ? 'it does not apply when `minifyCSS` is a function'
+      : (options.minifyCSS === identity ? 'it requires `minifyCSS` (`--minify-css`)' : '');
+    if (reason) {
+      const message = `Ignoring \`${key}\`—${reason}`;
+      warnOnce(warnedSets.mangling)(message);
+      options[key] = null;
+    }
+  }
+
+  // Options for part of the document (`overrides`, directives) are processed like
+  // the whole document’s with their own on top, so that their engines take the
+  // same settings; only what they set is swapped in. Directives repeat across
+  // documents and within them, hence the memo by their text.
+  const warnOverride = warnOnce(warnedSets.overrides);
+  /** @type {Record<string, any>} */
+  const base = { ...effectiveInput };
+  delete base.preset;
+  delete base.overrides;
+  // Renaming is the whole document’s, and checked against its `minifyCSS` only
+  delete base.mangleSelectors;
+  delete base.mangleCSSNames;
+  const deps = { getLightningCSS, getTerser, getSwc, getSvgo, cssMinifyCache, jsMinifyCache, svgMinifyCache, warnedSets };
+  /** @type {Map<string, OptionsLayer>} */
+  const layers = new Map();
+  /** @type {NonNullable<ProcessedOptions['processLayer']>} */
+  const processLayer = (layerInput, where, text) => {
+    const known = text === undefined ? undefined : layers.get(text);
+    if (known) {
+      return known;
+    }
+    // Whole-document options are left out before processing, not just after:
+    // Markup mustn’t get to pick, say, where the disk cache writes
+    /** @type {Record<string, any>} */
+    const overriding = {};
+    for (const key of Object.keys(layerInput)) {
+      if (overridableOptions.has(key) || !(Object.hasOwn(optionDefinitions, key) || optionKeysExtra.has(key))) {
+        overriding[key] = layerInput[key];
+      } else {
+        warnOverride(`Ignoring \`${key}\` in ${where}—it applies to the whole document`);
+      }
+    }
+    const processed = /** @type {Record<string, any>} */ (processOptions({ ...base, ...overriding }, deps));
+    /** @type {OptionsLayer} */
+    const layer = { options: {}, keepWhitespace: false };
+    // Unknown keys were warned about when processing
+    for (const key of Object.keys(overriding).filter(name => overridableOptions.has(name))) {
+      if (key === 'collapseWhitespace') {
+        // Whitespace is collapsed across element boundaries, so it can be kept
+        // as is within an element, the way it is in `pre`, but not collapsed there alone
+        layer.keepWhitespace = !layerInput.collapseWhitespace;
+      } else {
+        /** @type {Record<string, any>} */ (layer.options)[key] = processed[key];
+      }
+    }
+    if (text !== undefined) layers.set(text, layer);
+    return layer;
+  };
+  options.processLayer = processLayer;
+
+  const overrides = /** @type {Record<string, any>} */ (effectiveInput).overrides;
+  if (overrides !== undefined) {
+    options.overrides = [];
+    if (!Array.isArray(overrides)) {
+      warnOverride('`overrides` option must be an array, received: ' + typeof overrides);
+    }
+    (Array.isArray(overrides) ? overrides : []).forEach((override, index) => {
+      const selector = typeof override?.selector === 'string' ? parseSelector(override.selector) : null;
+      if (!selector) {
+        warnOverride(`Ignoring \`overrides[${index}]\`—its selector must be tag, class, ID, and attribute selectors and descendant combinators (received ${JSON.stringify(override?.selector)})`);
+        return;
+      }
+      if (!override.options || typeof override.options !== 'object') {
+        warnOverride(`Ignoring \`overrides[${index}]\`—its \`options\` must be an object`);
+        return;
+      }
+      options.overrides?.push({ selector, ...processLayer(override.options, '`overrides`') });
+    });
+  }
+
   return options;
 };
 
@@ -664,5 +1032,6 @@ const processOptions = (inputOptions, { getLightningCSS, getTerser, getSwc, getS
 
 export {
   shouldMinifyInnerHTML,
+  createWarnedSets,
   processOptions
 };
\ No newline at end of file
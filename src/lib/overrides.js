@@ -0,0 +1,226 @@
+// Overrides
+
+/**
+ * @typedef {Object} SelectorAttribute
+ * @prop {string} name Attribute name, lowercase.
+ * @prop {'' | '=' | '~=' | '|=' | '^=' | '$=' | '*='} operator Empty when the attribute only has to be present.
+ * @prop {string} value
+ */
+
+/**
+ * @typedef {Object} CompoundSelector
+ *  What one element has to be: all of it, in any order (`p.note[lang]`).
+ *
+ * @prop {string} tag Tag name, lowercase; empty for any element.
+ * @prop {string[]} ids
+ * @prop {string[]} classes
+ * @prop {SelectorAttribute[]} attrs
+ */
+
+/**
+ * Selector list as parsed: one complex selector per comma-separated part, each
+ * the compound selectors its descendant combinators separate, outermost first
+ *
+ * @typedef {CompoundSelector[][]} Selector
+ */
+
+/**
+ * @typedef {Object} OpenElement
+ *  An element `overrides` selectors can match against, attribute names lowercase.
+ *
+ * @prop {string} tag
+ * @prop {Array<{name: string, value: string | undefined}>} attrs
+ */
+
+// Options that can differ within a document: those applied element by element as
+// `minifyHTML` walks it. Options that take effect on the document as a whole
+// (`sortAttributes`, `removeUnusedCSS`, `maxLineLength`, parser settings, …) or
+// that depend on what comes before and after (`removeOptionalTags`) cannot.
+const overridableOptions = new Set([
+  'collapseAttributeWhitespace',
+  'collapseBooleanAttributes',
+  'collapseInlineTagWhitespace',
+  'collapseWhitespace',
+  'conservativeCollapse',
+  'continueOnMinifyError',
+  'customAttrCollapse',
+  'customEventAttributes',
+  'decodeEntities',
+  'keepClosingSlash',
+  'minifyCSS',
+  'minifyJS',
+  'minifySVG',
+  'minifyURLs',
+  'preserveLineBreaks',
+  'preventAttributesEscaping',
+  'processScripts',
+  'quoteCharacter',
+  'removeAttributeQuotes',
+  'removeComments',
+  'removeDefaultTypeAttributes',
+  'removeEmptyAttributes',
+  'removeEmptyElements',
+  'removeRedundantAttributes',
+  'removeTagWhitespace'
+]);
+
+const RE_IDENT = /^-?(?:[A-Za-z_\u00A0-\uFFFF]|\\.)(?:[\w\-\u00A0-\uFFFF]|\\.)*/;
+const RE_ATTRIBUTE = /^\[\s*([^\s~|^$*=\]]+)\s*(?:([~|^$*]?=)\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s\]]+))\s*)?\]/;
+
+/**
+ * @param {string} escaped
+ * @returns {string}
+ */
+function unescape(escaped) {
+  return escaped.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse a selector of tag, class, ID, and attribute selectors and descendant
+ * combinators, comma-separated
+ * @param {string} selector
+ * @returns {Selector | null} Null for what it doesn’t support (other combinators, pseudo-classes) or can’t read
+ */
+function parseSelector(selector) {
+  /** @type {Selector} */
+  const list = [];
+  /** @type {CompoundSelector[]} */
+  let complex = [];
+  /** @type {CompoundSelector | null} */
+  let compound = null;
+  let rest = selector.trim();
+  if (!rest) {
+    return null;
+  }
+
+  while (rest) {
+    const whitespace = /^\s+/.exec(rest);
+    if (whitespace) {
+      compound = null;
+      rest = rest.slice(whitespace[0].length);
+      continue;
+    }
+    if (rest[0] === ',') {
+      if (!complex.length) return null;
+      list.push(complex);
+      complex = [];
+      compound = null;
+      rest = rest.slice(1);
+      continue;
+    }
+    if (!compound) {
+      compound = { tag: '', ids: [], classes: [], attrs: [] };
+      complex.push(compound);
+      if (rest[0] === '*') {
+        rest = rest.slice(1);
+        continue;
+      }
+      const tag = RE_IDENT.exec(rest);
+      if (tag) {
+        compound.tag = unescape(tag[0]).toLowerCase();
+        rest = rest.slice(tag[0].length);
+        continue;
+      }
+    }
+    if (rest[0] === '.' || rest[0] === '#') {
+      const name = RE_IDENT.exec(rest.slice(1));
+      if (!name) return null;
+      (rest[0] === '.' ? compound.classes : compound.ids).push(unescape(name[0]));
+      rest = rest.slice(1 + name[0].length);
+      continue;
+    }
+    const attr = RE_ATTRIBUTE.exec(rest);
+    if (attr) {
+      compound.attrs.push({
+        name: unescape(attr[1] ?? '').toLowerCase(),
+        operator: /** @type {SelectorAttribute['operator']} */ (attr[2] ?? ''),
+        value: unescape(attr[3] ?? attr[4] ?? attr[5] ?? '')
+      });
+      rest = rest.slice(attr[0].length);
+      continue;
+    }
+    return null;
+  }
+
+  if (!complex.length) return null;
+  list.push(complex);
+  return list;
+}
+
+/**
+ * @param {SelectorAttribute} selector
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchesAttributeValue(selector, value) {
+  const expected = selector.value;
+  switch (selector.operator) {
+    case '': return true;
+    case '=': return value === expected;
+    case '~=': return expected !== '' && value.split(/\s+/).includes(expected);
+    case '|=': return value === expected || value.startsWith(expected + '-');
+    case '^=': return expected !== '' && value.startsWith(expected);
+    case '$=': return expected !== '' && value.endsWith(expected);
+    case '*=': return expected !== '' && value.includes(expected);
+  }
+}
+
+/**
+ * @param {CompoundSelector} compound
+ * @param {OpenElement} element
+ * @returns {boolean}
+ */
+function matchesCompound(compound, element) {
+  if (compound.tag && compound.tag !== element.tag) {
+    return false;
+  }
+  const valueOf = (/** @type {string} */ name) => element.attrs.find(attr => attr.name === name);
+  if (compound.ids.length && !compound.ids.every(id => valueOf('id')?.value === id)) {
+    return false;
+  }
+  if (compound.classes.length) {
+    const classes = (valueOf('class')?.value ?? '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) {
+      return false;
+    }
+  }
+  return compound.attrs.every(selector => {
+    const attr = valueOf(selector.name);
+    return attr !== undefined && matchesAttributeValue(selector, attr.value ?? '');
+  });
+}
+
+/**
+ * Whether an element matches a selector, given the elements it is in
+ * @param {Selector} selector
+ * @param {OpenElement} element
+ * @param {OpenElement[]} ancestors - Outermost first
+ * @returns {boolean}
+ */
+function matchesSelector(selector, element, ancestors) {
+  return selector.some(complex => {
+    let i = complex.length - 1;
+    const subject = complex[i];
+    if (!subject || !matchesCompound(subject, element)) {
+      return false;
+    }
+    // With descendant combinators only, the nearest matching ancestor is always
+    // as good a match as any further out
+    for (let j = ancestors.length - 1; j >= 0 && i > 0; j--) {
+      const compound = complex[i - 1];
+      const ancestor = ancestors[j];
+      if (compound && ancestor && matchesCompound(compound, ancestor)) {
+        i--;
+      }
+    }
+    return i === 0;
+  });
+}
+
+// Exports
+
+export {
+  overridableOptions,
+  parseSelector,
+  matchesSelector
+};
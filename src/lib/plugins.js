@@ -0,0 +1,151 @@
+// Plugins
+
+/** @import { HTMLAttribute, Plugin, PluginContext, PluginElement, PluginResult, PluginText } from '../htmlminifier.js' */
+/** @import { HTMLParserHandler } from '../htmlparser.js' */
+/** @import { ProcessedOptions } from './options.js' */
+
+/**
+ * Run one hook of each plugin on a node, in order, until one drops it
+ * @param {Plugin[]} plugins
+ * @param {'start' | 'end' | 'text' | 'comment'} hook
+ * @param {PluginElement | PluginText} node
+ * @param {PluginContext} context
+ * @returns {Promise<boolean>} Whether the node is kept
+ */
+async function runHooks(plugins, hook, node, context) {
+  for (const plugin of plugins) {
+    const fn = /** @type {((node: PluginElement | PluginText, context: PluginContext) => PluginResult) | undefined} */ (plugin[hook]);
+    if (fn && await fn(node, context) === false) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Attributes a hook added carry only what it gave them; fill in the rest the way
+ * the parser does
+ * @param {HTMLAttribute[]} attrs
+ * @returns {HTMLAttribute[]}
+ */
+function completeAttrs(attrs) {
+  return attrs.map(attr => attr.customAssign === undefined || attr.customOpen === undefined || attr.customClose === undefined || attr.quote === undefined
+    ? { ...attr, customAssign: attr.customAssign ?? '=', customOpen: attr.customOpen ?? '', customClose: attr.customClose ?? '', quote: attr.quote ?? '' }
+    : attr);
+}
+
+/**
+ * Put plugin hooks in front of the parser handler `minifyHTML` drives: Nodes reach
+ * the handler as the hooks left them, unless a hook dropped them, with the markup
+ * the hooks inserted around them
+ * @param {HTMLParserHandler} handler
+ * @param {Plugin[]} plugins
+ * @param {object} host
+ * @param {() => ProcessedOptions} host.options - Options in effect for the current node
+ * @param {(html: string) => unknown} host.insert - Emits markup as is
+ * @param {(text: string) => boolean} host.isPlaceholder - Whether a comment stands in for `htmlmin:ignore` content
+ * @returns {HTMLParserHandler}
+ */
+function withPlugins(handler, plugins, host) {
+  // Open elements by the tag name the parser gives them (which it closes them by);
+  // `element` is null for a dropped element and everything in it
+  /** @type {Array<{tag: string, element: PluginElement | null}>} */
+  const open = [];
+  // Open elements that were kept, for hooks to look at
+  /** @type {PluginElement[]} */
+  const stack = [];
+  let dropStart = -1;
+
+  /**
+   * @param {'start' | 'end' | 'text' | 'comment'} hook
+   * @param {PluginElement | PluginText} node
+   * @param {() => unknown} next - Hands the node on to the handler
+   * @returns {Promise<boolean>} Whether the node was kept
+   */
+  async function run(hook, node, next) {
+    /** @type {string[]} */
+    const before = [];
+    /** @type {string[]} */
+    const after = [];
+    const kept = await runHooks(plugins, hook, node, {
+      stack,
+      options: host.options(),
+      insertBefore: html => { before.push(html); },
+      insertAfter: html => { after.push(html); }
+    });
+    for (const html of before) {
+      await host.insert(html);
+    }
+    if (kept || hook === 'end') {
+      await next();
+    }
+    for (const html of after) {
+      await host.insert(html);
+    }
+    return kept;
+  }
+
+  return {
+    ...handler,
+    start: async function (/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ unary, /** @type {string} */ unarySlash, /** @type {boolean} */ autoGenerated) {
+      if (dropStart >= 0) {
+        if (!unary) open.push({ tag, element: null });
+        return;
+      }
+      /** @type {PluginElement} */
+      const element = { tag: host.options().name(tag), attrs, unary };
+      const kept = await run('start', element, () => {
+        element.attrs = completeAttrs(element.attrs);
+        return handler.start?.(element.tag, element.attrs, unary, unarySlash, autoGenerated);
+      });
+      if (unary) return;
+      if (kept) {
+        open.push({ tag, element });
+        stack.push(element);
+      } else {
+        dropStart = open.length;
+        open.push({ tag, element: null });
+      }
+    },
+    end: async function (/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ autoGenerated) {
+      const top = open[open.length - 1];
+      if (top && top.tag === tag) {
+        open.pop();
+        if (!top.element) {
+          if (open.length === dropStart) dropStart = -1;
+          return;
+        }
+        stack.pop();
+        const element = top.element;
+        await run('end', element, () => handler.end?.(element.tag, element.attrs, autoGenerated));
+      } else if (dropStart < 0) {
+        // A stray end tag, kept with `partialMarkup`
+        /** @type {PluginElement} */
+        const element = { tag: host.options().name(tag), attrs, unary: false };
+        await run('end', element, () => handler.end?.(element.tag, element.attrs, autoGenerated));
+      }
+    },
+    chars: function (/** @type {string} */ text, /** @type {string} */ prevTag, /** @type {string} */ nextTag, /** @type {HTMLAttribute[]} */ prevAttrs, /** @type {HTMLAttribute[]} */ nextAttrs) {
+      if (dropStart >= 0) return;
+      /** @type {PluginText} */
+      const node = { text };
+      return run('text', node, () => handler.chars?.(node.text, prevTag, nextTag, prevAttrs, nextAttrs));
+    },
+    comment: function (/** @type {string} */ text, /** @type {boolean} */ nonStandard) {
+      if (dropStart >= 0) return;
+      if (host.isPlaceholder(text)) return handler.comment?.(text, nonStandard);
+      /** @type {PluginText} */
+      const node = { text };
+      return run('comment', node, () => handler.comment?.(node.text, nonStandard));
+    },
+    doctype: function (/** @type {string} */ doctype) {
+      if (dropStart < 0) handler.doctype?.(doctype);
+    }
+  };
+}
+
+// Exports
+
+export {
+  withPlugins
+};
@@ -0,0 +1,74 @@
+// Savings report
+
+/** @import { Savings } from '../htmlminifier.js' */
+
+// Features the report breaks savings down by, in report order
+const savingsFeatures = /** @type {const} */ ([
+  'collapseWhitespace',
+  'removeComments',
+  'removeAttributeQuotes',
+  'removeOptionalTags',
+  'removeRedundantAttributes',
+  'minifyCSS',
+  'minifyJS',
+  'minifySVG',
+  'minifyURLs',
+  'removeUnusedCSS'
+]);
+
+/**
+ * UTF-8 length of a string, without encoding it
+ * @param {string} str
+ * @returns {number}
+ */
+function byteLength(str) {
+  let length = str.length;
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code < 0x80) continue;
+    if (code < 0x800) {
+      length += 1;
+    } else {
+      length += 2;
+      // A surrogate pair is two UTF-16 units for four UTF-8 bytes; a lone
+      // surrogate is written as U+FFFD, three bytes like the rest of this range
+      if (code >= 0xD800 && code < 0xDC00) {
+        const next = str.charCodeAt(i + 1);
+        if (next >= 0xDC00 && next < 0xE000) i++;
+      }
+    }
+  }
+  return length;
+}
+
+/** @returns {Savings} */
+function createSavings() {
+  const savings = /** @type {Savings} */ ({});
+  for (const feature of savingsFeatures) {
+    savings[feature] = 0;
+  }
+  return savings;
+}
+
+/**
+ * Credit a feature with the difference between what it was given and what it
+ * returned; a no-op when no report was asked for
+ * @param {Savings | undefined} savings
+ * @param {keyof Savings} feature
+ * @param {string} before
+ * @param {string} after
+ */
+function addSavings(savings, feature, before, after) {
+  if (savings && before !== after) {
+    savings[feature] += byteLength(before) - byteLength(after);
+  }
+}
+
+// Exports
+
+export {
+  savingsFeatures,
+  byteLength,
+  createSavings,
+  addSavings
+};
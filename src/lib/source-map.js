@@ -0,0 +1,381 @@
+/**
+ * Source maps
+ *
+ * The minifier knows where each output segment came from—a tag, an attribute run, a
+ * text node—but not where it lands: Segments are trimmed, wrapped, and reassembled
+ * after the fact. So segments carry their input offset, and their output offset is
+ * recovered by aligning them against the final string, which can only differ from
+ * their concatenation in whitespace. Style sheets and scripts bring the maps their
+ * engines produced, which are folded in relative to the block they describe.
+ */
+
+/** @import { SourceMap } from '../htmlminifier.js' */
+
+// Type definitions
+
+/**
+ * A mapping from an output offset to an input offset, plus the original name
+ * the output position stands for (identifiers renamed by Terser or SWC)
+ *
+ * @typedef {[generated: number, original: number, name?: string]} MappingPoint
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+/** @type {Record<string, number>} */
+const BASE64_INDEX = {};
+for (let i = 0; i < BASE64.length; i++) {
+  BASE64_INDEX[BASE64.charAt(i)] = i;
+}
+
+// Whitespace the minifier may add, drop, or exchange between segments
+const WHITESPACE = ' \n\r\t\f\xA0';
+
+// VLQ coding
+
+/** @param {number} value */
+function encodeVLQ(value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let out = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    out += BASE64.charAt(digit);
+  } while (vlq > 0);
+  return out;
+}
+
+/**
+ * Decode a `mappings` string into lines of segments, each segment holding the
+ * generated column and—when present—source index, line, column, and name index
+ * as absolute values
+ * @param {string} mappings
+ * @returns {number[][][]}
+ */
+function decodeMappings(mappings) {
+  /** @type {number[][][]} */
+  const lines = [];
+  /** @type {number[][]} */
+  let line = [];
+  const state = [0, 0, 0, 0, 0];
+  /** @type {number[]} */
+  let segment = [];
+  let value = 0;
+  let shift = 0;
+
+  const endSegment = () => {
+    if (segment.length) {
+      // The generated column restarts on every line, the other fields carry over
+      const absolute = segment.map((delta, i) => (state[i] = (state[i] ?? 0) + delta));
+      line.push(absolute);
+      segment = [];
+    }
+  };
+
+  for (let i = 0; i < mappings.length; i++) {
+    const char = mappings.charAt(i);
+    if (char === ',') {
+      endSegment();
+    } else if (char === ';') {
+      endSegment();
+      lines.push(line);
+      line = [];
+      state[0] = 0;
+    } else {
+      const digit = BASE64_INDEX[char];
+      if (digit === undefined) continue;
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        segment.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+  }
+  endSegment();
+  lines.push(line);
+  return lines;
+}
+
+// Offset/position conversion
+
+/**
+ * Offsets at which each line of `text` starts
+ * @param {string} text
+ * @returns {number[]}
+ */
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    if (char === 10) {
+      starts.push(i + 1);
+    } else if (char === 13) {
+      if (text.charCodeAt(i + 1) === 10) i++;
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Zero-based line and column of an offset
+ * @param {number[]} starts - From `lineStarts`
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+function toLineColumn(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if ((starts[mid] ?? 0) <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low, column: offset - (starts[low] ?? 0) };
+}
+
+/**
+ * Offset of a zero-based line and column, clamped to the text
+ * @param {number[]} starts - From `lineStarts`
+ * @param {number} line
+ * @param {number} column
+ * @param {number} length - Length of the text
+ */
+function toOffset(starts, line, column, length) {
+  const start = starts[Math.min(line, starts.length - 1)] ?? 0;
+  return Math.min(start + column, length);
+}
+
+// Offsets across rewrites
+
+/**
+ * Maps offsets in a rewritten string back to the string it was rewritten from,
+ * given the regions that were replaced. Offsets inside a replacement map to the
+ * start of the region it replaced; regions have to be recorded in order.
+ */
+class OffsetMap {
+  constructor() {
+    /** @type {Array<{start: number, end: number, sourceStart: number, sourceEnd: number}>} */
+    this.regions = [];
+  }
+
+  /**
+   * @param {number} start - Start of the replacement in the rewritten string
+   * @param {number} end - End of the replacement in the rewritten string
+   * @param {number} sourceStart - Start of the replaced region in the source string
+   * @param {number} sourceEnd - End of the replaced region in the source string
+   */
+  replace(start, end, sourceStart, sourceEnd) {
+    this.regions.push({ start, end, sourceStart, sourceEnd });
+  }
+
+  /** @param {number} offset */
+  translate(offset) {
+    const regions = this.regions;
+    let low = 0;
+    let high = regions.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if ((regions[mid]?.start ?? 0) <= offset) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    const region = regions[found];
+    if (!region) return offset;
+    return offset < region.end ? region.sourceStart : offset - region.end + region.sourceEnd;
+  }
+}
+
+/**
+ * Locate each segment in the string they were joined into. The two may differ in
+ * whitespace only—trimmed, collapsed, or added by line wrapping—which the walk
+ * steps over on either side; the first other difference ends the alignment.
+ * @param {string[]} segments
+ * @param {string} output
+ * @returns {number[]} Where each segment’s first character lands (-1 when a
+ *  segment left no trace)
+ */
+function alignSegments(segments, output) {
+  const bases = new Array(segments.length).fill(-1);
+  let pos = 0;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i] ?? '';
+    let index = 0;
+    while (index < segment.length) {
+      const char = segment.charAt(index);
+      if (pos < output.length && output.charAt(pos) === char) {
+        if (bases[i] === -1) bases[i] = pos - index;
+        pos++;
+        index++;
+      } else if (WHITESPACE.includes(char)) {
+        index++;
+      } else if (pos < output.length && WHITESPACE.includes(output.charAt(pos))) {
+        pos++;
+      } else {
+        return bases;
+      }
+    }
+  }
+
+  return bases;
+}
+
+/**
+ * Mapping points for a block minified by an engine that produced its own map
+ * @param {MappingPoint[]} points - Collects the result
+ * @param {SourceMap} map - The engine’s map, for a single source
+ * @param {string} generated - The minified block
+ * @param {number} generatedStart - Where the block lands in the output
+ * @param {string} input - What the engine was given
+ * @param {number} inputStart - Where `input` starts in the source document
+ */
+function addBlockPoints(points, map, generated, generatedStart, input, inputStart) {
+  const generatedLines = lineStarts(generated);
+  const inputLines = lineStarts(input);
+  const lines = decodeMappings(map.mappings || '');
+  for (let line = 0; line < lines.length; line++) {
+    for (const segment of lines[line] ?? []) {
+      if (segment.length < 4) continue;
+      const generatedOffset = toOffset(generatedLines, line, segment[0] ?? 0, generated.length);
+      const inputOffset = toOffset(inputLines, segment[2] ?? 0, segment[3] ?? 0, input.length);
+      const name = segment.length > 4 ? map.names?.[segment[4] ?? 0] : undefined;
+      points.push(name === undefined
+        ? [generatedStart + generatedOffset, inputStart + inputOffset]
+        : [generatedStart + generatedOffset, inputStart + inputOffset, name]);
+    }
+  }
+}
+
+/**
+ * Move points along with the text they point into, given the runs that were
+ * copied verbatim from one string to another; points outside every run are dropped
+ * @param {MappingPoint[]} points
+ * @param {Array<[outputStart: number, inputStart: number, length: number]>} runs - In order
+ * @returns {MappingPoint[]}
+ */
+function remapGenerated(points, runs) {
+  /** @type {MappingPoint[]} */
+  const remapped = [];
+  for (const point of points) {
+    let low = 0;
+    let high = runs.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if ((runs[mid]?.[1] ?? 0) <= point[0]) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    const run = runs[found];
+    if (run && point[0] < run[1] + run[2]) {
+      const moved = /** @type {MappingPoint} */ (point.slice());
+      moved[0] = run[0] + point[0] - run[1];
+      remapped.push(moved);
+    }
+  }
+  return remapped;
+}
+
+/**
+ * Encode mapping points as a v3 source map
+ * @param {MappingPoint[]} points
+ * @param {string} output
+ * @param {string} input
+ * @param {{source?: string, file?: string, includeContent?: boolean}} [settings]
+ * @returns {SourceMap}
+ */
+function buildSourceMap(points, output, input, settings = {}) {
+  const outputLines = lineStarts(output);
+  const inputLines = lineStarts(input);
+  // Stable, so a block’s own points stay behind the point for the block itself
+  const sorted = points.slice().sort((a, b) => a[0] - b[0]);
+
+  /** @type {string[]} */
+  const names = [];
+  /** @type {Map<string, number>} */
+  const nameIndexes = new Map();
+
+  let mappings = '';
+  let generatedLine = 0;
+  let previousColumn = 0;
+  let previousSourceLine = 0;
+  let previousSourceColumn = 0;
+  let previousName = 0;
+  let previousOffset = -1;
+  let previousOriginal = -1;
+  let lineHasSegments = false;
+
+  for (const [generated, original, name] of sorted) {
+    // One segment per generated position, and none that only repeats the last one
+    if (generated === previousOffset || (original === previousOriginal && name === undefined)) continue;
+    previousOffset = generated;
+    previousOriginal = original;
+
+    const target = toLineColumn(outputLines, generated);
+    const source = toLineColumn(inputLines, original);
+    while (generatedLine < target.line) {
+      mappings += ';';
+      generatedLine++;
+      previousColumn = 0;
+      lineHasSegments = false;
+    }
+    if (lineHasSegments) mappings += ',';
+    mappings += encodeVLQ(target.column - previousColumn) +
+      encodeVLQ(0) +
+      encodeVLQ(source.line - previousSourceLine) +
+      encodeVLQ(source.column - previousSourceColumn);
+    if (name !== undefined) {
+      let index = nameIndexes.get(name);
+      if (index === undefined) {
+        index = names.length;
+        names.push(name);
+        nameIndexes.set(name, index);
+      }
+      mappings += encodeVLQ(index - previousName);
+      previousName = index;
+    }
+    previousColumn = target.column;
+    previousSourceLine = source.line;
+    previousSourceColumn = source.column;
+    lineHasSegments = true;
+  }
+
+  /** @type {SourceMap} */
+  const map = {
+    version: 3,
+    sources: [settings.source ?? 'input.html'],
+    names,
+    mappings
+  };
+  if (settings.file !== undefined) map.file = settings.file;
+  if (settings.includeContent) map.sourcesContent = [input];
+  return map;
+}
+
+// Exports
+
+export {
+  encodeVLQ,
+  decodeMappings,
+  lineStarts,
+  toLineColumn,
+  OffsetMap,
+  alignSegments,
+  addBlockPoints,
+  remapGenerated,
+  buildSourceMap
+};
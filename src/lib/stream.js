@@ -0,0 +1,163 @@
+// Streaming
+//
+// A streamed document reaches the minifier in chunks, and the rewrites it goes
+// through before parsing each look at the whole: trimming its ends, swapping out
+// `htmlmin:ignore` blocks, and swapping out custom fragments. The cuts below mark
+// how much of the input received so far each rewrite can already make final; the
+// rest waits for the next chunk.
+
+import { replaceCustomFragments } from './fragments.js';
+
+/** @import { DelimitedFragment, PatternFragment } from './fragments.js' */
+
+/**
+ * Start of the whitespace run a text ends with
+ * @param {string} text
+ * @param {RegExp} whitespace - Matches a single whitespace character
+ * @returns {number}
+ */
+function trailingWhitespaceStart(text, whitespace) {
+  let end = text.length;
+  while (end > 0 && whitespace.test(text.charAt(end - 1))) {
+    end--;
+  }
+  return end;
+}
+
+/**
+ * How much of a text can have its marker-delimited blocks replaced: up to a block
+ * that is still open, or to a marker cut off at the end
+ * @param {string} text
+ * @param {string} marker - Opens and closes a block
+ * @returns {number}
+ */
+function markedBlockCut(text, marker) {
+  let pos = 0;
+  for (;;) {
+    const start = text.indexOf(marker, pos);
+    if (start === -1) break;
+    const end = text.indexOf(marker, start + marker.length);
+    if (end === -1) return start;
+    pos = end + marker.length;
+  }
+  for (let i = Math.max(pos, text.length - marker.length + 1); i < text.length; i++) {
+    if (marker.startsWith(text.slice(i))) return i;
+  }
+  return text.length;
+}
+
+/**
+ * How much of a text can have its custom fragments replaced. A fragment whose
+ * closing delimiter is yet to come, one whose opening delimiter is cut off, and
+ * the whitespace the text ends with can all still change how a match runs, since
+ * matches take in adjacent fragments and the whitespace around them; so can any
+ * match that reaches what is held back.
+ * @param {string} text
+ * @param {(DelimitedFragment | PatternFragment)[]} fragments
+ * @returns {number} 0 when some pattern is not delimited—only the whole input can
+ *  tell where such a pattern matches
+ */
+function customFragmentCut(text, fragments) {
+  /** @type {Array<{start: number, end: number}>} */
+  const matches = [];
+  for (const fragment of fragments) {
+    if (!('open' in fragment)) return 0;
+  }
+  replaceCustomFragments(text, fragments, (match, offset) => {
+    matches.push({ start: offset, end: offset + match.length });
+    return match;
+  });
+
+  let cut = trailingWhitespaceStart(text, /\s/);
+  for (const fragment of /** @type {DelimitedFragment[]} */ (fragments)) {
+    // Openings past the last closing delimiter cannot be closed by anything received
+    const lastClose = text.lastIndexOf(fragment.close);
+    const unclosed = text.indexOf(fragment.open, lastClose === -1 ? 0 : Math.max(0, lastClose - fragment.open.length - fragment.min + 1));
+    if (unclosed !== -1) cut = Math.min(cut, unclosed);
+    for (let i = Math.max(0, text.length - fragment.open.length + 1); i < text.length; i++) {
+      if (fragment.open.startsWith(text.slice(i))) {
+        cut = Math.min(cut, i);
+        break;
+      }
+    }
+  }
+  cut = trailingWhitespaceStart(text.slice(0, cut), /\s/);
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const match = /** @type {{start: number, end: number}} */ (matches[i]);
+    if (match.start < cut && match.end >= cut) cut = match.start;
+  }
+  return cut;
+}
+
+/**
+ * Hand chunks from a stream to the parser one at a time. `push` settles once the
+ * parser has taken the chunk, which is what keeps a fast writer from running ahead;
+ * `fail` rejects what is still waiting when minification stops with an error.
+ */
+function createChunkQueue() {
+  /** @type {Array<{chunk: string, resolve: () => void, reject: (error: unknown) => void}>} */
+  const queued = [];
+  /** @type {((chunk: string | undefined) => void) | null} */
+  let reader = null;
+  let ended = false;
+  /** @type {{error: unknown} | null} */
+  let failure = null;
+
+  const wake = () => {
+    if (!reader) return;
+    const read = reader;
+    const item = queued.shift();
+    if (item) {
+      reader = null;
+      item.resolve();
+      read(item.chunk);
+    } else if (ended) {
+      reader = null;
+      read(undefined);
+    }
+  };
+
+  return {
+    /**
+     * @param {string} chunk
+     * @returns {Promise<void>}
+     */
+    push(chunk) {
+      return new Promise((resolve, reject) => {
+        if (failure) {
+          reject(failure.error);
+          return;
+        }
+        queued.push({ chunk, resolve, reject });
+        wake();
+      });
+    },
+    end() {
+      ended = true;
+      wake();
+    },
+    /** @returns {Promise<string | undefined>} Undefined once the stream has ended */
+    next() {
+      return new Promise(resolve => {
+        reader = resolve;
+        wake();
+      });
+    },
+    /** @param {unknown} error */
+    fail(error) {
+      failure = { error };
+      for (const item of queued.splice(0)) {
+        item.reject(error);
+      }
+    }
+  };
+}
+
+// Exports
+
+export {
+  trailingWhitespaceStart,
+  markedBlockCut,
+  customFragmentCut,
+  createChunkQueue
+};
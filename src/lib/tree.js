@@ -0,0 +1,134 @@
+// Tree
+
+// Documents as trees for `parse` and `serialize`: built from the parser’s events,
+// nodes as written—tag and attribute name case, attribute quotes, entities—so that
+// writing a tree back gives markup the parser reads into the same events
+
+import { HTMLParser, empty } from '../htmlparser.js';
+import { buildAttr } from './attributes.js';
+
+/** @import { HTMLAttribute, DocumentNode, ElementNode, TreeNode } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+
+/**
+ * @param {string} html
+ * @param {ProcessedOptions} options - Parser settings: `continueOnParseError`,
+ *  `partialMarkup`, `customAttrAssign`, `customAttrSurround`
+ * @returns {Promise<DocumentNode>}
+ */
+async function buildTree(html, options) {
+  /** @type {DocumentNode} */
+  const document = { type: 'document', children: [] };
+  /** @type {Array<DocumentNode | ElementNode>} */
+  const stack = [document];
+  const current = () => /** @type {DocumentNode | ElementNode} */ (stack[stack.length - 1]);
+
+  const parser = new HTMLParser(html, {
+    continueOnParseError: options.continueOnParseError,
+    partialMarkup: options.partialMarkup,
+    customAttrAssign: options.customAttrAssign,
+    customAttrSurround: options.customAttrSurround,
+    start(/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs, /** @type {boolean} */ unary, /** @type {string} */ unarySlash, /** @type {boolean | undefined} */ autoGenerated) {
+      /** @type {ElementNode} */
+      const element = { type: 'element', tag, attrs, children: [] };
+      if (unarySlash) element.selfClosing = true;
+      if (autoGenerated) element.startImplied = true;
+      current().children.push(element);
+      if (!unary) stack.push(element);
+    },
+    end(/** @type {string} */ tag, /** @type {unknown} */ _attrs, /** @type {boolean | undefined} */ autoGenerated) {
+      const open = current();
+      if (open.type === 'element' && open.tag.toLowerCase() === tag.toLowerCase()) {
+        stack.pop();
+        if (autoGenerated) open.endImplied = true;
+      } else {
+        // A stray end tag kept with `partialMarkup`
+        open.children.push({ type: 'element', tag, attrs: [], children: [], startImplied: true });
+      }
+    },
+    chars(/** @type {string} */ text) {
+      const { children } = current();
+      const last = children[children.length - 1];
+      if (last?.type === 'text') {
+        last.text += text;
+      } else {
+        children.push({ type: 'text', text });
+      }
+    },
+    comment(/** @type {string} */ text, /** @type {boolean | undefined} */ nonStandard) {
+      current().children.push(nonStandard ? { type: 'comment', text, conditional: true } : { type: 'comment', text });
+    },
+    doctype(/** @type {string} */ text) {
+      current().children.push({ type: 'doctype', text });
+    }
+  });
+  await parser.parse();
+
+  // Left open at the end of the input
+  for (const open of stack) {
+    if (open.type === 'element') open.endImplied = true;
+  }
+  return document;
+}
+
+/**
+ * Start tag of an element, attributes written as `buildAttr` writes them with the
+ * given options: in their original quotes unless the value needs others
+ * @param {ElementNode} node
+ * @param {ProcessedOptions} options
+ * @returns {string}
+ */
+function startTagMarkup(node, options) {
+  const selfClosing = Boolean(node.selfClosing);
+  let start = '<' + node.tag;
+  if (node.attrs.length) {
+    start += ' ' + node.attrs.map((attr, i) => buildAttr({
+      name: attr.name,
+      value: attr.value,
+      attr: { ...attr, quote: attr.quote ?? '"', customAssign: attr.customAssign || '=', customOpen: attr.customOpen ?? '', customClose: attr.customClose ?? '' }
+    }, selfClosing, options, i === node.attrs.length - 1, undefined)).join('');
+  }
+  return start + (selfClosing ? '/' : '') + '>';
+}
+
+/**
+ * Whether an element is written without content and end tag
+ * @param {ElementNode} node
+ * @returns {boolean}
+ */
+function isVoidNode(node) {
+  return Boolean(node.selfClosing) || (empty.has(node.tag.toLowerCase()) && !node.children.length);
+}
+
+/**
+ * Markup for a tree
+ * @param {DocumentNode | TreeNode} node
+ * @param {ProcessedOptions} options
+ * @returns {string}
+ */
+function treeToMarkup(node, options) {
+  switch (node.type) {
+    case 'document':
+      return node.children.map(child => treeToMarkup(child, options)).join('');
+    case 'text':
+    case 'doctype':
+      return node.text;
+    case 'comment':
+      return node.conditional ? '<!' + node.text + '>' : '<!--' + node.text + '-->';
+  }
+
+  const start = node.startImplied ? '' : startTagMarkup(node, options);
+  if (isVoidNode(node)) {
+    return start;
+  }
+  return start + node.children.map(child => treeToMarkup(child, options)).join('') + (node.endImplied ? '' : '</' + node.tag + '>');
+}
+
+// Exports
+
+export {
+  buildTree,
+  startTagMarkup,
+  isVoidNode,
+  treeToMarkup
+};
@@ -270,6 +270,23 @@ function collectUsedSymbols(html, includeScripts, decode) {
   return used;
 }
 
+/**
+ * @param {string} symbol
+ * @param {Array<string | RegExp>} safelist
+ * @returns {boolean}
+ */
+function isSafelisted(symbol, safelist) {
+  return safelist.some(entry => {
+    if (!(entry instanceof RegExp)) {
+      return entry === symbol;
+    }
+    // `test()` advances `lastIndex` on global and sticky patterns, which would
+    // make a safelist entry match only every other symbol
+    entry.lastIndex = 0;
+    return entry.test(symbol);
+  });
+}
+
 /**
  * Determine which class/ID symbols a style sheet defines but the document never references.
  * @param {string} css - Style sheet contents
@@ -296,18 +313,7 @@ function findUnusedSymbols(css, used, safelist) {
       continue;
     }
     seen.add(symbol);
-    if (used.has(symbol) || reserved.has(symbol)) {
-      continue;
-    }
-    if (safelist.some(entry => {
-      if (!(entry instanceof RegExp)) {
-        return entry === symbol;
-      }
-      // `test()` advances `lastIndex` on global and sticky patterns, which would
-      // make a safelist entry match only every other symbol
-      entry.lastIndex = 0;
-      return entry.test(symbol);
-    })) {
+    if (used.has(symbol) || reserved.has(symbol) || isSafelisted(symbol, safelist)) {
       continue;
     }
     unused.push(symbol);
@@ -371,7 +377,19 @@ function normalizeUnusedCSSOptions(option, warn) {
 }
 
 export {
+  idReferenceAttributes,
+  fragmentReferenceAttributes,
+  attributePattern,
+  identifierPattern,
+  fragmentURLPattern,
+  stringLiteralPattern,
+  cssIdentifierPattern,
+  reservedAtRulePattern,
+  unescapeIdentifier,
+  foldCase,
+  findRawTextElements,
   collectUsedSymbols,
+  isSafelisted,
   findUnusedSymbols,
   normalizeUnusedCSSOptions
 };
\ No newline at end of file
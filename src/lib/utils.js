@@ -18,13 +18,41 @@ function stableStringify(obj) {
 
 // LRU cache for strings and promises
 
+/**
+ * Rough size of a cached value in UTF-16 code units—strings counted by length,
+ * objects and arrays by what they hold; a pending promise counts as nothing
+ * until the settled value replaces it
+ * @param {unknown} value
+ * @returns {number}
+ */
+function estimateSize(value) {
+  if (typeof value === 'string') return value.length;
+  if (value === null || typeof value !== 'object' || isThenable(value)) return 8;
+  let size = 0;
+  if (Array.isArray(value)) {
+    for (const item of value) size += estimateSize(item);
+  } else {
+    for (const [key, item] of Object.entries(value)) size += key.length + estimateSize(item);
+  }
+  return size;
+}
+
 class LRU {
-  constructor(limit = 200) {
+  /**
+   * @param {number} [limit] - Maximum number of entries
+   * @param {number} [maxBytes] - Maximum size of keys and values, estimated (see `estimateSize`)
+   */
+  constructor(limit = 200, maxBytes = Infinity) {
     this.limit = limit;
+    this.maxBytes = maxBytes;
     this.gets = 0;
     this.hits = 0;
+    this.evictions = 0;
+    this.bytes = 0;
     /** @type {Map<string, unknown>} */
     this.map = new Map();
+    /** @type {Map<string, number>} */
+    this.sizes = new Map();
   }
   /** @param {string} key */
   get(key) {
@@ -43,19 +71,57 @@ class LRU {
    * @param {unknown} value
    */
   set(key, value) {
-    if (this.map.has(key)) this.map.delete(key);
+    this.delete(key);
+    const size = key.length + estimateSize(value);
     this.map.set(key, value);
-    if (this.map.size > this.limit) {
+    this.sizes.set(key, size);
+    this.bytes += size;
+    this.evict();
+  }
+  /** @param {string} key */
+  delete(key) {
+    if (this.map.delete(key)) {
+      this.bytes -= this.sizes.get(key) ?? 0;
+      this.sizes.delete(key);
+    }
+  }
+  // Drop least recently used entries until the cache is within its limits—an
+  // entry larger than `maxBytes` by itself included
+  evict() {
+    while (this.map.size > this.limit || (this.bytes > this.maxBytes && this.map.size)) {
       const first = this.map.keys().next().value;
-      if (first !== undefined) this.map.delete(first);
+      if (first === undefined) break;
+      this.delete(first);
+      this.evictions++;
     }
   }
-  /** @param {string} key */
-  delete(key) { this.map.delete(key); }
+  /**
+   * Change the limits, dropping what no longer fits
+   * @param {number} limit
+   * @param {number} [maxBytes]
+   */
+  resize(limit, maxBytes = this.maxBytes) {
+    this.limit = limit;
+    this.maxBytes = maxBytes;
+    this.evict();
+  }
+  // Drop all entries and start the statistics over
+  clear() {
+    this.map.clear();
+    this.sizes.clear();
+    this.bytes = 0;
+    this.gets = 0;
+    this.hits = 0;
+    this.evictions = 0;
+  }
   /** @returns {{ gets: number, hits: number, size: number, limit: number }} */
   stats() {
     return { gets: this.gets, hits: this.hits, size: this.map.size, limit: this.limit };
   }
+  /** @returns {{ gets: number, hits: number, size: number, limit: number, bytes: number, maxBytes: number, evictions: number }} */
+  details() {
+    return { ...this.stats(), bytes: this.bytes, maxBytes: this.maxBytes, evictions: this.evictions };
+  }
 }
 
 // Content longer than this (in UTF-16 code units, roughly bytes for typical CSS/JS/SVG) is
@@ -0,0 +1,506 @@
+// Verify
+
+import { HTMLParser } from '../htmlparser.js';
+import {
+  inlineElementsToKeepWhitespaceAround,
+  pBlockElements,
+  specialContentElements
+} from './constants.js';
+import {
+  canDeleteEmptyAttribute,
+  isAttributeRedundant,
+  isBooleanAttribute,
+  isEventAttribute,
+  isMediaQuery,
+  isScriptTypeAttribute,
+  isSrcset,
+  isStyleLinkTypeAttribute,
+  isUriTypeAttribute
+} from './attributes.js';
+import { canCollapseWhitespace as defaultCanCollapseWhitespace } from './whitespace.js';
+import { RE_DIRECTIVE_ATTRIBUTE } from './directives.js';
+import { renameAttributes } from './mangle.js';
+import { isExtractedLink } from './extract-css.js';
+import { inlinedElement } from './inline-assets.js';
+import { handlerEvent, javascriptURLCode } from './event-handlers.js';
+import { createDuplicateTracker, hidingElements, normalizeResourceURL, resourceKind } from './duplicates.js';
+import { identity } from './utils.js';
+
+/** @import { HTMLAttribute } from '../htmlminifier.js' */
+/** @import { ProcessedOptions } from './options.js' */
+/** @import { InlinedAssets } from './inline-assets.js' */
+
+/**
+ * Error `verify: true` rejects with when the output builds a different tree than
+ * the input
+ */
+class VerifyError extends Error {
+  /**
+   * @param {string} message
+   * @param {{path: string, expected: string, actual: string}} details
+   */
+  constructor(message, { path, expected, actual }) {
+    super(message);
+    this.name = 'VerifyError';
+    /** Where in the input document the trees part, like `/div[2]/p[1]` */
+    this.path = path;
+    /** What the input has there */
+    this.expected = expected;
+    /** What the output has there instead */
+    this.actual = actual;
+  }
+}
+
+/**
+ * Node of a document, flattened in document order and normalized for comparison
+ *
+ * @typedef {{kind: 'start', tag: string, attrs: string, path: string}
+ *   | {kind: 'end', tag: string, path: string}
+ *   | {kind: 'text', text: string, preserve: boolean, path: string}
+ *   | {kind: 'space', path: string}} VerifyToken
+ */
+
+// Start tags that end open elements without their end tags, as far as the
+// elements that scope them (a `li` ends the open `li`, but not past a `ul`)
+/** @type {Map<string, {ends: Set<string>, scope: Set<string>}>} */
+const impliedEnds = new Map();
+for (const [tags, ends, scope] of /** @type {Array<[string[], string[], string[]]>} */ ([
+  [['li'], ['li'], ['ul', 'ol', 'menu']],
+  [['dt', 'dd'], ['dt', 'dd'], ['dl']],
+  [['td', 'th'], ['td', 'th'], ['tr', 'table']],
+  [['tr'], ['tr', 'td', 'th'], ['thead', 'tbody', 'tfoot', 'table']],
+  [['thead', 'tbody', 'tfoot'], ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'caption', 'colgroup'], ['table']],
+  [['option'], ['option'], ['select', 'datalist', 'optgroup']],
+  [['optgroup'], ['option', 'optgroup'], ['select']],
+  [['rb', 'rtc'], ['rb', 'rt', 'rtc', 'rp'], ['ruby']],
+  [['rt', 'rp'], ['rb', 'rt', 'rp'], ['ruby', 'rtc']]
+])) {
+  for (const tag of tags) impliedEnds.set(tag, { ends: new Set(ends), scope: new Set(scope) });
+}
+
+// Elements whose start and end tags may both be left out, and which the parser
+// doesn’t restore: Their content is compared as if they weren’t there
+const transparentElements = new Set(['html', 'head', 'body']);
+const transparentWithoutAttributes = new Set(['tbody', 'colgroup']);
+
+// `pre` and `textarea` drop a line break right after their start tag
+const newlineElements = new Set(['pre', 'textarea']);
+
+const RE_WHITESPACE = /[ \n\r\t\f]+/g;
+const RE_TRAILING_LINE_BREAK = /[^\r\n](?:\r\n|\r|\n)[ \t]*$/;
+
+/** @type {Promise<{text: (text: string) => string, attribute: (text: string) => string}> | undefined} */
+let decodersPromise;
+function getDecoders() {
+  if (!decodersPromise) {
+    decodersPromise = import('entities').then(m => ({ text: m.decodeHTML, attribute: m.decodeHTMLAttribute }));
+  }
+  return decodersPromise;
+}
+
+/**
+ * Attributes as compared: defaults and empty values the minifier may remove left
+ * out, values engines rewrite reduced to their presence, and the rest with
+ * entities decoded and whitespace collapsed; sorted, since order doesn’t matter
+ * @param {string} tag
+ * @param {HTMLAttribute[]} attrs
+ * @param {ProcessedOptions} options
+ * @param {(text: string) => string} decode
+ * @returns {string}
+ */
+function normalizeAttributes(tag, attrs, options, decode) {
+  /** @type {string[]} */
+  const normalized = [];
+  for (const attr of attrs) {
+    const name = attr.name.toLowerCase();
+    let value = attr.value === undefined ? '' : decode(attr.value);
+    if (RE_DIRECTIVE_ATTRIBUTE.test(name) ||
+        isAttributeRedundant(tag, name, value, attrs) ||
+        (tag === 'script' && name === 'type' && isScriptTypeAttribute(value)) ||
+        ((tag === 'style' || tag === 'link') && name === 'type' && isStyleLinkTypeAttribute(value)) ||
+        canDeleteEmptyAttribute(tag, name, value, options) ||
+        // What `mergeStyles` takes into `@media` blocks
+        (options.mergeStyles && tag === 'style' && name === 'media') ||
+        // What `addIntegrity` adds and updates
+        (options.addIntegrity && (tag === 'script' || tag === 'link') && (name === 'integrity' || name === 'crossorigin')) ||
+        // What `extractEventHandlers` takes out, and its hooks
+        (options.extractEventHandlers && (handlerEvent(name, options) !== null || name === options.extractEventHandlers.attribute))) {
+      continue;
+    }
+    if (options.extractEventHandlers && javascriptURLCode(tag, name, value) !== null) {
+      value = '#';
+    } else if (isBooleanAttribute(name, value)) {
+      value = '';
+    } else if (isEventAttribute(name, options) || name === 'style' || name === 'srcdoc' ||
+        isSrcset(name, tag) || isMediaQuery(tag, attrs, name) || (tag === 'meta' && name === 'content') ||
+        (options.minifyURLs !== identity && isUriTypeAttribute(name, tag))) {
+      value = '…';
+    } else if (name === 'class') {
+      value = value.split(RE_WHITESPACE).filter(Boolean).sort().join(' ');
+    } else {
+      value = value.replace(RE_WHITESPACE, ' ').trim();
+    }
+    normalized.push(name + '=' + JSON.stringify(value));
+  }
+  return normalized.sort().join(' ');
+}
+
+/**
+ * Parse a document into tokens, element by element as a browser would nest them
+ * @param {string} html
+ * @param {ProcessedOptions} options
+ * @param {Map<string, string>} [renames] - Class names and IDs `mangleSelectors` renamed, for the input
+ * @param {InlinedAssets} [inlined] - What `inlineAssets` brought in, for the input
+ * @returns {Promise<{tokens: VerifyToken[], documentAttrs: Map<string, string>}>}
+ */
+async function tokenize(html, options, renames, inlined) {
+  const decoders = html.includes('&') ? await getDecoders() : { text: identity, attribute: identity };
+  /** @type {VerifyToken[]} */
+  const tokens = [];
+  /** @type {Map<string, string>} */
+  const documentAttrs = new Map();
+  /** @type {Array<{tag: string, path: string, counts: Map<string, number>, preserve: boolean, opaque: boolean, transparent: boolean}>} */
+  const stack = [];
+  const rootCounts = new Map();
+
+  const top = () => stack[stack.length - 1];
+  const pathOf = () => top()?.path ?? '';
+
+  const pop = () => {
+    const entry = stack.pop();
+    if (!entry || entry.transparent) return;
+    // With `collapseWhitespace`, a single trailing line break goes, as template
+    // engines tend to add it
+    const last = tokens[tokens.length - 1];
+    if (options.collapseWhitespace && newlineElements.has(entry.tag) && last?.kind === 'text' &&
+        RE_TRAILING_LINE_BREAK.test(last.text)) {
+      last.text = last.text.replace(/(?:\r\n|\r|\n)[ \t]*$/, '');
+    }
+    tokens.push({ kind: 'end', tag: entry.tag, path: entry.path });
+  };
+
+  // Close the nearest open element with one of the tags, up to the scope
+  const closeWithin = (/** @type {Set<string>} */ ends, /** @type {(tag: string) => boolean} */ inScope) => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const tag = stack[i]?.tag ?? '';
+      if (ends.has(tag)) {
+        while (stack.length > i) pop();
+        return;
+      }
+      if (inScope(tag)) return;
+    }
+  };
+
+  const canCollapse = (/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs) =>
+    options.canCollapseWhitespace(tag, attrs, defaultCanCollapseWhitespace);
+
+  // `removeDuplicateResources` is followed on both sides, by attributes as compared
+  // (content as well, for inline elements, being compared for presence only): A
+  // copy it removed is one here, and what else is one here is one on both sides
+  const duplicates = options.removeDuplicateResources ? createDuplicateTracker() : null;
+  // Where the last script started, in `tokens`
+  let scriptStart = -1;
+  const isCopy = (/** @type {string} */ tag, /** @type {HTMLAttribute[]} */ attrs) => {
+    const resource = duplicates && !stack.some(open => hidingElements.has(open.tag)) ? resourceKind(tag, attrs) : null;
+    if (!duplicates || !resource) {
+      return false;
+    }
+    const url = attrs.find(attr => /^(?:href|src)$/i.test(attr.name))?.value;
+    const key = tag + ' ' + normalizeAttributes(tag, attrs.filter(attr => !/^(?:href|src)$/i.test(attr.name)), options, decoders.attribute) +
+      (url === undefined ? '' : ' ' + normalizeResourceURL(decoders.attribute(url)));
+    // Nothing but the script before and whitespace in between
+    const adjacent = scriptStart !== -1 && tokens.slice(scriptStart + 2).every(token => token.kind === 'text' && !/\S/.test(token.text));
+    const copy = duplicates.isCopy(resource, key, adjacent);
+    if (tag === 'script' && !copy) scriptStart = tokens.length;
+    return copy;
+  };
+
+  const parser = new HTMLParser(html, {
+    continueOnParseError: options.continueOnParseError,
+    partialMarkup: options.partialMarkup,
+    customAttrAssign: options.customAttrAssign,
+    customAttrSurround: options.customAttrSurround,
+    async start(/** @type {string} */ tagName, /** @type {HTMLAttribute[]} */ tagAttrs, /** @type {boolean} */ unary) {
+      // A `link` that `extractCSS` put in place of a `style` element stands for it
+      const extracted = options.extractCSS && tagName.toLowerCase() === 'link' && isExtractedLink(tagAttrs, options.extractCSS);
+      // So do the elements `inlineAssets` replaced for what came in
+      const replaced = inlined && !top()?.opaque
+        ? inlinedElement(tagName.toLowerCase(), tagAttrs, stack.some(open => open.tag === 'picture'), inlined, options)
+        : null;
+      if (replaced && 'markup' in replaced) {
+        const current = top();
+        const counts = current?.counts ?? rootCounts;
+        const index = (counts.get('svg') ?? 0) + 1;
+        counts.set('svg', index);
+        const nested = await tokenize(replaced.markup, options);
+        const prefix = pathOf() + '/svg[' + index + ']';
+        tokens.push(...nested.tokens.map(token => ({ ...token, path: prefix + token.path.replace(/^\/svg\[1\]/, '') })));
+        return;
+      }
+      const tag = extracted ? 'style' : replaced?.tag ?? tagName.toLowerCase();
+      const attrs = extracted ? tagAttrs.filter(attr => !/^(?:rel|href|integrity)$/i.test(attr.name)) : replaced?.attrs ?? tagAttrs;
+      const parent = top();
+      if (parent?.opaque) {
+        if (!unary) stack.push({ ...parent, tag, transparent: true });
+        return;
+      }
+      const implied = impliedEnds.get(tag);
+      if (implied) {
+        closeWithin(implied.ends, open => implied.scope.has(open));
+      } else if (pBlockElements.has(tag)) {
+        closeWithin(new Set(['p']), open => !inlineElementsToKeepWhitespaceAround.has(open));
+      }
+
+      const attributes = normalizeAttributes(tag, renames ? renameAttributes(attrs, renames, decoders.attribute) : attrs, options, decoders.attribute);
+      if (isCopy(tag, attrs)) {
+        // What it holds goes with it
+        if (!unary) stack.push({ tag, path: pathOf(), counts: new Map(), preserve: false, opaque: true, transparent: true });
+        return;
+      }
+      const transparent = transparentElements.has(tag) || (transparentWithoutAttributes.has(tag) && !attributes);
+      if (transparentElements.has(tag)) {
+        if (attributes) documentAttrs.set(tag, [documentAttrs.get(tag), attributes].filter(Boolean).join(' '));
+        return;
+      }
+      const current = top();
+      const counts = current?.counts ?? rootCounts;
+      const index = (counts.get(tag) ?? 0) + 1;
+      counts.set(tag, index);
+      const path = transparent ? pathOf() : pathOf() + '/' + tag + '[' + index + ']';
+      if (!transparent) tokens.push({ kind: 'start', tag, attrs: attributes, path });
+      if (unary) {
+        if (!transparent) tokens.push({ kind: 'end', tag, path });
+        return;
+      }
+      stack.push({
+        tag,
+        path,
+        counts: transparent ? counts : new Map(),
+        preserve: Boolean(current?.preserve) || !canCollapse(tag, attrs),
+        // What engines rewrite is compared for presence only
+        opaque: specialContentElements.has(tag) || (tag === 'svg' && Boolean(options.minifySVG)),
+        transparent
+      });
+    },
+    end(/** @type {string} */ tagName) {
+      const tag = tagName.toLowerCase();
+      if (transparentElements.has(tag)) return;
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i]?.tag === tag) {
+          while (stack.length > i) pop();
+          return;
+        }
+      }
+    },
+    chars(/** @type {string} */ text) {
+      const current = top();
+      if (current?.opaque || !text) return;
+      let previous = tokens[tokens.length - 1];
+      // A line break right after the start tag isn’t content
+      if (previous?.kind === 'start' && newlineElements.has(previous.tag) && previous.path === current?.path) {
+        text = text.replace(/^\r?\n/, '');
+        if (!text) return;
+        previous = undefined;
+      }
+      const path = pathOf() + '/text()';
+      const preserve = Boolean(current?.preserve);
+      if (previous?.kind === 'text' && previous.preserve === preserve) {
+        previous.text += text;
+      } else {
+        tokens.push({ kind: 'text', text, preserve, path });
+      }
+    }
+  });
+  await parser.parse();
+  while (stack.length) pop();
+
+  for (const token of tokens) {
+    if (token.kind === 'text') {
+      token.text = decoders.text(token.text);
+      if (!token.preserve) token.text = token.text.replace(RE_WHITESPACE, ' ');
+    }
+  }
+  let canonical = canonicalizeWhitespace(tokens);
+  if (options.mergeScripts) canonical = mergeAdjacentScripts(canonical);
+  if (options.mergeStyles) canonical = mergeAdjacentStyles(canonical);
+  return { tokens: canonical, documentAttrs };
+}
+
+/**
+ * Scripts as `mergeScripts` leaves them: One inline script right after another
+ * with the same attributes becomes part of it
+ * @param {VerifyToken[]} tokens
+ * @returns {VerifyToken[]}
+ */
+function mergeAdjacentScripts(tokens) {
+  /** @type {VerifyToken[]} */
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = /** @type {VerifyToken} */ (tokens[i]);
+    const end = result[result.length - 1];
+    const start = result[result.length - 2];
+    if (token.kind === 'start' && token.tag === 'script' && tokens[i + 1]?.kind === 'end' &&
+        end?.kind === 'end' && end.tag === 'script' && start?.kind === 'start' && start.tag === 'script' &&
+        start.attrs === token.attrs && !/(?:^| )src=/.test(token.attrs)) {
+      i++;
+      continue;
+    }
+    result.push(token);
+  }
+  return result;
+}
+
+/**
+ * Style sheets as `mergeStyles` leaves them: One `style` element right after
+ * another with the same attributes, `media` aside, becomes part of it
+ * @param {VerifyToken[]} tokens
+ * @returns {VerifyToken[]}
+ */
+function mergeAdjacentStyles(tokens) {
+  /** @type {VerifyToken[]} */
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = /** @type {VerifyToken} */ (tokens[i]);
+    const end = result[result.length - 1];
+    const start = result[result.length - 2];
+    if (token.kind === 'start' && token.tag === 'style' && tokens[i + 1]?.kind === 'end' &&
+        end?.kind === 'end' && end.tag === 'style' && start?.kind === 'start' && start.tag === 'style' &&
+        start.attrs === token.attrs) {
+      i++;
+      continue;
+    }
+    result.push(token);
+  }
+  return result;
+}
+
+/**
+ * Whitespace as it matters for rendering: where it is around inline tags doesn’t
+ * (`a <b>b</b>` and `a<b> b</b>`), and next to other tags it doesn’t at all
+ * @param {VerifyToken[]} tokens
+ * @returns {VerifyToken[]}
+ */
+function canonicalizeWhitespace(tokens) {
+  /** @type {VerifyToken[]} */
+  const result = [];
+  // Inline tags since the last text, and whether there was whitespace among them
+  /** @type {VerifyToken[]} */
+  let run = [];
+  let space = false;
+  let afterText = false;
+
+  const flush = (/** @type {boolean} */ beforeText) => {
+    if (space && afterText && beforeText) {
+      result.push({ kind: 'space', path: run[0]?.path ?? '' });
+    }
+    result.push(...run);
+    run = [];
+    space = false;
+  };
+
+  for (const token of tokens) {
+    if (token.kind === 'text' && !token.preserve) {
+      let text = token.text;
+      if (text.startsWith(' ')) {
+        space = true;
+        text = text.slice(1);
+      }
+      if (!text) continue;
+      const trailing = text.endsWith(' ');
+      if (trailing) text = text.slice(0, -1);
+      if (text) {
+        flush(true);
+        result.push({ ...token, text });
+        afterText = true;
+      }
+      space = trailing;
+    } else if (token.kind === 'text') {
+      flush(true);
+      result.push(token);
+      afterText = true;
+    } else if ((token.kind === 'start' || token.kind === 'end') && inlineElementsToKeepWhitespaceAround.has(token.tag)) {
+      run.push(token);
+    } else {
+      flush(false);
+      result.push(token);
+      afterText = false;
+    }
+  }
+  flush(false);
+  return result;
+}
+
+/**
+ * @param {VerifyToken | undefined} token
+ * @returns {string}
+ */
+function describe(token) {
+  if (!token) return 'nothing more';
+  switch (token.kind) {
+    case 'start': return `<${token.tag}${token.attrs ? ' ' + token.attrs : ''}>`;
+    case 'end': return `</${token.tag}>`;
+    case 'space': return 'whitespace';
+    case 'text': return `text “${token.text.length > 40 ? token.text.slice(0, 40) + '…' : token.text}”`;
+  }
+}
+
+/**
+ * @param {VerifyToken} a
+ * @param {VerifyToken} b
+ */
+function sameToken(a, b) {
+  if (a.kind !== b.kind) return false;
+  switch (a.kind) {
+    case 'start': return b.kind === 'start' && a.tag === b.tag && a.attrs === b.attrs;
+    case 'end': return b.kind === 'end' && a.tag === b.tag;
+    case 'text': return b.kind === 'text' && a.text === b.text;
+    default: return true;
+  }
+}
+
+/**
+ * Check that the output builds the same tree as the input, ignoring whitespace
+ * that doesn’t render, comments, and the content of style sheets, scripts, and—
+ * with `minifySVG`—SVG elements
+ * @param {string} input
+ * @param {string} output
+ * @param {ProcessedOptions} options
+ * @returns {Promise<VerifyError | null>} The first difference, if any
+ */
+async function verifyOutput(input, output, options) {
+  // The script `extractEventHandlers` put in has nothing to match in the input
+  const emitted = options.handlers?.markup;
+  const at = emitted ? output.lastIndexOf(emitted) : -1;
+  const expected = await tokenize(input, options, options.cssContext?.renames, options.inlined);
+  const actual = await tokenize(emitted && at !== -1 ? output.slice(0, at) + output.slice(at + emitted.length) : output, options);
+
+  for (const tag of transparentElements) {
+    const before = expected.documentAttrs.get(tag) ?? '';
+    const after = actual.documentAttrs.get(tag) ?? '';
+    if (before !== after) {
+      return new VerifyError(
+        `Output differs from input at /${tag}: attributes ${before || 'none'} became ${after || 'none'}`,
+        { path: '/' + tag, expected: before, actual: after }
+      );
+    }
+  }
+
+  const length = Math.max(expected.tokens.length, actual.tokens.length);
+  for (let i = 0; i < length; i++) {
+    const before = expected.tokens[i];
+    const after = actual.tokens[i];
+    if (before && after && sameToken(before, after)) continue;
+    const path = (before ?? after)?.path || '/';
+    const was = describe(before);
+    const is = describe(after);
+    return new VerifyError(`Output differs from input at ${path}: expected ${was}, found ${is}`, { path, expected: was, actual: is });
+  }
+  return null;
+}
+
+// Exports
+
+export {
+  VerifyError,
+  verifyOutput
+};
@@ -70,11 +70,21 @@ class TokenChain {
     });
   }
 
-  createSorter() {
+  /**
+   * @param {boolean} [alphabetical] - Rank tokens by name rather than by frequency
+   * @returns {Sorter}
+   */
+  createSorter(alphabetical = false) {
     const sorter = new Sorter();
 
-    // Convert map entries to array and sort by frequency (descending), then alphabetically
+    // Counts from an earlier sorter would skip tokens, so that each starts afresh
+    for (const data of this.map.values()) {
+      data.processed = 0;
+    }
+
+    // Convert map entries to array and sort by frequency (descending), then alphabetically (or only alphabetically)
     const entries = Array.from(this.map.entries()).sort((a, b) => {
+      if (alphabetical) return a[0].localeCompare(b[0]);
       const m = a[1].arrays.length;
       const n = b[1].arrays.length;
       // Sort by length descending (larger first)
@@ -112,7 +122,7 @@ class TokenChain {
         });
 
         sorter.rank.set(token, sorter.rank.size);
-        sorter.sorterMap.set(token, chain.createSorter());
+        sorter.sorterMap.set(token, chain.createSorter(alphabetical));
       }
     });
 
@@ -120,4 +130,5 @@ class TokenChain {
   }
 }
 
+export { Sorter };
 export default TokenChain;
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, createMinifyWebStream, AbortError } from '../src/htmlminifier.js';
+
+/** @typedef {import('../src/htmlminifier.js').Plugin} Plugin */
+
+const sleep = (/** @type {number} */ ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A plugin that takes its time over the given element
+ * @param {string} tag
+ * @param {number} ms
+ * @returns {Plugin}
+ */
+function slowOn(tag, ms) {
+  return {
+    async start(element) {
+      if (element.tag === tag) await sleep(ms);
+    }
+  };
+}
+
+describe('Cancellation', () => {
+  test('Rejects with an `AbortError` once the signal aborts', async () => {
+    const controller = new AbortController();
+    controller.abort('Gone');
+    await assert.rejects(minify('<p>x</p>', { signal: controller.signal }), err => {
+      assert.ok(err instanceof AbortError);
+      assert.strictEqual(err.name, 'AbortError');
+      assert.strictEqual(err.cause, 'Gone');
+      assert.strictEqual(err.timedOut, false);
+      return true;
+    });
+  });
+
+  test('Stops between parser events', async () => {
+    const controller = new AbortController();
+    /** @type {string[]} */
+    const seen = [];
+    /** @type {Plugin} */
+    const plugin = {
+      start(element) {
+        seen.push(element.tag);
+        if (element.tag === 'b') controller.abort();
+      }
+    };
+    await assert.rejects(minify('<p><b>x</b><i>y</i></p>', { signal: controller.signal, plugins: [plugin] }), AbortError);
+    assert.deepStrictEqual(seen, ['p', 'b']);
+  });
+
+  test('Stops engines even with `continueOnMinifyError`', async () => {
+    const controller = new AbortController();
+    /** @type {Plugin} */
+    const plugin = {
+      start(element) {
+        if (element.tag === 'button') controller.abort();
+      }
+    };
+    await assert.rejects(
+      minify('<button onclick="  go( 1 )  ">x</button>', { signal: controller.signal, plugins: [plugin], minifyJS: true, continueOnMinifyError: true }),
+      AbortError
+    );
+  });
+
+  test('Rejects once the timeout is spent', async () => {
+    const input = '<p>  a  </p><div>  b  </div>';
+    await assert.rejects(minify(input, { timeout: 10, plugins: [slowOn('p', 30)], continueOnMinifyError: false }), err => {
+      assert.ok(err instanceof AbortError);
+      assert.strictEqual(err.timedOut, true);
+      assert.match(err.message, /timed out after 10 ms/);
+      return true;
+    });
+    assert.strictEqual(await minify(input, { timeout: 1000, collapseWhitespace: true }), '<p>a</p><div>b</div>');
+  });
+
+  test('Leaves blocks unminified once the timeout is spent, with `continueOnMinifyError`', async () => {
+    /** @type {unknown[]} */
+    const logged = [];
+    const input = '<p>  a  </p><script> var a = 1 + 1; </script><style> a { color : red } </style>';
+    const output = await minify(input, {
+      timeout: 10,
+      plugins: [slowOn('p', 30)],
+      collapseWhitespace: true,
+      minifyJS: true,
+      minifyCSS: true,
+      log: message => { logged.push(message); }
+    });
+    assert.strictEqual(output, '<p>a</p><script>var a = 1 + 1;</script><style>a { color : red }</style>');
+    assert.ok(logged.some(message => message instanceof AbortError && message.timedOut));
+  });
+
+  test('Stops streams', async () => {
+    const controller = new AbortController();
+    const { readable, writable } = createMinifyWebStream({ signal: controller.signal });
+    const writer = writable.getWriter();
+    const reading = (async () => {
+      for await (const html of readable) assert.ok(typeof html === 'string');
+    })();
+    await writer.write('<div><p>one</p>');
+    controller.abort();
+    await assert.rejects(Promise.all([writer.write('<p>two</p></div>').then(() => writer.close()), reading]), AbortError);
+  });
+});
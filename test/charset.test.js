@@ -0,0 +1,50 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+
+describe('Output character set', () => {
+  test('Writes text and attribute values as ASCII, with the shortest references', async () => {
+    const options = { outputCharset: /** @type {const} */ ('ascii') };
+    // Named, decimal, and (for some code points past U+F423F) hexadecimal references
+    assert.strictEqual(
+      await minify('<p title="naïve">Café → 😀 \u{f4240}</p>', options),
+      '<p title="na&iuml;ve">Caf&#233; &rarr; &#128512; &#xf4240;</p>');
+    // Ties go to the named reference, then the decimal one
+    assert.strictEqual(await minify('<p>a b</p>', options), '<p>a&nbsp;b</p>');
+    // A named reference for two code points
+    assert.strictEqual(await minify('<p>≂̸</p>', options), '<p>&nesim;</p>');
+    // ASCII stays as it is, references included
+    const ascii = '<p title="a &amp; b">x &lt; y &copy;</p>';
+    assert.strictEqual(await minify(ascii, options), ascii);
+    assert.strictEqual(await minify('<p>Café</p>', { outputCharset: 'utf-8' }), '<p>Café</p>');
+  });
+
+  test('Escapes what the context needs after decoding entities', async () => {
+    const options = { outputCharset: /** @type {const} */ ('ascii'), decodeEntities: true };
+    assert.strictEqual(
+      await minify('<p title="&quot;Caf&eacute;&quot; &amp; \'co\'">&lt;Caf&eacute;&gt; &amp;eacute; &amp; &#8594;</p>', options),
+      '<p title="&#34;Caf&#233;&#34; & \'co\'">&lt;Caf&#233;> &ampeacute; & &rarr;</p>');
+    // Minified event handlers and style attributes come out as ASCII, too
+    assert.strictEqual(
+      await minify('<p onclick="alert(\'é\')" style="content: \'é\'">x</p>', { ...options, minifyJS: true, minifyCSS: true }),
+      '<p onclick=\'alert("&#233;")\' style=\'content:"&#233;"\'>x</p>');
+    assert.strictEqual(
+      await minify('<textarea>ü</textarea><title>ü</title>', options),
+      '<textarea>&uuml;</textarea><title>&uuml;</title>');
+  });
+
+  test('Leaves what references don’t work in', async () => {
+    const options = { outputCharset: /** @type {const} */ ('ascii') };
+    const input = '<script>"é"</script><style>p::after{content:"é"}</style><!-- é --><xmp>é</xmp><p>\u0085</p>';
+    assert.strictEqual(await minify(input, options), input);
+    assert.strictEqual(await minify('<p>é</p>', { ...options, verify: true }), '<p>&#233;</p>');
+  });
+
+  test('Warns about an unknown character set', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    const output = await minify('<p>é</p>', { outputCharset: /** @type {any} */ ('latin1'), log: message => logged.push(String(message)) });
+    assert.strictEqual(output, '<p>é</p>');
+    assert.ok(logged.some(message => message.includes('Ignoring `outputCharset`—it takes `ascii` or `utf-8` (received “latin1”)')));
+  });
+});
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -1457,6 +1458,220 @@ describe('CLI', () => {
     });
   });
 
+  test('Should accept overrides from config file', async () => {
+    const config = { removeComments: true, overrides: [{ selector: '.keep', options: { removeComments: false, customEventAttributes: ['^on'] } }] };
+    await withConfigFile('tmp-overrides-config.json', config, async configPath => {
+      const input = '<p><!-- a -->A</p><div class="keep"><!-- b -->B</div>';
+      const { stdout, stderr, status } = spawnSync('node', [cliPath, '-c', configPath], {
+        cwd: fixturesDir,
+        input: input
+      });
+
+      assert.strictEqual(status, 0);
+      assert.ok(!stderr.toString().includes('overrides'));
+      assert.strictEqual(stdout.toString(), '<p>A</p><div class="keep"><!-- b -->B</div>');
+    });
+  });
+
+  test('Should keep results in `--cache-dir` across runs', async () => {
+    const cacheDir = path.resolve(fixturesDir, 'tmp-cache-dir');
+    try {
+      const input = '<style> a { color : red } </style><script> var a = 1 + 1; </script>';
+      for (let run = 0; run < 2; run++) {
+        const { stdout, status } = spawnSync('node', [cliPath, '--minify-css', '--minify-js', '--cache-dir', cacheDir], {
+          cwd: fixturesDir,
+          input
+        });
+        assert.strictEqual(status, 0);
+        assert.strictEqual(stdout.toString(), '<style>a{color:red}</style><script>var a=2</script>');
+      }
+      assert.strictEqual(fs.readdirSync(cacheDir).length, 2);
+    } finally {
+      await fs.promises.rm(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  test('Should check the output with `--verify`', () => {
+    const passing = spawnSync('node', [cliPath, '--verify', '--collapse-whitespace', '--remove-optional-tags'], {
+      cwd: fixturesDir,
+      input: '<ul>\n  <li> One </li>\n  <li>Two</li>\n</ul>'
+    });
+    assert.strictEqual(passing.status, 0);
+    assert.strictEqual(passing.stdout.toString(), '<ul><li>One<li>Two</ul>');
+
+    const failing = spawnSync('node', [cliPath, '--verify', '--remove-empty-elements'], {
+      cwd: fixturesDir,
+      input: '<div><span></span>x</div>'
+    });
+    assert.notStrictEqual(failing.status, 0);
+    assert.ok(failing.stderr.toString().includes('Output differs from input at /div[1]/span[1]'));
+
+    const warning = spawnSync('node', [cliPath, '--verify', 'warn', '--remove-empty-elements'], {
+      cwd: fixturesDir,
+      input: '<div><span></span>x</div>'
+    });
+    assert.strictEqual(warning.status, 0);
+    assert.strictEqual(warning.stdout.toString(), '<div>x</div>');
+    assert.ok(warning.stderr.toString().includes('Output differs from input at /div[1]/span[1]'));
+
+    // A file following the flag is not taken for its value
+    const file = spawnSync('node', [cliPath, '--collapse-whitespace', '--verify', 'default.html'], { cwd: fixturesDir });
+    assert.strictEqual(file.status, 0);
+    assert.ok(file.stdout.toString().startsWith('<!DOCTYPE html><html lang="en">'));
+  });
+
+  test('Should sort for compression with `--sort-attributes compress`', async () => {
+    const input = '<a href="/" title="a">a</a><a title="b" href="/b">b</a>';
+    const result = spawnSync('node', [cliPath, '--sort-attributes', 'compress', '--compression-codec', 'brotli'], { cwd: fixturesDir, input });
+    assert.strictEqual(result.status, 0);
+    assert.ok(['<a href="/" title="a">a</a><a href="/b" title="b">b</a>', input].includes(result.stdout.toString()));
+
+    // A file following the flag is not taken for its value, whatever its name
+    const file = spawnSync('node', [cliPath, '--sort-attributes', 'default.html'], { cwd: fixturesDir });
+    assert.strictEqual(file.status, 0);
+    assert.ok(file.stdout.toString().startsWith('<!DOCTYPE html>'));
+    await fs.promises.mkdir(path.resolve(fixturesDir, 'tmp'), { recursive: true });
+    await fs.promises.writeFile(path.resolve(fixturesDir, 'tmp/page.txt'), input);
+    const text = spawnSync('node', [cliPath, '--sort-class-names', 'tmp/page.txt'], { cwd: fixturesDir });
+    assert.strictEqual(text.status, 0);
+    assert.strictEqual(text.stdout.toString(), input);
+
+    // Nor is any other value
+    const bogus = spawnSync('node', [cliPath, '--sort-attributes=bogus'], { cwd: fixturesDir, input });
+    assert.strictEqual(bogus.status, 0);
+    assert.ok(bogus.stderr.toString().includes('Ignoring `sortAttributes`—it takes a boolean, `compress`, or a function (received “bogus”)'));
+  });
+
+  test('Should turn off sorting from a config file with `--no-sort-attributes` and `--no-sort-class-names`', async () => {
+    await withConfigFile('tmp-sort-config.json', { sortAttributes: true, sortClassNames: true }, async configPath => {
+      const input = '<a href="/" class="b a">a</a><a title="b" class="a b" href="/b">b</a>';
+      const sorted = spawnSync('node', [cliPath, '-c', configPath], { cwd: fixturesDir, input });
+      assert.strictEqual(sorted.status, 0);
+      assert.notStrictEqual(sorted.stdout.toString(), input);
+
+      const result = spawnSync('node', [cliPath, '-c', configPath, '--no-sort-attributes', '--no-sort-class-names'], { cwd: fixturesDir, input });
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.stdout.toString(), input);
+    });
+  });
+
+  test('Should keep `--mangle-selectors` names in the file `--mangle-selectors-map` gives', async () => {
+    await fs.promises.mkdir(path.resolve(fixturesDir, 'tmp'), { recursive: true });
+    const args = [cliPath, '--minify-css', '--mangle-selectors', '--mangle-selectors-map', 'tmp/names.json'];
+    const first = spawnSync('node', args, { cwd: fixturesDir, input: '<style>.card{a:b}.title{c:d}</style><p class="card title"><p class="title">' });
+    assert.strictEqual(first.status, 0);
+    assert.strictEqual(first.stdout.toString(), '<style>.b{a:b}.a{c:d}</style><p class="b a"><p class="a">');
+    assert.deepStrictEqual(JSON.parse(await readFixture('tmp/names.json')), { title: 'a', card: 'b' });
+
+    // Another run, where `card` is used most, goes by the names handed out before
+    const second = spawnSync('node', args, { cwd: fixturesDir, input: '<style>.card{a:b}.title{c:d}.footer{e:f}</style><p class="card"><p class="card"><i class="footer title"></i>' });
+    assert.strictEqual(second.status, 0);
+    assert.strictEqual(second.stdout.toString(), '<style>.b{a:b}.a{c:d}.c{e:f}</style><p class="b"><p class="b"><i class="c a"></i>');
+    assert.deepStrictEqual(JSON.parse(await readFixture('tmp/names.json')), { title: 'a', card: 'b', footer: 'c' });
+  });
+
+  test('Should move style sheets to one file in the output directory with `--extract-css`', async () => {
+    const source = path.resolve(fixturesDir, 'tmp/extract-src');
+    await fs.promises.mkdir(path.join(source, 'sub'), { recursive: true });
+    const style = '<style>p{color:red}.card{margin:1px}.title{margin:2px}</style>';
+    await fs.promises.writeFile(path.join(source, 'index.html'), style + '<p>x');
+    await fs.promises.writeFile(path.join(source, 'sub/page.html'), style + '<p>y');
+
+    const result = spawnSync('node', [cliPath, '--input-dir=tmp/extract-src', '--output-dir=tmp/extract-out', '--minify-css', '--extract-css={"minSize":10}'], { cwd: fixturesDir });
+    assert.strictEqual(result.status, 0);
+    const assets = await fs.promises.readdir(path.resolve(fixturesDir, 'tmp/extract-out/assets'));
+    assert.strictEqual(assets.length, 1);
+    assert.strictEqual(await readFixture('tmp/extract-out/assets/' + assets[0]), 'p{color:red}.card{margin:1px}.title{margin:2px}');
+    assert.strictEqual(await readFixture('tmp/extract-out/index.html'), `<link rel="stylesheet" href="assets/${assets[0]}"><p>x`);
+    assert.strictEqual(await readFixture('tmp/extract-out/sub/page.html'), `<link rel="stylesheet" href="../assets/${assets[0]}"><p>y`);
+  });
+
+  test('Should inline assets next to the input file with `--inline-assets`', async () => {
+    const source = path.resolve(fixturesDir, 'tmp/inline-src');
+    await fs.promises.mkdir(path.join(source, 'css'), { recursive: true });
+    await fs.promises.writeFile(path.join(source, 'css/site.css'), 'p { color: red }');
+    await fs.promises.writeFile(path.join(source, 'page.html'), '<link rel="stylesheet" href="css/site.css"><p>x');
+
+    const result = spawnSync('node', [cliPath, 'tmp/inline-src/page.html', '--minify-css', '--inline-assets'], { cwd: fixturesDir });
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout.toString(), '<style>p{color:red}</style><p>x');
+  });
+
+  test('Should add `integrity` attributes in directory mode, and list them with `--dry`', async () => {
+    const source = path.resolve(fixturesDir, 'tmp/integrity-src');
+    await fs.promises.mkdir(path.join(source, 'blog'), { recursive: true });
+    await fs.promises.writeFile(path.join(source, 'app.js'), 'run()');
+    await fs.promises.writeFile(path.join(source, 'blog/post.html'), '<script src="/app.js" integrity="sha384-stale"></script><script src="../app.js"></script>');
+
+    const dry = spawnSync('node', [cliPath, '--input-dir=tmp/integrity-src', '--output-dir=tmp/integrity-out', '--add-integrity', '--dry'], { cwd: fixturesDir });
+    assert.strictEqual(dry.status, 0);
+    assert.ok(dry.stderr.toString().includes('Integrity stale: /app.js'));
+    assert.ok(dry.stderr.toString().includes('Integrity missing: ../app.js'));
+    assert.ok(!fs.existsSync(path.resolve(fixturesDir, 'tmp/integrity-out')));
+
+    const result = spawnSync('node', [cliPath, '--input-dir=tmp/integrity-src', '--output-dir=tmp/integrity-out', '--add-integrity'], { cwd: fixturesDir });
+    assert.strictEqual(result.status, 0);
+    const integrity = 'sha384-' + crypto.createHash('sha384').update('run()').digest('base64');
+    assert.strictEqual(await readFixture('tmp/integrity-out/blog/post.html'), `<script src="/app.js" integrity="${integrity}"></script><script src="../app.js" integrity="${integrity}"></script>`);
+  });
+
+  test('Should list CSP hashes with `--csp-hashes --verbose`', async () => {
+    const source = path.resolve(fixturesDir, 'tmp/csp-src');
+    await fs.promises.mkdir(source, { recursive: true });
+    await fs.promises.writeFile(path.join(source, 'page.html'), '<meta http-equiv="Content-Security-Policy" content="script-src \'self\'"><script>run()</script>');
+
+    const result = spawnSync('node', [cliPath, 'tmp/csp-src/page.html', '--csp-hashes', '{"updateMeta": true}', '--verbose'], { cwd: fixturesDir });
+    assert.strictEqual(result.status, 0);
+    const hash = '\'sha256-' + crypto.createHash('sha256').update('run()').digest('base64') + '\'';
+    assert.ok(result.stderr.toString().includes(`CSP script-src: ${hash}`));
+    assert.strictEqual(result.stdout.toString(), `<meta http-equiv="Content-Security-Policy" content="script-src 'self' ${hash}"><script>run()</script>`);
+  });
+
+  test('Should write the event handler script to the output directory with `--extract-event-handlers`', async () => {
+    const source = path.resolve(fixturesDir, 'tmp/handlers-src');
+    await fs.promises.mkdir(path.join(source, 'sub'), { recursive: true });
+    await fs.promises.writeFile(path.join(source, 'sub/page.html'), '<button onclick="save()">Save</button>');
+
+    const result = spawnSync('node', [cliPath, '--input-dir=tmp/handlers-src', '--output-dir=tmp/handlers-out', '--minify-js', '--extract-event-handlers', '{"output": "file"}'], { cwd: fixturesDir });
+    assert.strictEqual(result.status, 0);
+    const scripts = await fs.promises.readdir(path.resolve(fixturesDir, 'tmp/handlers-out/assets'));
+    assert.strictEqual(scripts.length, 1);
+    assert.strictEqual(await readFixture('tmp/handlers-out/sub/page.html'), `<button data-hmn="0">Save</button><script src="../assets/${scripts[0]}"></script>`);
+  });
+
+  test('Should write ASCII output with `--output-charset ascii`', () => {
+    const result = spawnSync('node', [cliPath, '--output-charset', 'ascii', '--decode-entities'], {
+      input: '<p title="Caf&eacute;">naïve → ok</p>'
+    });
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout.toString(), '<p title="Caf&#233;">na&iuml;ve &rarr; ok</p>');
+  });
+
+  test('Should remove duplicate resources with `--remove-duplicate-resources`', () => {
+    const result = spawnSync('node', [cliPath, '--remove-duplicate-resources'], {
+      input: '<link rel="stylesheet" href="a.css"><link rel="stylesheet" href="./a.css"><script src="a.js"></script><script src="a.js"></script>'
+    });
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout.toString(), '<link rel="stylesheet" href="a.css"><script src="a.js"></script>');
+  });
+
+  test('Should merge style elements with `--merge-styles`', () => {
+    const result = spawnSync('node', [cliPath, '--merge-styles', '--minify-css'], {
+      input: '<style>p { color: red }</style>\n<style media="print">p { color: black }</style>'
+    });
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout.toString(), '<style>p{color:red}@media print{p{color:#000}}</style>');
+  });
+
+  test('Should pretty-print the output with `--pretty`', () => {
+    const result = spawnSync('node', [cliPath, '--pretty', '--remove-comments'], {
+      cwd: fixturesDir,
+      input: '<div><!-- x --><p>One <b>two</b></p><ul><li>A</li><li>B</li></ul></div>'
+    });
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout.toString(), '<div>\n  <p>One <b>two</b></p>\n  <ul>\n    <li>A</li>\n    <li>B</li>\n  </ul>\n</div>\n');
+  });
+
   test('Verbose mode prints cache stats, omitting caches that were never touched', () => {
     // Duplicate `<style>` block to trigger a CSS cache hit; single `<script>` to keep JS at a miss;
     // no `<svg>`/`minifySVG`, so the SVG cache must be omitted entirely
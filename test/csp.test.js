@@ -0,0 +1,70 @@
+import crypto from 'node:crypto';
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+
+/**
+ * @param {string} content
+ * @param {string} [algorithm]
+ */
+function hash(content, algorithm = 'sha256') {
+  return `'${algorithm}-${crypto.createHash(algorithm).update(content).digest('base64')}'`;
+}
+
+describe('CSP hashes', () => {
+  test('Hashes inline scripts and style sheets as output, after merging scripts', async () => {
+    /** @type {Array<{scripts: string[], styles: string[]}>} */
+    const reports = [];
+    const input = '<style>p { color: red }</style><script>var a = 1;</script><script>var b = 2;</script>' +
+      '<script type="module">import "./x.js";</script><script type="application/json">{"x":1}</script>' +
+      '<script src="app.js"></script><svg><style>p { color: red }</style></svg>';
+    const output = await minify(input, {
+      minifyCSS: true,
+      mergeScripts: true,
+      cspHashes: { onHashes: hashes => reports.push(hashes) }
+    });
+    assert.strictEqual(output, '<style>p{color:red}</style><script>var a = 1;var b = 2;</script>' +
+      '<script type="module">import "./x.js";</script><script type="application/json">{"x":1}</script>' +
+      '<script src="app.js"></script><svg><style>p{color:red}</style></svg>');
+    assert.deepStrictEqual(reports, [{
+      scripts: [hash('var a = 1;var b = 2;'), hash('import "./x.js";')],
+      styles: [hash('p{color:red}')]
+    }]);
+  });
+
+  test('Updates the policy of a `meta` element', async () => {
+    const meta = (/** @type {string} */ policy) => `<meta http-equiv="Content-Security-Policy" content="${policy}">`;
+    const body = '<style>p{}</style><script>run()</script>';
+    const options = { cspHashes: { updateMeta: true, algorithm: /** @type {const} */ ('sha384') } };
+    const script = hash('run()', 'sha384');
+    const style = hash('p{}', 'sha384');
+
+    assert.strictEqual(
+      await minify(meta('default-src \'self\'; script-src \'self\' \'sha384-old=\'; style-src-elem \'none\'') + body, options),
+      meta(`default-src 'self'; script-src 'self' ${script}; style-src-elem ${style}`) + body);
+    // `default-src` stands in for missing directives
+    assert.strictEqual(await minify(meta('default-src \'self\'') + body, options), meta(`default-src 'self' ${script} ${style}`) + body);
+    // A directive allowing `'unsafe-inline'` is left alone
+    assert.strictEqual(
+      await minify(meta('script-src \'self\'; style-src \'unsafe-inline\'') + body, options),
+      meta(`script-src 'self' ${script}; style-src 'unsafe-inline'`) + body);
+    // A directive left without sources
+    assert.strictEqual(
+      await minify(meta('script-src \'sha256-old=\'') + '<p>x', options),
+      meta('script-src \'none\'') + '<p>x');
+    // Without `updateMeta`, the policy stays as is
+    const input = meta('script-src \'self\'') + body;
+    assert.strictEqual(await minify(input, { cspHashes: true }), input);
+  });
+
+  test('Warns about invalid settings', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    const input = '<script>run()</script>';
+    const output = await minify(input, { cspHashes: { hash: 'md5', algorithm: 'md5', onHashes: 'log' }, log: message => logged.push(String(message)) });
+    assert.strictEqual(output, input);
+    assert.ok(logged.some(message => message.includes('`cspHashes` key `hash`')));
+    assert.ok(logged.some(message => message.includes('`cspHashes.algorithm`')));
+    assert.ok(logged.some(message => message.includes('`cspHashes.onHashes`')));
+  });
+});
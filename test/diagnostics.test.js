@@ -0,0 +1,120 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, createMinifyWebStream } from '../src/htmlminifier.js';
+
+/** @typedef {import('../src/htmlminifier.js').Diagnostic} Diagnostic */
+/** @typedef {import('../src/htmlminifier.js').MinifierOptions} MinifierOptions */
+
+/**
+ * Minify, collecting the diagnostics without their messages and errors
+ * @param {string} input
+ * @param {MinifierOptions} options
+ * @returns {Promise<Array<Omit<Diagnostic, 'message' | 'error'>>>}
+ */
+async function diagnose(input, options) {
+  /** @type {Diagnostic[]} */
+  const diagnostics = [];
+  await minify(input, { ...options, onDiagnostic: diagnostic => { diagnostics.push(diagnostic); } });
+  return diagnostics.map(diagnostic => {
+    assert.strictEqual(typeof diagnostic.message, 'string');
+    const rest = { ...diagnostic };
+    delete rest.message;
+    delete rest.error;
+    return rest;
+  });
+}
+
+describe('Diagnostics', () => {
+  test('Places CSS and JS problems in the document', async () => {
+    const input = [
+      '<div>',
+      '  <style>',
+      '    a { color: red }',
+      '    @foo bar;',
+      '  </style>',
+      '  <script>',
+      '    var a = 1;',
+      '    var = 2;',
+      '  </script>',
+      '  <p style="color: red; @x">x</p>',
+      '  <script type="application/json">{bad json</script>',
+      '</div>'
+    ].join('\n');
+    assert.deepStrictEqual(await diagnose(input, { minifyCSS: true, minifyJS: true }), [
+      { code: 'invalid-css', severity: 'warning', source: 'css', line: 4, column: 9 },
+      { code: 'js-error', severity: 'error', source: 'js', line: 8, column: 9 },
+      { code: 'invalid-css', severity: 'warning', source: 'css', line: 10, column: 3 },
+      { code: 'json-error', severity: 'error', source: 'js', line: 11, column: 35 }
+    ]);
+  });
+
+  test('Attaches the error a block was left unminified for', async () => {
+    /** @type {Diagnostic[]} */
+    const diagnostics = [];
+    const input = '<script>var = 2;</script>';
+    assert.strictEqual(await minify(input, { minifyJS: true, onDiagnostic: diagnostic => { diagnostics.push(diagnostic); } }), input);
+    assert.strictEqual(diagnostics.length, 1);
+    assert.ok(diagnostics[0]?.error instanceof Error);
+    assert.strictEqual(diagnostics[0]?.message, diagnostics[0]?.error.message);
+  });
+
+  test('Reports markup kept as text with `continueOnParseError`', async () => {
+    assert.deepStrictEqual(await diagnose('<p>a</p>\n  <div <x', { continueOnParseError: true }), [
+      { code: 'parse-error', severity: 'warning', source: 'parser', line: 2, column: 3 },
+      { code: 'parse-error', severity: 'warning', source: 'parser', line: 2, column: 8 }
+    ]);
+  });
+
+  test('Reports options instead of warning on the console', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.deepStrictEqual(await diagnose('<p>x</p>', /** @type {MinifierOptions} */ ({ foo: 1, preset: 'nope' })), [
+      { code: 'unknown-option', severity: 'warning', source: 'options' },
+      { code: 'unknown-preset', severity: 'warning', source: 'options' }
+    ]);
+    assert.strictEqual(warn.mock.callCount(), 0);
+  });
+
+  test('Keeps logging with `log`', async () => {
+    /** @type {unknown[]} */
+    const logged = [];
+    /** @type {Diagnostic[]} */
+    const diagnostics = [];
+    await minify('<p class="b a">x</p>\n<style>\n@foo;</style>', {
+      sortClassNames: true,
+      minifyCSS: true,
+      log: message => { logged.push(message); },
+      onDiagnostic: diagnostic => { diagnostics.push(diagnostic); }
+    });
+    // Reported once, though the sorting pass minifies the style sheet too
+    assert.deepStrictEqual(diagnostics.map(({ code, line, column }) => ({ code, line, column })), [
+      { code: 'invalid-css', line: 3, column: 5 }
+    ]);
+    assert.strictEqual(logged.filter(message => String(message).includes('@foo')).length, 1);
+  });
+
+  test('Reports a spent `timeout` as a warning', async () => {
+    /** @type {import('../src/htmlminifier.js').Plugin} */
+    const plugin = {
+      async start(element) {
+        if (element.tag === 'p') await new Promise(resolve => setTimeout(resolve, 30));
+      }
+    };
+    const diagnostics = await diagnose('<p>a</p><script> var a = 1; </script>', { timeout: 10, plugins: [plugin], minifyJS: true });
+    assert.deepStrictEqual(diagnostics, [{ code: 'timeout', severity: 'warning', source: 'js', line: 1, column: 17 }]);
+  });
+
+  test('Reports without positions when streaming', async () => {
+    /** @type {Diagnostic[]} */
+    const diagnostics = [];
+    const { readable, writable } = createMinifyWebStream({ minifyCSS: true, onDiagnostic: diagnostic => { diagnostics.push(diagnostic); } });
+    const writer = writable.getWriter();
+    const reading = (async () => {
+      for await (const html of readable) assert.ok(typeof html === 'string');
+    })();
+    await writer.write('<style>\n@foo;');
+    await writer.write('</style>');
+    await writer.close();
+    await reading;
+    assert.deepStrictEqual(diagnostics.map(({ code, line }) => ({ code, line })), [{ code: 'invalid-css', line: undefined }]);
+  });
+});
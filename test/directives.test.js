@@ -0,0 +1,86 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, createMinifyWebStream } from '../src/htmlminifier.js';
+
+describe('Directives', () => {
+  test('Scopes options to a region', async () => {
+    const input = '<!-- htmlmin:options {"removeComments": false, "removeAttributeQuotes": false} --><!-- kept --><p class="a">x</p><!-- htmlmin:end --><!-- gone --><p class="a">y</p>';
+    assert.strictEqual(await minify(input, { removeComments: true, removeAttributeQuotes: true }), '<!-- kept --><p class="a">x</p><p class=a>y</p>');
+  });
+
+  test('Toggles single features', async () => {
+    assert.strictEqual(
+      await minify('<div>  <p>  a   b  </p>\n<!-- htmlmin:keep-whitespace -->\n  <p>  c   d  </p>\n<!-- htmlmin:end -->\n  <p>  e  </p></div>', { collapseWhitespace: true }),
+      '<div><p>a b</p>\n  <p>  c   d  </p>\n<p>e</p></div>'
+    );
+    assert.strictEqual(
+      await minify('<!-- htmlmin:no-css --><style>a { color : red }</style><!-- htmlmin:end --><p style="color : red">x</p>', { minifyCSS: true }),
+      '<style>a { color : red }</style><p style="color:red">x</p>'
+    );
+    assert.strictEqual(
+      await minify('<!-- htmlmin:no-js --><script> var a = 1 + 1; </script><!-- htmlmin:end --><script> var b = 1 + 1; </script>', { minifyJS: true }),
+      '<script> var a = 1 + 1; </script><script>var b=2</script>'
+    );
+  });
+
+  test('Ends regions with the element they started in', async () => {
+    const input = '<div><!-- htmlmin:no-js --><script> var a = 1 + 1; </script></div><script> var b = 1 + 1; </script>';
+    assert.strictEqual(await minify(input, { minifyJS: true }), '<div><script> var a = 1 + 1; </script></div><script>var b=2</script>');
+  });
+
+  test('Applies attributes to their element and removes them', async () => {
+    assert.strictEqual(
+      await minify('<div data-htmlmin-no-js><button onclick="go( 1 )">x</button></div><button onclick="go( 1 )">y</button>', { minifyJS: true }),
+      '<div><button onclick="go( 1 )">x</button></div><button onclick="go(1)">y</button>'
+    );
+    assert.strictEqual(
+      await minify('<div data-htmlmin-options="{&quot;removeAttributeQuotes&quot;: false}" class="a"><p class="b">x</p></div><p class="c">y</p>', { removeAttributeQuotes: true }),
+      '<div class="a"><p class="b">x</p></div><p class=c>y</p>'
+    );
+    assert.strictEqual(
+      await minify('<pre-like data-htmlmin-keep-whitespace>  a  </pre-like>  <p>  b  </p>', { collapseWhitespace: true }),
+      '<pre-like>  a  </pre-like><p>b</p>'
+    );
+  });
+
+  test('Reports what it cannot apply', async () => {
+    /** @type {Array<{code: string, line?: number, column?: number}>} */
+    const diagnostics = [];
+    const input = '<!-- htmlmin:bogus -->\n<!-- htmlmin:options {bad} -->\n<p data-htmlmin-foo="1">x</p><!-- htmlmin:end -->';
+    const output = await minify(input, {
+      onDiagnostic: ({ code, line, column }) => { diagnostics.push({ code, line, column }); }
+    });
+    assert.strictEqual(output, '<!-- htmlmin:bogus -->\n\n<p data-htmlmin-foo="1">x</p>');
+    assert.deepStrictEqual(diagnostics, [
+      { code: 'invalid-directive', line: 1, column: 1 },
+      { code: 'invalid-directive', line: 2, column: 1 },
+      { code: 'invalid-directive', line: 3, column: 1 },
+      { code: 'invalid-directive', line: 3, column: 30 }
+    ]);
+  });
+
+  test('Leaves an unpaired `htmlmin:ignore` alone', async () => {
+    /** @type {unknown[]} */
+    const logged = [];
+    const input = '<p>x</p><!-- htmlmin:ignore -->';
+    assert.strictEqual(await minify(input, { log: message => { logged.push(message); } }), input);
+    assert.ok(!logged.some(message => String(message).includes('htmlmin:ignore')));
+  });
+
+  test('Works when streaming', async () => {
+    const options = { collapseWhitespace: true, minifyCSS: true };
+    const input = '<div>  <p>  a  </p>  <!-- htmlmin:keep-whitespace -->  <p>  b  </p>  <!-- htmlmin:end --><style> a { color : red } </style><section data-htmlmin-no-css><style> a { color : red } </style></section></div>';
+    const { readable, writable } = createMinifyWebStream(options);
+    const writer = writable.getWriter();
+    const output = [];
+    const reading = (async () => {
+      for await (const html of readable) output.push(html);
+    })();
+    for (let i = 0; i < input.length; i += 9) {
+      await writer.write(input.slice(i, i + 9));
+    }
+    await writer.close();
+    await reading;
+    assert.strictEqual(output.join(''), await minify(input, options));
+  });
+});
@@ -0,0 +1,88 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { createMinifier } from '../src/htmlminifier.js';
+import { tempDir } from './helpers.js';
+
+/** @param {string} dir */
+function entries(dir) {
+  return fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+}
+
+const input = '<style> a { color : red } </style><script> var a = 1 + 1; </script><svg><rect  x="0"   /></svg>';
+
+describe('Disk cache', () => {
+  test('Stores CSS, JS, and SVG results for later runs', async (t) => {
+    const cacheDir = tempDir(t);
+    const options = { cacheDir, minifyCSS: true, minifyJS: true, minifySVG: true };
+    const expected = '<style>a{color:red}</style><script>var a=2</script><svg><rect/></svg>';
+    assert.strictEqual(await createMinifier(options).minify(input), expected);
+    const stored = entries(cacheDir);
+    assert.deepStrictEqual(stored.map(name => name.split('-')[0]), ['css', 'js', 'svg']);
+
+    // A minifier with empty in-memory caches gets what is on disk
+    const css = path.join(cacheDir, stored[0] ?? '');
+    const entry = JSON.parse(fs.readFileSync(css, 'utf8'));
+    entry.value.css = 'a{color:blue}';
+    fs.writeFileSync(css, JSON.stringify(entry));
+    assert.strictEqual(await createMinifier(options).minify(input), expected.replace('red', 'blue'));
+  });
+
+  test('Keeps results for different options apart', async (t) => {
+    const cacheDir = tempDir(t);
+    await createMinifier({ cacheDir, minifyJS: true }).minify(input);
+    const output = await createMinifier({ cacheDir, minifyJS: { compress: false } }).minify(input);
+    assert.strictEqual(output, '<style> a { color : red } </style><script>var a=1+1</script><svg><rect x="0"/></svg>');
+    assert.strictEqual(entries(cacheDir).length, 2);
+  });
+
+  test('Recomputes entries it cannot read', async (t) => {
+    const cacheDir = tempDir(t);
+    const options = { cacheDir, minifyJS: true };
+    await createMinifier(options).minify(input);
+    const [name] = entries(cacheDir);
+    fs.writeFileSync(path.join(cacheDir, name ?? ''), '{"key":');
+    assert.strictEqual(await createMinifier(options).minify(input), '<style> a { color : red } </style><script>var a=2</script><svg><rect x="0"/></svg>');
+    assert.doesNotThrow(() => JSON.parse(fs.readFileSync(path.join(cacheDir, name ?? ''), 'utf8')));
+  });
+
+  test('Removes the least recently used entries beyond `cacheDirSize`', async (t) => {
+    const cacheDir = tempDir(t);
+    // About 800 bytes, room for a few entries
+    const options = { cacheDir, cacheDirSize: 0.00075, minifyJS: true };
+    const minifier = createMinifier(options);
+    for (let i = 0; i < 12; i++) {
+      await minifier.minify(`<script> var value${i} = ${i} + 1; </script>`);
+    }
+    const sizes = entries(cacheDir).map(name => fs.statSync(path.join(cacheDir, name)).size);
+    assert.ok(sizes.length > 1 && sizes.length < 12);
+    assert.ok(sizes.reduce((sum, size) => sum + size, 0) <= 0.00075 * 1024 * 1024);
+  });
+
+  test('Warns about a value that isn’t a path', async () => {
+    /** @type {string[]} */
+    const codes = [];
+    const options = /** @type {import('../src/htmlminifier.js').MinifierOptions} */ (/** @type {unknown} */ ({
+      cacheDir: 1,
+      onDiagnostic: (/** @type {{code: string}} */ { code }) => { codes.push(code); }
+    }));
+    await createMinifier(options).minify('<p>x</p>');
+    assert.deepStrictEqual(codes, ['invalid-option-value']);
+  });
+
+  test('Doesn’t let directives or overrides choose a directory', async (t) => {
+    const cacheDir = path.join(tempDir(t), 'probe');
+    /** @type {string[]} */
+    const messages = [];
+    const minifier = createMinifier({
+      minifyCSS: true,
+      overrides: [{ selector: 'main', options: /** @type {any} */ ({ cacheDir, minifyJS: true }) }],
+      log: (/** @type {string} */ message) => { messages.push(message); }
+    });
+    const output = await minifier.minify(`<!-- htmlmin:options {"cacheDir":${JSON.stringify(cacheDir)},"minifyCSS":true} --><style> a { color : red } </style><!-- htmlmin:end --><main><script> var a = 1 + 1; </script></main>`);
+    assert.strictEqual(output, '<style>a{color:red}</style><main><script>var a=2</script></main>');
+    assert.strictEqual(fs.existsSync(cacheDir), false);
+    assert.strictEqual(messages.filter(message => message.includes('Ignoring `cacheDir`')).length, 2);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+
+describe('Duplicate resources', () => {
+  test('Removes later copies of links, `meta` elements, and inline blocks', async () => {
+    const options = { removeDuplicateResources: true, minifyCSS: true, verify: true };
+    const input = '<head><link rel="stylesheet" href="a.css"><link rel="stylesheet" href="./a.css?x=1&amp;y=2"><link rel="stylesheet" href="a.css?x=1&y=2">' +
+      '<meta name="theme-color" content="red"><meta name="theme-color" content="red"><meta name="theme-color" content="blue">' +
+      '<link rel="preload" href="font.woff2" as="font" crossorigin><style>p { color: red }</style><style>p{color:red}</style></head>' +
+      '<body><p>x</p><link rel="preload" href="/dir/../font.woff2" as="font" crossorigin><link rel="preload" href="font.woff2" as="font" crossorigin></body>';
+    assert.strictEqual(await minify(input, options),
+      '<head><link rel="stylesheet" href="a.css"><link rel="stylesheet" href="./a.css?x=1&amp;y=2">' +
+      '<meta name="theme-color" content="red"><meta name="theme-color" content="blue">' +
+      '<link rel="preload" href="font.woff2" as="font" crossorigin><style>p{color:red}</style></head>' +
+      '<body><p>x</p><link rel="preload" href="/dir/../font.woff2" as="font" crossorigin></body>');
+  });
+
+  test('Keeps copies that differ in what matters', async () => {
+    const options = { removeDuplicateResources: true, verify: true };
+    const input = '<link rel="stylesheet" href="a.css"><link rel="stylesheet" href="a.css" media="print"><link rel="stylesheet" href="a.css" nonce="n">' +
+      '<link rel="stylesheet" href="a.css" id="theme"><link rel="alternate stylesheet" href="a.css" title="Alt">' +
+      '<link rel="preload" href="a.js" as="script"><link rel="preload" href="a.js" as="script" crossorigin>' +
+      '<template><link rel="preload" href="a.js" as="script"></template>';
+    assert.strictEqual(await minify(input, options), input);
+  });
+
+  test('Removes style sheets only with none in between', async () => {
+    const options = { removeDuplicateResources: true, verify: true };
+    assert.strictEqual(
+      await minify('<link rel="stylesheet" href="a.css"><link rel="stylesheet" href="b.css"><link rel="stylesheet" href="a.css">', options),
+      '<link rel="stylesheet" href="a.css"><link rel="stylesheet" href="b.css"><link rel="stylesheet" href="a.css">');
+    assert.strictEqual(
+      await minify('<style>p{}</style><p>x</p><style>p{}</style><style id="x">p{}</style><style>p{}</style>', options),
+      '<style>p{}</style><p>x</p><style id="x">p{}</style><style>p{}</style>');
+  });
+
+  test('Removes scripts only right after their copy', async () => {
+    const options = { removeDuplicateResources: true, verify: true };
+    assert.strictEqual(
+      await minify('<script src="a.js"></script>\n<script src="a.js"></script><p>x</p><script src="a.js"></script>', options),
+      '<script src="a.js"></script>\n<p>x</p><script src="a.js"></script>');
+    assert.strictEqual(
+      await minify('<script>a()</script><script>b()</script><script>a()</script><script>a()</script><script async src="c.js"></script><script src="c.js"></script>', options),
+      '<script>a()</script><script>b()</script><script>a()</script><script async src="c.js"></script><script src="c.js"></script>');
+    // Module scripts run once, wherever they are
+    assert.strictEqual(
+      await minify('<script type="module" src="m.js"></script><p>x</p><script type="module" src="./m.js"></script>', options),
+      '<script type="module" src="m.js"></script><p>x</p>');
+    // Before scripts are merged
+    assert.strictEqual(
+      await minify('<script>a()</script><script>a()</script><script>b()</script>', { ...options, mergeScripts: true }),
+      '<script>a();b()</script>');
+  });
+});
@@ -0,0 +1,120 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+import { tempDir } from './helpers.js';
+
+/**
+ * Run the script `extractEventHandlers` put in against stand-ins for the elements
+ * with hooks, and dispatch an event to the first with the hook (or the window)
+ * @param {string} html - The output
+ * @param {string} hook - Of the element to dispatch to
+ * @param {string} type
+ * @returns {{calls: string[], prevented: boolean}}
+ */
+function dispatch(html, hook, type) {
+  const hooks = [...html.matchAll(/data-hmn="?(\w+)/g)].map(match => match[1]);
+  const script = /<script[^>]*>([\s\S]*)<\/script>/.exec(html)?.[1] ?? '';
+  /** @type {string[]} */
+  const calls = [];
+  /** @type {Map<object, Map<string, Function[]>>} */
+  const listeners = new Map();
+  const target = (/** @type {string} */ name) => {
+    const element = {
+      name,
+      getAttribute: () => name,
+      addEventListener: (/** @type {string} */ event, /** @type {Function} */ listener) => {
+        const byEvent = listeners.get(element) ?? new Map();
+        byEvent.set(event, [...(byEvent.get(event) ?? []), listener]);
+        listeners.set(element, byEvent);
+      }
+    };
+    return element;
+  };
+  const window = target('window');
+  const elements = hooks.map(target);
+  vm.runInNewContext(script, {
+    window,
+    document: { querySelectorAll: () => elements },
+    log: (/** @type {string} */ message) => calls.push(message)
+  });
+  const receiver = hook === 'window' ? window : elements[hooks.indexOf(hook)];
+  let prevented = false;
+  const event = {
+    type,
+    get defaultPrevented() { return prevented; },
+    preventDefault() { prevented = true; }
+  };
+  for (const listener of listeners.get(receiver ?? {})?.get(type) ?? []) {
+    listener.call(null, event);
+  }
+  return { calls, prevented };
+}
+
+describe('Event handler extraction', () => {
+  test('Replaces event handler attributes with hooks and a script adding the handlers', async () => {
+    const input = '<body onload="log(\'load\')"><button onclick="log(this.name + &quot; &quot; + event.type); return false" class="b">A</button>' +
+      '<button onclick="log(this.name + &quot; &quot; + event.type); return false">B</button><div onmouseover="log(\'over\')">C</div></body>';
+    const output = await minify(input, { extractEventHandlers: true, verify: true });
+    assert.match(output, /^<body data-hmn="0"><button class="b" data-hmn="1">A<\/button><button data-hmn="1">B<\/button><div data-hmn="2">C<\/div><script>[\s\S]+<\/script><\/body>$/);
+    assert.deepStrictEqual(dispatch(output, '1', 'click'), { calls: ['1 click'], prevented: true });
+    assert.deepStrictEqual(dispatch(output, '2', 'mouseover'), { calls: ['over'], prevented: false });
+    // `body` handlers for window events are added to the window
+    assert.deepStrictEqual(dispatch(output, 'window', 'load'), { calls: ['load'], prevented: false });
+  });
+
+  test('Turns `javascript:` URLs of links into click handlers', async () => {
+    const input = '<a href="javascript:log(%22go%22)" onclick="log(\'click\')">Go</a><a href="javascript:void 0" onclick="return false">No</a><a href="/page">Page</a>';
+    const output = await minify(input, { collapseWhitespace: true, minifyJS: true, extractEventHandlers: true, verify: true });
+    assert.match(output, /^<a href="#" data-hmn="0">Go<\/a><a href="#" data-hmn="1">No<\/a><a href="\/page">Page<\/a><script>/);
+    assert.deepStrictEqual(dispatch(output, '0', 'click'), { calls: ['click', 'go'], prevented: true });
+    assert.deepStrictEqual(dispatch(output, '1', 'click'), { calls: [], prevented: true });
+  });
+
+  test('Leaves handlers that don’t parse as attributes, with a warning', async () => {
+    /** @type {import('../src/htmlminifier.js').Diagnostic[]} */
+    const diagnostics = [];
+    const input = '<button onclick="log(\'a\')">A</button><button onclick="}{">B</button><button onclick="}); log(\'out\'); (function () {">C</button>' +
+      '<a href="javascript:}" onmouseover="log(\'over\')">D</a>';
+    const output = await minify(input, { extractEventHandlers: true, verify: true, log: () => {}, onDiagnostic: diagnostic => diagnostics.push(diagnostic) });
+    assert.match(output, /^<button data-hmn="0">A<\/button><button onclick="}{">B<\/button><button onclick="}\); log\('out'\); \(function \(\) {">C<\/button><a href="javascript:}" data-hmn="1">D<\/a><script>/);
+    // The handlers that parse still work
+    assert.deepStrictEqual(dispatch(output, '0', 'click'), { calls: ['a'], prevented: false });
+    assert.deepStrictEqual(dispatch(output, '1', 'mouseover'), { calls: ['over'], prevented: false });
+    assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.message]), [
+      ['invalid-event-handler', 'Not extracting `onclick` of `<button>`—its code doesn’t parse'],
+      ['invalid-event-handler', 'Not extracting `onclick` of `<button>`—its code doesn’t parse'],
+      ['invalid-event-handler', 'Not extracting `href` of `<a>`—its code doesn’t parse']
+    ]);
+  });
+
+  test('Leaves template content and custom event attributes alone', async () => {
+    const input = '<div ng-click="go()" onclick="go()">x</div><template><b onclick="go()">t</b></template>';
+    const output = await minify(input, { extractEventHandlers: { attribute: 'data-on', nonce: 'abc' }, customEventAttributes: [/^on[a-z]+$/, /^ng-/] });
+    assert.match(output, /^<div ng-click="go\(\)" data-on="0">x<\/div><template><b onclick="go\(\)">t<\/b><\/template><script nonce="abc">/);
+  });
+
+  test('Writes the script to a file', async (t) => {
+    const dir = tempDir(t);
+    const input = '<p>Hello</p><button onclick="log(1)">x</button>';
+    const options = { minifyJS: true, extractEventHandlers: { output: /** @type {const} */ ('file'), dir, href: '/js/' }, verify: true };
+    const output = await minify(input, options);
+    const name = fs.readdirSync(dir)[0] ?? '';
+    assert.match(name, /^[0-9a-z]+\.js$/);
+    assert.strictEqual(output, `<p>Hello</p><button data-hmn="0">x</button><script src="/js/${name}"></script>`);
+    assert.match(fs.readFileSync(path.join(dir, name), 'utf8'), /log\(1\)/);
+    // Documents without handlers get no script
+    assert.strictEqual(await minify('<p>Hello</p>', options), '<p>Hello</p>');
+  });
+
+  test('Warns about invalid settings', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    await minify('<p>x</p>', { extractEventHandlers: { hooks: true, attribute: 'hook', output: 'module' }, log: message => logged.push(String(message)) });
+    assert.ok(logged.some(message => message.includes('`extractEventHandlers` key `hooks`')));
+    assert.ok(logged.some(message => message.includes('`extractEventHandlers.attribute`')));
+    assert.ok(logged.some(message => message.includes('`extractEventHandlers.output`')));
+  });
+});
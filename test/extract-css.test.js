@@ -0,0 +1,47 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+import { tempDir } from './helpers.js';
+
+const css = 'p{color:red}.card{margin:1px}.title{margin:2px}';
+
+describe('Extract CSS', () => {
+  test('Moves style sheets to files named after their content, shared by documents', async (t) => {
+    const dir = path.join(tempDir(t), 'assets');
+    const options = { minifyCSS: true, extractCSS: { dir, href: '/assets/', minSize: 40 } };
+    const first = await minify(`<head><style media="print"> ${css} </style><style>a{b:c}</style></head><p>x`, options);
+    const files = fs.readdirSync(dir);
+    assert.strictEqual(files.length, 1);
+    assert.match(files[0] ?? '', /^[0-9a-z]+\.css$/);
+    assert.strictEqual(fs.readFileSync(path.join(dir, files[0] ?? ''), 'utf8'), css);
+    assert.strictEqual(first, `<head><link rel="stylesheet" href="/assets/${files[0]}" media="print"><style>a{b:c}</style></head><p>x`);
+
+    const second = await minify(`<style>${css}</style><p>y`, options);
+    assert.strictEqual(second, `<link rel="stylesheet" href="/assets/${files[0]}"><p>y`);
+    assert.deepStrictEqual(fs.readdirSync(dir), files);
+  });
+
+  test('Leaves style sheets that cannot be linked to', async () => {
+    const files = new Map();
+    const options = { minifyCSS: true, removeAttributeQuotes: true, extractCSS: { minSize: 40, write: false, files }, verify: true };
+    const input = `<style id="theme">${css}</style><svg><style>${css}</style></svg><!-- htmlmin:ignore --><style>${css}</style><!-- htmlmin:ignore --><style type="text/css">${css}</style>`;
+    const output = await minify(input, options);
+    const [name] = files.keys();
+    assert.strictEqual(files.size, 1);
+    assert.strictEqual(files.get(name), css);
+    assert.strictEqual(output, `<style id=theme>${css}</style><svg><style>${css}</style></svg><style>${css}</style><link rel=stylesheet href=assets/${name} type=text/css>`);
+  });
+
+  test('Warns about invalid settings', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    const input = `<style>${css}</style>`;
+    const output = await minify(input, { extractCSS: { write: false, folder: 'css', minSize: -1 }, log: message => logged.push(String(message)) });
+    // Too small for the default `minSize`
+    assert.strictEqual(output, input);
+    assert.ok(logged.some(message => message.includes('`extractCSS` key `folder`')));
+    assert.ok(logged.some(message => message.includes('`extractCSS.minSize`')));
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { format, minify } from '../src/htmlminifier.js';
+
+describe('Format', () => {
+  test('Indents block elements and keeps inline content together', async () => {
+    const input = '<!DOCTYPE html><html><head><title>T</title><style>a { color: red }</style></head><body><div class="a"><p>Some <b>bold</b> text<br>and more</p><ul><li>One<li>Two</ul></div><!-- c --><p>a<!--x-->b</body></html>';
+    assert.strictEqual(await format(input), `<!DOCTYPE html>
+<html>
+  <head>
+    <title>T</title>
+    <style>a { color: red }</style>
+  </head>
+  <body>
+    <div class="a">
+      <p>Some <b>bold</b> text<br>and more</p>
+      <ul>
+        <li>One
+        <li>Two
+      </ul>
+    </div>
+    <!-- c -->
+    <p>a<!--x-->b
+  </body>
+</html>
+`);
+  });
+
+  test('Only changes whitespace that doesn’t render', async () => {
+    const input = '<div>\n\t\t<p>  One <i>two</i>  three </p>  <span>four</span>\n<pre>\n  keep\n</pre><textarea>\n x </textarea></div>';
+    const output = await format(input, { indent: '\t' });
+    assert.strictEqual(output, '<div>\n\t<p>One <i>two</i>  three</p>\n\t<span>four</span>\n\t<pre>\n  keep\n</pre>\n\t<textarea>\n x </textarea>\n</div>\n');
+    // Minified, both come out the same
+    const options = { collapseWhitespace: true };
+    assert.strictEqual(await minify(output, options), await minify(input, options));
+  });
+
+  test('Wraps text at its whitespace', async () => {
+    const output = await format('<p>The quick brown fox jumps over the <a href="#">lazy dog</a> again and again.</p>', { wrap: 30 });
+    assert.strictEqual(output, '<p>The quick brown fox jumps\n  over the\n  <a href="#">lazy dog</a>\n  again and again.</p>\n');
+    assert.ok(output.split('\n').every(line => line.length <= 30));
+  });
+
+  test('Treats custom elements as given', async () => {
+    assert.strictEqual(await format('<div><x-a>1</x-a><x-b>2</x-b></div>'), '<div>\n  <x-a>1</x-a>\n  <x-b>2</x-b>\n</div>\n');
+    assert.strictEqual(await format('<div><x-a>1</x-a><x-b>2</x-b></div>', { inlineCustomElements: ['x-a', 'x-b'] }), '<div><x-a>1</x-a><x-b>2</x-b></div>\n');
+  });
+});
@@ -0,0 +1,27 @@
+// Shared test helpers
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * A fresh directory with the given files, removed once the test is done
+ * @param {import('node:test').TestContext} t
+ * @param {Record<string, string>} [files] - Contents by path
+ * @returns {string}
+ */
+function tempDir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hmn-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+// Exports
+
+export {
+  tempDir
+};
@@ -4626,6 +4626,40 @@ describe('HTML', () => {
     assert.strictEqual(await minify(input, { sortClassNames: true }), input);
   });
 
+  test('Sort attributes and style classes for compression', async () => {
+    const input = '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>T</title></head><body>' +
+      '<a title="Home" href="/" class="nav link"></a><a href="/a" class="link nav" title="A"></a><a class="nav link" href="/b">B</a>' +
+      '<img src="a.png" alt="" class="icon big"><img alt="" class="big icon" src="b.png"><img loading="lazy" src="c.png" alt="">' +
+      '<input type="text" name="q" id="q"><input id="r" name="r" type="text"><button type="submit" class="btn primary">Go</button></body></html>';
+    const { gzipSync, brotliCompressSync } = await import('node:zlib');
+    for (const [compressionCodec, size] of /** @type {const} */ ([['gzip', gzipSync], ['brotli', brotliCompressSync]])) {
+      const options = { collapseWhitespace: true, compressionCodec };
+      const output = await minify(input, { ...options, sortAttributes: 'compress', sortClassNames: 'compress' });
+      for (const sort of [false, true]) {
+        const other = await minify(input, { ...options, sortAttributes: sort, sortClassNames: sort });
+        assert.ok(size(output).length <= size(other).length, `${compressionCodec}: ${output} vs. ${other}`);
+      }
+    }
+
+    // Where the order as written compresses best, it is kept
+    const page = '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="initial-scale=1,width=device-width"><title>URL test page</title></head>' +
+      '<body><link rel="stylesheet" href="https://example.com/style.css"><form action="https://example.com/folder/folder2/index.html"><a href="https://example.com/folder/file.html">link</a></form></body></html>';
+    assert.notStrictEqual(await minify(page, { sortAttributes: true }), page);
+    assert.strictEqual(await minify(page, { sortAttributes: 'compress', compressionCodec: 'brotli' }), page);
+
+    /** @type {string[]} */
+    const logged = [];
+    await minify(input, { sortAttributes: 'compress', compressionCodec: /** @type {any} */ ('zstd'), log: message => { logged.push(String(message)); } });
+    assert.ok(logged.some(message => message.includes('Ignoring `compressionCodec`—it takes `gzip` or `brotli` (received “zstd”)')));
+
+    // Other strings aren’t orders
+    /** @type {string[]} */
+    const codes = [];
+    const bogus = { sortAttributes: /** @type {any} */ ('bogus'), sortClassNames: /** @type {any} */ ('bogus'), onDiagnostic: (/** @type {{code: string}} */ { code }) => { codes.push(code); } };
+    assert.strictEqual(await minify(page, bogus), page);
+    assert.deepStrictEqual(codes, ['invalid-option-value', 'invalid-option-value']);
+  });
+
   test('Collapse attribute whitespace', async () => {
     let input, output;
 
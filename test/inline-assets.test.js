@@ -0,0 +1,82 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+import { tempDir } from './helpers.js';
+
+const svg = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="8" viewBox="0 0 8 8">\n  <path fill="#f00" d="M0 0h8v8z"/>\n</svg>\n';
+
+describe('Inline assets', () => {
+  test('Brings in style sheets and scripts, minified, following `@import` rules', async (t) => {
+    const baseDir = tempDir(t, {
+      'css/site.css': '@charset "utf-8";\n@import "base.css" screen;\n.logo { background: url(img/logo.png) }\n',
+      'css/base.css': 'body { margin: 0 }\n',
+      'css/print.css': 'a { color: black }\n',
+      'js/app.js': 'const   answer = 42;\nconsole.log( answer );\n'
+    });
+    const input = '<link rel="stylesheet" href="css/site.css" media="print" crossorigin><style>@import url("css/print.css"); p { color: red }</style>' +
+      '<script src="js/app.js" integrity="sha384-x"></script><script src="js/app.js" defer></script><script type="module" src="js/app.js"></script>';
+    const output = await minify(input, { minifyCSS: true, minifyJS: true, inlineAssets: { baseDir }, verify: true });
+    assert.strictEqual(output,
+      '<style media="print">@media screen{body{margin:0}}.logo{background:url(css/img/logo.png)}</style><style>a{color:#000}p{color:red}</style>' +
+      '<script>const answer=42;console.log(42)</script><script src="js/app.js" defer=defer></script><script type="module" src="js/app.js"></script>');
+  });
+
+  test('Leaves remote, missing, large, outside, and excluded files', async (t) => {
+    const root = tempDir(t, {
+      'secret.css': 'p{color:red}',
+      'site/big.css': 'p{color:red}'.repeat(20),
+      'site/vendor/lib.js': 'lib()',
+      'site/ok.css': 'p{color:red}',
+      'site/skip.css': '@import "missing.css";p{color:red}'
+    });
+    const input = '<link rel="stylesheet" href="https://example.com/a.css"><link rel="stylesheet" href="/ok.css"><link rel="stylesheet" href="../secret.css">' +
+      '<link rel="stylesheet" href="gone.css"><link rel="stylesheet" href="big.css"><script src="vendor/lib.js"></script><link rel="stylesheet" href="ok.css" id="theme">' +
+      '<link rel="stylesheet" href="skip.css">';
+    const output = await minify(input, { inlineAssets: { baseDir: path.join(root, 'site'), maxSize: 100, exclude: ['vendor/'] } });
+    assert.strictEqual(output, input.replace('<link rel="stylesheet" href="skip.css">', '<style>@import url("missing.css");p{color:red}</style>'));
+  });
+
+  test('Leaves files that symbolic links lead outside to', async (t) => {
+    const root = tempDir(t, { 'secret.css': 'p{color:red}', 'site/ok.css': 'a{color:blue}' });
+    fs.symlinkSync(path.join(root, 'secret.css'), path.join(root, 'site/leak.css'));
+    fs.symlinkSync(path.join(root, 'site/ok.css'), path.join(root, 'site/alias.css'));
+    const input = '<link rel="stylesheet" href="leak.css"><link rel="stylesheet" href="alias.css">';
+    const output = await minify(input, { inlineAssets: { baseDir: path.join(root, 'site') } });
+    assert.strictEqual(output, '<link rel="stylesheet" href="leak.css"><style>a{color:blue}</style>');
+  });
+
+  test('Inlines SVG images as data URIs or `svg` elements', async (t) => {
+    const baseDir = tempDir(t, { 'icon.svg': svg });
+    const input = '<img src="icon.svg" alt="Home" class="icon" width="16"><img src="icon.svg" alt=""><picture><img src="icon.svg"></picture>';
+    const dataURI = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="8" viewBox="0 0 8 8"> <path fill="%23f00" d="M0 0h8v8z"/> </svg>';
+
+    const asURI = await minify(input, { inlineAssets: { baseDir }, verify: true });
+    assert.strictEqual(asURI, input.replaceAll('src="icon.svg"', `src='${dataURI}'`));
+
+    const inline = await minify(input, { removeAttributeQuotes: true, inlineAssets: { baseDir, svg: 'inline', include: [/\.svg$/] }, verify: true });
+    assert.strictEqual(inline,
+      '<svg class=icon width=16 role=img aria-label=Home xmlns="http://www.w3.org/2000/svg" viewBox="0 0 8 8">\n  <path fill="#f00" d="M0 0h8v8z"/>\n</svg>' +
+      '<svg aria-hidden=true xmlns="http://www.w3.org/2000/svg" width="8" viewBox="0 0 8 8">\n  <path fill="#f00" d="M0 0h8v8z"/>\n</svg>' +
+      `<picture><img src='${dataURI}'></picture>`);
+  });
+
+  test('Percent-encodes entities in SVG data URIs', async (t) => {
+    const baseDir = tempDir(t, { 'logo.svg': '<svg xmlns="http://www.w3.org/2000/svg"><title>A &amp; B</title></svg>' });
+    const output = await minify('<img src="logo.svg" alt="A &amp; B">', { inlineAssets: { baseDir }, verify: true });
+    assert.strictEqual(output, '<img src=\'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg"><title>A %26amp; B</title></svg>\' alt="A &amp; B">');
+  });
+
+  test('Warns about invalid settings', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    const input = '<link rel="stylesheet" href="a.css">';
+    const output = await minify(input, { inlineAssets: { dir: 'src', maxSize: -1, svg: 'embed', exclude: [1] }, log: message => logged.push(String(message)) });
+    assert.strictEqual(output, input);
+    assert.ok(logged.some(message => message.includes('`inlineAssets` key `dir`')));
+    assert.ok(logged.some(message => message.includes('`inlineAssets.maxSize`')));
+    assert.ok(logged.some(message => message.includes('`inlineAssets.svg`')));
+    assert.ok(logged.some(message => message.includes('`inlineAssets.exclude` entry')));
+  });
+});
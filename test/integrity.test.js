@@ -0,0 +1,67 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+import { tempDir } from './helpers.js';
+
+/**
+ * @param {string} content
+ * @param {string} [algorithm]
+ */
+function sri(content, algorithm = 'sha384') {
+  return algorithm + '-' + crypto.createHash(algorithm).update(content).digest('base64');
+}
+
+describe('Add integrity', () => {
+  test('Adds and updates `integrity` attributes of local scripts and style sheets', async (t) => {
+    const root = tempDir(t, { 'blog/app.js': 'run()', 'site.css': 'p{}', 'old.js': 'old()' });
+    /** @type {Array<{url: string, status: string}>} */
+    const updates = [];
+    const input = '<link rel="stylesheet" href="/site.css"><link rel="icon" href="/site.css"><script src="app.js?v=2"></script>' +
+      `<script src="../old.js" integrity="sha384-stale"></script><script src="/old.js" integrity="${sri('old()', 'sha256')}"></script>` +
+      '<script src="missing.js"></script><script src="https://example.com/x.js"></script><script src="../../etc/x.js"></script>';
+    const output = await minify(input, {
+      addIntegrity: { baseDir: path.join(root, 'blog'), root, onUpdate: ({ url, status }) => updates.push({ url, status }) },
+      verify: true
+    });
+    assert.strictEqual(output,
+      `<link rel="stylesheet" href="/site.css" integrity="${sri('p{}')}"><link rel="icon" href="/site.css"><script src="app.js?v=2" integrity="${sri('run()')}"></script>` +
+      `<script src="../old.js" integrity="${sri('old()')}"></script><script src="/old.js" integrity="${sri('old()', 'sha256')}"></script>` +
+      '<script src="missing.js"></script><script src="https://example.com/x.js"></script><script src="../../etc/x.js"></script>');
+    assert.deepStrictEqual(updates, [
+      { url: '/site.css', status: 'missing' },
+      { url: 'app.js?v=2', status: 'missing' },
+      { url: '../old.js', status: 'stale' }
+    ]);
+  });
+
+  test('Adds `crossorigin` for files served from other origins', async (t) => {
+    const root = tempDir(t, { 'static/lib.js': 'lib()' });
+    const input = '<script src="https://cdn.example.com/lib.js"></script><script src="//cdn.example.com/lib.js" crossorigin="use-credentials"></script>';
+    const origins = { 'https://cdn.example.com/': path.join(root, 'static') };
+    const output = await minify(input, { addIntegrity: { origins, algorithm: 'sha512' } });
+    assert.strictEqual(output,
+      `<script src="https://cdn.example.com/lib.js" integrity="${sri('lib()', 'sha512')}" crossorigin="anonymous"></script>` +
+      `<script src="//cdn.example.com/lib.js" crossorigin="use-credentials" integrity="${sri('lib()', 'sha512')}"></script>`);
+    const bare = await minify(input, { addIntegrity: { origins, crossorigin: false } });
+    assert.ok(!bare.includes('crossorigin="anonymous"'));
+  });
+
+  test('Hashes style sheets `extractCSS` moves to files', async () => {
+    const css = 'p{color:red}';
+    const output = await minify(`<style>${css}</style>`, { minifyCSS: true, extractCSS: { minSize: 1, write: false }, addIntegrity: true, verify: true });
+    assert.match(output, new RegExp(`^<link rel="stylesheet" href="assets/[0-9a-z]+\\.css" integrity="${sri(css).replace(/[+/]/g, '\\$&')}">$`));
+  });
+
+  test('Warns about invalid settings', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    const input = '<script src="a.js"></script>';
+    const output = await minify(input, { addIntegrity: { hash: 'md5', algorithm: 'md5', origins: { 'cdn/': 'static' } }, log: message => logged.push(String(message)) });
+    assert.strictEqual(output, input);
+    assert.ok(logged.some(message => message.includes('`addIntegrity` key `hash`')));
+    assert.ok(logged.some(message => message.includes('`addIntegrity.algorithm`')));
+    assert.ok(logged.some(message => message.includes('`addIntegrity.origins` entry `cdn/`')));
+  });
+});
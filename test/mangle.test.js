@@ -0,0 +1,159 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+
+describe('Mangle selectors', () => {
+  test('Renames classes and IDs alike in style sheets, attributes, and scripts', async () => {
+    const input = '<style>.navigation{color:red}.navigation .item-link:hover,#main-content{margin:0}:is(.item-link,.nope:not(.nope))>.icon{fill:url(#gradient)}</style>' +
+      '<nav class="navigation"><a class="item-link" href="#main-content">Skip</a><a class="item-link" href="/other#main-content">B</a></nav>' +
+      '<label for="main-content">L</label><main id="main-content"><svg><linearGradient id="gradient"/><path class="icon" fill="url(#gradient)"/></svg></main>' +
+      '<script>document.querySelector(\'.navigation > .item-link\').classList.toggle("item-link")</script>';
+    const output = await minify(input, { minifyCSS: true, mangleSelectors: true });
+    assert.strictEqual(output,
+      '<style>.e{color:red}.e .a:hover,#b{margin:0}:is(.a,.f:not(.f))>.d{fill:url(#c)}</style>' +
+      '<nav class="e"><a class="a" href="#b">Skip</a><a class="a" href="/other#main-content">B</a></nav>' +
+      '<label for="b">L</label><main id="b"><svg><linearGradient id="c"/><path class="d" fill="url(#c)"/></svg></main>' +
+      '<script>document.querySelector(\'.e > .a\').classList.toggle("a")</script>');
+  });
+
+  test('Leaves safelisted names, ignored markup, and names too short to gain from alone', async () => {
+    const input = '<style>.widget-root{a:b}.is-open{c:d}.x{e:f}.legacy{g:h}</style>' +
+      '<div class="widget-root is-open x"></div><!-- htmlmin:ignore --><div class="legacy"></div><!-- htmlmin:ignore -->' +
+      '<script>el.classList.add("is-open")</script>';
+    const output = await minify(input, { minifyCSS: true, mangleSelectors: { safelist: [/^widget-/], scripts: false } });
+    assert.strictEqual(output,
+      '<style>.widget-root{a:b}.a{c:d}.x{e:f}.legacy{g:h}</style>' +
+      '<div class="widget-root a x"></div><div class="legacy"></div>' +
+      '<script>el.classList.add("is-open")</script>');
+  });
+
+  test('Hands out names once across documents sharing a name map', async () => {
+    const nameMap = new Map();
+    const options = { minifyCSS: true, mangleSelectors: { nameMap } };
+    assert.strictEqual(await minify('<style>.card{a:b}.title{c:d}</style><p class="card title"><p class="title">', options), '<style>.b{a:b}.a{c:d}</style><p class="b a"><p class="a">');
+    // `a` is a name of the second document’s own, so `title` isn’t renamed there
+    assert.strictEqual(await minify('<style>.card{a:b}.title{c:d}.a{e:f}</style><p class="card title a">', options), '<style>.b{a:b}.title{c:d}.a{e:f}</style><p class="b title a">');
+    assert.deepStrictEqual(Object.fromEntries(nameMap), { title: 'a', card: 'b' });
+
+    // Read back from JSON
+    const saved = JSON.parse(JSON.stringify(Object.fromEntries(nameMap)));
+    assert.strictEqual(await minify('<style>.card{a:b}</style><p class="card">', { minifyCSS: true, mangleSelectors: { nameMap: saved } }), '<style>.b{a:b}</style><p class="b">');
+  });
+
+  test('Leaves names attribute selectors match by', async () => {
+    const input = '<style>.foo:not(.bar){a:b}[class~="foo"]{color:red}.card-item{c:d}[class^=card-]{e:f}#section-one{g:h}[id=SECTION-ONE i]{i:j}' +
+      '[href="#intro"]{k:l}#intro{m:n}.other-name{o:p}</style><div class="foo bar card-item other-name" id="section-one"><a href="#intro">x</a></div><h2 id="intro">';
+    assert.strictEqual(await minify(input, { minifyCSS: true, mangleSelectors: true }),
+      '<style>.foo:not(.a){a:b}[class~=foo]{color:red}.card-item{c:d}[class^=card-]{e:f}#section-one{g:h}[id=SECTION-ONE i]{i:j}' +
+      '[href=\\#intro]{k:l}#intro{m:n}.b{o:p}</style><div class="foo a card-item b" id="section-one"><a href="#intro">x</a></div><h2 id="intro">');
+  });
+
+  test('Leaves names event handlers mention', async () => {
+    const input = '<style>.is-open{a:b}.panel-body{c:d}</style><button onclick="this.classList.toggle(\'is-open\')" class="is-open panel-body">x</button>';
+    const output = await minify(input, { minifyCSS: true, mangleSelectors: true });
+    assert.ok(output.includes('.is-open{a:b}'));
+    assert.ok(output.includes('toggle(\'is-open\')" class="is-open '));
+    assert.ok(!output.includes('panel-body'));
+  });
+
+  test('Renames in script strings handed to the DOM only, leaving names other strings hold', async () => {
+    const input = '<style>.active{a:b}.panel-open{c:d}.menu-item{e:f}#main-area{g:h}</style><p class="active panel-open menu-item" id="main-area">x</p>' +
+      '<script>const state = "active"; el.classList.add(\'panel-open\', "menu-item"); document.getElementById("main-area"); el.setAttribute(\'class\', \'menu-item\')</script>';
+    assert.strictEqual(await minify(input, { minifyCSS: true, mangleSelectors: true }),
+      '<style>.active{a:b}.c{c:d}.b{e:f}#a{g:h}</style><p class="active c b" id="a">x</p>' +
+      '<script>const state = "active"; el.classList.add(\'c\', "b"); document.getElementById("a"); el.setAttribute(\'class\', \'b\')</script>');
+  });
+
+  test('Leaves names style sheets left unminified use', async () => {
+    const options = { minifyCSS: true, mangleSelectors: true, overrides: [{ selector: '[data-theme-editor]', options: { minifyCSS: false } }] };
+    const input = '<style>.c-card-header{color:red}.c-card-body{margin:0}</style><div data-theme-editor><style>.c-card-header{margin:0}</style></div>' +
+      '<section data-htmlmin-no-css><style>.c-card-footer{margin:0}</style></section><p class="c-card-header c-card-body c-card-footer">x</p>';
+    assert.strictEqual(await minify(input, options),
+      '<style>.c-card-header{color:red}.a{margin:0}</style><div data-theme-editor><style>.c-card-header{margin:0}</style></div>' +
+      '<section><style>.c-card-footer{margin:0}</style></section><p class="c-card-header a c-card-footer">x</p>');
+    // Only while the region lasts
+    assert.strictEqual(await minify('<div><!-- htmlmin:no-css --><style>.c-card-header{a:b}</style><!-- htmlmin:end --><style>.c-card-body{a:b}</style></div><style>.c-card-footer{a:b}</style><p class="c-card-header c-card-body c-card-footer">x</p>', options),
+      '<div><style>.c-card-header{a:b}</style><style>.a{a:b}</style></div><style>.b{a:b}</style><p class="c-card-header a b">x</p>');
+  });
+
+  test('Works with unused-CSS removal, sorting, and verification', async () => {
+    const input = '<style>.used-one{color:red}.unused-one{color:blue}</style><p class="used-one other">x</p><p class="other used-one">y</p>';
+    const output = await minify(input, { minifyCSS: true, mangleSelectors: true, removeUnusedCSS: true, sortClassNames: true, verify: true });
+    assert.strictEqual(output, '<style>.a{color:red}</style><p class="a other">x</p><p class="a other">y</p>');
+  });
+
+  test('Warns when it cannot apply', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    const input = '<style>.card{a:b}</style><p class="card">';
+    const output = await minify(input, { mangleSelectors: { safelist: 'card' }, log: message => logged.push(String(message)) });
+    assert.strictEqual(output, input);
+    assert.ok(logged.some(message => message.includes('mangleSelectors.safelist')));
+    assert.ok(logged.some(message => message.includes('mangleSelectors') && message.includes('requires `minifyCSS`')));
+  });
+
+  test('Doesn’t warn about directives and overrides without `minifyCSS`', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    const options = {
+      minifyCSS: true,
+      mangleSelectors: true,
+      mangleCSSNames: true,
+      overrides: [{ selector: 'aside', options: { minifyCSS: false } }],
+      log: (/** @type {unknown} */ message) => { logged.push(String(message)); }
+    };
+    await minify('<style>.card{a:b}</style><p class="card"><!-- htmlmin:no-css --><aside>x</aside>', options);
+    assert.deepStrictEqual(logged.filter(message => message.includes('requires `minifyCSS`')), []);
+  });
+});
+
+describe('Mangle CSS names', () => {
+  test('Renames custom properties and `@keyframes` and `@counter-style` names wherever they are used', async () => {
+    const input = '<style>:root{--brand-color:red;--space-unit:4px}.card{color:var(--brand-color);margin:calc(var(--space-unit)*2);animation:fade-in 1s}' +
+      '@keyframes fade-in{from{opacity:0}}@counter-style thumbs{system:cyclic;symbols:"👍";suffix:" "}ol{list-style:thumbs}</style>' +
+      '<p class="card" style="padding:var(--space-unit)">x</p><ol><li>a</li></ol>';
+    const output = await minify(input, { minifyCSS: true, mangleCSSNames: true });
+    assert.strictEqual(output,
+      '<style>:root{--b:red;--a:4px}.card{color:var(--b);margin:calc(var(--a)*2);animation:1s a}' +
+      '@keyframes a{0%{opacity:0}}@counter-style b{system:cyclic;symbols:"👍";suffix:" "}ol{list-style:b}</style>' +
+      '<p class="card" style="padding:var(--a)">x</p><ol><li>a</li></ol>');
+  });
+
+  test('Leaves names that scripts mention or that are safelisted', async () => {
+    const input = '<style>:root{--theme-accent:blue;--local-gap:1px}p{color:var(--theme-accent);gap:var(--local-gap)}@keyframes spin-around{to{rotate:1turn}}</style>' +
+      '<p>x</p><script>getComputedStyle(document.body).getPropertyValue("--local-gap")</script>';
+    const output = await minify(input, { minifyCSS: true, mangleCSSNames: { safelist: ['--theme-accent'] } });
+    assert.strictEqual(output,
+      '<style>:root{--theme-accent:blue;--local-gap:1px}p{color:var(--theme-accent);gap:var(--local-gap)}@keyframes a{to{rotate:1turn}}</style>' +
+      '<p>x</p><script>getComputedStyle(document.body).getPropertyValue("--local-gap")</script>');
+  });
+
+  test('Leaves names that CSS left unminified uses', async () => {
+    const input = '<style>:root{--brand-color-primary:red;--brand-color-muted:gray;--brand-space:4px}@keyframes fade-in-slow{to{opacity:1}}p{margin:var(--brand-space)}</style>' +
+      '<!-- htmlmin:no-css --><style>a{color:var(--brand-color-primary);animation:fade-in-slow 1s}</style><p style="color:var(--brand-color-muted)">x</p>';
+    assert.strictEqual(await minify(input, { minifyCSS: true, mangleCSSNames: true }),
+      '<style>:root{--brand-color-primary:red;--brand-color-muted:gray;--a:4px}@keyframes fade-in-slow{to{opacity:1}}p{margin:var(--a)}</style>' +
+      '<style>a{color:var(--brand-color-primary);animation:fade-in-slow 1s}</style><p style="color:var(--brand-color-muted)">x</p>');
+  });
+
+  test('Works alongside selector mangling and a shared name map', async () => {
+    assert.strictEqual(await minify('<style>.card-title{--title-size:2em;font-size:var(--title-size)}</style><h1 class="card-title">t</h1>', { minifyCSS: true, mangleCSSNames: true, mangleSelectors: true }),
+      '<style>.a{--a:2em;font-size:var(--a)}</style><h1 class="a">t</h1>');
+
+    const nameMap = new Map();
+    const options = { minifyCSS: true, mangleCSSNames: { nameMap } };
+    assert.strictEqual(await minify('<style>p{--gutter-width:1px;--page-color:red;margin:var(--gutter-width);color:var(--page-color)}</style>', options), '<style>p{--a:1px;--b:red;margin:var(--a);color:var(--b)}</style>');
+    assert.strictEqual(await minify('<style>p{--page-color:red;color:var(--page-color)}</style>', options), '<style>p{--b:red;color:var(--b)}</style>');
+    assert.deepStrictEqual(Object.fromEntries(nameMap), { '--gutter-width': '--a', '--page-color': '--b' });
+  });
+
+  test('Warns when it cannot apply', async () => {
+    /** @type {string[]} */
+    const logged = [];
+    const input = '<style>p{--page-color:red}</style>';
+    const output = await minify(input, { mangleCSSNames: { scripts: false }, log: message => logged.push(String(message)) });
+    assert.strictEqual(output, input);
+    assert.ok(logged.some(message => message.includes('mangleCSSNames') && message.includes('`scripts`')));
+    assert.ok(logged.some(message => message.includes('mangleCSSNames') && message.includes('requires `minifyCSS`')));
+  });
+});
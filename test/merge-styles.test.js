@@ -0,0 +1,44 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify } from '../src/htmlminifier.js';
+
+describe('Style merging', () => {
+  test('Merges consecutive style elements before minifying their CSS', async () => {
+    const options = { mergeStyles: true, minifyCSS: true, verify: true };
+    assert.strictEqual(
+      await minify('<head><style>p { color: red }</style>\n  <style type="text/css">p { margin: 0 }</style></head>', options),
+      '<head><style>p{color:red;margin:0}</style></head>');
+    // Without `minifyCSS`, the style sheets are joined as they are
+    assert.strictEqual(
+      await minify('<style media="print" blocking="render">a { b: c }</style> <style media="print" blocking="render">d { e: f }</style>', { mergeStyles: true }),
+      '<style media="print" blocking="render">a { b: c }d { e: f }</style>');
+  });
+
+  test('Wraps style sheets with differing `media` in `@media` blocks', async () => {
+    const options = { mergeStyles: true, verify: true };
+    assert.strictEqual(
+      await minify('<style media="screen">a{}</style><style media="all">b{}</style><style media=\'(min-width: 30em) and (hover: hover)\'>c{}</style>', options),
+      '<style>@media screen{a{}}b{}@media (min-width: 30em) and (hover: hover){c{}}</style>');
+    assert.strictEqual(
+      await minify('<style>a{color:red}</style><style media="print">a{color:black}</style>', { ...options, minifyCSS: true }),
+      '<style>a{color:red}@media print{a{color:#000}}</style>');
+  });
+
+  test('Keeps `nonce`, `blocking`, and `title` as they are', async () => {
+    const options = { mergeStyles: true, verify: true };
+    const input = '<style nonce="a">a{}</style><style nonce="b">b{}</style><style blocking="render">c{}</style><style>d{}</style>' +
+      '<style title="Dark">e{}</style><style title="Light">f{}</style>';
+    assert.strictEqual(await minify(input, options), input);
+    assert.strictEqual(
+      await minify('<style nonce="n" blocking="render">a{}</style><style blocking="render" nonce="n">b{}</style>', options),
+      '<style nonce="n" blocking="render">a{}b{}</style>');
+  });
+
+  test('Leaves style sheets that can’t be joined', async () => {
+    const options = { mergeStyles: true, verify: true };
+    const input = '<style>@import "a.css";</style><style>a{}</style><style id="x">b{}</style><style>c{}</style><p>x</p><style>d{</style><style>e{}</style>' +
+      '<style>/* f</style><style>g{}</style><style type="text/less">h{}</style><style>i{}</style><!-- x --><style>j{}</style>' +
+      '<svg><style>k{}</style><style>l{}</style></svg>';
+    assert.strictEqual(await minify(input, options), input);
+  });
+});
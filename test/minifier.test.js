@@ -0,0 +1,114 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, createMinifier, getCacheStats, getDetailedCacheStats, clearCaches, resizeCaches } from '../src/htmlminifier.js';
+
+describe('Minifier instances', () => {
+  test('Minifies like `minify` with the instance’s options', async () => {
+    const options = { collapseWhitespace: true, minifyCSS: true, minifyJS: true };
+    const input = '<style> a { color : red } </style>  <p>  x  </p><script> var a = 1 + 1; </script>';
+    const minifier = createMinifier(options);
+    assert.strictEqual(await minifier.minify(input), await minify(input, options));
+    assert.strictEqual(await createMinifier().minify('<p>  x  </p>'), '<p>  x  </p>');
+  });
+
+  test('Keeps caches apart from `minify` and from each other', async () => {
+    const input = '<style>.instance-cache-probe { color: rebeccapurple; }</style>';
+    const first = createMinifier({ minifyCSS: true });
+    const second = createMinifier({ minifyCSS: true });
+    const globalBefore = getCacheStats().css;
+
+    await first.minify(input);
+    await first.minify(input);
+    await second.minify(input);
+
+    assert.deepStrictEqual(first.getCacheStats().css, { gets: 2, hits: 1, size: 1, limit: 500 });
+    assert.deepStrictEqual(second.getCacheStats().css, { gets: 1, hits: 0, size: 1, limit: 500 });
+    assert.deepStrictEqual(getCacheStats().css, globalBefore);
+  });
+
+  test('Sizes caches from the instance’s options', () => {
+    const minifier = createMinifier({ cacheCSS: 10, cacheJS: 0, cacheSVG: 20 });
+    const stats = minifier.getCacheStats();
+    assert.strictEqual(stats.css.limit, 10);
+    assert.strictEqual(stats.js.limit, 1);
+    assert.strictEqual(stats.svg.limit, 20);
+    assert.strictEqual(createMinifier({ cacheCSS: 30 }).getCacheStats().css.limit, 30);
+  });
+
+  test('Clears its caches', async () => {
+    const minifier = createMinifier({ minifyJS: true });
+    await minifier.minify('<script>var clearProbe = 1 + 1;</script>');
+    assert.strictEqual(minifier.getCacheStats().js.size, 1);
+
+    minifier.clearCaches();
+    assert.deepStrictEqual(minifier.getCacheStats().js, { gets: 0, hits: 0, size: 0, limit: 500 });
+    await minifier.minify('<script>var clearProbe = 1 + 1;</script>');
+    assert.deepStrictEqual(minifier.getCacheStats().js, { gets: 1, hits: 0, size: 1, limit: 500 });
+  });
+
+  test('Warns once per instance', async () => {
+    const logged = [];
+    const log = (/** @type {unknown} */ message) => { logged.push(message); };
+    const options = { instanceWarningProbe: true, log };
+    const first = createMinifier(options);
+    const second = createMinifier(options);
+
+    await first.minify('<p>x</p>');
+    await first.minify('<p>y</p>');
+    await second.minify('<p>x</p>');
+
+    const warnings = logged.filter(message => String(message).includes('`instanceWarningProbe`'));
+    assert.strictEqual(warnings.length, 2);
+  });
+
+  test('Resizes its caches, dropping what no longer fits', async () => {
+    const minifier = createMinifier({ minifyJS: true });
+    for (let i = 0; i < 4; i++) {
+      await minifier.minify(`<script>var resizeProbe${i} = ${i} + 1;</script>`);
+    }
+    minifier.resizeCaches({ js: 2, css: { maxBytes: 1000 } });
+    const { js, css } = minifier.getDetailedCacheStats();
+    assert.strictEqual(js.size, 2);
+    assert.strictEqual(js.limit, 2);
+    assert.strictEqual(js.evictions, 2);
+    assert.strictEqual(js.maxBytes, Infinity);
+    assert.strictEqual(css.limit, 500);
+    assert.strictEqual(css.maxBytes, 1000);
+
+    // Invalid limits throw, changing none of the caches
+    assert.throws(() => minifier.resizeCaches({ svg: 10, js: NaN }), TypeError);
+    assert.throws(() => minifier.resizeCaches({ css: -1 }), /`resizeCaches` takes a number of entries from 0 up for `css` \(received -1\)/);
+    assert.throws(() => minifier.resizeCaches({ svg: { entries: 0, maxBytes: -1 } }), /`svg\.maxBytes`/);
+    assert.throws(() => minifier.resizeCaches({ js: /** @type {any} */ ('2') }), TypeError);
+    assert.strictEqual(minifier.getDetailedCacheStats().js.limit, 2);
+    assert.strictEqual(minifier.getDetailedCacheStats().svg.limit, 500);
+    // Zero entries are one
+    minifier.resizeCaches({ svg: { entries: 0 } });
+    assert.strictEqual(minifier.getDetailedCacheStats().svg.limit, 1);
+  });
+
+  test('Keeps caches within `cacheMaxBytes`', async () => {
+    const minifier = createMinifier({ minifyCSS: true, cacheMaxBytes: 300 });
+    for (let i = 0; i < 10; i++) {
+      await minifier.minify(`<style>.byte-limit-probe-${i} { color: red; background: blue; }</style>`);
+    }
+    const { css } = minifier.getDetailedCacheStats();
+    assert.ok(css.bytes > 0 && css.bytes <= 300);
+    assert.ok(css.evictions > 0);
+    assert.strictEqual(css.size + css.evictions, 10);
+  });
+
+  test('Manages the caches behind `minify`', async () => {
+    await minify('<script>var globalProbe = 1 + 1;</script>', { minifyJS: true });
+    assert.ok(getDetailedCacheStats().js.bytes > 0);
+
+    resizeCaches({ js: 1 });
+    assert.strictEqual(getCacheStats().js.limit, 1);
+    await minify('<script>var globalProbe = 2 + 2;</script>', { minifyJS: true });
+    assert.strictEqual(getDetailedCacheStats().js.size, 1);
+
+    clearCaches();
+    assert.deepStrictEqual(getDetailedCacheStats().js, { gets: 0, hits: 0, size: 0, limit: 1, bytes: 0, maxBytes: Infinity, evictions: 0 });
+    resizeCaches({ js: 500 });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, createMinifyWebStream } from '../src/htmlminifier.js';
+import { parseSelector, matchesSelector } from '../src/lib/overrides.js';
+
+/** @typedef {import('../src/htmlminifier.js').MinifierOptions} MinifierOptions */
+
+/**
+ * @param {string} tag
+ * @param {Record<string, string>} [attrs]
+ */
+const element = (tag, attrs = {}) => ({ tag, attrs: Object.entries(attrs).map(([name, value]) => ({ name, value })) });
+
+describe('Overrides', () => {
+  test('Keeps whitespace within matching elements', async () => {
+    const input = '<div>\n  <p>  a   b  </p>\n  <div class="prose-code">\n    <p>  a   b  </p>\n  </div>\n</div>';
+    assert.strictEqual(
+      await minify(input, { collapseWhitespace: true, overrides: [{ selector: '.prose-code', options: { collapseWhitespace: false } }] }),
+      '<div><p>a b</p><div class="prose-code">\n    <p>  a   b  </p>\n  </div></div>'
+    );
+  });
+
+  test('Turns minifiers off and on for a subtree', async () => {
+    const input = '<style>a { color : red }</style><section data-theme-editor><style>a { color : red }</style><p style="color : red">x</p></section>';
+    assert.strictEqual(
+      await minify(input, { minifyCSS: true, overrides: [{ selector: '[data-theme-editor]', options: { minifyCSS: false } }] }),
+      '<style>a{color:red}</style><section data-theme-editor><style>a { color : red }</style><p style="color : red">x</p></section>'
+    );
+    assert.strictEqual(
+      await minify(input, { overrides: [{ selector: 'section p', options: { minifyCSS: true } }] }),
+      '<style>a { color : red }</style><section data-theme-editor><style>a { color : red }</style><p style="color:red">x</p></section>'
+    );
+  });
+
+  test('Applies to void elements and SVG', async () => {
+    const overrides = [
+      { selector: 'img', options: { removeAttributeQuotes: false } },
+      { selector: 'svg.icon', options: { minifySVG: true } }
+    ];
+    const input = '<img src="a.png"><svg class="icon"><rect width="10" height="10"/></svg><p class="x">a</p>';
+    assert.strictEqual(
+      await minify(input, { removeAttributeQuotes: true, overrides }),
+      '<img src="a.png"><svg class="icon"><path d="M0 0h10v10H0z"/></svg><p class=x>a</p>'
+    );
+  });
+
+  test('Lets later and nested overrides win', async () => {
+    const overrides = [
+      { selector: 'div', options: { removeComments: false } },
+      { selector: '.a', options: { removeComments: true } },
+      { selector: '.a p', options: { removeComments: false } }
+    ];
+    const input = '<!-- 1 --><div><!-- 2 --></div><div class="a"><!-- 3 --><p><!-- 4 --></p></div>';
+    assert.strictEqual(
+      await minify(input, { removeComments: true, overrides }),
+      '<div><!-- 2 --></div><div class="a"><p><!-- 4 --></p></div>'
+    );
+  });
+
+  test('Ignores what it cannot apply, with warnings', async () => {
+    /** @type {string[]} */
+    const codes = [];
+    const input = '<p class="b a" id="x">a</p>';
+    const options = /** @type {MinifierOptions} */ ({
+      onDiagnostic: (/** @type {{code: string}} */ diagnostic) => { codes.push(diagnostic.code); },
+      overrides: [
+        { selector: 'p:first-child', options: { removeAttributeQuotes: true } },
+        { selector: 'p', options: { sortClassNames: true, bogus: true } },
+        { selector: '#x' }
+      ]
+    });
+    assert.strictEqual(await minify(input, options), input);
+    assert.deepStrictEqual(codes.sort(), ['invalid-option-value', 'invalid-option-value', 'invalid-option-value', 'unknown-option']);
+  });
+
+  test('Works when streaming', async () => {
+    const options = { collapseWhitespace: true, removeComments: true, overrides: [{ selector: 'pre-like', options: { collapseWhitespace: false, removeComments: false } }] };
+    const input = '<div>  <p>  a  </p>  <pre-like>  <!-- c -->  b  </pre-like>  </div>';
+    const { readable, writable } = createMinifyWebStream(options);
+    const writer = writable.getWriter();
+    const output = [];
+    const reading = (async () => {
+      for await (const html of readable) output.push(html);
+    })();
+    for (let i = 0; i < input.length; i += 7) {
+      await writer.write(input.slice(i, i + 7));
+    }
+    await writer.close();
+    await reading;
+    assert.strictEqual(output.join(''), await minify(input, options));
+    assert.ok(output.join('').includes('<pre-like>  <!-- c -->  b  </pre-like>'));
+  });
+
+  test('Matches selectors', () => {
+    const outer = element('article', { id: 'main', lang: 'en-US' });
+    const inner = element('div', { class: 'note  wide', 'data-kind': 'code sample' });
+    /** @type {Array<[string, boolean]>} */
+    const cases = [
+      ['div', true],
+      ['*', true],
+      ['DIV.note', true],
+      ['.note.wide', true],
+      ['.note.narrow', false],
+      ['#main div', true],
+      ['article#main .wide', true],
+      ['section div', false],
+      ['[data-kind]', true],
+      ['[data-kind~="sample"]', true],
+      ['[data-kind^=code]', true],
+      ['[data-kind$=\'sample\']', true],
+      ['[data-kind*="e s"]', true],
+      ['[data-kind="code"]', false],
+      ['[lang|=en] div', true],
+      ['p, .wide', true],
+      ['article', false]
+    ];
+    for (const [source, expected] of cases) {
+      const selector = parseSelector(source);
+      assert.ok(selector, source);
+      assert.strictEqual(matchesSelector(selector, inner, [outer]), expected, source);
+    }
+    for (const source of ['', 'a > b', 'a + b', 'a:hover', 'a,', '[x', '.1a']) {
+      assert.strictEqual(parseSelector(source), null, source);
+    }
+  });
+});
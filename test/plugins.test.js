@@ -0,0 +1,147 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, createMinifyWebStream } from '../src/htmlminifier.js';
+
+/** @typedef {import('../src/htmlminifier.js').Plugin} Plugin */
+
+describe('Plugins', () => {
+  test('Renames elements and changes attributes', async () => {
+    /** @type {Plugin} */
+    const plugin = {
+      start(element) {
+        element.attrs = element.attrs.filter(attr => !attr.name.startsWith('data-test'));
+        if (element.tag === 'b') element.tag = 'strong';
+        if (element.tag === 'img') element.attrs.push({ name: 'loading', value: 'lazy', quote: '"' });
+      }
+    };
+    const input = '<p data-test-id="a" class="x"><b data-testid=b>bold</b> <img src="a.png"></p>';
+    assert.strictEqual(await minify(input, { plugins: [plugin] }), '<p class="x"><strong>bold</strong> <img src="a.png" loading="lazy"></p>');
+  });
+
+  test('Drops elements with their content, text, and comments', async () => {
+    /** @type {Plugin} */
+    const plugin = {
+      start: element => element.tag !== 'aside',
+      text: node => node.text.trim() !== 'secret',
+      comment: node => !node.text.includes('TODO')
+    };
+    const input = '<div><aside><p>one<p>two<br></aside><p>secret</p><!-- TODO --><!-- keep --><p>kept</p></div>';
+    assert.strictEqual(await minify(input, { plugins: [plugin] }), '<div><p></p><!-- keep --><p>kept</p></div>');
+  });
+
+  test('Inserts markup as is', async () => {
+    /** @type {Plugin} */
+    const plugin = {
+      start(element, { insertBefore, insertAfter }) {
+        if (element.tag === 'main') {
+          insertBefore('<header>  Top  </header>');
+          insertAfter('<h1>  Title  </h1>');
+        }
+      },
+      end(element, { insertBefore, insertAfter }) {
+        if (element.tag === 'main') {
+          insertBefore('<p>Last</p>');
+          insertAfter('<footer>End</footer>');
+        }
+      }
+    };
+    const input = '<body>\n  <main>\n    <p>  Text  </p>\n  </main>\n</body>';
+    assert.strictEqual(
+      await minify(input, { plugins: [plugin], collapseWhitespace: true }),
+      '<body><header>  Top  </header><main><h1>  Title  </h1><p>Text</p><p>Last</p></main><footer>End</footer></body>'
+    );
+  });
+
+  test('Rewrites text before it is minified', async () => {
+    /** @type {Plugin} */
+    const plugin = {
+      text(node, { stack }) {
+        if (stack.at(-1)?.tag === 'script') node.text = node.text.replace('DEBUG', 'false');
+      }
+    };
+    const input = '<script>  if (DEBUG) { console.log("debug"); }  </script>';
+    const expected = await minify(input.replace('DEBUG', 'false'), { minifyJS: true });
+    assert.ok(!expected.includes('debug'));
+    assert.strictEqual(await minify(input, { plugins: [plugin], minifyJS: true }), expected);
+  });
+
+  test('Gives hooks the open elements and the options in effect', async () => {
+    /** @type {string[]} */
+    const seen = [];
+    /** @type {Plugin} */
+    const plugin = {
+      start(element, { stack, options }) {
+        seen.push([...stack.map(open => open.tag), element.tag].join('>') + (options.insideSVG ? ' (SVG)' : ''));
+      },
+      end(element, { stack }) {
+        seen.push('/' + [...stack.map(open => open.tag), element.tag].join('>'));
+      }
+    };
+    await minify('<UL><li>a<li>b</ul><svg><linearGradient/></svg>', { plugins: [plugin] });
+    assert.deepStrictEqual(seen, ['ul', 'ul>li', '/ul>li', 'ul>li', '/ul>li', '/ul', 'svg', 'svg>linearGradient (SVG)', '/svg']);
+  });
+
+  test('Waits for async hooks and runs plugins in order', async () => {
+    /** @type {Plugin} */
+    const first = {
+      async start(element) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        element.tag = element.tag === 'i' ? 'em' : element.tag;
+      },
+      async end(element, { insertAfter }) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        if (element.tag === 'em') insertAfter('!');
+      }
+    };
+    /** @type {Plugin} */
+    const second = {
+      start: element => element.tag !== 'em' || element.attrs.length === 0
+    };
+    assert.strictEqual(await minify('<p><i>a</i><i class="x">b</i></p>', { plugins: [first, second] }), '<p><em>a</em>!</p>');
+  });
+
+  test('Leaves ignored markup alone', async () => {
+    /** @type {string[]} */
+    const comments = [];
+    /** @type {Plugin} */
+    const plugin = {
+      start: element => element.tag !== 'b',
+      comment(node) { comments.push(node.text); }
+    };
+    const input = '<p><!-- htmlmin:ignore --><b> kept </b><!-- htmlmin:ignore --><b>dropped</b><!-- c --></p>';
+    assert.strictEqual(await minify(input, { plugins: [plugin] }), '<p><b> kept </b><!-- c --></p>');
+    assert.deepStrictEqual(comments, [' c ']);
+  });
+
+  test('Skips falsy entries and works with other options', async () => {
+    /** @type {Plugin} */
+    const plugin = { start: element => element.tag !== 'span' };
+    const input = '<div><span>x</span>  <p class="b a">y</p></div>';
+    const options = { collapseWhitespace: true, sortClassNames: true, sortAttributes: true, removeOptionalTags: true };
+    assert.strictEqual(await minify(input, { ...options, plugins: [false, plugin] }), '<div><p class="a b">y</div>');
+  });
+
+  test('Works when streaming', async () => {
+    /** @type {Plugin} */
+    const plugin = {
+      start(element, { insertAfter }) {
+        if (element.tag === 'body') insertAfter('<div id="app"></div>');
+        return element.tag !== 'template';
+      }
+    };
+    const input = '<html><body>\n  <template><p>x</p></template>\n  <p>  Text  </p>\n</body></html>';
+    const options = { collapseWhitespace: true, plugins: [plugin] };
+    const { readable, writable } = createMinifyWebStream(options);
+    const writer = writable.getWriter();
+    const output = [];
+    const reading = (async () => {
+      for await (const html of readable) output.push(html);
+    })();
+    for (let i = 0; i < input.length; i += 5) {
+      await writer.write(input.slice(i, i + 5));
+    }
+    await writer.close();
+    await reading;
+    assert.strictEqual(output.join(''), await minify(input, options));
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, minifyWithReport } from '../src/htmlminifier.js';
+import { byteLength } from '../src/lib/report.js';
+
+/**
+ * Savings of a single feature for the given input and options
+ * @param {string} input
+ * @param {import('../src/htmlminifier.js').MinifierOptions} options
+ */
+async function savingsOf(input, options) {
+  const { report } = await minifyWithReport(input, options);
+  return report.savings;
+}
+
+describe('Reports', () => {
+  test('`byteLength` counts UTF-8 bytes', () => {
+    assert.strictEqual(byteLength(''), 0);
+    assert.strictEqual(byteLength('abc'), 3);
+    assert.strictEqual(byteLength('é'), 2);
+    assert.strictEqual(byteLength('€'), 3);
+    assert.strictEqual(byteLength('😀'), 4);
+    assert.strictEqual(byteLength('\uD800'), 3);
+    assert.strictEqual(byteLength('a€😀'), Buffer.byteLength('a€😀'));
+  });
+
+  test('Returns the same output as `minify` and the document sizes', async () => {
+    const input = '<p title="café">  Hello  </p>';
+    const options = { collapseWhitespace: true, removeAttributeQuotes: true };
+    const { html, report } = await minifyWithReport(input, options);
+    assert.strictEqual(html, await minify(input, options));
+    assert.strictEqual(report.originalSize, Buffer.byteLength(input));
+    assert.strictEqual(report.minifiedSize, Buffer.byteLength(html));
+  });
+
+  test('Reports nothing saved when nothing is enabled', async () => {
+    const savings = await savingsOf('<p>  x  </p><!-- c -->', {});
+    assert.ok(Object.values(savings).every(value => value === 0));
+    assert.deepStrictEqual(Object.keys(savings), [
+      'collapseWhitespace',
+      'removeComments',
+      'removeAttributeQuotes',
+      'removeOptionalTags',
+      'removeRedundantAttributes',
+      'minifyCSS',
+      'minifyJS',
+      'minifySVG',
+      'minifyURLs',
+      'removeUnusedCSS'
+    ]);
+  });
+
+  test('Credits whitespace collapsing', async () => {
+    const input = '  <div>\n  <p>  a   b  </p>\n  <span>c</span> \n</div>  ';
+    const { html, report } = await minifyWithReport(input, { collapseWhitespace: true });
+    assert.strictEqual(report.savings.collapseWhitespace, report.originalSize - report.minifiedSize);
+    assert.strictEqual(html, '<div><p>a b</p><span>c</span></div>');
+  });
+
+  test('Credits comment removal', async () => {
+    const savings = await savingsOf('<p>a<!-- one -->b</p><!--two-->', { removeComments: true });
+    assert.strictEqual(savings.removeComments, '<!-- one -->'.length + '<!--two-->'.length);
+  });
+
+  test('Credits attribute quote removal', async () => {
+    assert.strictEqual((await savingsOf('<p class="a" id="b">x</p>', { removeAttributeQuotes: true })).removeAttributeQuotes, 4);
+    assert.strictEqual((await savingsOf('<p class="a" id="b">x</p>', { removeAttributeQuotes: true, removeTagWhitespace: true })).removeAttributeQuotes, 3);
+    assert.strictEqual((await savingsOf('<p class="a b" id=c>x</p>', { removeAttributeQuotes: true })).removeAttributeQuotes, 0);
+  });
+
+  test('Credits optional tag removal', async () => {
+    const input = '<html><head><title>x</title></head><body><ul><li>a</li><li>b</li></ul></body></html>';
+    const { report } = await minifyWithReport(input, { removeOptionalTags: true });
+    assert.strictEqual(report.savings.removeOptionalTags, report.originalSize - report.minifiedSize);
+    assert.ok(report.savings.removeOptionalTags > 0);
+  });
+
+  test('Credits redundant attribute removal', async () => {
+    const savings = await savingsOf('<form method="get"><input type="text"></form>', { removeRedundantAttributes: true });
+    assert.strictEqual(savings.removeRedundantAttributes, ' method="get"'.length + ' type="text"'.length);
+  });
+
+  test('Credits style sheets, scripts, and URLs', async () => {
+    const input = '<style>a { color: #ff0000; }</style><a href="https://example.com/docs/" style="color: #ff0000;" onclick="  go( 1 )">x</a><script>let answer = 40 + 2;\nconsole.log( answer );</script>';
+    const { report } = await minifyWithReport(input, { minifyCSS: true, minifyJS: true, minifyURLs: 'https://example.com/' });
+    assert.strictEqual(report.savings.minifyCSS, ('a { color: #ff0000; }'.length - 'a{color:red}'.length) + ('color: #ff0000;'.length - 'color:red'.length));
+    assert.ok(report.savings.minifyJS > 0);
+    assert.strictEqual(report.savings.minifyURLs, 'https://example.com/docs/'.length - 'docs/'.length);
+  });
+
+  test('Credits URLs in style sheets and `srcset`', async () => {
+    const input = '<style>a { background: url(https://example.com/a.png) }</style><img src="https://example.com/b.png" srcset="https://example.com/c.png 2x">';
+    const savings = await savingsOf(input, { minifyCSS: true, minifyURLs: 'https://example.com/' });
+    assert.strictEqual(savings.minifyURLs, 3 * 'https://example.com/'.length);
+  });
+
+  test('Credits SVG optimization', async () => {
+    const input = '<svg width="10" height="10"><rect x="0" y="0" width="10" height="10" fill="#ff0000"/></svg>';
+    const { html, report } = await minifyWithReport(input, { minifySVG: true });
+    assert.strictEqual(report.savings.minifySVG, report.originalSize - report.minifiedSize);
+    assert.ok(html.length < input.length);
+  });
+
+  test('Tells unused CSS removal apart from minification', async () => {
+    const input = '<style>.used { color: red; } .unused { color: blue; }</style><p class="used">x</p>';
+    const { report } = await minifyWithReport(input, { minifyCSS: true, removeUnusedCSS: true });
+    assert.strictEqual(report.savings.removeUnusedCSS, '.unused{color:#00f}'.length);
+    assert.strictEqual(report.savings.minifyCSS, '.used { color: red; } .unused { color: blue; }'.length - '.used{color:red}.unused{color:#00f}'.length);
+  });
+
+  test('Credits engines on cache hits', async () => {
+    const input = '<style>b { margin: 0px; }</style><script>var cachedValue = 1 + 1;</script>';
+    const options = { minifyCSS: true, minifyJS: true };
+    const first = await savingsOf(input, options);
+    const second = await savingsOf(input, options);
+    assert.ok(first.minifyCSS > 0 && first.minifyJS > 0);
+    assert.deepStrictEqual(second, first);
+  });
+
+  test('Leaves the analysis pass for sorting out', async () => {
+    const input = '<div>  <p class="b a">  x  </p>  <!-- c -->  </div>';
+    const plain = await savingsOf(input, { collapseWhitespace: true, removeComments: true });
+    const sorted = await savingsOf(input, { collapseWhitespace: true, removeComments: true, sortAttributes: true, sortClassNames: true });
+    assert.strictEqual(sorted.collapseWhitespace, plain.collapseWhitespace);
+    assert.strictEqual(sorted.removeComments, plain.removeComments);
+  });
+
+  test('Adds up to the size difference for the features it breaks out', async () => {
+    const input = `<!-- header -->
+<html>
+  <head>
+    <style>
+      .used { color: red; }
+      .unused { color: blue; }
+    </style>
+  </head>
+  <body>
+    <p class="used" title="greeting">Some   text</p>
+    <form method="get"><input type="text" name="q"></form>
+    <ul>
+      <li>one</li>
+      <li>two</li>
+    </ul>
+    <script>
+      function greet(name) { console.log("Hello " + name); }
+    </script>
+  </body>
+</html>`;
+    const { report } = await minifyWithReport(input, {
+      collapseWhitespace: true,
+      removeComments: true,
+      removeAttributeQuotes: true,
+      removeOptionalTags: true,
+      removeRedundantAttributes: true,
+      minifyCSS: true,
+      minifyJS: true,
+      removeUnusedCSS: true
+    });
+    const total = Object.values(report.savings).reduce((sum, value) => sum + value, 0);
+    assert.strictEqual(total, report.originalSize - report.minifiedSize);
+  });
+});
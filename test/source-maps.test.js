@@ -0,0 +1,180 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, minifyWithSourceMap } from '../src/htmlminifier.js';
+import { encodeVLQ, decodeMappings, lineStarts } from '../src/lib/source-map.js';
+
+/**
+ * Resolve every segment of a map to the output and input text it connects
+ * @param {string} html
+ * @param {string} input
+ * @param {import('../src/htmlminifier.js').SourceMap} map
+ * @param {number} [length]
+ */
+function resolve(html, input, map, length = 16) {
+  const outputLines = lineStarts(html);
+  const inputLines = lineStarts(input);
+  const pairs = [];
+  decodeMappings(map.mappings).forEach((segments, line) => {
+    for (const segment of segments) {
+      const generated = (outputLines[line] ?? 0) + (segment[0] ?? 0);
+      const original = (inputLines[segment[2] ?? 0] ?? 0) + (segment[3] ?? 0);
+      pairs.push({
+        generated: html.slice(generated, generated + length),
+        original: input.slice(original, original + length),
+        name: segment.length > 4 ? map.names[segment[4] ?? 0] : undefined
+      });
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Whether some segment maps output starting with `generated` to input starting with `original`
+ * @param {ReturnType<typeof resolve>} pairs
+ * @param {string} generated
+ * @param {string} original
+ */
+const maps = (pairs, generated, original) =>
+  pairs.some(pair => pair.generated.startsWith(generated) && pair.original.startsWith(original));
+
+describe('Source maps', () => {
+  describe('VLQ coding', () => {
+    test('Round-trips segments', () => {
+      const mappings = [0, 0, 1, -5].map(encodeVLQ).join('') + ',' + [4, 0, 0, 3, 2].map(encodeVLQ).join('') + ';' + [-1, 0, 2, 0].map(encodeVLQ).join('');
+      assert.deepStrictEqual(decodeMappings(mappings), [
+        [[0, 0, 1, -5], [4, 0, 1, -2, 2]],
+        [[-1, 0, 3, -2]]
+      ]);
+    });
+
+    test('Encodes large and negative values', () => {
+      assert.strictEqual(encodeVLQ(0), 'A');
+      assert.strictEqual(encodeVLQ(-1), 'D');
+      assert.strictEqual(encodeVLQ(16), 'gB');
+      assert.deepStrictEqual(decodeMappings(encodeVLQ(123456) + encodeVLQ(-7890)), [[[123456, -7890]]]);
+    });
+  });
+
+  test('Returns the same output as `minify`', async () => {
+    const input = '<div class="a  b">\n  <p>Hello,\n  world</p>\n</div>\n<style>a { color: red }</style>\n<script>let x = 1;\nconsole.log(x)</script>';
+    const options = { collapseWhitespace: true, removeOptionalTags: true, minifyCSS: true, minifyJS: true, maxLineLength: 30 };
+    const { html } = await minifyWithSourceMap(input, options);
+    assert.strictEqual(html, await minify(input, options));
+  });
+
+  test('Maps tags and text', async () => {
+    const input = '<div>\n  <p title="x">Hello</p>\n  <!-- gone -->\n  <span>world</span>\n</div>';
+    const { html, map } = await minifyWithSourceMap(input, { collapseWhitespace: true, removeComments: true });
+    assert.strictEqual(html, '<div><p title="x">Hello</p><span>world</span></div>');
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, '<div>', '<div>'));
+    assert.ok(maps(pairs, '<p title', '<p title'));
+    assert.ok(maps(pairs, 'Hello', 'Hello'));
+    assert.ok(maps(pairs, '<span>', '<span>'));
+    assert.ok(maps(pairs, 'world', 'world'));
+    assert.ok(maps(pairs, '</div>', '</div>'));
+    assert.ok(pairs.every(pair => !pair.original.startsWith('<!--')));
+  });
+
+  test('Maps across lines', async () => {
+    const input = '<ul>\n  <li>one</li>\n  <li>two</li>\n</ul>';
+    const { html, map } = await minifyWithSourceMap(input, { collapseWhitespace: true, maxLineLength: 12 });
+    assert.ok(html.includes('\n'));
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, '<li>one', '<li>one'));
+    assert.ok(maps(pairs, '<li>two', '<li>two'));
+  });
+
+  test('Maps style sheets and scripts down to their tokens', async () => {
+    const input = '<style>\n  a { color: red }\n  b { margin: 0 }\n</style>\n<script>\nfunction add(first, second) {\n  return first + second;\n}\nconsole.log(add(1, 2));\n</script>';
+    const { html, map } = await minifyWithSourceMap(input, { collapseWhitespace: true, minifyCSS: true, minifyJS: true });
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, 'a{color', 'a { color'));
+    assert.ok(maps(pairs, 'b{margin', 'b { margin'));
+    assert.ok(maps(pairs, 'console.log', 'console.log'));
+    // Terser renames the parameters, and the map keeps their original names
+    assert.ok(pairs.some(pair => pair.name === 'first' && pair.original.startsWith('first')));
+  });
+
+  test('Maps scripts minified by SWC', async () => {
+    const input = '<script>\nconst value = 42;\nconsole.log(value);\n</script>';
+    const { html, map } = await minifyWithSourceMap(input, { minifyJS: { engine: 'swc' } });
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, 'console.log', 'console.log'));
+  });
+
+  test('Maps cached style sheets and scripts', async () => {
+    const input = '<style>p { color: blue }</style><script>let cached = 1;\nconsole.log(cached)</script>';
+    const options = { minifyCSS: true, minifyJS: true };
+    // The first call fills the caches without asking for maps
+    await minify(input, options);
+    const { html, map } = await minifyWithSourceMap(input, options);
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, 'p{color', 'p { color'));
+    assert.ok(maps(pairs, 'console.log', 'console.log'));
+  });
+
+  test('Maps merged scripts', async () => {
+    const input = '<p>x</p>\n<script>let a = 1;</script>\n<script>console.log(a)</script>';
+    const { html, map } = await minifyWithSourceMap(input, { collapseWhitespace: true, mergeScripts: true });
+    assert.strictEqual(html, '<p>x</p><script>let a = 1;console.log(a)</script>');
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, '<p>', '<p>'));
+    assert.ok(maps(pairs, 'let a', 'let a'));
+    assert.ok(maps(pairs, 'console.log', 'console.log'));
+  });
+
+  test('Maps past a policy `cspHashes` updated', async () => {
+    const input = '<meta http-equiv="Content-Security-Policy" content="script-src \'self\'">\n<p>x</p>\n<script>run()</script>';
+    const { html, map } = await minifyWithSourceMap(input, { collapseWhitespace: true, cspHashes: { updateMeta: true } });
+    assert.strictEqual(html, await minify(input, { collapseWhitespace: true, cspHashes: { updateMeta: true } }));
+    assert.ok(html.includes('\'sha256-'));
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, '<p>', '<p>'));
+    assert.ok(maps(pairs, 'run()', 'run()'));
+  });
+
+  test('Maps past copies `removeDuplicateResources` removed', async () => {
+    const input = '<link rel="stylesheet" href="a.css">\n<link rel="stylesheet" href="a.css">\n<p>x</p>\n<i>y</i>';
+    const { html, map } = await minifyWithSourceMap(input, { collapseWhitespace: true, removeDuplicateResources: true });
+    assert.strictEqual(html, await minify(input, { collapseWhitespace: true, removeDuplicateResources: true }));
+    assert.strictEqual(html, '<link rel="stylesheet" href="a.css"><p>x</p><i>y</i>');
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, '<p>', '<p>'));
+    assert.ok(maps(pairs, '<i>', '<i>'));
+  });
+
+  test('Maps past style elements `mergeStyles` merged', async () => {
+    const input = '<style>a { color: red }</style>\n<style media="print">b { color: red }</style>\n<p>x</p>\n<i>y</i>';
+    const { html, map } = await minifyWithSourceMap(input, { collapseWhitespace: true, mergeStyles: true });
+    assert.strictEqual(html, await minify(input, { collapseWhitespace: true, mergeStyles: true }));
+    assert.strictEqual(html, '<style>a { color: red }@media print{b { color: red }}</style><p>x</p><i>y</i>');
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, 'a { color', 'a { color'));
+    assert.ok(maps(pairs, '<p>', '<p>'));
+    assert.ok(maps(pairs, '<i>', '<i>'));
+  });
+
+  test('Maps around ignored markup and custom fragments', async () => {
+    const input = '<div>\n  <!-- htmlmin:ignore -->  <b> kept </b>  <!-- htmlmin:ignore -->\n  <p> <?php echo $a ?> </p>\n  <i>after</i>\n</div>';
+    const { html, map } = await minifyWithSourceMap(input, { collapseWhitespace: true });
+    assert.strictEqual(html, await minify(input, { collapseWhitespace: true }));
+    const pairs = resolve(html, input, map);
+    assert.ok(maps(pairs, '  <b> kept', '  <b> kept'));
+    assert.ok(maps(pairs, '<i>after', '<i>after'));
+    assert.ok(maps(pairs, '</div>', '</div>'));
+  });
+
+  test('Fills in the requested fields', async () => {
+    const input = '<p>  x  </p>';
+    const { map } = await minifyWithSourceMap(input, { collapseWhitespace: true });
+    assert.deepStrictEqual(Object.keys(map).sort(), ['mappings', 'names', 'sources', 'version']);
+    assert.strictEqual(map.version, 3);
+    assert.deepStrictEqual(map.sources, ['input.html']);
+
+    const { map: named } = await minifyWithSourceMap(input, { collapseWhitespace: true }, { source: 'page.html', file: 'page.min.html', includeContent: true });
+    assert.deepStrictEqual(named.sources, ['page.html']);
+    assert.strictEqual(named.file, 'page.min.html');
+    assert.deepStrictEqual(named.sourcesContent, [input]);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { readFile } from 'node:fs/promises';
+import { minify, createMinifyStream, createMinifyWebStream } from '../src/htmlminifier.js';
+
+/**
+ * Split a string or buffer into chunks of the given size
+ * @template {string | Uint8Array} T
+ * @param {T} input
+ * @param {number} size
+ * @returns {T[]}
+ */
+function split(input, size) {
+  const chunks = [];
+  for (let i = 0; i < input.length; i += size) {
+    chunks.push(/** @type {T} */ (input.slice(i, i + size)));
+  }
+  return chunks;
+}
+
+/**
+ * Write chunks to a web stream one at a time, collecting what it emits
+ * @param {Array<string | Uint8Array>} chunks
+ * @param {import('../src/htmlminifier.js').MinifierOptions} [options]
+ * @returns {Promise<string[]>}
+ */
+async function webStream(chunks, options) {
+  const { readable, writable } = createMinifyWebStream(options);
+  const writer = writable.getWriter();
+  const output = [];
+  await Promise.all([
+    (async () => {
+      for (const chunk of chunks) {
+        await writer.write(chunk);
+      }
+      await writer.close();
+    })(),
+    (async () => {
+      for await (const html of readable) output.push(html);
+    })()
+  ]);
+  return output;
+}
+
+/**
+ * Pipe chunks through a Node.js stream, returning its output
+ * @param {Array<string | Uint8Array>} chunks
+ * @param {import('../src/htmlminifier.js').MinifierOptions} [options]
+ * @returns {Promise<string>}
+ */
+async function nodeStream(chunks, options) {
+  let output = '';
+  for await (const html of Readable.from(chunks, { objectMode: false }).pipe(createMinifyStream(options))) {
+    output += html;
+  }
+  return output;
+}
+
+const document = `<!DOCTYPE html>
+<html>
+  <head>
+    <title> Streaming </title>
+    <style> p { color : red } </style>
+  </head>
+  <body>
+    <!-- comment -->
+    <ul>
+      <li> one </li>
+      <li class="  a  b "> two </li>
+    </ul>
+    <p>Some <b>bold</b>   text&nbsp;and <a href="#" onclick="  go( 1 ) ">a link</a></p>
+    <pre>  kept
+      as is  </pre>
+    <svg viewBox="0 0 10 10"> <rect x="0" y="0" width="10" height="10"/> </svg>
+    <script> var answer = 40 + 2; </script>
+  </body>
+</html>
+`;
+
+const options = {
+  collapseWhitespace: true,
+  removeComments: true,
+  removeOptionalTags: true,
+  removeAttributeQuotes: true,
+  minifyCSS: true,
+  minifyJS: true,
+  minifySVG: true
+};
+
+describe('Streaming', () => {
+  test('Gives the same output as `minify` however the input is split', async () => {
+    for (const opts of [undefined, { collapseWhitespace: true }, { collapseWhitespace: true, conservativeCollapse: true }, options]) {
+      const expected = await minify(document, opts);
+      for (const size of [1, 3, 17, 100, document.length]) {
+        assert.strictEqual((await webStream(split(document, size), opts)).join(''), expected, `Chunks of ${size}`);
+      }
+    }
+  });
+
+  test('Gives the same output as `minify` for the fixtures', async () => {
+    const input = await readFile(new URL('./fixtures/default.html', import.meta.url), 'utf8');
+    for (const opts of [{ collapseWhitespace: true, removeComments: true }, options]) {
+      assert.strictEqual((await webStream(split(input, 256), opts)).join(''), await minify(input, opts));
+    }
+  });
+
+  test('Emits output before the input ends', async () => {
+    const { readable, writable } = createMinifyWebStream({ collapseWhitespace: true });
+    const writer = writable.getWriter();
+    const reader = readable.getReader();
+    writer.write('<div>\n  <p> one </p>\n  <p> two </p>\n');
+    writer.write('  <p> three </p>\n');
+    const { value } = await reader.read();
+    assert.ok(value && '<div><p>one</p><p>two</p>'.startsWith(value), value);
+    writer.write('</div>\n');
+    writer.close();
+    let rest = '';
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+      rest += result.value;
+    }
+    assert.strictEqual(value + rest, '<div><p>one</p><p>two</p><p>three</p></div>');
+  });
+
+  test('Works as a Node.js stream', async () => {
+    const expected = await minify(document, options);
+    assert.strictEqual(await nodeStream(split(document, 7), options), expected);
+    assert.strictEqual(await nodeStream(split(Buffer.from(document), 64), options), expected);
+  });
+
+  test('Decodes UTF-8 split inside characters', async () => {
+    const input = '<p title="café">  Grüße  😀  €  </p>';
+    const bytes = new TextEncoder().encode(input);
+    const expected = await minify(input, { collapseWhitespace: true });
+    assert.strictEqual((await webStream(split(bytes, 1), { collapseWhitespace: true })).join(''), expected);
+    assert.strictEqual(await nodeStream(split(Buffer.from(bytes), 1), { collapseWhitespace: true }), expected);
+  });
+
+  test('Keeps ignored markup and custom fragments split across chunks', async () => {
+    const input = '<div>\n  <!-- htmlmin:ignore -->  <p>  kept  </p>  <!-- htmlmin:ignore -->\n  <p> <?php echo $a ?>  <%= b %> </p>  {{ c }}  </div>';
+    const opts = { collapseWhitespace: true, ignoreCustomFragments: [/<%[\s\S]*?%>/, /<\?[\s\S]*?\?>/, /\{\{[\s\S]*?\}\}/] };
+    const expected = await minify(input, opts);
+    for (const size of [1, 2, 5, 11]) {
+      assert.strictEqual((await webStream(split(input, size), opts)).join(''), expected, `Chunks of ${size}`);
+    }
+  });
+
+  test('Reads the whole document for options that need it', async () => {
+    const input = '<p class="b a">x</p><p class="a b" id="x">y</p><style>.a{color:red}.c{color:blue}</style><style>.b{margin:0}</style>';
+    for (const opts of [{ sortAttributes: true, sortClassNames: true }, { minifyCSS: true, removeUnusedCSS: true }, { maxLineLength: 20 }, { mergeStyles: true }]) {
+      const output = await webStream(split(input, 4), opts);
+      assert.deepStrictEqual(output, [await minify(input, opts)]);
+    }
+  });
+
+  test('Fails on input over `maxInputLength`', async () => {
+    await assert.rejects(webStream(split('<p>' + 'x'.repeat(100) + '</p>', 10), { maxInputLength: 50 }), /exceeds maximum allowed length/);
+    await assert.rejects(nodeStream(split('<p>' + 'x'.repeat(100) + '</p>', 10), { maxInputLength: 50 }), /exceeds maximum allowed length/);
+  });
+
+  test('Fails on parse errors', async () => {
+    await assert.rejects(webStream(['<div>', '<p', ' class="a"', ' <'], {}), /Parse error/);
+    assert.strictEqual((await webStream(['<div>', '<p', ' class="a"', ' <'], { continueOnParseError: true })).join(''), await minify('<div><p class="a" <', { continueOnParseError: true }));
+  });
+});
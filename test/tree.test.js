@@ -0,0 +1,91 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, parse, serialize } from '../src/htmlminifier.js';
+
+/** @typedef {import('../src/htmlminifier.js').DocumentNode} DocumentNode */
+/** @typedef {import('../src/htmlminifier.js').TreeNode} TreeNode */
+
+/**
+ * Call `visit` on each node of a tree, parents first
+ * @param {DocumentNode | TreeNode} node
+ * @param {(node: TreeNode) => void} visit
+ */
+function walk(node, visit) {
+  if (node.type !== 'document') visit(node);
+  if (node.type === 'document' || node.type === 'element') {
+    for (const child of node.children) walk(child, visit);
+  }
+}
+
+describe('Parse and serialize', () => {
+  test('Builds a tree of the nodes as written', async () => {
+    const tree = await parse('<!doctype html><P class=a id=\'b\'>One &amp; two<!-- c --><ul><li>x<li>y</ul><svg><rect x="1"/></svg>');
+    assert.deepStrictEqual(tree, {
+      type: 'document',
+      children: [
+        { type: 'doctype', text: '<!doctype html>' },
+        {
+          type: 'element',
+          tag: 'P',
+          attrs: [
+            { name: 'class', value: 'a', quote: '', customAssign: '=', customOpen: '', customClose: '' },
+            { name: 'id', value: 'b', quote: '\'', customAssign: '=', customOpen: '', customClose: '' }
+          ],
+          children: [{ type: 'text', text: 'One &amp; two' }, { type: 'comment', text: ' c ' }],
+          endImplied: true
+        },
+        {
+          type: 'element',
+          tag: 'ul',
+          attrs: [],
+          children: [
+            { type: 'element', tag: 'li', attrs: [], children: [{ type: 'text', text: 'x' }], endImplied: true },
+            { type: 'element', tag: 'li', attrs: [], children: [{ type: 'text', text: 'y' }], endImplied: true }
+          ]
+        },
+        {
+          type: 'element',
+          tag: 'svg',
+          attrs: [],
+          children: [{
+            type: 'element',
+            tag: 'rect',
+            attrs: [{ name: 'x', value: '1', quote: '"', customAssign: '=', customOpen: '', customClose: '' }],
+            children: [],
+            selfClosing: true
+          }]
+        }
+      ]
+    });
+  });
+
+  test('Serializes to what `minify` gives', async () => {
+    const input = '<!DOCTYPE html>\n<html>\n<head><title> A </title></head>\n<body>\n<p class="x"  id=a>One\n<p>Two<table><col><tr><td>1</table>\n<!--[if IE]><p>IE<![endif]-->\n<![if !IE]><p>Not IE<![endif]>\n<input disabled type="text">\n</body>\n</html>';
+    for (const options of [undefined, { collapseWhitespace: true, removeOptionalTags: true, removeAttributeQuotes: true, collapseBooleanAttributes: true, removeRedundantAttributes: true }]) {
+      assert.strictEqual(await serialize(await parse(input, options), options), await minify(input, options));
+    }
+  });
+
+  test('Serializes changed trees', async () => {
+    const tree = await parse('<div class="note"><p>Hello</p><img src="a.png"></div>');
+    walk(tree, node => {
+      if (node.type === 'element' && node.tag === 'p') {
+        node.attrs.push({ name: 'title', value: 'Say "hi"' });
+        node.children.push({ type: 'element', tag: 'br', attrs: [], children: [] });
+      }
+      if (node.type === 'text') node.text = node.text.toUpperCase();
+    });
+    assert.strictEqual(
+      await serialize(tree, { removeAttributeQuotes: true }),
+      '<div class=note><p title=\'Say "hi"\'>HELLO<br></p><img src=a.png></div>'
+    );
+  });
+
+  test('Keeps partial markup', async () => {
+    const input = '</div><p>a</span><div>open';
+    const options = { partialMarkup: true };
+    const tree = await parse(input, options);
+    assert.deepStrictEqual(tree.children[0], { type: 'element', tag: 'div', attrs: [], children: [], startImplied: true });
+    assert.strictEqual(await serialize(tree, options), input);
+  });
+});
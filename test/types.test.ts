@@ -9,7 +9,7 @@
  * This file is not executed—it only needs to type-check successfully.
  */
 
-import { minify, type MinifierOptions, type HTMLAttribute } from '../src/htmlminifier.js';
+import { minify, minifyWithSourceMap, AbortError, VerifyError, parse, serialize, format, type FormatOptions, type DocumentNode, type TreeNode, minifyWithReport, createMinifyStream, createMinifyWebStream, createMinifier, getDetailedCacheStats, clearCaches, resizeCaches, type MinifierOptions, type HTMLAttribute, type SourceMap, type MinifyReport, type Minifier, type Plugin, type Diagnostic, type Override, type CacheSizes, type DetailedCacheStats } from '../src/htmlminifier.js';
 
 // Minify function basic usage
 async function testBasicMinify() {
@@ -317,6 +317,250 @@ async function testRealWorldUsage() {
   return result;
 }
 
+// Source maps
+async function testSourceMap() {
+  const { html, map }: { html: string, map: SourceMap } = await minifyWithSourceMap('<p> x </p>', {
+    collapseWhitespace: true,
+  }, {
+    source: 'page.html',
+    file: 'page.min.html',
+    includeContent: true,
+  });
+
+  const version: 3 = map.version;
+  const mappings: string = map.mappings;
+  const content: Array<string | null> | undefined = map.sourcesContent;
+
+  return { html, version, mappings, content };
+}
+
+// Savings reports
+async function testReport() {
+  const { html, report }: { html: string, report: MinifyReport } = await minifyWithReport('<p> x </p>', {
+    collapseWhitespace: true,
+  });
+
+  const saved: number = report.originalSize - report.minifiedSize;
+  const whitespace: number = report.savings.collapseWhitespace;
+  const unusedCSS: number = report.savings.removeUnusedCSS;
+
+  return { html, saved, whitespace, unusedCSS };
+}
+
+// Streaming
+async function testStream() {
+  const transform = createMinifyStream({ collapseWhitespace: true });
+  transform.end('<p> x </p>');
+
+  const web: TransformStream<string | Uint8Array, string> = createMinifyWebStream({
+    collapseWhitespace: true,
+  });
+  const writer = web.writable.getWriter();
+  await writer.write(new TextEncoder().encode('<p> x </p>'));
+  await writer.close();
+  const { value } = await web.readable.getReader().read();
+
+  return { transform, value };
+}
+
+// Minifier instances
+async function testMinifier() {
+  const minifier: Minifier = createMinifier({ collapseWhitespace: true, cacheCSS: 100 });
+  const html: string = await minifier.minify('<p> x </p>');
+  const cssHits: number = minifier.getCacheStats().css.hits;
+  minifier.clearCaches();
+
+  return { html, cssHits };
+}
+
+async function testPlugins() {
+  const plugin: Plugin = {
+    start(element, { stack, insertAfter }) {
+      if (element.tag === 'img') element.attrs.push({ name: 'loading', value: 'lazy' });
+      if (element.tag === 'body' && stack.length === 1) insertAfter('<div id="app"></div>');
+      return element.tag !== 'aside';
+    },
+    async text(node) {
+      node.text = node.text.replace('DEBUG', 'false');
+    },
+    comment: node => !node.text.includes('TODO')
+  };
+  const result: string = await minify('<p>x</p>', { plugins: [plugin] });
+
+  return result;
+}
+
+async function testCancellation() {
+  const controller = new AbortController();
+  try {
+    return await minify('<p>x</p>', { signal: controller.signal, timeout: 500 });
+  } catch (err) {
+    if (err instanceof AbortError) {
+      const timedOut: boolean = err.timedOut;
+      return timedOut ? 'timed out' : err.message;
+    }
+    throw err;
+  }
+}
+
+async function testDiagnostics() {
+  const diagnostics: Diagnostic[] = [];
+  await minify('<style>@foo;</style>', {
+    minifyCSS: true,
+    onDiagnostic: (diagnostic) => {
+      const where = diagnostic.line === undefined ? diagnostic.source : `${diagnostic.line}:${diagnostic.column ?? 1}`;
+      if (diagnostic.severity === 'error' || where) diagnostics.push(diagnostic);
+    }
+  });
+  return diagnostics.map(diagnostic => diagnostic.code);
+}
+
+async function testOverrides() {
+  const overrides: Override[] = [
+    { selector: '.prose-code', options: { collapseWhitespace: false } },
+    { selector: '[data-theme-editor] style', options: { minifyCSS: false } }
+  ];
+  return await minify('<div class="prose-code">  x  </div>', { collapseWhitespace: true, minifyCSS: true, overrides });
+}
+
+function testCacheManagement() {
+  const sizes: CacheSizes = { css: 1000, js: { entries: 200, maxBytes: 4_000_000 } };
+  resizeCaches(sizes);
+  const js: DetailedCacheStats = getDetailedCacheStats().js;
+  const held: number = js.bytes + js.evictions;
+  clearCaches();
+  createMinifier({ cacheMaxBytes: 1_000_000 }).resizeCaches({ svg: { maxBytes: Infinity } });
+  return held;
+}
+
+async function testVerify() {
+  const warned: MinifierOptions = { verify: 'warn' };
+  try {
+    return await minify('<p>x</p>', { ...warned, verify: true });
+  } catch (err) {
+    if (err instanceof VerifyError) {
+      const where: string = err.path;
+      return where + err.expected + err.actual;
+    }
+    throw err;
+  }
+}
+
+async function testTree() {
+  const tree: DocumentNode = await parse('<p class=a>x</p>', { partialMarkup: true });
+  const first: TreeNode | undefined = tree.children[0];
+  if (first?.type === 'element') {
+    first.attrs.push({ name: 'id', value: 'b' });
+    first.children.push({ type: 'text', text: 'y' }, { type: 'comment', text: 'z' });
+    const implied: boolean = first.endImplied ?? false;
+    return serialize(tree, { removeAttributeQuotes: implied });
+  }
+  return serialize(tree);
+}
+
+async function testFormat() {
+  const options: FormatOptions = { indent: '\t', wrap: 80, inlineCustomElements: ['x-icon'] };
+  const formatted: string = await format('<div><p>x</p></div>', options);
+  return formatted + await format(formatted, { indent: 4 });
+}
+
+function testCompressionSort() {
+  const options: MinifierOptions = { sortAttributes: 'compress', sortClassNames: 'compress', compressionCodec: 'brotli' };
+  return minify('<p class="b a" id="x" title="y">x</p>', options);
+}
+
+async function testMangleSelectors() {
+  const nameMap = new Map<string, string>();
+  const options: MinifierOptions = { minifyCSS: true, mangleSelectors: { safelist: ['js-hook', /^is-/], scripts: false, nameMap } };
+  await minify('<style>.card{color:red}</style><p class="card">x</p>', options);
+  const saved: Record<string, string> = Object.fromEntries(nameMap);
+  const reused: MinifierOptions = { minifyCSS: true, mangleSelectors: { nameMap: saved } };
+  const enabled: MinifierOptions = { minifyCSS: true, mangleSelectors: true };
+  return [reused, enabled];
+}
+
+async function testMangleCSSNames() {
+  const nameMap = new Map<string, string>();
+  const options: MinifierOptions = { minifyCSS: true, mangleCSSNames: { safelist: ['--theme-accent', /^--js-/], nameMap } };
+  await minify('<style>p{--gap:1px;margin:var(--gap)}</style>', options);
+  const enabled: MinifierOptions = { minifyCSS: true, mangleCSSNames: true, mangleSelectors: true };
+  return enabled;
+}
+
+async function testExtractCSS() {
+  const files = new Map<string, string>();
+  const options: MinifierOptions = { minifyCSS: true, extractCSS: { dir: 'dist/assets', href: '/assets/', minSize: 2048, write: false, files } };
+  await minify('<style>p{color:red}</style>', options);
+  const enabled: MinifierOptions = { minifyCSS: true, extractCSS: true };
+  return enabled;
+}
+
+async function testAddIntegrity() {
+  const options: MinifierOptions = {
+    addIntegrity: {
+      baseDir: 'site/blog',
+      root: 'site',
+      origins: { 'https://cdn.example.com/': 'site/static' },
+      algorithm: 'sha512',
+      crossorigin: false,
+      onUpdate: ({ url, status }) => console.log(url, status)
+    }
+  };
+  await minify('<script src="app.js"></script>', options);
+  const enabled: MinifierOptions = { addIntegrity: true };
+  return enabled;
+}
+
+async function testInlineAssets() {
+  const options: MinifierOptions = { minifyCSS: true, minifyJS: true, inlineAssets: { baseDir: 'src', maxSize: 8192, include: ['css/', /\.svg$/], exclude: ['vendor/'], svg: 'inline' } };
+  await minify('<link rel="stylesheet" href="css/site.css">', options);
+  const enabled: MinifierOptions = { inlineAssets: true };
+  return enabled;
+}
+
+async function testCSPHashes() {
+  const options: MinifierOptions = {
+    mergeScripts: true,
+    cspHashes: {
+      algorithm: 'sha384',
+      updateMeta: true,
+      onHashes: ({ scripts, styles }) => console.log(scripts.join(' '), styles.join(' '))
+    }
+  };
+  await minify('<script>a()</script>', options);
+  const enabled: MinifierOptions = { cspHashes: true };
+  return enabled;
+}
+
+async function testExtractEventHandlers() {
+  const options: MinifierOptions = {
+    minifyJS: true,
+    extractEventHandlers: { attribute: 'data-on', output: 'file', nonce: 'r4nd0m', dir: 'dist/assets', href: '/assets/', write: false, files: new Map<string, string>() }
+  };
+  await minify('<button onclick="save()">Save</button>', options);
+  const enabled: MinifierOptions = { extractEventHandlers: true };
+  return enabled;
+}
+
+async function testOutputCharset() {
+  const options: MinifierOptions = { decodeEntities: true, outputCharset: 'ascii' };
+  await minify('<p>Caf&eacute;</p>', options);
+  const utf8: MinifierOptions = { outputCharset: 'utf-8' };
+  return utf8;
+}
+
+async function testRemoveDuplicateResources() {
+  const options: MinifierOptions = { removeDuplicateResources: true, verify: true };
+  await minify('<link rel="stylesheet" href="a.css"><link rel="stylesheet" href="a.css">', options);
+  return options;
+}
+
+async function testMergeStyles() {
+  const options: MinifierOptions = { mergeStyles: true, minifyCSS: true };
+  await minify('<style>p{color:red}</style><style media="print">p{color:#000}</style>', options);
+  return options;
+}
+
 // Exports (to avoid “unused” warnings)
 export {
   testBasicMinify,
@@ -333,4 +577,27 @@ export {
   testHTMLAttributeType,
   testTypeInference,
   testRealWorldUsage,
+  testSourceMap,
+  testReport,
+  testStream,
+  testMinifier,
+  testPlugins,
+  testCancellation,
+  testDiagnostics,
+  testOverrides,
+  testCacheManagement,
+  testVerify,
+  testTree,
+  testFormat,
+  testCompressionSort,
+  testMangleSelectors,
+  testMangleCSSNames,
+  testExtractCSS,
+  testInlineAssets,
+  testAddIntegrity,
+  testCSPHashes,
+  testExtractEventHandlers,
+  testOutputCharset,
+  testRemoveDuplicateResources,
+  testMergeStyles,
 };
\ No newline at end of file
@@ -72,6 +72,41 @@ describe('Utils', () => {
       assert.strictEqual(cache.get('a'), 1);
       assert.strictEqual(cache.get('b'), undefined);
     });
+
+    test('`details()` tracks the estimated size of keys and values', () => {
+      const cache = new LRU(3);
+      cache.set('a', 'xyz');
+      cache.set('b', { code: 'xy', map: ['z'] });
+      assert.deepStrictEqual(cache.details(), { gets: 0, hits: 0, size: 2, limit: 3, bytes: 4 + 1 + 4 + 2 + 3 + 1, maxBytes: Infinity, evictions: 0 });
+
+      cache.set('a', 'x');
+      cache.delete('b');
+      assert.strictEqual(cache.details().bytes, 2);
+    });
+
+    test('Evicts beyond `maxBytes`, counting evictions', () => {
+      const cache = new LRU(10, 10);
+      cache.set('a', '1234');
+      cache.set('b', '1234');
+      cache.set('c', '1234'); // evicts `a`
+      assert.strictEqual(cache.get('a'), undefined);
+      cache.set('d', '12345678901'); // larger than the limit by itself
+      assert.deepStrictEqual([cache.details().size, cache.details().evictions], [0, 4]);
+    });
+
+    test('`resize()` drops the least recently used entries that no longer fit', () => {
+      const cache = new LRU(3);
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.set('c', 3);
+      cache.get('a');
+      cache.resize(1);
+      assert.strictEqual(cache.get('a'), 1);
+      assert.deepStrictEqual([cache.details().size, cache.details().evictions], [1, 2]);
+
+      cache.clear();
+      assert.strictEqual(cache.details().evictions, 0);
+    });
   });
 
   describe('`embedSource`', () => {
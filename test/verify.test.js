@@ -0,0 +1,98 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { minify, createMinifyWebStream, getPreset, VerifyError } from '../src/htmlminifier.js';
+
+/** @typedef {import('../src/htmlminifier.js').Plugin} Plugin */
+
+const page = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title> A  page </title>
+  <link rel="stylesheet" type="text/css" href="a.css">
+  <script type="text/javascript"> var a = 1 + 1; </script>
+</head>
+<body class="b  a">
+  <!-- A comment -->
+  <ul>
+    <li> One <b>two</b> three</li>
+    <li>Four</li>
+  </ul>
+  <p>A <a href="x.html">link</a> &amp; more.</p>
+  <table>
+    <tr><td>1</td><td>2</td></tr>
+  </table>
+  <pre>
+ keep   this
+</pre>
+  <input type="text" disabled="disabled" value="">
+  <select><option value="1" selected>1</option><option>2</option></select>
+  <div id="x" onclick="  go( 1 ); "> <span> x </span> <span>y</span> </div>
+</body>
+</html>`;
+
+describe('Verify', () => {
+  test('Passes output that builds the same tree', async () => {
+    for (const preset of ['conservative', 'comprehensive']) {
+      const output = await minify(page, { ...getPreset(preset), minifyJS: true, verify: true });
+      assert.ok(output.length < page.length);
+    }
+    assert.strictEqual(
+      await minify('<p>a <b> b </b> c</p><p>x</p>', { collapseWhitespace: true, collapseInlineTagWhitespace: true, removeOptionalTags: true, verify: true }),
+      '<p>a <b>b </b>c<p>x'
+    );
+  });
+
+  test('Rejects with the path of the first difference', async () => {
+    /** @type {Plugin} */
+    const plugin = {
+      start(element) {
+        for (const attr of element.attrs) if (attr.value === 'b') attr.value = 'c';
+      }
+    };
+    const options = { verify: true, plugins: [plugin] };
+    await assert.rejects(minify('<div><p>a</p></div><div><p>a</p><p id="b">b</p></div>', options), (/** @type {VerifyError} */ err) => {
+      assert.ok(err instanceof VerifyError);
+      assert.strictEqual(err.path, '/div[2]/p[2]');
+      assert.strictEqual(err.expected, '<p id="b">');
+      assert.strictEqual(err.actual, '<p id="c">');
+      assert.strictEqual(err.message, 'Output differs from input at /div[2]/p[2]: expected <p id="b">, found <p id="c">');
+      return true;
+    });
+  });
+
+  test('Reports options that change the tree on purpose', async () => {
+    await assert.rejects(minify('<div><span></span>x</div>', { removeEmptyElements: true, verify: true }), { name: 'VerifyError', path: '/div[1]/span[1]' });
+    assert.strictEqual(
+      await minify('<script>a()</script>\n<script>b()</script>', { collapseWhitespace: true, mergeScripts: true, verify: true }),
+      '<script>a();b()</script>'
+    );
+  });
+
+  test('Only warns with `warn`', async () => {
+    /** @type {Array<{code: string, severity: string}>} */
+    const diagnostics = [];
+    /** @type {string[]} */
+    const logged = [];
+    const output = await minify('<div><span></span>x</div>', {
+      removeEmptyElements: true,
+      verify: 'warn',
+      onDiagnostic: diagnostic => { diagnostics.push(diagnostic); },
+      log: message => { logged.push(String(message)); }
+    });
+    assert.strictEqual(output, '<div>x</div>');
+    assert.deepStrictEqual(diagnostics.map(({ code, severity }) => ({ code, severity })), [{ code: 'verify-mismatch', severity: 'warning' }]);
+    assert.ok(logged.includes('Warning: Output differs from input at /div[1]/span[1]: expected <span>, found text “x”'));
+  });
+
+  test('Verifies streamed documents', async () => {
+    const stream = createMinifyWebStream({ removeEmptyElements: true, verify: true });
+    const writer = stream.writable.getWriter();
+    // The writable side fails along with the readable one
+    Promise.all([writer.write('<div><span></span>'), writer.write('x</div>'), writer.close()]).catch(() => {});
+    const reader = stream.readable.getReader();
+    await assert.rejects(async () => {
+      while (!(await reader.read()).done);
+    }, { name: 'VerifyError' });
+  });
+});